@@ -7,19 +7,60 @@
  * and VAST (Video Ad Serving Template) ads into a video player using Video.js.
  * 
  * Architecture:
+ * - MacroResolver: Resolves IAB macros and consent in ad URLs (TcfCmpAdapter, CmpStub)
  * - VMAPService: Fetches and parses VMAP/VAST documents
+ * - AdErrorReporter: Reports ad failures with VAST/VMAP error codes
+ * - AdInspector: Records VAST request chains and every tracking beacon for debugging
+ * - AdAnalytics: Per-break and per-ad delivery records, session metrics and collector batches
+ * - HLSCueParser: Reads ad boundaries from HLS manifest cue tags
+ * - LiveWindow: Keeps stream times stable as a live playlist window slides
+ * - MediaTailorSession: MediaTailor client-side tracking session
+ * - CsaiAdPlayer: Plays client-side ads from VAST MediaFiles
+ * - NonLinearAdManager: Shows non-linear overlays over content
+ * - SeekPolicy: Prevents seeking past unwatched mid-rolls
+ * - TimelineMapper: Maps between content time and stream time
  * - AdBreakManager: Manages ad break scheduling and state
+ * - VastPrefetcher: Resolves and caches each break's VAST ahead of the break, through its fallback VAST tags
+ * - SkipPolicy: Decides when each ad can be skipped (VAST skipoffset and publisher rules)
+ * - ViewabilityMonitor: Measures ad viewability (IntersectionObserver, Page Visibility, MRC video rule)
+ * - AdVerificationManager: Runs VAST AdVerifications scripts in sandboxed OM sessions (VerificationSandbox)
  * - AdTracker: Handles VAST tracking (impressions, clicks, quartiles)
- * - AdOverlayController: Manages UI overlay and skip button
- * - VideoPlayerManager: Controls Video.js player instance
- * - AdDemoApp: Main application coordinator
+ * - AdOverlayController: Manages the overlay components (AdOverlay, AdAnnouncer, NonLinearAdSlot) and companions
+ * - AdLocale: Overlay text bundles by language, with plural forms
+ * - AdMediaSession: Mirrors the ad in the Media Session (OS controls, picture-in-picture)
+ * - ViewingHistory: Stores watched breaks, the last position and pre-roll plays in localStorage
+ * - VideoPlayerManager: Controls the player's source, content timeline and markers
+ * - AdEventEmitter: Announces ad events to the host page
+ * - VmapAdsPlugin: Video.js plugin (player.vmapAds) wiring the classes above per player
+ * - AdInspectorPanel: Demo page inspector (breaks, VAST XML, timeline, beacons, JSON export)
+ * - AdDemoApp: Demo page controller (form, panels)
  * 
  * Key Features:
  * - Pre-roll, mid-roll, and post-roll ad breaks
- * - Ad skip functionality with countdown
+ * - Ad skip functionality with countdown; non-skippable ads, percentage skip offsets and publisher skip rules
  * - Click-through tracking
  * - Visual ad break markers on the timeline
  * - MediaTailor server-side ad stitching support
+ * - Ad boundaries from HLS cue tags (CUE-OUT/CUE-IN, SCTE-35 DATERANGE)
+ * - MediaTailor client-side tracking sessions
+ * - Seek enforcement with snap-back to unwatched mid-rolls
+ * - Content-time progress bar that hides stitched ad durations
+ * - Client-side ad insertion (CSAI) for content without ad stitching
+ * - Companion banners and non-linear overlay ads
+ * - VAST/VMAP error codes fired to <Error> URIs and listed in the UI
+ * - IAB macros and TCF/US Privacy/GPP consent in ad requests and beacons
+ * - VAST prefetching with caching, so breaks start with their real pod
+ * - VMAP retries with backoff, fallback VAST tags and ad buffets per break, a fallback schedule during ad server outages
+ * - Ad event API for host pages (window.adDemoApp.on('adStart', ...))
+ * - Reusable Video.js plugin with per-player options, several players per page
+ * - Ad overlay in fullscreen; ad state and skip in the Media Session for picture-in-picture
+ * - Watched breaks and the last position remembered across sessions, pre-roll frequency cap
+ * - Ad inspector panel with an exportable JSON session report
+ * - Live and DVR streams: breaks from manifest cues and a refreshed, date-anchored VMAP schedule
+ * - Accessible, localized overlay: screen reader announcements, skip focus, keyboard shortcuts
+ * - Ad delivery analytics (fill, completion, skip rates, time to first frame) sent to a collector, JSON/CSV export
+ * - Viewability measurement firing VAST ViewableImpression URLs, viewability state in the event API
+ * - Open Measurement verification scripts (VAST AdVerifications) with player events, verificationNotExecuted reporting
  */
 
 // =============================================================================
@@ -38,711 +79,7749 @@ const videojs = window.videojs;
 /** Configuration constants */
 const CONFIG = {
   VMAP_INTERVAL: 300, // Interval (in seconds) between ad breaks for VMAP generation
+  VMAP_TIMEOUT: 5000, // Milliseconds allowed for each VMAP request
+  VMAP_RETRIES: 2, // Retries of a VMAP request that failed with a network error, a timeout or a 5xx/408/429 status
+  VMAP_RETRY_DELAY: 1000, // Milliseconds before the first VMAP retry, doubled for each further retry
+  FALLBACK_SCHEDULE: null, // Breaks used when the VMAP cannot be loaded, e.g. [{ timeOffset: 'start', vastUrl: '...' }] (null for none)
   DEFAULT_AD_DURATION: 30, // Default ad duration if not specified in VAST
-  DEFAULT_SKIP_OFFSET: 5, // Default skip offset if not specified in VAST
+  SKIP_RULES: [], // Publisher skip rules, first match wins (see SkipPolicy), e.g. { name: 'preroll', positions: ['preroll'], skipOffset: null }
+  VIEWABLE_AREA: 0.5, // Share of the player's pixels in view for an ad to count as in view (MRC video standard: 0.5)
+  VIEWABLE_DURATION: 2, // Seconds of continuous in-view ad playback that make an ad viewable (MRC video standard: 2)
+  VERIFICATION_VENDORS: null, // Verification vendors allowed to run scripts (e.g. ['doubleverify.com-omid']), null for any vendor
+  VERIFICATION_TIMEOUT: 5000, // Milliseconds allowed for a verification script to load before it counts as not executed
+  SNAP_BACK_POLICY: 'latest', // Breaks played when a seek crosses unwatched breaks: 'latest' or 'all'
+  SKIP_SCOPE: 'ad', // 'ad' skips the current ad of a pod, 'pod' skips the whole break
+  TRACKING_POLL_INTERVAL: 10, // Seconds between MediaTailor tracking URL polls
+  CUE_MATCH_TOLERANCE: 15, // Max distance (in content seconds) between a manifest cue and its VMAP break
+  CONTENT_TIMELINE: true, // Show content time (stitched ads excluded) on the progress bar and time display
+  CSAI_MAX_BITRATE: 2500, // Highest preferred media file bitrate (kbps) for client-side ads
+  COMPANION_SLOTS: [ // Page slots for companion banners, matched by adSlotId or size
+    { id: 'companionBanner', width: 728, height: 90 },
+    { id: 'companionSidebar', width: 300, height: 250 },
+  ],
+  NONLINEAR_DURATION: 15, // Seconds a non-linear overlay stays on screen (at least its minSuggestedDuration)
+  COMPLETE_TOLERANCE: 1, // Seconds before the end of an ad that count as reaching its end
+  CMP_TIMEOUT: 1500, // Milliseconds to wait for the consent management platform before requesting ads
+  PREFETCH_LEAD_TIME: 15, // Seconds (content time) before a break that its VAST is requested
+  VAST_TIMEOUT: 5000, // Milliseconds allowed for each VAST request (every wrapper hop gets its own)
+  VAST_CACHE_TTL: 300, // Seconds a resolved VAST response stays usable
+  VAST_FAILURE_TTL: 10, // Seconds before a break whose VAST requests all failed is requested again
+  VAST_FALLBACK_TAGS: [], // VAST tags tried in order when a break's own VAST fills no ad: URLs, or { url, positions: ['preroll', ...] }
+  PERSIST_HISTORY: true, // Remember watched breaks and the last position in localStorage, per content URL and user ID
+  SKIP_WATCHED_BREAKS: true, // Breaks already watched (rewind, earlier session) are not played again as ads
+  JUMP_WATCHED_BREAKS: true, // Stitched streams jump over the ad segments of skipped watched breaks
+  RESUME_POSITION: true, // Start where the viewer left the content in an earlier session
+  PREROLL_CAP_COUNT: 0, // Pre-rolls per user within PREROLL_CAP_WINDOW before pre-rolls are skipped (0 for no cap)
+  PREROLL_CAP_WINDOW: 3600, // Seconds covered by the pre-roll frequency cap
+  LIVE_SCHEDULE_INTERVAL: 60, // Seconds between VMAP refreshes on live streams
+  LIVE_SCHEDULE_LOOKAHEAD: 600, // Seconds past the live edge covered by each live VMAP request
+  AD_SHORTCUTS: { skip: 's', learnMore: 'l' }, // Keys that skip the ad and open Learn more while focus is in the player
+  AD_ANNOUNCE_INTERVAL: 15, // Seconds between screen reader announcements of the time left in a break (0 for none)
+  ANALYTICS_URL: null, // Collector endpoint receiving ad delivery records as JSON batches (null to keep them in the page)
+  ANALYTICS_BATCH_SIZE: 10, // Finished breaks that trigger a batch
+  ANALYTICS_FLUSH_INTERVAL: 60, // Seconds between batches of the breaks finished meanwhile (0 for size-triggered batches only)
+  ANALYTICS_MAX_QUEUE: 100, // Break records kept for the collector while it is unreachable; the oldest are dropped beyond it
 };
 
 // =============================================================================
-// VMAP/VAST SERVICE
+// AD EVENTS
 // =============================================================================
 
 /**
- * Service for fetching and parsing VMAP/VAST documents
- * Handles all interactions with ad serving endpoints
+ * @typedef {Object} AdBreakSummary
+ * @property {string} breakId - Break identifier
+ * @property {string} timeOffset - VMAP time offset ("start", "end", "HH:MM:SS")
+ * @property {number} timeInSeconds - Position of the break in content time
+ * @property {string} position - 'preroll', 'midroll' or 'postroll'
+ * @property {number|null} duration - Break duration in seconds, null until known
+ * @property {number|null} adCount - Ads in the pod, null until the VAST is resolved
+ * @property {boolean} watched - True once the break was played through or skipped
+ * @property {number|null} streamStart - Start in stream time, null until known from cues or tracking
+ * @property {number|null} streamEnd - End in stream time, null until known from cues or tracking
+ * @property {string|null} cueSource - Where the stream range comes from ('tracking' or the cue tag type)
  */
-class VMAPService {
+
+/**
+ * @typedef {Object} AdSummary
+ * @property {string|null} adId - Ad identifier
+ * @property {string|null} title - Ad title
+ * @property {number} index - Index of the ad in the pod
+ * @property {number} podSize - Ads in the pod
+ * @property {number} duration - Ad duration in seconds
+ * @property {number|null} skipOffset - Seconds before the ad can be skipped, null if it cannot be skipped
+ * @property {string|null} skipRule - What decided skipOffset: a SKIP_RULES name, 'vast' or 'non-skippable'
+ * @property {string|null} clickThrough - Click-through URL
+ */
+
+/**
+ * @typedef {Object} ViewabilityState
+ * @property {string|null} state - 'measuring', 'viewable', 'notViewable' or 'viewUndetermined', null outside ads
+ * @property {boolean} measurable - True once the player's position on screen is known
+ * @property {boolean} inView - True if enough of the player is on screen in a visible page
+ * @property {number|null} intersectionRatio - Share of the player's pixels in view, null until known
+ * @property {boolean} pageVisible - False while the page is in a background tab or minimized
+ * @property {number} inViewTime - Seconds of continuous in-view playback of the current ad
+ */
+
+/**
+ * Payload of each ad event (every event also carries `type` and `timestamp`)
+ * @typedef {Object} AdEventMap
+ * @property {{ breaks: AdBreakSummary[], nonLinearCount: number, fallback: boolean }} vmapLoaded - VMAP schedule loaded (fallback: FALLBACK_SCHEDULE used instead)
+ * @property {{ breaks: AdBreakSummary[] }} scheduleUpdated - Schedule loaded or changed (VMAP, manifest cues, tracking polls)
+ * @property {{ break: AdBreakSummary }} adBreakStart - Playhead entered a break
+ * @property {{ break: AdBreakSummary, ads: AdSummary[] }} adPodLoaded - The ads of the break are known (pod resolved)
+ * @property {{ break: AdBreakSummary, ad: AdSummary }} adStart - An ad of the pod started
+ * @property {{ break: AdBreakSummary, ad: AdSummary, quartile: string }} adQuartile - 'firstQuartile', 'midpoint', 'thirdQuartile' or 'complete'
+ * @property {{ break: AdBreakSummary, ad: AdSummary, state: string, viewability: ViewabilityState }} adViewability - Viewability decided for the ad: 'viewable', 'notViewable' or 'viewUndetermined'
+ * @property {{ break: AdBreakSummary, ad: AdSummary, scope: string, elapsed: number }} adSkipped - Viewer skipped the ad ('ad') or pod ('pod') after elapsed seconds of the ad
+ * @property {{ break: AdBreakSummary, ad: AdSummary|null, target: string, url: string|null }} adClicked - Click on the ad ('ad') or a companion ('companion')
+ * @property {{ code: number, vmapCode: number|null, message: string, breakId: string|null, adId: string|null }} adError - Ad failure reported with its VAST/VMAP code
+ * @property {{ break: AdBreakSummary, resumesContent: boolean }} adBreakEnd - Break ended
+ * @property {{ contentTime: number }} contentResumed - Content plays again after ads
+ */
+
+/**
+ * Event emitter through which the app announces ad events to the host page
+ * Only the events of AdEventEmitter.EVENTS can be listened to or emitted
+ */
+class AdEventEmitter {
+  constructor() {
+    this.listeners = new Map(AdEventEmitter.EVENTS.map((type) => [type, new Set()]));
+  }
+
   /**
-   * Converts a VMAP time offset string to seconds
-   * @param {string} timeOffset - Time offset (e.g., "start", "end", "00:01:30")
-   * @param {number} totalDuration - Total duration of content in seconds
-   * @returns {number} Time in seconds
+   * Throws on event names that do not exist
+   * @param {string} type - Event name
    */
-  static parseTimeOffset(timeOffset, totalDuration) {
-    if (timeOffset === 'start') return 0;
-    if (timeOffset === 'end') return totalDuration;
-    
-    const parts = String(timeOffset).trim().split(':');
-    if (parts.length === 3) {
-      const h = parseInt(parts[0], 10) || 0;
-      const m = parseInt(parts[1], 10) || 0;
-      const s = parseFloat(parts[2]) || 0;
-      return h * 3600 + m * 60 + s;
+  static assertType(type) {
+    if (!AdEventEmitter.EVENTS.includes(type)) {
+      throw new TypeError(`Unknown ad event "${type}"`);
     }
-    
-    return 0;
   }
 
   /**
-   * Extracts the VAST URL from a VMAP ad break
-   * @param {Object} adBreak - VMAP ad break object
-   * @returns {string|null} VAST URL or null if not found
+   * Adds a listener
+   * @template {keyof AdEventMap} K
+   * @param {K} type - Event name
+   * @param {function(AdEventMap[K] & { type: K, timestamp: number }): void} listener - Receives the event
+   * @returns {Function} Removes the listener
    */
-  static extractVastUrl(adBreak) {
-    if (!adBreak.adSource || !adBreak.adSource.adTagURI) return null;
-    const uri = adBreak.adSource.adTagURI;
-    return (typeof uri === 'object' && uri.uri) ? uri.uri : uri;
+  on(type, listener) {
+    AdEventEmitter.assertType(type);
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
   }
 
   /**
-   * Fetches and parses a VMAP document from the server
-   * @param {string} vmapBaseUrl - Base URL for VMAP endpoint
-   * @param {number} duration - Content duration in seconds
-   * @param {string} userId - User ID for personalization
-   * @returns {Promise<VMAP>} Parsed VMAP object
+   * Adds a listener called for the next event only
+   * @template {keyof AdEventMap} K
+   * @param {K} type - Event name
+   * @param {function(AdEventMap[K] & { type: K, timestamp: number }): void} listener - Receives the event
+   * @returns {Function} Removes the listener
    */
-  static async fetchVMAP(vmapBaseUrl, duration, userId) {
-    const url = `${vmapBaseUrl}?duration=${duration}&interval=${CONFIG.VMAP_INTERVAL}&userId=${encodeURIComponent(userId || 'guest')}`;
-    const response = await fetch(url, { headers: { Accept: 'application/xml' } });
-    
-    if (!response.ok) {
-      throw new Error(`VMAP request failed with status ${response.status}`);
-    }
-    
-    const text = await response.text();
-    const doc = new DOMParser().parseFromString(text, 'application/xml');
-    
-    if (doc.querySelector('parsererror')) {
-      throw new Error('Invalid VMAP XML');
-    }
-    
-    return new VMAP(doc);
+  once(type, listener) {
+    const off = this.on(type, (event) => {
+      off();
+      listener(event);
+    });
+    return off;
   }
 
   /**
-   * Builds a sorted list of ad breaks from VMAP
-   * @param {VMAP} vmap - Parsed VMAP object
-   * @param {number} contentDuration - Content duration in seconds
-   * @returns {Array} Sorted array of ad break objects
+   * Removes a listener
+   * @param {keyof AdEventMap} type - Event name
+   * @param {Function} listener - Listener passed to on()
    */
-  static buildAdBreakList(vmap, contentDuration) {
-    const list = [];
+  off(type, listener) {
+    AdEventEmitter.assertType(type);
+    this.listeners.get(type).delete(listener);
+  }
+
+  /**
+   * Calls the listeners of an event
+   * A failing listener is logged and never interrupts ad playback
+   * @template {keyof AdEventMap} K
+   * @param {K} type - Event name
+   * @param {AdEventMap[K]} payload - Event data
+   */
+  emit(type, payload) {
+    AdEventEmitter.assertType(type);
+    const event = { type, timestamp: Date.now(), ...payload };
     
-    for (let i = 0; i < vmap.adBreaks.length; i++) {
-      const br = vmap.adBreaks[i];
-      const timeOffset = br.timeOffset || 'start';
-      const seconds = VMAPService.parseTimeOffset(timeOffset, contentDuration);
-      const vastUrl = VMAPService.extractVastUrl(br);
-      
-      if (vastUrl != null) {
-        list.push({
-          index: i,
-          timeOffset: timeOffset,
-          timeInSeconds: seconds,
-          breakId: br.breakId || `break_${i}`,
-          vastUrl: vastUrl,
-          duration: CONFIG.DEFAULT_AD_DURATION,
-          skipOffset: CONFIG.DEFAULT_SKIP_OFFSET,
-        });
+    [...this.listeners.get(type)].forEach((listener) => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('[EVENTS] Listener failed', type, err);
       }
+    });
+  }
+}
+
+/** Events announced to the host page, in the order they occur around a break */
+AdEventEmitter.EVENTS = [
+  'vmapLoaded',
+  'scheduleUpdated',
+  'adBreakStart',
+  'adPodLoaded',
+  'adStart',
+  'adQuartile',
+  'adViewability',
+  'adSkipped',
+  'adClicked',
+  'adError',
+  'adBreakEnd',
+  'contentResumed',
+];
+
+// =============================================================================
+// CONSENT & MACROS
+// =============================================================================
+
+/**
+ * Local stand-in for a consent management platform
+ * Exposes the same __tcfapi / __uspapi / __gpp functions a page CMP installs on window,
+ * answering every call with fixed consent
+ */
+class CmpStub {
+  /**
+   * @param {Object} consent - Fixed consent
+   * @param {boolean} consent.gdprApplies - Whether GDPR applies to the viewer
+   * @param {string} [consent.tcString] - IAB TCF v2 TC string
+   * @param {boolean} [consent.purposeOneConsent] - Consent to store/access information on the device
+   * @param {string} [consent.usPrivacy] - IAB US Privacy string (e.g., "1YNN")
+   * @param {string} [consent.gppString] - IAB GPP string
+   * @param {Array<number>} [consent.gppSid] - Applicable GPP section IDs
+   */
+  constructor({ gdprApplies, tcString = '', purposeOneConsent = false, usPrivacy = '', gppString = '', gppSid = [] }) {
+    this.consent = { gdprApplies, tcString, purposeOneConsent, usPrivacy, gppString, gppSid };
+  }
+
+  /**
+   * TCF v2 API: getTCData, addEventListener, removeEventListener
+   * @param {string} command - TCF command
+   * @param {number} version - TCF version
+   * @param {Function} callback - Receives (tcData, success)
+   */
+  __tcfapi(command, version, callback) {
+    if (command === 'removeEventListener') {
+      callback(true);
+      return;
     }
     
-    // Sort by time to ensure ads play in chronological order
-    return list.sort((a, b) => a.timeInSeconds - b.timeInSeconds);
+    const { gdprApplies, tcString, purposeOneConsent } = this.consent;
+    callback({
+      tcfPolicyVersion: 4,
+      gdprApplies,
+      tcString: gdprApplies ? tcString : '',
+      eventStatus: 'tcloaded',
+      listenerId: 1,
+      purpose: { consents: { 1: purposeOneConsent } },
+    }, true);
   }
 
   /**
-   * Finds the linear creative in a VAST ad
-   * @param {Object} ad - VAST ad object
-   * @returns {Object|null} Linear creative or null
+   * CCPA API: getUSPData
+   * @param {string} command - USP command
+   * @param {number} version - USP version
+   * @param {Function} callback - Receives (uspData, success)
    */
-  static getLinearCreative(ad) {
-    if (!ad || !ad.creatives) return null;
-    return ad.creatives.find((c) => c.type === 'linear' && c.mediaFiles && c.mediaFiles.length) || null;
+  __uspapi(command, version, callback) {
+    callback({ version: 1, uspString: this.consent.usPrivacy }, Boolean(this.consent.usPrivacy));
   }
 
   /**
-   * Extracts the media file URL from a creative
-   * @param {Object} creative - VAST creative object
-   * @returns {string|null} Media file URL or null
+   * GPP API: ping
+   * @param {string} command - GPP command
+   * @param {Function} callback - Receives (pingData, success)
    */
-  static getMediaFileUrl(creative) {
-    if (!creative || !creative.mediaFiles || !creative.mediaFiles.length) return null;
-    const file = creative.mediaFiles.find((f) => f.fileURL);
-    return file ? file.fileURL : null;
+  __gpp(command, callback) {
+    callback({
+      gppVersion: '1.1',
+      signalStatus: 'ready',
+      gppString: this.consent.gppString,
+      applicableSections: this.consent.gppSid,
+    }, true);
   }
 }
 
-// =============================================================================
-// AD OVERLAY CONTROLLER
-// =============================================================================
+/** Consent presets selectable in the demo UI (sample strings, not decoded by the demo) */
+CmpStub.PRESETS = {
+  granted: {
+    gdprApplies: true,
+    tcString: 'CQH5NcAQH5NcAAGABBENBUFsAP_gAEPgAAAAKYtV_G__bWlr8X73aftkeY1P9_h77sQxBhfJE-4FzLvW_JwXx2ExNA36tqIKmRIAu3TBIQ.YAAAAAAAAAAA',
+    purposeOneConsent: true,
+    usPrivacy: '1YNN',
+    gppString: 'DBABMA~CQH5NcAQH5NcAAGABBENBUFsAP_gAEPgAAAAKYtV',
+    gppSid: [2],
+  },
+  denied: {
+    gdprApplies: true,
+    tcString: 'CQH5NcAQH5NcAAGABBENBUFgAAAAAAAAAAAAAAAAAAAA.YAAAAAAAAAAA',
+    purposeOneConsent: false,
+    usPrivacy: '1YYN',
+    gppString: 'DBABMA~CQH5NcAQH5NcAAGABBENBUFgAAAAAAAAAAAAAAAAAAAA',
+    gppSid: [2],
+  },
+  outside: {
+    gdprApplies: false,
+    usPrivacy: '1---',
+  },
+};
 
 /**
- * Controls the ad overlay UI (skip button, learn more button)
- * Manages overlay visibility and skip countdown
+ * Reads consent from a TCF v2 style CMP
+ * The CMP is injected: window for the page CMP, or a CmpStub
  */
-class AdOverlayController {
-  constructor() {
-    this.overlayElement = document.getElementById('adOverlay');
-    this.skipButton = document.getElementById('skipBtn');
-    this.learnMoreButton = document.getElementById('learnMoreBtn');
+class TcfCmpAdapter {
+  /**
+   * @param {Object} cmp - Object exposing __tcfapi and optionally __uspapi / __gpp
+   * @param {number} [timeout] - Milliseconds to wait for each CMP answer
+   */
+  constructor(cmp, timeout = CONFIG.CMP_TIMEOUT) {
+    this.cmp = cmp;
+    this.timeout = timeout;
   }
 
   /**
-   * Shows the ad overlay
+   * Calls a CMP function, giving up after a timeout
+   * @param {Function} call - Receives a resolve function
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<*|null>} CMP answer or null on timeout
    */
-  show() {
-    console.log('[OVERLAY] Showing ad overlay');
-    this.overlayElement.classList.add('active');
-    this.overlayElement.setAttribute('aria-hidden', 'false');
+  static withTimeout(call, timeout) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), timeout);
+      call((value) => {
+        clearTimeout(timer);
+        resolve(value);
+      });
+    });
   }
 
   /**
-   * Hides the ad overlay
+   * Waits for the TC data to be final (loaded or after the viewer's choice)
+   * @returns {Promise<Object|null>} TCF tcData or null without a TCF CMP
    */
-  hide() {
-    console.log('[OVERLAY] Hiding ad overlay');
-    this.overlayElement.classList.remove('active');
-    this.overlayElement.setAttribute('aria-hidden', 'true');
+  getTcData() {
+    if (typeof this.cmp.__tcfapi !== 'function') return Promise.resolve(null);
+    
+    return TcfCmpAdapter.withTimeout((resolve) => {
+      this.cmp.__tcfapi('addEventListener', 2, (tcData, success) => {
+        if (!success) {
+          resolve(null);
+          return;
+        }
+        if (tcData.gdprApplies === false || ['tcloaded', 'useractioncomplete'].includes(tcData.eventStatus)) {
+          this.cmp.__tcfapi('removeEventListener', 2, () => {}, tcData.listenerId);
+          resolve(tcData);
+        }
+      });
+    }, this.timeout);
   }
 
   /**
-   * Updates the skip button UI based on ad progress
-   * @param {number} elapsed - Time elapsed in the ad (seconds)
-   * @param {number} duration - Total ad duration (seconds)
-   * @param {number} skipOffset - Time when skip becomes available (seconds)
+   * Gets the US Privacy string
+   * @returns {Promise<string|null>} US Privacy string or null
    */
-  updateSkipButton(elapsed, duration, skipOffset) {
-    const wasDisabled = this.skipButton.disabled;
+  getUsPrivacy() {
+    if (typeof this.cmp.__uspapi !== 'function') return Promise.resolve(null);
     
-    if (elapsed >= skipOffset) {
-      // Skip is now available
-      this.skipButton.disabled = false;
-      this.skipButton.innerHTML = 'Skip Ad';
-      
-      if (wasDisabled) {
-        console.log('[OVERLAY] Skip button enabled', { elapsed, skipOffset });
-      }
-    } else {
-      // Still counting down to skip
-      this.skipButton.disabled = true;
-      const countdown = Math.ceil(skipOffset - elapsed);
-      this.skipButton.innerHTML = `Skip in <span id="skipCounter">${countdown}</span>s`;
-    }
+    return TcfCmpAdapter.withTimeout((resolve) => {
+      this.cmp.__uspapi('getUSPData', 1, (uspData, success) => resolve(success && uspData ? uspData.uspString : null));
+    }, this.timeout);
   }
 
   /**
-   * Renders ad break information in the UI panel
-   * @param {Array} adBreaks - List of ad breaks
+   * Gets the GPP string and its applicable sections
+   * @returns {Promise<Object|null>} { gppString, gppSid } or null
    */
-  renderAdBreakInfo(adBreaks) {
-    const el = document.getElementById('markerInfo');
+  getGpp() {
+    if (typeof this.cmp.__gpp !== 'function') return Promise.resolve(null);
     
-    if (!adBreaks.length) {
-      el.textContent = 'No ad breaks from VMAP.';
-      return;
-    }
+    return TcfCmpAdapter.withTimeout((resolve) => {
+      this.cmp.__gpp('ping', (pingData, success) => {
+        resolve(success && pingData
+          ? { gppString: pingData.gppString || '', gppSid: pingData.applicableSections || [] }
+          : null);
+      });
+    }, this.timeout);
+  }
+
+  /**
+   * Reads all consent signals
+   * @returns {Promise<Object>} Consent (see MacroResolver.NO_CONSENT)
+   */
+  async getConsent() {
+    const [tcData, usPrivacy, gpp] = await Promise.all([this.getTcData(), this.getUsPrivacy(), this.getGpp()]);
     
-    const lines = adBreaks.map(
-      (br) => `${br.breakId}: ${br.timeOffset} (${br.timeInSeconds.toFixed(1)}s)`
-    );
-    el.innerHTML = lines.map((l) => `<p>${l}</p>`).join('');
+    return {
+      gdprApplies: tcData ? Boolean(tcData.gdprApplies) : null,
+      tcString: tcData && tcData.tcString ? tcData.tcString : '',
+      purposeOneConsent: Boolean(tcData && tcData.purpose && tcData.purpose.consents && tcData.purpose.consents[1]),
+      usPrivacy: usPrivacy || '',
+      gppString: gpp ? gpp.gppString : '',
+      gppSid: gpp ? gpp.gppSid.filter((sid) => sid > 0) : [],
+    };
   }
 }
 
-// =============================================================================
-// AD TRACKER
-// =============================================================================
-
 /**
- * Handles VAST tracking events (impressions, clicks, quartiles)
- * Wraps the VASTTracker library with application-specific logic
+ * Replaces IAB macros in VMAP, VAST and tracking URLs
+ * Holds the consent read from the CMP and the playback context (playheads, break position, player size)
+ * Every beacon goes out through it, so the inspector sees them all
  */
-class AdTracker {
-  constructor() {
-    this.vastTracker = null;
-    this.vastClient = new VASTClient(0, 0);
+class MacroResolver {
+  constructor(cmpAdapter, inspector = new AdInspector()) {
+    this.cmpAdapter = cmpAdapter;
+    this.inspector = inspector;
+    this.consent = { ...MacroResolver.NO_CONSENT };
+    this.context = { contentPlayhead: null, adPlayhead: null, breakPosition: null, playerSize: null };
   }
 
   /**
-   * Initializes VAST tracking for an ad break
-   * @param {Object} breakInfo - Ad break information with vastUrl
-   * @returns {Promise<Object|null>} Ad metadata (clickThrough, duration, skipOffset) or null
+   * Formats seconds as a VAST timecode
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Time code (e.g., "00:01:30.000")
    */
-  async initialize(breakInfo) {
-    const vastUrl = breakInfo.vastUrl;
-    
-    if (!vastUrl) {
-      console.warn('[TRACKER] No VAST URL available');
-      return null;
-    }
-    
-    try {
-      const vastResponse = await this.vastClient.get(vastUrl);
-      
-      const validAd = vastResponse.ads.find(a => a.creatives && a.creatives.length);
-      if (!validAd) return null;
-      
-      const creative = VMAPService.getLinearCreative(validAd);
-      if (!creative) return null;
-      
-      // Extract ad metadata
-      const metadata = {
-        clickThrough: creative.videoClickThroughURLTemplate?.url || creative.videoClickThroughURLTemplate || null,
-        duration: creative.duration || CONFIG.DEFAULT_AD_DURATION,
-        skipOffset: creative.skipDelay || CONFIG.DEFAULT_SKIP_OFFSET,
-      };
-      
-      // Create tracker
-      this.vastTracker = new VASTTracker(null, validAd, creative);
-      this.vastTracker.trackImpression();
-      
-      console.log('[TRACKER] Initialized', metadata);
-      return metadata;
-    } catch (err) {
-      console.error('[TRACKER] Failed to initialize', err);
-      return null;
-    }
+  static formatPlayhead(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    return `${VMAPService.formatTimeOffset(Math.floor(ms / 1000))}.${String(ms % 1000).padStart(3, '0')}`;
   }
 
   /**
-   * Updates tracker progress for quartile tracking
-   * @param {number} elapsed - Seconds elapsed in the ad
+   * Gets the VAST [BREAKPOSITION] of a break
+   * @param {Object} breakInfo - Ad break
+   * @returns {number} 1 pre-roll, 2 mid-roll, 3 post-roll
    */
-  setProgress(elapsed) {
-    if (this.vastTracker) {
-      this.vastTracker.setProgress(elapsed);
-    }
+  static getBreakPosition(breakInfo) {
+    if (breakInfo.timeOffset === 'start' || breakInfo.timeInSeconds === 0) return 1;
+    if (breakInfo.timeOffset === 'end') return 3;
+    return 2;
   }
 
   /**
-   * Tracks a skip event
+   * Replaces the CMP adapter (consent is read again by refreshConsent())
+   * @param {Object} cmpAdapter - TcfCmpAdapter or any object with getConsent()
    */
-  trackSkip() {
-    if (this.vastTracker) {
-      this.vastTracker.skip();
-    }
+  setCmpAdapter(cmpAdapter) {
+    this.cmpAdapter = cmpAdapter;
   }
 
   /**
-   * Tracks a click event
-   * @returns {Promise<string|null>} Click-through URL if available
+   * Reads consent from the CMP
+   * Ad requests go out without consent if the CMP fails
+   * @returns {Promise<Object>} Consent
    */
-  trackClick() {
-    return new Promise((resolve) => {
-      if (!this.vastTracker) {
-        resolve(null);
-        return;
-      }
-      
-      this.vastTracker.once('clickthrough', (url) => {
-        console.log('[TRACKER] Click-through URL:', url);
-        resolve(url);
-      });
-      
-      this.vastTracker.click();
+  async refreshConsent() {
+    try {
+      this.consent = { ...MacroResolver.NO_CONSENT, ...await this.cmpAdapter.getConsent() };
+    } catch (err) {
+      console.warn('[CONSENT] CMP failed', err);
+      this.consent = { ...MacroResolver.NO_CONSENT };
+    }
+    
+    console.log('[CONSENT] Consent loaded', {
+      gdprApplies: this.consent.gdprApplies,
+      tcString: this.consent.tcString ? `${this.consent.tcString.slice(0, 12)}…` : '',
+      usPrivacy: this.consent.usPrivacy,
+      gppSid: this.consent.gppSid,
+      limitAdTracking: this.isLimitAdTracking(),
     });
+    return this.consent;
   }
 
   /**
-   * Tracks ad completion
+   * Updates the playback context
+   * @param {Object} context - Any of contentPlayhead, adPlayhead (seconds), breakPosition, playerSize ([w, h])
    */
-  trackComplete() {
-    if (this.vastTracker) {
-      this.vastTracker.complete();
-    }
+  update(context) {
+    Object.assign(this.context, context);
   }
 
   /**
-   * Resets the tracker
+   * Checks if the viewer limits ad tracking
+   * True without GDPR purpose 1 consent, with a CCPA opt-out or with Global Privacy Control
+   * @returns {boolean} True if ad tracking is limited
    */
-  reset() {
-    this.vastTracker = null;
+  isLimitAdTracking() {
+    const { gdprApplies, purposeOneConsent, usPrivacy } = this.consent;
+    return (gdprApplies === true && !purposeOneConsent)
+      || usPrivacy.charAt(2) === 'Y'
+      || (typeof navigator !== 'undefined' && navigator.globalPrivacyControl === true);
   }
 
   /**
-   * Checks if tracker is active
-   * @returns {boolean} True if tracker is initialized
+   * Gets the current macro values
+   * Unknown values are -1, as required by VAST 4
+   * @returns {Object} Macro name → raw (unencoded) value
    */
-  isActive() {
-    return this.vastTracker !== null;
+  getMacros() {
+    const { contentPlayhead, adPlayhead, breakPosition, playerSize } = this.context;
+    const { gdprApplies, tcString, usPrivacy, gppString, gppSid } = this.consent;
+    const regulations = [gdprApplies && 'gdpr', usPrivacy && 'ccpa'].filter(Boolean);
+    
+    return {
+      CACHEBUSTING: String(Math.floor(Math.random() * 1e8)).padStart(8, '0'),
+      TIMESTAMP: new Date().toISOString(),
+      CONTENTPLAYHEAD: contentPlayhead != null ? MacroResolver.formatPlayhead(contentPlayhead) : -1,
+      ADPLAYHEAD: adPlayhead != null ? MacroResolver.formatPlayhead(adPlayhead) : -1,
+      BREAKPOSITION: breakPosition != null ? breakPosition : -1,
+      PLAYERSIZE: playerSize ? playerSize.map(Math.round).join(',') : -1,
+      GDPR: gdprApplies == null ? -1 : Number(gdprApplies),
+      GDPRCONSENT: tcString || -1,
+      LIMITADTRACKING: Number(this.isLimitAdTracking()),
+      REGULATIONS: regulations.length ? regulations.join(',') : -1,
+      US_PRIVACY: usPrivacy || -1,
+      GPP: gppString || -1,
+      GPP_SID: gppSid.length ? gppSid.join(',') : -1,
+    };
   }
-}
-
-// =============================================================================
-// AD BREAK MANAGER
-// =============================================================================
 
-/**
- * Manages ad break scheduling, detection, and playback coordination
- * Handles MediaTailor server-side ad stitching
- */
-class AdBreakManager {
-  constructor(overlayController, tracker) {
-    this.overlayController = overlayController;
-    this.tracker = tracker;
-    this.adBreaks = [];
-    this.currentAdBreak = null;
-    this.isInAdBreak = false;
+  /**
+   * Replaces [MACRO] and %%MACRO%% placeholders in a URL
+   * Placeholders the resolver does not know are left untouched
+   * @param {string} url - URL template
+   * @param {Object} [extra] - Additional macros (e.g., ERRORCODE)
+   * @returns {string} Resolved URL
+   */
+  resolve(url, extra = {}) {
+    const macros = { ...this.getMacros(), ...extra };
+    return url.replace(/\[([A-Z_]+)\]|%%([A-Z_]+)%%/g, (placeholder, bracketed, percent) => {
+      const name = bracketed || percent;
+      return name in macros ? encodeURIComponent(macros[name]) : placeholder;
+    });
   }
 
   /**
-   * Sets the list of ad breaks from VMAP
-   * @param {Array} adBreaks - Array of ad break objects
+   * Gets consent as ad request parameters
+   * Only signals the CMP provided are included
+   * @returns {Object} Parameter name → value (gdpr, gdpr_consent, us_privacy, gpp, gpp_sid)
    */
-  setAdBreaks(adBreaks) {
-    this.adBreaks = adBreaks;
+  getConsentParams() {
+    const { gdprApplies, tcString, usPrivacy, gppString, gppSid } = this.consent;
+    const params = {};
+    
+    if (gdprApplies != null) params.gdpr = gdprApplies ? '1' : '0';
+    if (tcString) params.gdpr_consent = tcString;
+    if (usPrivacy) params.us_privacy = usPrivacy;
+    if (gppString) params.gpp = gppString;
+    if (gppSid.length) params.gpp_sid = gppSid.join(',');
+    return params;
   }
 
   /**
-   * Gets the current list of ad breaks
-   * @returns {Array} Array of ad break objects
+   * Resolves macros in every VAST document request of a client, wrappers included,
+   * and in the <Error> URIs its parser fires
+   * @param {VASTClient} vastClient - VAST client
+   * @param {Object} [extra] - Macros specific to the client's requests (e.g., BREAKPOSITION of a prefetched break)
    */
-  getAdBreaks() {
-    return this.adBreaks;
+  attachClient(vastClient, extra = {}) {
+    vastClient.addURLTemplateFilter((url) => this.resolve(url, extra));
+    
+    // The parser would fire <Error> URIs itself, with -1 for consent: it only announces the error
+    const parser = vastClient.getParser();
+    const trackVastError = parser.trackVastError.bind(parser);
+    parser.trackVastError = (urlTemplates, errorCode, ...data) => {
+      trackVastError([], errorCode, ...data);
+      this.ping(MacroResolver.getTemplateUrls(urlTemplates), 'vast-error', { ...extra, ERRORCODE: errorCode.ERRORCODE });
+    };
   }
 
   /**
-   * Calculates cumulative ad duration up to a specific index
-   * @param {number} upToIndex - Calculate duration up to (not including) this index
-   * @returns {number} Total duration in seconds
+   * Fires every URL a tracker tracks through ping(), with the resolver's macros
+   * Follows VASTTracker.trackURLs, whose final ping (util.track) is not exported: malformed
+   * URLs are dropped with a TRACKER-error, the tracker's own values (ADPLAYHEAD, ASSETURI, ...)
+   * override the caller's, and VAST macros without a value are -1
+   * @param {VASTTracker} tracker - VAST tracker
+   * @returns {VASTTracker} The same tracker
    */
-  getCumulativeAdDuration(upToIndex) {
-    let total = 0;
-    for (let i = 0; i < upToIndex && i < this.adBreaks.length; i++) {
-      total += this.adBreaks[i].duration || CONFIG.DEFAULT_AD_DURATION;
-    }
-    return total;
+  attachTracker(tracker) {
+    tracker.trackURLs = (urlTemplates, macros = {}, options = {}) => {
+      const { validUrls, invalidUrls } = MacroResolver.filterUrlTemplates(urlTemplates);
+      if (invalidUrls.length) {
+        tracker.emit('TRACKER-error', { message: `Provided urls are malformed. url: ${invalidUrls}` });
+      }
+      
+      const known = this.getMacros();
+      const values = {
+        ...Object.fromEntries(MacroResolver.VAST_MACROS.filter((name) => !(name in known)).map((name) => [name, -1])),
+        ...macros,
+        ...MacroResolver.getTrackerMacros(tracker),
+      };
+      if (values.ERRORCODE && !options.isCustomCode && !/^[0-9]{3}$/.test(values.ERRORCODE)) values.ERRORCODE = 900;
+      this.ping(validUrls, 'vast', values);
+    };
+    return tracker;
   }
 
   /**
-   * Detects if playback is currently in an ad break
-   * @param {number} hlsTime - Current HLS stream time
-   * @returns {Object|null} Active ad break or null
+   * Splits VAST URL templates into the URLs vast-client tracks and the malformed ones
+   * @param {Array<string|Object>} templates - URLs, or { id, url } templates
+   * @returns {Object} { validUrls, invalidUrls }; valid URLs are http(s) or protocol-relative
    */
-  detectActiveBreak(hlsTime) {
-    return this.adBreaks.find((br, index) => {
-      const adDuration = br.duration || CONFIG.DEFAULT_AD_DURATION;
-      const cumulativeAdDuration = this.getCumulativeAdDuration(index);
-      const startTime = br.timeInSeconds + cumulativeAdDuration;
-      const endTime = startTime + adDuration;
-      
-      return hlsTime >= startTime && hlsTime < endTime;
-    });
+  static filterUrlTemplates(templates) {
+    const urls = templates.map((template) => (template && template.url) || template);
+    const isValid = (url) => /^(https?:\/\/|\/\/)/.test(url);
+    return { validUrls: urls.filter(isValid), invalidUrls: urls.filter((url) => !isValid(url)) };
   }
 
   /**
-   * Monitors playback and manages ad break transitions
-   * @param {number} hlsTime - Current HLS stream time
+   * Gets the macros a VAST tracker knows about its ad, as vast-client computes them
+   * @param {VASTTracker} tracker - VAST tracker
+   * @returns {Object} Macro name → raw value (ASSETURI, ADPLAYHEAD, UNIVERSALADID, PODSEQUENCE, ...)
    */
-  update(hlsTime) {
-    if (this.adBreaks.length === 0) return;
+  static getTrackerMacros(tracker) {
+    const { ad, creative } = tracker;
+    const macros = {};
     
-    const activeBreak = this.detectActiveBreak(hlsTime);
-    
-    if (activeBreak && !this.isInAdBreak) {
-      // Entering ad break
-      this.startAdBreak(activeBreak);
-    } else if (!activeBreak && this.isInAdBreak) {
-      // Exiting ad break
-      this.endAdBreak();
-    } else if (activeBreak && this.isInAdBreak && this.currentAdBreak) {
-      // During ad break - update progress
-      const breakIndex = this.adBreaks.findIndex(b => b.breakId === this.currentAdBreak.breakId);
-      const cumulativeAdDuration = this.getCumulativeAdDuration(breakIndex);
-      const adjustedStartTime = this.currentAdBreak.timeInSeconds + cumulativeAdDuration;
-      const elapsed = hlsTime - adjustedStartTime;
-      this.updateProgress(elapsed);
+    if (tracker.linear) {
+      const mediaFile = creative && creative.mediaFiles && creative.mediaFiles[0];
+      if (mediaFile && mediaFile.fileURL) macros.ASSETURI = mediaFile.fileURL;
+      if (tracker.progress) macros.ADPLAYHEAD = tracker.progressFormatted();
     }
+    if (creative && creative.universalAdIds && creative.universalAdIds.length) {
+      macros.UNIVERSALADID = creative.universalAdIds.map(({ idRegistry, value }) => `${idRegistry} ${value}`).join(',');
+    }
+    if (ad) {
+      if (ad.sequence) macros.PODSEQUENCE = ad.sequence;
+      if (ad.adType) macros.ADTYPE = ad.adType;
+      if (ad.adServingId) macros.ADSERVINGID = ad.adServingId;
+      if (ad.categories && ad.categories.length) macros.ADCATEGORIES = ad.categories.map(({ value }) => value).join(',');
+      if (ad.blockedAdCategories && ad.blockedAdCategories.length) {
+        macros.BLOCKEDADCATEGORIES = ad.blockedAdCategories.map(({ value }) => value).join(',');
+      }
+    }
+    return macros;
   }
 
   /**
-   * Starts an ad break (entering ad)
-   * @param {Object} breakInfo - Ad break information
+   * Lists the URLs of VAST URL templates
+   * @param {Array<string|Object>} templates - URLs, or { id, url } templates
+   * @returns {Array<string>} URLs
    */
-  async startAdBreak(breakInfo) {
-    console.log('[AD BREAK] Starting', breakInfo.breakId);
-    
+  static getTemplateUrls(templates) {
+    return templates.map((template) => (typeof template === 'string' ? template : template.url)).filter(Boolean);
+  }
+
+  /**
+   * Fires the VMAP tracking URLs of a break event
+   * Linear breaks (AdTracker) and non-linear breaks (NonLinearAdManager) both go through here
+   * @param {Object} br - Ad break with vmapAdBreak
+   * @param {string} event - breakStart or breakEnd
+   */
+  trackBreak(br, event) {
+    this.ping(VMAPService.getBreakTrackingUrls(br, event), `vmap:${event}`);
+  }
+
+  /**
+   * Fires beacon URLs with macros resolved
+   * @param {Array<string>} urls - Beacon URL templates
+   * @param {string} source - What fires the beacons, for the inspector (e.g., 'error', 'session')
+   * @param {Object} [extra] - Additional macros (e.g., ERRORCODE)
+   */
+  ping(urls, source, extra = {}) {
+    this.inspector.ping(urls.map((url) => this.resolve(url, extra)), source);
+  }
+}
+
+/** VAST 4.1 tracking macros, -1 in tracker URLs when the player has no value for them */
+MacroResolver.VAST_MACROS = [
+  'ADCATEGORIES', 'ADCOUNT', 'ADPLAYHEAD', 'ADSERVINGID', 'ADTYPE', 'APIFRAMEWORKS', 'APPBUNDLE', 'ASSETURI',
+  'BLOCKEDADCATEGORIES', 'BREAKMAXADLENGTH', 'BREAKMAXADS', 'BREAKMAXDURATION', 'BREAKMINADLENGTH',
+  'BREAKMINDURATION', 'BREAKPOSITION', 'CLICKPOS', 'CLICKTYPE', 'CLIENTUA', 'CONTENTID', 'CONTENTPLAYHEAD',
+  'CONTENTURI', 'DEVICEIP', 'DEVICEUA', 'DOMAIN', 'EXTENSIONS', 'GDPRCONSENT', 'IFA', 'IFATYPE', 'INVENTORYSTATE',
+  'LATLONG', 'LIMITADTRACKING', 'MEDIAMIME', 'MEDIAPLAYHEAD', 'OMIDPARTNER', 'PAGEURL', 'PLACEMENTTYPE',
+  'PLAYERCAPABILITIES', 'PLAYERSIZE', 'PLAYERSTATE', 'PODSEQUENCE', 'REGULATIONS', 'SERVERSIDE', 'SERVERUA',
+  'TRANSACTIONID', 'UNIVERSALADID', 'VASTVERSIONS', 'VERIFICATIONVENDORS',
+];
+
+/** Consent before the CMP has answered, or without a CMP */
+MacroResolver.NO_CONSENT = {
+  gdprApplies: null,
+  tcString: '',
+  purposeOneConsent: false,
+  usPrivacy: '',
+  gppString: '',
+  gppSid: [],
+};
+
+// =============================================================================
+// VMAP/VAST SERVICE
+// =============================================================================
+
+/**
+ * Service for fetching and parsing VMAP/VAST documents
+ * Handles all interactions with ad serving endpoints
+ */
+class VMAPService {
+  /**
+   * Converts a VMAP time offset string to seconds
+   * @param {string} timeOffset - Time offset ("start", "end", "00:01:30", "00:01:30.500" or "25%")
+   * @param {number} totalDuration - Total duration of content in seconds
+   * @returns {number|null} Time in seconds, null for positional ("#2") and invalid offsets
+   */
+  static parseTimeOffset(timeOffset, totalDuration) {
+    const value = String(timeOffset).trim();
+    if (value === 'start') return 0;
+    if (value === 'end') return totalDuration;
+    
+    const percent = value.match(/^(\d+(?:\.\d+)?)%$/);
+    if (percent) {
+      return totalDuration * Math.min(100, parseFloat(percent[1])) / 100;
+    }
+    
+    const clock = value.match(/^(\d+):([0-5]?\d):([0-5]?\d(?:\.\d+)?)$/);
+    if (clock) {
+      return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + parseFloat(clock[3]);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Reads a positional VMAP time offset
+   * @param {string} timeOffset - Time offset (e.g., "#2" for the second cue point)
+   * @returns {number|null} 1-based cue position, null for other offsets
+   */
+  static parsePositionalOffset(timeOffset) {
+    const match = String(timeOffset).trim().match(/^#(\d+)$/);
+    return match && Number(match[1]) > 0 ? Number(match[1]) : null;
+  }
+
+  /**
+   * Formats seconds as a VMAP time offset string
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Time offset (e.g., "00:01:30")
+   */
+  static formatTimeOffset(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return [h, m, s].map((n) => String(n).padStart(2, '0')).join(':');
+  }
+
+  /**
+   * Extracts the VAST URL from a VMAP ad break
+   * @param {Object} adBreak - VMAP ad break object
+   * @returns {string|null} VAST URL or null if not found
+   */
+  static extractVastUrl(adBreak) {
+    if (!adBreak.adSource || !adBreak.adSource.adTagURI) return null;
+    const uri = adBreak.adSource.adTagURI;
+    const url = (typeof uri === 'object') ? uri.uri : uri;
+    return url || null;
+  }
+
+  /**
+   * Extracts the inline VAST document of a VMAP ad break (<VASTAdData>)
+   * The VAST element is moved into its own document, as the VAST parser expects
+   * @param {Object} adBreak - VMAP ad break object
+   * @returns {Document|null} VAST document or null if the break has none
+   */
+  static extractVastDocument(adBreak) {
+    const vastElement = adBreak.adSource && adBreak.adSource.vastAdData;
+    if (!vastElement || vastElement.localName !== 'VAST') return null;
+    
+    const doc = document.implementation.createDocument(null, null, null);
+    doc.appendChild(doc.importNode(vastElement, true));
+    return doc;
+  }
+
+  /**
+   * Checks if a break has an ad source to request (VAST URL or inline VAST)
+   * @param {Object} br - Ad break
+   * @returns {boolean} True if its ads can be requested
+   */
+  static hasAdSource(br) {
+    return Boolean(br.vastUrl || br.vastDocument);
+  }
+
+  /**
+   * Resolves the VAST of a break, honoring the VMAP followRedirects attribute
+   * @param {VASTClient} vastClient - VAST client
+   * @param {Object} br - Ad break with vastUrl or vastDocument
+   * @param {number} timeout - Timeout in milliseconds of each request of the wrapper chain
+   * @returns {Promise<Object>} VAST response
+   */
+  static requestVast(vastClient, br, timeout) {
+    // A wrapper limit of 1 stops at the first <Wrapper> (error 302)
+    const options = { timeout, resolveAll: false };
+    if (br.followRedirects === false) options.wrapperLimit = 1;
+    
+    return br.vastDocument
+      ? vastClient.parseVAST(br.vastDocument, options)
+      : vastClient.get(br.vastUrl, options);
+  }
+
+  /**
+   * Reads an optional boolean attribute of a VMAP <AdSource>
+   * @param {Object} adBreak - VMAP ad break object
+   * @param {string} name - Attribute name (allowMultipleAds, followRedirects)
+   * @returns {boolean} False only when the attribute is "false"
+   */
+  static getAdSourceFlag(adBreak, name) {
+    const value = adBreak.adSource ? adBreak.adSource[name] : null;
+    return String(value).trim().toLowerCase() !== 'false';
+  }
+
+  /**
+   * Gets the ad types of a VMAP ad break
+   * @param {Object} adBreak - VMAP ad break object
+   * @returns {Array<string>} "linear", "nonlinear" and/or "display"
+   */
+  static getBreakTypes(adBreak) {
+    return String(adBreak.breakType || 'linear').split(',').map((t) => t.trim().toLowerCase());
+  }
+
+  /**
+   * Lists the VMAP ad breaks whose breakType the player does not support
+   * @param {VMAP} vmap - Parsed VMAP object
+   * @returns {Array} { breakId, vmapAdBreak }
+   */
+  static getUnsupportedBreaks(vmap) {
+    return vmap.adBreaks
+      .map((vmapAdBreak, i) => ({ breakId: vmapAdBreak.breakId || `break_${i}`, vmapAdBreak }))
+      .filter(({ vmapAdBreak }) => !VMAPService.getBreakTypes(vmapAdBreak)
+        .some((type) => VMAPService.BREAK_TYPES.includes(type)));
+  }
+
+  /**
+   * Lists the ad opportunities of a VMAP document
+   * Resolves time offsets and repeats breaks with a repeatAfter interval until the end of content
+   * @param {VMAP} vmap - Parsed VMAP object
+   * @param {number} contentDuration - Content duration in seconds
+   * @returns {Array} { vmapAdBreak, index, breakId, timeOffset, timeInSeconds, cuePosition }
+   */
+  static expandAdBreaks(vmap, contentDuration) {
+    const list = [];
+    
+    vmap.adBreaks.forEach((br, i) => {
+      const timeOffset = br.timeOffset || 'start';
+      const timeInSeconds = VMAPService.parseTimeOffset(timeOffset, contentDuration);
+      const cuePosition = VMAPService.parsePositionalOffset(timeOffset);
+      const breakId = br.breakId || `break_${i}`;
+      
+      if (timeInSeconds == null && cuePosition == null) {
+        console.warn('[ADS] Ignoring VMAP break with an invalid timeOffset', { breakId, timeOffset });
+        return;
+      }
+      
+      list.push({ vmapAdBreak: br, index: i, breakId, timeOffset, timeInSeconds, cuePosition });
+      
+      // repeatAfter only applies to breaks at a known content time
+      const interval = br.repeatAfter ? VMAPService.parseTimeOffset(br.repeatAfter, contentDuration) : null;
+      if (!interval || timeInSeconds == null || timeOffset === 'end') return;
+      
+      for (let time = timeInSeconds + interval, n = 1; time < contentDuration; time += interval, n++) {
+        list.push({
+          vmapAdBreak: br,
+          index: i,
+          breakId: `${breakId}_repeat${n}`,
+          timeOffset: VMAPService.formatTimeOffset(time),
+          timeInSeconds: time,
+          cuePosition: null,
+        });
+      }
+    });
+    
+    return list;
+  }
+
+  /**
+   * Fetches and parses a VMAP document from the server
+   * Failed requests are retried with exponential backoff (VMAP_RETRIES, VMAP_RETRY_DELAY)
+   * @param {string} vmapBaseUrl - Base URL for VMAP endpoint
+   * @param {number} duration - Content duration in seconds
+   * @param {string} userId - User ID for personalization
+   * @param {MacroResolver} macroResolver - Resolves macros in the base URL and supplies consent parameters
+   * @param {number} [interval] - Seconds between mid-rolls
+   * @param {Object} [params] - Extra query parameters (live schedule window)
+   * @param {Object} [config] - Player configuration (timeout and retries)
+   * @returns {Promise<VMAP>} Parsed VMAP object
+   */
+  static async fetchVMAP(vmapBaseUrl, duration, userId, macroResolver, interval = CONFIG.VMAP_INTERVAL, params = {}, config = CONFIG) {
+    const url = new URL(macroResolver.resolve(vmapBaseUrl), window.location.href);
+    url.searchParams.set('duration', duration);
+    url.searchParams.set('interval', interval);
+    url.searchParams.set('userId', userId || 'guest');
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    Object.entries(macroResolver.getConsentParams()).forEach(([name, value]) => url.searchParams.set(name, value));
+    
+    const text = await VMAPService.requestWithRetry(url, config);
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new AdError(1002, 'Invalid VMAP XML');
+    }
+    if (doc.documentElement.localName !== 'VMAP') {
+      throw new AdError(1000, `Unexpected root element <${doc.documentElement.nodeName}>`);
+    }
+    
+    return new VMAP(doc);
+  }
+
+  /**
+   * Requests a VMAP document, retrying network errors, timeouts and server errors
+   * Each retry waits twice as long as the previous one; other client errors are not retried
+   * @param {URL} url - VMAP request URL
+   * @param {Object} [config] - Player configuration (VMAP_TIMEOUT, VMAP_RETRIES, VMAP_RETRY_DELAY)
+   * @returns {Promise<string>} Response body
+   */
+  static async requestWithRetry(url, config = CONFIG) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await VMAPService.requestVmap(url, config.VMAP_TIMEOUT);
+      } catch (err) {
+        if (!err.retryable || attempt >= config.VMAP_RETRIES) throw err;
+        
+        const delay = config.VMAP_RETRY_DELAY * 2 ** attempt;
+        console.warn('[ADS] VMAP request failed, retrying', { attempt: attempt + 1, delay, error: err.message });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Makes one VMAP request
+   * @param {URL} url - VMAP request URL
+   * @param {number} timeout - Milliseconds before the request is aborted (0 for none)
+   * @returns {Promise<string>} Response body
+   * @throws {AdError} 900, with retryable set for network errors, timeouts and 5xx/408/429 statuses
+   */
+  static async requestVmap(url, timeout) {
+    const controller = new AbortController();
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    let error;
+    
+    try {
+      const response = await fetch(url, { headers: { Accept: 'application/xml' }, signal: controller.signal });
+      if (response.ok) return await response.text();
+      
+      error = new AdError(900, `VMAP request failed with status ${response.status}`);
+      error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    } catch (err) {
+      error = new AdError(900, controller.signal.aborted
+        ? `VMAP request timed out after ${timeout} ms`
+        : `VMAP request failed: ${err.message}`);
+      error.retryable = true;
+    } finally {
+      clearTimeout(timer);
+    }
+    throw error;
+  }
+
+  /**
+   * Builds a sorted list of ad breaks from VMAP
+   * Positional breaks ("#2") have no content time until they are matched to a manifest cue
+   * @param {VMAP} vmap - Parsed VMAP object
+   * @param {number} contentDuration - Content duration in seconds
+   * @param {Object} [config] - Player configuration (default durations)
+   * @returns {Array} Sorted array of ad break objects
+   */
+  static buildAdBreakList(vmap, contentDuration, config = CONFIG) {
+    const list = VMAPService.expandAdBreaks(vmap, contentDuration)
+      .filter(({ vmapAdBreak }) => VMAPService.getBreakTypes(vmapAdBreak).includes('linear'))
+      .map((entry) => ({
+        index: entry.index,
+        timeOffset: entry.timeOffset,
+        timeInSeconds: entry.timeInSeconds,
+        cuePosition: entry.cuePosition,
+        breakId: entry.breakId,
+        vastUrl: VMAPService.extractVastUrl(entry.vmapAdBreak),
+        vastDocument: VMAPService.extractVastDocument(entry.vmapAdBreak),
+        allowMultipleAds: VMAPService.getAdSourceFlag(entry.vmapAdBreak, 'allowMultipleAds'),
+        followRedirects: VMAPService.getAdSourceFlag(entry.vmapAdBreak, 'followRedirects'),
+        duration: config.DEFAULT_AD_DURATION,
+        skipOffset: null,
+        vmapAdBreak: entry.vmapAdBreak,
+      }))
+      .filter((br) => VMAPService.hasAdSource(br));
+    
+    return VMAPService.sortAdBreaks(list);
+  }
+
+  /**
+   * Builds the ad breaks of the locally configured fallback schedule (FALLBACK_SCHEDULE)
+   * Used when the VMAP cannot be loaded, so breaks keep their overlay and tracking during ad server outages
+   * @param {Array} schedule - { timeOffset, vastUrl, breakId, fallbackVastUrls, allowMultipleAds } per break
+   * @param {number} contentDuration - Content duration in seconds
+   * @param {Object} [config] - Player configuration (default durations)
+   * @returns {Array} Sorted array of ad break objects
+   */
+  static buildFallbackAdBreakList(schedule, contentDuration, config = CONFIG) {
+    const list = schedule
+      .map((entry, i) => {
+        const timeOffset = entry.timeOffset || 'start';
+        return {
+          index: i,
+          timeOffset,
+          timeInSeconds: VMAPService.parseTimeOffset(timeOffset, contentDuration),
+          cuePosition: VMAPService.parsePositionalOffset(timeOffset),
+          breakId: entry.breakId || `fallback_${i}`,
+          vastUrl: entry.vastUrl || null,
+          vastDocument: null,
+          fallbackVastUrls: entry.fallbackVastUrls || [],
+          allowMultipleAds: entry.allowMultipleAds !== false,
+          followRedirects: true,
+          duration: config.DEFAULT_AD_DURATION,
+          skipOffset: null,
+          vmapAdBreak: null,
+        };
+      })
+      .filter((br) => {
+        if (br.timeInSeconds != null || br.cuePosition != null) return VMAPService.hasAdSource(br);
+        console.warn('[ADS] Ignoring fallback break with an invalid timeOffset', { breakId: br.breakId, timeOffset: br.timeOffset });
+        return false;
+      });
+    
+    return VMAPService.sortAdBreaks(list);
+  }
+
+  /**
+   * Sorts ad breaks by time so ads play in chronological order, positional breaks last
+   * @param {Array} list - Ad breaks
+   * @returns {Array} The same list, sorted
+   */
+  static sortAdBreaks(list) {
+    const sortTime = (br) => (br.timeInSeconds != null ? br.timeInSeconds : Infinity);
+    return list.sort((a, b) => (sortTime(a) - sortTime(b)) || (a.cuePosition || 0) - (b.cuePosition || 0));
+  }
+
+  /**
+   * Builds the ad breaks of a live schedule window
+   * Clock offsets count from the window's wall-clock start and are placed on the stream
+   * through EXT-X-PROGRAM-DATE-TIME; pre-rolls, post-rolls, percentages and positional
+   * offsets have no meaning on a live stream and are ignored
+   * @param {VMAP} vmap - VMAP fetched for the window
+   * @param {Date} windowStart - Wall-clock start of the window
+   * @param {number} duration - Window duration in seconds
+   * @param {Function} dateToStreamTime - Maps a date to stream time (LiveWindow)
+   * @param {Object} [config] - Player configuration (default durations)
+   * @returns {Array} Sorted array of ad break objects with their programDateTime
+   */
+  static buildLiveAdBreakList(vmap, windowStart, duration, dateToStreamTime, config = CONFIG) {
+    const clock = /^\d+:\d+:\d+(?:\.\d+)?$/;
+    
+    return VMAPService.buildAdBreakList(vmap, duration, config)
+      .filter((br) => clock.test(String(br.timeOffset).trim()))
+      .map((br) => {
+        const programDateTime = windowStart.getTime() + br.timeInSeconds * 1000;
+        return {
+          ...br,
+          // Offsets and VMAP break IDs change with every refresh, the date does not
+          breakId: `live_${Math.round(programDateTime / 1000)}`,
+          programDateTime,
+          timeInSeconds: dateToStreamTime(programDateTime),
+        };
+      })
+      .filter((br) => br.timeInSeconds != null)
+      .map((br) => ({ ...br, timeOffset: VMAPService.formatTimeOffset(br.timeInSeconds) }));
+  }
+
+  /**
+   * Builds a sorted list of non-linear and display ad opportunities from VMAP
+   * Breaks that also allow linear ads stay in the linear schedule
+   * @param {VMAP} vmap - Parsed VMAP object
+   * @param {number} contentDuration - Content duration in seconds
+   * @returns {Array} Sorted array of { breakId, breakType, timeInSeconds, vastUrl, vastDocument, vmapAdBreak }
+   */
+  static buildNonLinearBreakList(vmap, contentDuration) {
+    return VMAPService.expandAdBreaks(vmap, contentDuration)
+      .filter(({ vmapAdBreak, timeInSeconds }) => {
+        const types = VMAPService.getBreakTypes(vmapAdBreak);
+        return timeInSeconds != null && !types.includes('linear')
+          && (types.includes('nonlinear') || types.includes('display'));
+      })
+      .map((entry) => ({
+        breakId: entry.breakId,
+        breakType: VMAPService.getBreakTypes(entry.vmapAdBreak).includes('nonlinear') ? 'nonlinear' : 'display',
+        timeOffset: entry.timeOffset,
+        timeInSeconds: entry.timeInSeconds,
+        vastUrl: VMAPService.extractVastUrl(entry.vmapAdBreak),
+        vastDocument: VMAPService.extractVastDocument(entry.vmapAdBreak),
+        followRedirects: VMAPService.getAdSourceFlag(entry.vmapAdBreak, 'followRedirects'),
+        vmapAdBreak: entry.vmapAdBreak,
+      }))
+      .filter((br) => VMAPService.hasAdSource(br))
+      .sort((a, b) => a.timeInSeconds - b.timeInSeconds);
+  }
+
+  /**
+   * Lists the tracking URLs of a VMAP break event
+   * @param {Object} br - Ad break with vmapAdBreak
+   * @param {string} event - breakStart, breakEnd or error
+   * @returns {Array<string>} URL templates
+   */
+  static getBreakTrackingUrls(br, event) {
+    if (!br || !br.vmapAdBreak) return [];
+    return br.vmapAdBreak.trackingEvents
+      .filter((tracking) => tracking.event === event && tracking.uri)
+      .map((tracking) => tracking.uri);
+  }
+
+  /**
+   * Finds the linear creative in a VAST ad
+   * @param {Object} ad - VAST ad object
+   * @returns {Object|null} Linear creative or null
+   */
+  static getLinearCreative(ad) {
+    if (!ad || !ad.creatives) return null;
+    return ad.creatives.find((c) => c.type === 'linear' && c.mediaFiles && c.mediaFiles.length) || null;
+  }
+
+  /**
+   * Selects the ads to play from a VAST response
+   * Returns the ad pod ordered by sequence, or the first standalone ad if there is no pod
+   * Requests resolve either the pod or one standalone ad (see requestVast()); the other
+   * standalone ads stay in the client as the ad buffet
+   * @param {Object} vastResponse - Parsed VAST response
+   * @param {boolean} [allowMultipleAds=true] - VMAP allowMultipleAds; false plays only the first ad of a pod
+   * @returns {Array} Ordered list of { ad, creative }
+   */
+  static getPodAds(vastResponse, allowMultipleAds = true) {
+    const playable = vastResponse.ads
+      .map((ad) => ({ ad, creative: VMAPService.getLinearCreative(ad) }))
+      .filter(({ creative }) => creative !== null);
+    
+    const pod = playable
+      .filter(({ ad }) => ad.sequence)
+      .sort((a, b) => a.ad.sequence - b.ad.sequence);
+    
+    if (pod.length) return allowMultipleAds ? pod : pod.slice(0, 1);
+    return playable.slice(0, 1);
+  }
+
+  /**
+   * Extracts the click-through URL from a linear creative
+   * @param {Object} creative - VAST creative object
+   * @returns {string|null} Click-through URL or null
+   */
+  static getClickThrough(creative) {
+    const template = creative.videoClickThroughURLTemplate;
+    return template?.url || template || null;
+  }
+
+  /**
+   * Checks if the browser can play a media file MIME type in a <video> element
+   * @param {string} mimeType - Media file MIME type
+   * @returns {boolean} True if playable
+   */
+  static canPlayMimeType(mimeType) {
+    if (!mimeType) return false;
+    VMAPService.probeElement = VMAPService.probeElement || document.createElement('video');
+    return VMAPService.probeElement.canPlayType(mimeType) !== '';
+  }
+
+  /**
+   * Selects the media file to play from a linear creative
+   * Keeps progressive files the browser can play, prefers files within
+   * the bitrate cap, then the closest dimensions to the player
+   * @param {Object} creative - VAST creative object
+   * @param {Object} playerSize - { width, height } of the player in pixels
+   * @param {number} [maxBitrate] - Highest preferred bitrate in kbps
+   * @returns {Object|null} VAST media file or null
+   */
+  static selectMediaFile(creative, playerSize, maxBitrate = CONFIG.CSAI_MAX_BITRATE) {
+    if (!creative || !creative.mediaFiles) return null;
+    
+    const playable = creative.mediaFiles.filter((f) => f.fileURL
+      && f.deliveryType !== 'streaming'
+      && !f.apiFramework
+      && VMAPService.canPlayMimeType(f.mimeType));
+    if (!playable.length) return null;
+    
+    const bitrate = (f) => f.bitrate || f.maxBitrate || 0;
+    const withinBitrate = playable.filter((f) => bitrate(f) <= maxBitrate);
+    
+    // Nothing fits the bitrate cap: fall back to the lightest file
+    if (!withinBitrate.length) {
+      return playable.reduce((best, f) => (bitrate(f) < bitrate(best) ? f : best));
+    }
+    
+    const sizeDistance = (f) => (f.width && f.height
+      ? Math.abs(f.width - playerSize.width) + Math.abs(f.height - playerSize.height)
+      : Infinity);
+    
+    return withinBitrate.reduce((best, f) => {
+      const diff = sizeDistance(f) - sizeDistance(best);
+      return diff < 0 || (diff === 0 && bitrate(f) > bitrate(best)) ? f : best;
+    });
+  }
+
+  /**
+   * Extracts the media file URL from a creative
+   * @param {Object} creative - VAST creative object
+   * @param {Object} playerSize - { width, height } of the player in pixels
+   * @param {number} [maxBitrate] - Highest preferred bitrate in kbps
+   * @returns {string|null} Media file URL or null
+   */
+  static getMediaFileUrl(creative, playerSize, maxBitrate = CONFIG.CSAI_MAX_BITRATE) {
+    const file = VMAPService.selectMediaFile(creative, playerSize, maxBitrate);
+    return file ? file.fileURL : null;
+  }
+
+  /**
+   * Lists the companion banners of a VAST ad
+   * @param {Object} ad - VAST ad object
+   * @returns {Array} { creative, variation } for each <Companion>
+   */
+  static getCompanions(ad) {
+    if (!ad || !ad.creatives) return [];
+    return ad.creatives
+      .filter((c) => c.type === 'companion')
+      .flatMap((creative) => creative.variations.map((variation) => ({ creative, variation })));
+  }
+
+  /**
+   * Finds the first non-linear creative of a VAST ad
+   * @param {Object} ad - VAST ad object
+   * @returns {Object|null} { creative, variation } or null
+   */
+  static getNonLinear(ad) {
+    if (!ad || !ad.creatives) return null;
+    const creative = ad.creatives.find((c) => c.type === 'nonlinear' && c.variations.length);
+    return creative ? { creative, variation: creative.variations[0] } : null;
+  }
+}
+
+/** VMAP breakType values the player supports */
+VMAPService.BREAK_TYPES = ['linear', 'nonlinear', 'display'];
+
+// =============================================================================
+// AD ERROR REPORTING
+// =============================================================================
+
+/**
+ * Error carrying a VAST or VMAP error code
+ */
+class AdError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AdError';
+    this.code = code;
+  }
+}
+
+/**
+ * Maps ad failures to VAST 4 / VMAP 1.0.1 error codes, fires the ad's <Error>
+ * URIs and the VMAP break's error tracker, and announces them as adError events
+ */
+class AdErrorReporter {
+  constructor(macroResolver, events) {
+    this.macroResolver = macroResolver;
+    this.events = events;
+    this.errors = [];
+  }
+
+  /**
+   * Classifies a failed ad response request
+   * @param {Error} err - Error from VASTClient.get()
+   * @returns {Object} { vastCode, vmapCode }
+   */
+  static classifyFetchError(err) {
+    const message = err && err.message ? err.message : '';
+    
+    if (/timed out|abort|408/i.test(message)) return { vastCode: 301, vmapCode: 1007 };
+    if (/version not supported/i.test(message)) return { vastCode: 102, vmapCode: 1006 };
+    if (/invalid vast|xml/i.test(message)) return { vastCode: 100, vmapCode: 1006 };
+    return { vastCode: 900, vmapCode: 1008 };
+  }
+
+  /**
+   * Maps an HTMLMediaElement / Video.js MediaError to a VAST linear error code
+   * @param {Object|null} mediaError - Media error with a numeric code
+   * @returns {number} VAST error code
+   */
+  static mediaErrorCode(mediaError) {
+    switch (mediaError && mediaError.code) {
+      case 2: return 401; // MEDIA_ERR_NETWORK: file not found or unreachable
+      case 3: return 405; // MEDIA_ERR_DECODE: problem displaying the media file
+      case 4: return 403; // MEDIA_ERR_SRC_NOT_SUPPORTED: unsupported media file
+      default: return 400;
+    }
+  }
+
+  /**
+   * Describes an error code
+   * @param {number} code - VAST or VMAP error code
+   * @returns {string} Description from the specs
+   */
+  static describe(code) {
+    return AdErrorReporter.MESSAGES[code] || 'Undefined error';
+  }
+
+  /**
+   * Fires error URIs with [ERRORCODE] and the other macros substituted
+   * @param {Array} templates - <Error> URL templates
+   * @param {number} code - VAST error code
+   */
+  pingErrorUrls(templates, code) {
+    this.macroResolver.ping(MacroResolver.getTemplateUrls(templates), 'error', { ERRORCODE: code });
+  }
+
+  /**
+   * Reports an error
+   * @param {Object} error - Error details
+   * @param {number} error.code - VAST (or VMAP) error code
+   * @param {string} [error.message] - Details, defaults to the code description
+   * @param {Object} [error.ad] - VAST ad whose <Error> URIs are fired
+   * @param {Object} [error.breakInfo] - Ad break the error belongs to
+   * @param {number} [error.vmapCode] - Code for the VMAP break error tracker
+   * @param {boolean} [error.tracked] - True if the <Error> URIs were already fired (VAST parser errors)
+   */
+  report({ code, message, ad = null, breakInfo = null, vmapCode = null, tracked = false }) {
+    const entry = {
+      code,
+      vmapCode,
+      message: message || AdErrorReporter.describe(code),
+      breakId: breakInfo ? breakInfo.breakId : null,
+      adId: ad ? ad.id : null,
+      time: new Date().toISOString(),
+    };
+    
+    console.warn('[ERROR]', entry);
+    this.errors.push(entry);
+    
+    if (ad && !tracked) {
+      this.pingErrorUrls(ad.errorURLTemplates || [], code);
+    }
+    if (vmapCode && breakInfo) {
+      this.pingErrorUrls(VMAPService.getBreakTrackingUrls(breakInfo, 'error'), vmapCode);
+    }
+    
+    this.events.emit('adError', {
+      code,
+      vmapCode,
+      message: entry.message,
+      breakId: entry.breakId,
+      adId: entry.adId,
+    });
+  }
+
+  /**
+   * Gets the reported errors
+   * @returns {Array} Error entries, oldest first
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Clears reported errors
+   */
+  reset() {
+    this.errors = [];
+  }
+}
+
+/** Descriptions of the VAST 4 and VMAP error codes used by the app */
+AdErrorReporter.MESSAGES = {
+  100: 'VAST XML parsing error',
+  101: 'VAST schema validation error',
+  102: 'VAST version not supported',
+  200: 'Trafficking error: unexpected ad type',
+  201: 'Expected different linearity',
+  300: 'General wrapper error',
+  301: 'Timeout of VAST URI',
+  302: 'Wrapper limit reached',
+  303: 'No ads in VAST response',
+  400: 'General linear error',
+  401: 'Media file not found',
+  402: 'Timeout of media file URI',
+  403: 'No supported media file',
+  405: 'Problem displaying media file',
+  500: 'General non-linear error',
+  503: 'Unsupported non-linear resource',
+  600: 'General companion ads error',
+  900: 'Undefined error',
+  1000: 'VMAP schema error',
+  1001: 'VMAP version not supported',
+  1002: 'VMAP parsing error',
+  1003: 'Ad break type not supported',
+  1004: 'General ad response document error',
+  1005: 'Ad response template type not supported',
+  1006: 'Ad response document extraction or parsing error',
+  1007: 'Ad response document retrieval timeout',
+  1008: 'Ad response document retrieval error',
+};
+
+// =============================================================================
+// AD INSPECTOR
+// =============================================================================
+
+/**
+ * Records what the ad integration sent and received, for debugging and QA reports:
+ * the VAST request chain of each break (raw XML included) and every tracking beacon
+ * Beacons are recorded as ping() fires them: vast-client's trackers and parsers hand their URLs to
+ * MacroResolver instead of firing them (see attachTracker() and attachClient())
+ */
+class AdInspector {
+  constructor() {
+    this.vastRequests = new Map();
+    this.beacons = [];
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Serializes an XML document
+   * @param {Document} doc - XML document
+   * @returns {string} XML text
+   */
+  static serializeXml(doc) {
+    return new XMLSerializer().serializeToString(doc);
+  }
+
+  /**
+   * Records the VAST requests (wrapper chain) a client makes for a break
+   * A new request for the break replaces the previous chain, fallback VAST tags add to it
+   * @param {VASTClient} vastClient - Client dedicated to the break
+   * @param {Object} br - Ad break
+   * @param {boolean} [append=false] - Adds the requests to the break's current chain
+   */
+  watchVastClient(vastClient, br, append = false) {
+    const chain = (append && this.vastRequests.get(br.breakId)) || [];
+    this.vastRequests.set(br.breakId, chain);
+    
+    if (br.vastDocument) {
+      chain.push({
+        url: null,
+        inline: true,
+        wrapperDepth: 0,
+        requestedAt: Date.now(),
+        statusCode: null,
+        durationMs: 0,
+        error: null,
+        rawXml: AdInspector.serializeXml(br.vastDocument),
+      });
+    }
+    
+    const parser = vastClient.getParser();
+    parser.on('VAST-resolving', ({ url, wrapperDepth }) => {
+      chain.push({
+        url,
+        inline: false,
+        wrapperDepth,
+        requestedAt: Date.now(),
+        statusCode: null,
+        durationMs: null,
+        error: null,
+        rawXml: null,
+      });
+    });
+    parser.on('VAST-resolved', ({ url, wrapperDepth, statusCode, duration, error, rawXml }) => {
+      const request = chain.find((r) => r.url === url && r.wrapperDepth === wrapperDepth && r.durationMs == null);
+      if (!request) return;
+      Object.assign(request, {
+        statusCode,
+        durationMs: duration,
+        error: error ? error.message || String(error) : null,
+        rawXml: rawXml || null,
+      });
+    });
+  }
+
+  /**
+   * Fires beacon URLs as image pixels and records them
+   * Every beacon of the plugin goes out here, through MacroResolver.ping()
+   * @param {Array<string>} urls - Resolved beacon URLs
+   * @param {string} source - What fired the beacons (e.g., 'error', 'session')
+   */
+  ping(urls, source) {
+    urls.forEach((url) => {
+      const img = new Image();
+      img.src = url;
+      this.recordBeacon(img, source);
+    });
+  }
+
+  /**
+   * Adds a beacon to the log and follows its result
+   * @param {HTMLImageElement} img - Tracking image
+   * @param {string} source - What fired the beacon
+   */
+  recordBeacon(img, source) {
+    if (!img.src) return;
+    
+    const beacon = { url: img.src, source, time: new Date().toISOString(), result: 'pending' };
+    this.beacons.push(beacon);
+    img.addEventListener('load', () => { beacon.result = 'loaded'; }, { once: true });
+    img.addEventListener('error', () => { beacon.result = 'failed'; }, { once: true });
+  }
+
+  /**
+   * Gets the recorded VAST request chains
+   * @returns {Object} Break ID → requests, outermost first
+   */
+  getVastRequests() {
+    return Object.fromEntries(this.vastRequests);
+  }
+
+  /**
+   * Gets the beacon log
+   * @returns {Array} { url, source, time, result }, oldest first
+   */
+  getBeacons() {
+    return this.beacons;
+  }
+
+  /**
+   * Describes the ad source of a break for the inspector
+   * @param {Object} br - Ad break
+   * @returns {Object} { vastUrl, inline, allowMultipleAds, followRedirects }
+   */
+  static describeAdSource(br) {
+    return {
+      vastUrl: br.vastUrl || null,
+      inline: Boolean(br.vastDocument),
+      allowMultipleAds: br.allowMultipleAds !== false,
+      followRedirects: br.followRedirects !== false,
+    };
+  }
+}
+
+// =============================================================================
+// AD ANALYTICS
+// =============================================================================
+
+/**
+ * Measures ad delivery from the player's side
+ * Builds a record per break and per ad from the ad events of AdBreakManager (pods resolved
+ * by AdTracker, starts, quartiles, skips, clicks, errors), rolls them up into session metrics
+ * and posts finished break records in batches to the ANALYTICS_URL collector
+ */
+class AdAnalytics {
+  /**
+   * @param {AdEventEmitter} events - Ad events of the player
+   * @param {Object} [config] - Player configuration (collector URL, batch size, flush interval)
+   */
+  constructor(events, config = CONFIG) {
+    this.config = config;
+    this.sessionId = AdAnalytics.createSessionId();
+    this.breaks = [];
+    this.queue = [];
+    this.current = null;
+    this.waitingSince = 0;
+    this.pendingErrors = new Map();
+    this.sessionErrors = [];
+    this.flushTimer = null;
+    
+    this.unsubscribe = Object.entries({
+      adBreakStart: (event) => this.onBreakStart(event),
+      adPodLoaded: (event) => this.onPodLoaded(event),
+      adStart: (event) => this.onAdStart(event),
+      adQuartile: (event) => this.onQuartile(event),
+      adSkipped: (event) => this.onSkipped(event),
+      adClicked: (event) => this.onClicked(event),
+      adError: (event) => this.onError(event),
+      adBreakEnd: (event) => this.onBreakEnd(event),
+    }).map(([type, listener]) => events.on(type, listener));
+    
+    if (config.ANALYTICS_URL && config.ANALYTICS_FLUSH_INTERVAL > 0) {
+      this.flushTimer = setInterval(() => this.flush(), config.ANALYTICS_FLUSH_INTERVAL * 1000);
+    }
+  }
+
+  /**
+   * Creates an identifier grouping the batches of one player session
+   * @returns {string} Session ID
+   */
+  static createSessionId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Creates the record of an ad
+   * @param {AdSummary} ad - Ad summary
+   * @returns {Object} Ad record
+   */
+  static createAdRecord(ad) {
+    return {
+      adId: ad.adId,
+      index: ad.index,
+      duration: ad.duration,
+      skipOffset: ad.skipOffset,
+      started: false,
+      ttffMs: null,
+      quartile: null,
+      completed: false,
+      skipped: false,
+      skippedAt: null,
+      clicked: false,
+      errors: [],
+    };
+  }
+
+  /**
+   * Gets the record of an ad of the current break, creating it if the pod was not announced
+   * @param {AdSummary|null} ad - Ad summary from the event
+   * @returns {Object|null} Ad record, null outside a break or without an ad
+   */
+  getAdRecord(ad) {
+    if (!this.current || !ad) return null;
+    if (!this.current.ads[ad.index]) {
+      this.current.ads[ad.index] = AdAnalytics.createAdRecord(ad);
+    }
+    return this.current.ads[ad.index];
+  }
+
+  /**
+   * Opens the record of a break; errors reported before it started (prefetch) are attached
+   * @param {Object} event - adBreakStart event
+   */
+  onBreakStart({ break: br, timestamp }) {
+    this.current = {
+      breakId: br.breakId,
+      position: br.position,
+      timeInSeconds: br.timeInSeconds,
+      startedAt: new Date(timestamp).toISOString(),
+      endedAt: null,
+      filled: false,
+      adCount: null,
+      errors: this.pendingErrors.get(br.breakId) || [],
+      ads: [],
+    };
+    this.pendingErrors.delete(br.breakId);
+    this.breaks.push(this.current);
+    this.waitingSince = timestamp;
+  }
+
+  /**
+   * Marks the break filled with its pod
+   * @param {Object} event - adPodLoaded event
+   */
+  onPodLoaded({ ads }) {
+    if (!this.current) return;
+    this.current.filled = ads.length > 0;
+    this.current.adCount = ads.length;
+    ads.forEach((ad) => this.getAdRecord(ad));
+  }
+
+  /**
+   * Records an ad start and the time its first frame took since the break or previous ad ended
+   * @param {Object} event - adStart event
+   */
+  onAdStart({ ad, timestamp }) {
+    const record = this.getAdRecord(ad);
+    if (!record) return;
+    record.started = true;
+    record.ttffMs = timestamp - this.waitingSince;
+  }
+
+  /**
+   * @param {Object} event - adQuartile event
+   */
+  onQuartile({ ad, quartile, timestamp }) {
+    const record = this.getAdRecord(ad);
+    if (!record) return;
+    record.quartile = quartile;
+    if (quartile === 'complete') {
+      record.completed = true;
+      this.waitingSince = timestamp;
+    }
+  }
+
+  /**
+   * @param {Object} event - adSkipped event
+   */
+  onSkipped({ ad, elapsed, timestamp }) {
+    const record = this.getAdRecord(ad);
+    if (!record) return;
+    record.skipped = true;
+    record.skippedAt = elapsed;
+    this.waitingSince = timestamp;
+  }
+
+  /**
+   * @param {Object} event - adClicked event
+   */
+  onClicked({ ad, target }) {
+    const record = this.getAdRecord(ad);
+    if (record && target === 'ad') record.clicked = true;
+  }
+
+  /**
+   * Attaches an error to its ad, its break, or the session (VMAP errors)
+   * @param {Object} event - adError event
+   */
+  onError({ code, breakId, adId }) {
+    if (this.current && breakId === this.current.breakId) {
+      const record = adId ? this.current.ads.find((ad) => ad && ad.adId === adId) : null;
+      (record || this.current).errors.push(code);
+    } else if (breakId) {
+      if (!this.pendingErrors.has(breakId)) this.pendingErrors.set(breakId, []);
+      this.pendingErrors.get(breakId).push(code);
+    } else {
+      this.sessionErrors.push(code);
+    }
+  }
+
+  /**
+   * Closes the break record and queues it for the collector
+   * @param {Object} event - adBreakEnd event
+   */
+  onBreakEnd({ timestamp }) {
+    if (!this.current) return;
+    this.current.endedAt = new Date(timestamp).toISOString();
+    this.current.ads = this.current.ads.filter(Boolean);
+    this.queue.push(this.current);
+    this.current = null;
+    this.trimQueue();
+    
+    if (this.config.ANALYTICS_URL && this.queue.length >= this.config.ANALYTICS_BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Rolls the records up into session metrics
+   * Rates are null until their denominator is not zero
+   * @returns {Object} { breaks, filledBreaks, fillRate, adsStarted, adsCompleted, completionRate,
+   *   adsSkipped, skipRate, adsClicked, clickThroughRate, errors, averageTtffMs }
+   */
+  getMetrics() {
+    const ads = this.breaks.flatMap((br) => br.ads.filter(Boolean));
+    const started = ads.filter((ad) => ad.started);
+    const ratio = (count, total) => (total ? count / total : null);
+    const count = (predicate) => started.filter(predicate).length;
+    const ttffs = started.map((ad) => ad.ttffMs);
+    const errors = this.breaks.reduce((sum, br) => sum + br.errors.length, 0)
+      + ads.reduce((sum, ad) => sum + ad.errors.length, 0)
+      + this.sessionErrors.length
+      + [...this.pendingErrors.values()].reduce((sum, codes) => sum + codes.length, 0);
+    
+    return {
+      breaks: this.breaks.length,
+      filledBreaks: this.breaks.filter((br) => br.filled).length,
+      fillRate: ratio(this.breaks.filter((br) => br.filled).length, this.breaks.length),
+      adsStarted: started.length,
+      adsCompleted: count((ad) => ad.completed),
+      completionRate: ratio(count((ad) => ad.completed), started.length),
+      adsSkipped: count((ad) => ad.skipped),
+      skipRate: ratio(count((ad) => ad.skipped), started.length),
+      adsClicked: count((ad) => ad.clicked),
+      clickThroughRate: ratio(count((ad) => ad.clicked), started.length),
+      errors,
+      averageTtffMs: ttffs.length ? Math.round(ttffs.reduce((sum, ms) => sum + ms, 0) / ttffs.length) : null,
+    };
+  }
+
+  /**
+   * Builds the analytics report of the session
+   * @returns {Object} { sessionId, metrics, breaks, sessionErrors }
+   */
+  getReport() {
+    return {
+      sessionId: this.sessionId,
+      metrics: this.getMetrics(),
+      breaks: this.breaks.map((br) => ({ ...br, ads: br.ads.filter(Boolean) })),
+      sessionErrors: this.sessionErrors,
+    };
+  }
+
+  /**
+   * Exports the records as CSV, one row per ad (one row without ad fields for an unfilled break)
+   * Text starting like a formula (=, +, -, @, tab or carriage return) is prefixed with ' so spreadsheets show it as text
+   * @returns {string} CSV with a header row
+   */
+  toCSV() {
+    const escape = (value) => {
+      let text = value == null ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = this.breaks.flatMap((br) => {
+      const ads = br.ads.filter(Boolean);
+      return (ads.length ? ads : [null]).map((ad) => ({
+        sessionId: this.sessionId,
+        breakId: br.breakId,
+        position: br.position,
+        timeInSeconds: br.timeInSeconds,
+        filled: br.filled,
+        breakErrors: br.errors.join(' '),
+        ...(ad ? { ...ad, errors: ad.errors.join(' ') } : {}),
+      }));
+    });
+    
+    return [AdAnalytics.CSV_COLUMNS, ...rows.map((row) => AdAnalytics.CSV_COLUMNS.map((column) => row[column]))]
+      .map((cells) => cells.map(escape).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Posts the queued break records to the collector
+   * Records of a failed post are queued again for the next flush, up to ANALYTICS_MAX_QUEUE
+   * @returns {Promise<boolean>} True if a batch was accepted
+   */
+  async flush() {
+    if (!this.config.ANALYTICS_URL || !this.queue.length) return false;
+    
+    const records = this.queue.splice(0);
+    const batch = {
+      sessionId: this.sessionId,
+      sentAt: new Date().toISOString(),
+      metrics: this.getMetrics(),
+      records,
+    };
+    
+    try {
+      // keepalive lets the last batch leave with the page
+      const response = await fetch(this.config.ANALYTICS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(batch),
+        keepalive: true,
+      });
+      if (!response.ok) {
+        throw new Error(`Collector responded with status ${response.status}`);
+      }
+      console.log('[ANALYTICS] Batch sent', { records: records.length });
+      return true;
+    } catch (err) {
+      console.warn('[ANALYTICS] Batch not sent, keeping it for the next flush', err.message);
+      this.queue.unshift(...records);
+      this.trimQueue();
+      return false;
+    }
+  }
+
+  /**
+   * Drops the oldest queued records beyond the ANALYTICS_MAX_QUEUE setting
+   */
+  trimQueue() {
+    const excess = this.queue.length - this.config.ANALYTICS_MAX_QUEUE;
+    if (excess <= 0) return;
+    
+    console.warn('[ANALYTICS] Queue full, dropping the oldest records', { dropped: excess });
+    this.queue.splice(0, excess);
+  }
+
+  /**
+   * Stops listening and sends what is left
+   * @returns {Promise<boolean>} Result of the last flush
+   */
+  dispose() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    this.unsubscribe.forEach((off) => off());
+    return this.flush();
+  }
+}
+
+/** Columns of the CSV export */
+AdAnalytics.CSV_COLUMNS = [
+  'sessionId', 'breakId', 'position', 'timeInSeconds', 'filled', 'breakErrors',
+  'adId', 'index', 'duration', 'skipOffset', 'started', 'ttffMs', 'quartile', 'completed',
+  'skipped', 'skippedAt', 'clicked', 'errors',
+];
+
+// =============================================================================
+// HLS CUE PARSER
+// =============================================================================
+
+/**
+ * Reads ad boundaries from HLS playlist cue tags
+ * Supports #EXT-X-CUE-OUT / #EXT-X-CUE-OUT-CONT / #EXT-X-CUE-IN and
+ * #EXT-X-DATERANGE with SCTE35-OUT / SCTE35-IN attributes
+ */
+class HLSCueParser {
+  /**
+   * Parses the duration from a CUE-OUT tag value
+   * @param {string} value - Tag value (e.g., "30", "DURATION=30")
+   * @returns {number|null} Duration in seconds or null if absent
+   */
+  static parseCueOutDuration(value) {
+    if (value == null || value === '') return null;
+    const match = String(value).match(/(?:DURATION=)?([\d.]+)/i);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Parses elapsed time and total duration from a CUE-OUT-CONT tag value
+   * @param {string} value - Tag value (e.g., "10/30", "ElapsedTime=10,Duration=30")
+   * @returns {Object|null} { elapsed, duration } or null if unparseable
+   */
+  static parseCueOutCont(value) {
+    const text = String(value || '');
+    const slash = text.match(/^([\d.]+)\/([\d.]+)$/);
+    if (slash) {
+      return { elapsed: parseFloat(slash[1]), duration: parseFloat(slash[2]) };
+    }
+
+    const elapsed = text.match(/ElapsedTime=([\d.]+)/i);
+    const duration = text.match(/Duration=([\d.]+)/i);
+    if (elapsed && duration) {
+      return { elapsed: parseFloat(elapsed[1]), duration: parseFloat(duration[1]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds ad breaks from CUE-OUT/CUE-IN segment tags
+   * @param {Array} segments - Parsed playlist segments
+   * @param {number} [startTime=0] - Stream time of the first segment (live windows)
+   * @returns {Array} Cue breaks with stream start/end times
+   */
+  static parseSegmentCues(segments, startTime = 0) {
+    const breaks = [];
+    let time = startTime;
+    let open = null;
+
+    const close = (endTime) => {
+      breaks.push({
+        streamStart: open.streamStart,
+        streamEnd: endTime,
+        duration: endTime - open.streamStart,
+        source: open.source,
+      });
+      open = null;
+    };
+
+    segments.forEach((segment) => {
+      // CUE-IN precedes the first content segment after the ad
+      if ('cueIn' in segment && open) {
+        close(time);
+      }
+
+      if ('cueOut' in segment && !open) {
+        open = {
+          streamStart: time,
+          expectedDuration: HLSCueParser.parseCueOutDuration(segment.cueOut),
+          source: 'cue-out',
+        };
+      } else if ('cueOutCont' in segment && !open) {
+        // Playlist starts in the middle of an ad
+        const cont = HLSCueParser.parseCueOutCont(segment.cueOutCont);
+        if (cont) {
+          open = {
+            streamStart: time - cont.elapsed,
+            expectedDuration: cont.duration,
+            source: 'cue-out-cont',
+          };
+        }
+      }
+
+      time += segment.duration || 0;
+    });
+
+    // Playlist ended before CUE-IN: trust the announced duration
+    if (open) {
+      close(open.expectedDuration != null ? open.streamStart + open.expectedDuration : time);
+    }
+
+    return breaks;
+  }
+
+  /**
+   * Maps a wall-clock date to stream time using EXT-X-PROGRAM-DATE-TIME anchors
+   * @param {Date|number} date - Wall-clock date
+   * @param {Array} segments - Parsed playlist segments
+   * @param {number} [startTime=0] - Stream time of the first segment (live windows)
+   * @returns {number|null} Stream time in seconds or null if no anchor exists
+   */
+  static dateToStreamTime(date, segments, startTime = 0) {
+    const target = date instanceof Date ? date.getTime() : new Date(date).getTime();
+    if (isNaN(target)) return null;
+
+    let time = startTime;
+    let anchor = null;
+
+    for (const segment of segments) {
+      if (typeof segment.programDateTime === 'number') {
+        // Use the latest anchor at or before the target date
+        if (!anchor || segment.programDateTime <= target) {
+          anchor = { streamTime: time, programDateTime: segment.programDateTime };
+        }
+        if (segment.programDateTime > target) break;
+      }
+      time += segment.duration || 0;
+    }
+
+    if (!anchor) return null;
+    return anchor.streamTime + (target - anchor.programDateTime) / 1000;
+  }
+
+  /**
+   * Builds ad breaks from EXT-X-DATERANGE tags carrying SCTE35-OUT/IN
+   * @param {Array} dateRanges - Parsed playlist date ranges
+   * @param {Array} segments - Parsed playlist segments
+   * @param {number} [startTime=0] - Stream time of the first segment (live windows)
+   * @returns {Array} Cue breaks with stream start/end times
+   */
+  static parseDateRanges(dateRanges, segments, startTime = 0) {
+    const breaks = [];
+    const outs = dateRanges.filter((dr) => dr.scte35Out != null);
+    const ins = dateRanges.filter((dr) => dr.scte35In != null);
+
+    outs.forEach((dr) => {
+      const streamStart = HLSCueParser.dateToStreamTime(dr.startDate, segments, startTime);
+      if (streamStart == null) return;
+
+      let duration = dr.duration != null ? dr.duration : null;
+
+      // Without DURATION, the matching SCTE35-IN (same ID) closes the break
+      if (duration == null) {
+        const closing = ins.find((i) => i.id === dr.id);
+        const streamEnd = closing ? HLSCueParser.dateToStreamTime(closing.startDate, segments, startTime) : null;
+        if (streamEnd != null) {
+          duration = streamEnd - streamStart;
+        } else if (dr.plannedDuration != null) {
+          duration = dr.plannedDuration;
+        }
+      }
+
+      if (duration == null || duration <= 0) return;
+
+      breaks.push({
+        id: dr.id,
+        streamStart,
+        streamEnd: streamStart + duration,
+        duration,
+        source: 'daterange',
+      });
+    });
+
+    return breaks;
+  }
+
+  /**
+   * Extracts all ad breaks signalled in a media playlist
+   * @param {Object} playlist - Media playlist parsed by the VHS playlist loader
+   * @param {number} [startTime=0] - Stream time of the first segment (see LiveWindow)
+   * @returns {Array} Sorted, de-duplicated cue breaks
+   */
+  static parsePlaylist(playlist, startTime = 0) {
+    if (!playlist || !playlist.segments) return [];
+
+    const segments = playlist.segments;
+    const all = [
+      ...HLSCueParser.parseSegmentCues(segments, startTime),
+      ...HLSCueParser.parseDateRanges(playlist.dateRanges || [], segments, startTime),
+    ].sort((a, b) => a.streamStart - b.streamStart);
+
+    // The same avail is often signalled by both CUE-OUT and DATERANGE
+    const breaks = [];
+    all.forEach((br) => {
+      const last = breaks[breaks.length - 1];
+      if (last && br.streamStart < last.streamEnd) return;
+      breaks.push(br);
+    });
+
+    return breaks.map((br, i) => ({ ...br, cueId: br.id || `cue_${i}` }));
+  }
+}
+
+// =============================================================================
+// LIVE WINDOW
+// =============================================================================
+
+/**
+ * Keeps stream times stable on a live or DVR playlist whose window slides
+ * Segments are identified by media sequence number, so a segment keeps the stream time
+ * it was first seen at after older segments have left the playlist
+ */
+class LiveWindow {
+  constructor() {
+    this.segmentStarts = new Map();
+    this.segments = [];
+    this.start = 0;
+    this.end = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * Follows a refreshed media playlist
+   * @param {Object} playlist - Media playlist parsed by the VHS playlist loader
+   * @returns {Object} { start, end } stream time of the playlist window
+   */
+  update(playlist) {
+    const segments = playlist.segments || [];
+    const sequence = playlist.mediaSequence || 0;
+    const start = this.findWindowStart(sequence, segments);
+
+    let time = start;
+    segments.forEach((segment, i) => {
+      this.segmentStarts.set(sequence + i, time);
+      time += segment.duration || 0;
+    });
+
+    // Segments that left the window never come back
+    [...this.segmentStarts.keys()]
+      .filter((key) => key < sequence)
+      .forEach((key) => this.segmentStarts.delete(key));
+
+    this.segments = segments;
+    this.start = start;
+    this.end = time;
+    this.initialized = true;
+    return { start, end: time };
+  }
+
+  /**
+   * Finds the stream time of the first segment of a refreshed playlist
+   * @param {number} sequence - Media sequence number of the first segment
+   * @param {Array} segments - Playlist segments
+   * @returns {number} Stream time in seconds
+   */
+  findWindowStart(sequence, segments) {
+    let offset = 0;
+    for (let i = 0; i < segments.length; i++) {
+      const known = this.segmentStarts.get(sequence + i);
+      if (known != null) return known - offset;
+      offset += segments[i].duration || 0;
+    }
+    if (!this.initialized) return 0;
+
+    // No segment in common with the previous playlist (e.g. after a stall): place it by wall clock
+    offset = 0;
+    for (const segment of segments) {
+      if (typeof segment.programDateTime === 'number') {
+        const time = this.dateToStreamTime(segment.programDateTime);
+        if (time != null) return time - offset;
+        break;
+      }
+      offset += segment.duration || 0;
+    }
+
+    console.warn('[LIVE] Playlist does not overlap the previous one, continuing after it');
+    return this.end;
+  }
+
+  /**
+   * Maps a wall-clock date to stream time through EXT-X-PROGRAM-DATE-TIME
+   * Dates outside the window are extrapolated from the nearest anchor
+   * @param {Date|number} date - Wall-clock date
+   * @returns {number|null} Stream time in seconds, or null without PROGRAM-DATE-TIME
+   */
+  dateToStreamTime(date) {
+    return HLSCueParser.dateToStreamTime(date, this.segments, this.start);
+  }
+
+  /**
+   * Checks if the playlist carries EXT-X-PROGRAM-DATE-TIME
+   * @returns {boolean} True if wall-clock dates can be placed on the stream
+   */
+  hasProgramDateTime() {
+    return this.segments.some((segment) => typeof segment.programDateTime === 'number');
+  }
+
+  /**
+   * Maps a stream time to its wall-clock date through EXT-X-PROGRAM-DATE-TIME
+   * @param {number} streamTime - Stream time in seconds
+   * @returns {Date|null} Date, or null without PROGRAM-DATE-TIME
+   */
+  streamTimeToDate(streamTime) {
+    let time = this.start;
+    let anchor = null;
+
+    for (const segment of this.segments) {
+      if (typeof segment.programDateTime === 'number' && (!anchor || time <= streamTime)) {
+        anchor = { streamTime: time, programDateTime: segment.programDateTime };
+      }
+      if (time > streamTime && anchor) break;
+      time += segment.duration || 0;
+    }
+
+    if (!anchor) return null;
+    return new Date(anchor.programDateTime + (streamTime - anchor.streamTime) * 1000);
+  }
+}
+
+// =============================================================================
+// MEDIATAILOR SESSION
+// =============================================================================
+
+/**
+ * MediaTailor client-side tracking session
+ * Initializes a playback session and polls its tracking URL for avails
+ */
+class MediaTailorSession {
+  constructor(sessionUrl) {
+    this.sessionUrl = sessionUrl;
+    this.manifestUrl = null;
+    this.trackingUrl = null;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Converts a MediaTailor playback URL into its session initialization URL
+   * @param {string} playbackUrl - Playback URL (e.g., ".../v1/master/<hash>/<config>/video.m3u8")
+   * @returns {string} Session URL (".../v1/session/<hash>/<config>/video.m3u8")
+   */
+  static toSessionUrl(playbackUrl) {
+    return playbackUrl.replace('/v1/master/', '/v1/session/');
+  }
+
+  /**
+   * Converts an ISO 8601 duration to seconds
+   * @param {string} value - Duration (e.g., "PT1M30.5S")
+   * @returns {number|null} Seconds or null if unparseable
+   */
+  static parseIsoDuration(value) {
+    const match = String(value || '').match(/^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+    if (!match) return null;
+    const [, h, m, s] = match;
+    return (parseFloat(h) || 0) * 3600 + (parseFloat(m) || 0) * 60 + (parseFloat(s) || 0);
+  }
+
+  /**
+   * Reads a time field that MediaTailor reports both as seconds and ISO 8601
+   * @param {Object} obj - Avail, ad or tracking event object
+   * @param {string} field - Field name without suffix (e.g., "startTime")
+   * @returns {number} Seconds (0 if absent)
+   */
+  static readSeconds(obj, field) {
+    if (typeof obj[`${field}InSeconds`] === 'number') return obj[`${field}InSeconds`];
+    return MediaTailorSession.parseIsoDuration(obj[field]) || 0;
+  }
+
+  /**
+   * Builds a sorted list of ad breaks from tracking avails
+   * Avail times are stream times, so breaks carry their own boundaries
+   * @param {Array} avails - Avails from the tracking response
+   * @param {Object} [config] - Player configuration (default durations)
+   * @returns {Array} Sorted array of ad break objects
+   */
+  static buildAdBreakList(avails, config = CONFIG) {
+    let adTimeBefore = 0;
+
+    return [...avails]
+      .sort((a, b) => MediaTailorSession.readSeconds(a, 'startTime') - MediaTailorSession.readSeconds(b, 'startTime'))
+      .map((avail, i) => {
+        const streamStart = MediaTailorSession.readSeconds(avail, 'startTime');
+        const duration = MediaTailorSession.readSeconds(avail, 'duration') || config.DEFAULT_AD_DURATION;
+        const contentTime = streamStart - adTimeBefore;
+        adTimeBefore += duration;
+
+        const ads = (avail.ads || []).map((ad, adIndex) => ({
+          adId: ad.adId,
+          adTitle: ad.adTitle,
+          sequence: adIndex + 1,
+          offset: MediaTailorSession.readSeconds(ad, 'startTime') - streamStart,
+          streamStart: MediaTailorSession.readSeconds(ad, 'startTime'),
+          duration: MediaTailorSession.readSeconds(ad, 'duration'),
+          skipOffset: ad.skipOffset != null ? ad.skipOffset : null,
+          clickThrough: ad.clickThrough || null,
+          trackingEvents: (ad.trackingEvents || []).map((ev) => ({
+            eventType: ev.eventType,
+            streamTime: MediaTailorSession.readSeconds(ev, 'startTime'),
+            beaconUrls: ev.beaconUrls || [],
+          })),
+        }));
+
+        return {
+          index: i,
+          timeOffset: VMAPService.formatTimeOffset(contentTime),
+          timeInSeconds: contentTime,
+          breakId: avail.availId || `avail_${i}`,
+          vastUrl: null,
+          duration,
+          skipOffset: null,
+          streamStart,
+          streamEnd: streamStart + duration,
+          cueSource: 'tracking',
+          ads,
+        };
+      });
+  }
+
+  /**
+   * Initializes the session (POST to the session URL)
+   * @param {Object} options - Optional session parameters
+   * @param {Object} options.adsParams - Player parameters passed to the ad decision server
+   * @returns {Promise<Object>} { manifestUrl, trackingUrl } as absolute URLs
+   */
+  async initialize({ adsParams } = {}) {
+    const response = await fetch(this.sessionUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reportingMode: 'client', ...(adsParams ? { adsParams } : {}) }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Session request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.manifestUrl || !data.trackingUrl) {
+      throw new Error('Session response is missing manifestUrl or trackingUrl');
+    }
+
+    // MediaTailor returns paths relative to the session host
+    this.manifestUrl = new URL(data.manifestUrl, this.sessionUrl).href;
+    this.trackingUrl = new URL(data.trackingUrl, this.sessionUrl).href;
+
+    console.log('[SESSION] Initialized', { manifestUrl: this.manifestUrl, trackingUrl: this.trackingUrl });
+    return { manifestUrl: this.manifestUrl, trackingUrl: this.trackingUrl };
+  }
+
+  /**
+   * Fetches the current avails from the tracking URL
+   * @returns {Promise<Array>} Avails known so far
+   */
+  async fetchAvails() {
+    const response = await fetch(this.trackingUrl, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) {
+      throw new Error(`Tracking request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.avails || [];
+  }
+
+  /**
+   * Polls the tracking URL and reports avails whenever they change
+   * @param {Function} onAvails - Callback receiving the full avail list
+   * @param {number} intervalSeconds - Seconds between polls
+   */
+  startPolling(onAvails, intervalSeconds = CONFIG.TRACKING_POLL_INTERVAL) {
+    this.stopPolling();
+    let lastSnapshot = null;
+
+    const poll = async () => {
+      try {
+        const avails = await this.fetchAvails();
+        const snapshot = JSON.stringify(avails);
+        if (snapshot !== lastSnapshot) {
+          lastSnapshot = snapshot;
+          console.log('[SESSION] Avails updated', { count: avails.length });
+          onAvails(avails);
+        }
+      } catch (err) {
+        console.error('[SESSION] Tracking poll failed', err);
+      }
+    };
+
+    poll();
+    this.pollTimer = setInterval(poll, intervalSeconds * 1000);
+  }
+
+  /**
+   * Stops polling the tracking URL
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+// =============================================================================
+// VIEWING HISTORY
+// =============================================================================
+
+/**
+ * Persists viewing state in localStorage: watched breaks and the last content
+ * position per content URL and user, and pre-roll plays per user for the frequency cap
+ * Storage failures (private browsing, quota) only disable persistence
+ */
+class ViewingHistory {
+  /**
+   * @param {string} contentUrl - Content URL the history belongs to
+   * @param {string} userId - User ID the history belongs to
+   * @param {Storage|null} [storage] - Web Storage, localStorage by default
+   */
+  constructor(contentUrl, userId, storage = ViewingHistory.getDefaultStorage()) {
+    this.storage = storage;
+    this.key = `${ViewingHistory.KEY_PREFIX}:${userId}:${contentUrl}`;
+    this.prerollKey = `${ViewingHistory.KEY_PREFIX}:${userId}:prerolls`;
+    this.entry = this.read(this.key, { watchedBreakIds: [], position: 0, updatedAt: 0 });
+  }
+
+  /**
+   * Gets localStorage, which throws instead of being missing when storage is blocked
+   * @returns {Storage|null} localStorage or null
+   */
+  static getDefaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads a stored object
+   * @param {string} key - Storage key
+   * @param {Object} defaults - Value used for missing or unreadable entries
+   * @returns {Object} Stored value merged over the defaults
+   */
+  read(key, defaults) {
+    if (!this.storage) return defaults;
+    
+    try {
+      const value = JSON.parse(this.storage.getItem(key));
+      return value && typeof value === 'object' ? { ...defaults, ...value } : defaults;
+    } catch (err) {
+      console.warn('[HISTORY] Ignoring unreadable entry', key);
+      return defaults;
+    }
+  }
+
+  /**
+   * Stores an object
+   * @param {string} key - Storage key
+   * @param {Object} value - Value to store
+   */
+  write(key, value) {
+    if (!this.storage) return;
+    
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      console.warn('[HISTORY] Could not save', key, err);
+    }
+  }
+
+  /**
+   * Gets the breaks watched in earlier sessions
+   * @returns {Array} Break IDs
+   */
+  getWatchedBreakIds() {
+    return this.entry.watchedBreakIds;
+  }
+
+  /**
+   * Records a watched break
+   * @param {string} breakId - Break ID
+   */
+  addWatchedBreak(breakId) {
+    if (this.entry.watchedBreakIds.includes(breakId)) return;
+    this.entry.watchedBreakIds.push(breakId);
+    this.save();
+  }
+
+  /**
+   * Gets the last saved content position
+   * @returns {number} Content time in seconds, 0 when there is none
+   */
+  getPosition() {
+    return Number(this.entry.position) || 0;
+  }
+
+  /**
+   * Saves the content position
+   * @param {number} contentTime - Content time in seconds, 0 once the content ended
+   */
+  setPosition(contentTime) {
+    this.entry.position = contentTime;
+    this.save();
+  }
+
+  /**
+   * Writes the content entry
+   */
+  save() {
+    this.entry.updatedAt = Date.now();
+    this.write(this.key, this.entry);
+  }
+
+  /**
+   * Gets the pre-roll plays of the user within a window
+   * @param {number} windowSeconds - Window length in seconds
+   * @returns {Array} Play timestamps in milliseconds
+   */
+  getRecentPrerolls(windowSeconds) {
+    const since = Date.now() - windowSeconds * 1000;
+    return this.read(this.prerollKey, { times: [] }).times.filter((time) => time > since);
+  }
+
+  /**
+   * Checks if the user reached the pre-roll frequency cap
+   * @param {number} count - Pre-rolls allowed within the window, 0 for no cap
+   * @param {number} windowSeconds - Window length in seconds
+   * @returns {boolean} True if pre-rolls should be skipped
+   */
+  isPrerollCapped(count, windowSeconds) {
+    return count > 0 && this.getRecentPrerolls(windowSeconds).length >= count;
+  }
+
+  /**
+   * Records a pre-roll play, dropping plays older than the window
+   * @param {number} windowSeconds - Window length in seconds
+   */
+  recordPreroll(windowSeconds) {
+    this.write(this.prerollKey, { times: [...this.getRecentPrerolls(windowSeconds), Date.now()] });
+  }
+}
+
+/** Prefix of the localStorage keys */
+ViewingHistory.KEY_PREFIX = 'vmapAds';
+
+// =============================================================================
+// OVERLAY TEXT
+// =============================================================================
+
+/**
+ * Overlay and announcement text in the viewer's language
+ * A bundle maps message keys to strings with {name} placeholders, or to plural forms
+ * picked by Intl.PluralRules from the count parameter: { one: '{count} second', other: '{count} seconds' }
+ * Keys missing from a bundle fall back to the base language, then to English
+ */
+class AdLocale {
+  /**
+   * @param {string|null} [language] - BCP 47 language tag; null follows the page language
+   * @param {Object} [messages] - Extra or replacement messages by language, e.g. { fr: { skipAd: 'Passer' } }
+   */
+  constructor(language = null, messages = {}) {
+    this.language = language || AdLocale.detectLanguage();
+    this.messages = AdLocale.resolveMessages(this.language, messages);
+    this.pluralRules = new Intl.PluralRules(this.language);
+  }
+
+  /**
+   * Reads the page language, then the browser language
+   * @returns {string} BCP 47 language tag
+   */
+  static detectLanguage() {
+    const pageLanguage = typeof document !== 'undefined' && document.documentElement ? document.documentElement.lang : '';
+    const browserLanguage = typeof navigator !== 'undefined' ? navigator.language : '';
+    return pageLanguage || browserLanguage || 'en';
+  }
+
+  /**
+   * Merges the messages of a language over its base language and English
+   * @param {string} language - BCP 47 language tag (e.g. "fr-CA")
+   * @param {Object} [messages] - Extra messages by language
+   * @returns {Object} Messages by key
+   */
+  static resolveMessages(language, messages = {}) {
+    const tag = language.toLowerCase();
+    const base = tag.split('-')[0];
+    const chain = ['en', base, tag].filter((key, i, keys) => keys.indexOf(key) === i);
+    const custom = Object.fromEntries(Object.entries(messages).map(([key, bundle]) => [key.toLowerCase(), bundle]));
+    
+    return chain.reduce((resolved, key) => ({
+      ...resolved,
+      ...AdLocale.BUNDLES[key],
+      ...custom[key],
+    }), {});
+  }
+
+  /**
+   * Adds or extends the built-in bundle of a language, for every player on the page
+   * @param {string} language - BCP 47 language tag
+   * @param {Object} messages - Messages by key
+   */
+  static addBundle(language, messages) {
+    const key = language.toLowerCase();
+    AdLocale.BUNDLES[key] = { ...AdLocale.BUNDLES[key], ...messages };
+  }
+
+  /**
+   * Gets a message with its placeholders filled in
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values; count selects the plural form
+   * @returns {string} Message, or the key itself if no bundle has it
+   */
+  t(key, params = {}) {
+    let message = this.messages[key];
+    if (message == null) {
+      console.warn('[OVERLAY] Missing overlay text', { key, language: this.language });
+      return key;
+    }
+    
+    if (typeof message === 'object') {
+      const form = params.count != null ? this.pluralRules.select(params.count) : 'other';
+      message = message[form] != null ? message[form] : message.other;
+    }
+    
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+  }
+}
+
+/** Built-in bundles by language; English has every key */
+AdLocale.BUNDLES = {
+  en: {
+    adBadge: 'AD',
+    advertisement: 'Advertisement',
+    learnMore: 'Learn more',
+    skipAd: 'Skip Ad',
+    skipIn: 'Skip in {count}s',
+    closeAd: 'Close ad',
+    singleAd: 'Ad',
+    podPosition: 'Ad {adNumber} of {adCount}',
+    adStarted: '{position} started.',
+    timeRemaining: { one: '{count} second of ads left.', other: '{count} seconds of ads left.' },
+    skipAvailableIn: { one: 'You can skip this ad in {count} second.', other: 'You can skip this ad in {count} seconds.' },
+    skipAvailable: 'You can skip this ad now. Press {key} to skip.',
+    adBreakEnded: 'Ads finished, the video resumes.',
+  },
+  fr: {
+    adBadge: 'PUB',
+    advertisement: 'Publicité',
+    learnMore: 'En savoir plus',
+    skipAd: 'Passer la pub',
+    skipIn: 'Passer dans {count} s',
+    closeAd: 'Fermer la publicité',
+    singleAd: 'Pub',
+    podPosition: 'Pub {adNumber} sur {adCount}',
+    adStarted: '{position} : début.',
+    timeRemaining: { one: 'Encore {count} seconde de publicité.', other: 'Encore {count} secondes de publicité.' },
+    skipAvailableIn: {
+      one: 'Vous pourrez passer cette publicité dans {count} seconde.',
+      other: 'Vous pourrez passer cette publicité dans {count} secondes.',
+    },
+    skipAvailable: 'Vous pouvez passer cette publicité. Appuyez sur {key}.',
+    adBreakEnded: 'Fin de la publicité, reprise du programme.',
+  },
+  de: {
+    adBadge: 'WERBUNG',
+    advertisement: 'Werbung',
+    learnMore: 'Mehr erfahren',
+    skipAd: 'Werbung überspringen',
+    skipIn: 'Überspringen in {count} s',
+    closeAd: 'Werbung schließen',
+    singleAd: 'Werbung',
+    podPosition: 'Werbung {adNumber} von {adCount}',
+    adStarted: '{position} beginnt.',
+    timeRemaining: { one: 'Noch {count} Sekunde Werbung.', other: 'Noch {count} Sekunden Werbung.' },
+    skipAvailableIn: {
+      one: 'Diese Werbung kann in {count} Sekunde übersprungen werden.',
+      other: 'Diese Werbung kann in {count} Sekunden übersprungen werden.',
+    },
+    skipAvailable: 'Diese Werbung kann jetzt übersprungen werden. Drücke {key}.',
+    adBreakEnded: 'Werbung beendet, das Programm geht weiter.',
+  },
+  es: {
+    adBadge: 'ANUNCIO',
+    advertisement: 'Publicidad',
+    learnMore: 'Más información',
+    skipAd: 'Omitir anuncio',
+    skipIn: 'Omitir en {count} s',
+    closeAd: 'Cerrar anuncio',
+    singleAd: 'Anuncio',
+    podPosition: 'Anuncio {adNumber} de {adCount}',
+    adStarted: 'Empieza: {position}.',
+    timeRemaining: { one: 'Queda {count} segundo de anuncios.', other: 'Quedan {count} segundos de anuncios.' },
+    skipAvailableIn: {
+      one: 'Podrás omitir este anuncio en {count} segundo.',
+      other: 'Podrás omitir este anuncio en {count} segundos.',
+    },
+    skipAvailable: 'Ya puedes omitir este anuncio. Pulsa {key}.',
+    adBreakEnded: 'Fin de los anuncios, vuelve el programa.',
+  },
+  pl: {
+    adBadge: 'REKLAMA',
+    advertisement: 'Reklama',
+    learnMore: 'Dowiedz się więcej',
+    skipAd: 'Pomiń reklamę',
+    skipIn: 'Pomiń za {count} s',
+    closeAd: 'Zamknij reklamę',
+    singleAd: 'Reklama',
+    podPosition: 'Reklama {adNumber} z {adCount}',
+    adStarted: 'Początek: {position}.',
+    timeRemaining: {
+      one: 'Pozostała {count} sekunda reklam.',
+      few: 'Pozostały {count} sekundy reklam.',
+      many: 'Pozostało {count} sekund reklam.',
+      other: 'Pozostało {count} sekundy reklam.',
+    },
+    skipAvailableIn: {
+      one: 'Reklamę można pominąć za {count} sekundę.',
+      few: 'Reklamę można pominąć za {count} sekundy.',
+      many: 'Reklamę można pominąć za {count} sekund.',
+      other: 'Reklamę można pominąć za {count} sekundy.',
+    },
+    skipAvailable: 'Reklamę można teraz pominąć. Naciśnij {key}.',
+    adBreakEnded: 'Koniec reklam, wracamy do programu.',
+  },
+};
+
+// =============================================================================
+// AD OVERLAY CONTROLLER
+// =============================================================================
+
+const VjsComponent = videojs.getComponent('Component');
+
+/**
+ * Linear ad overlay inside the player: AD badge, pod info, Learn more and skip buttons
+ * Options: onSkip() and onClick() called when the viewer uses the buttons or their keyboard
+ * shortcuts, locale (AdLocale) and shortcuts ({ skip, learnMore } keys)
+ */
+class AdOverlay extends VjsComponent {
+  constructor(player, options) {
+    super(player, options);
+    this.on(this.skipButton, 'click', () => this.options_.onSkip());
+    this.on(this.learnMoreButton, 'click', () => this.options_.onClick());
+    this.on(player, 'keydown', (event) => this.handleKeyDown(event));
+  }
+
+  createEl() {
+    const { locale, shortcuts } = this.options_;
+    const el = super.createEl('div', { className: 'vjs-ad-overlay' }, {
+      role: 'region',
+      'aria-label': locale.t('advertisement'),
+      'aria-hidden': 'true',
+    });
+    
+    this.podInfoEl = videojs.dom.createEl('span', { className: 'vjs-ad-pod-info' });
+    this.learnMoreButton = videojs.dom.createEl('button', { className: 'vjs-ad-learn-more', textContent: locale.t('learnMore') }, {
+      type: 'button',
+      'aria-keyshortcuts': shortcuts.learnMore.toUpperCase(),
+    });
+    this.skipButton = videojs.dom.createEl('button', { className: 'vjs-ad-skip', disabled: true }, {
+      type: 'button',
+      'aria-keyshortcuts': shortcuts.skip.toUpperCase(),
+    });
+    el.appendChild(videojs.dom.createEl('span', { className: 'vjs-ad-badge', textContent: locale.t('adBadge') }));
+    el.appendChild(this.podInfoEl);
+    el.appendChild(this.learnMoreButton);
+    el.appendChild(this.skipButton);
+    
+    return el;
+  }
+
+  /**
+   * Runs the skip and Learn more shortcuts while the overlay is shown and focus is in the player
+   * Keys typed in form fields or pressed with a modifier are left to the page
+   * @param {KeyboardEvent} event - Key event from the player
+   */
+  handleKeyDown(event) {
+    if (!this.hasClass('is-active') || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (/^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+    
+    const key = String(event.key).toLowerCase();
+    const { shortcuts } = this.options_;
+    if (key === shortcuts.skip && !this.skipButton.disabled) {
+      event.preventDefault();
+      this.options_.onSkip();
+    } else if (key === shortcuts.learnMore) {
+      event.preventDefault();
+      this.options_.onClick();
+    }
+  }
+}
+
+/**
+ * Polite ARIA live region reading ad progress to screen readers
+ * Kept outside the overlay, whose aria-hidden would silence it between breaks
+ */
+class AdAnnouncer extends VjsComponent {
+  constructor(player, options) {
+    super(player, options);
+    this.queue = [];
+  }
+
+  createEl() {
+    return super.createEl('div', { className: 'vjs-ad-announcer' }, { role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true' });
+  }
+
+  /**
+   * Announces a message; messages of the same update are read together
+   * @param {string} message - Text to read
+   */
+  announce(message) {
+    this.queue.push(message);
+    if (this.queue.length > 1) return;
+    
+    Promise.resolve().then(() => {
+      if (!this.el_) return; // Disposed
+      this.el_.textContent = this.queue.join(' ');
+      this.queue = [];
+    });
+  }
+}
+
+/**
+ * Container for non-linear overlay ads, above the content and below the control bar
+ */
+class NonLinearAdSlot extends VjsComponent {
+  createEl() {
+    return super.createEl('div', { className: 'vjs-nonlinear-ad' });
+  }
+}
+
+videojs.registerComponent('AdOverlay', AdOverlay);
+videojs.registerComponent('AdAnnouncer', AdAnnouncer);
+videojs.registerComponent('NonLinearAdSlot', NonLinearAdSlot);
+
+/**
+ * Mirrors the ad on screen in the Media Session, which feeds the OS media
+ * controls and the picture-in-picture window, where the overlay is not visible
+ * Does nothing in browsers without the Media Session API
+ */
+class AdMediaSession {
+  /**
+   * @param {Function} onSkip - Called by the 'skipad' action
+   */
+  constructor(onSkip) {
+    this.onSkip = onSkip;
+    this.mediaSession = typeof navigator !== 'undefined' && navigator.mediaSession ? navigator.mediaSession : null;
+    this.active = false;
+    this.savedMetadata = null;
+    this.title = null;
+    this.adTitle = null;
+    this.skippable = false;
+  }
+
+  /**
+   * Sets an action handler, ignoring actions the browser does not support
+   * @param {string} action - Media Session action
+   * @param {Function|null} handler - Handler, null to remove it
+   */
+  setActionHandler(action, handler) {
+    try {
+      this.mediaSession.setActionHandler(action, handler);
+    } catch (err) {
+      console.warn('[OVERLAY] Media Session action not supported', action);
+    }
+  }
+
+  /**
+   * Takes over the Media Session for an ad break, saving the content metadata
+   */
+  start() {
+    if (!this.mediaSession || this.active) return;
+    this.active = true;
+    this.savedMetadata = this.mediaSession.metadata;
+    this.title = null;
+    this.adTitle = null;
+    this.skippable = false;
+  }
+
+  /**
+   * Shows the current ad in the Media Session metadata
+   * @param {string} title - Pod position, e.g. "Ad 1 of 2"
+   * @param {string} adTitle - Ad title from the VAST or tracking data, or "Advertisement"
+   */
+  setAd(title, adTitle) {
+    if (!this.active || (title === this.title && adTitle === this.adTitle)) return;
+    this.title = title;
+    this.adTitle = adTitle;
+    this.mediaSession.metadata = new MediaMetadata({ title, artist: adTitle });
+  }
+
+  /**
+   * Reports ad progress and offers skip once the ad is skippable
+   * @param {number} elapsed - Seconds played in the ad
+   * @param {number} duration - Ad duration in seconds
+   * @param {boolean} skippable - True once the skip offset is reached
+   */
+  setProgress(elapsed, duration, skippable) {
+    if (!this.active) return;
+    
+    if (skippable !== this.skippable) {
+      this.skippable = skippable;
+      this.setActionHandler('skipad', skippable ? () => this.onSkip() : null);
+    }
+    if (duration > 0 && this.mediaSession.setPositionState) {
+      this.mediaSession.setPositionState({ duration, position: Math.min(Math.max(0, elapsed), duration), playbackRate: 1 });
+    }
+  }
+
+  /**
+   * Gives the Media Session back to the content
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    
+    this.setActionHandler('skipad', null);
+    if (this.mediaSession.setPositionState) this.mediaSession.setPositionState();
+    this.mediaSession.metadata = this.savedMetadata;
+    this.savedMetadata = null;
+  }
+}
+
+/**
+ * Controls the ad UI of a player: overlay, skip countdown, non-linear ads and companions
+ * The overlay and non-linear slot are player components, so they follow the player
+ * into fullscreen; companions go to page slots, the Media Session covers picture-in-picture
+ * Ad progress is announced to screen readers, and focus moves to the skip button once it is enabled
+ */
+class AdOverlayController {
+  /**
+   * @param {Object} player - Video.js player instance
+   * @param {Object} options - { onSkip, onClick, companionSlots, locale, shortcuts, announceInterval }
+   * @param {Array} options.companionSlots - { id or element, width, height } page slots for companion banners
+   * @param {AdLocale} options.locale - Overlay text
+   * @param {Object} options.shortcuts - { skip, learnMore } keyboard shortcut keys
+   * @param {number} options.announceInterval - Seconds between time-left announcements (0 for none)
+   */
+  constructor(player, {
+    onSkip,
+    onClick,
+    companionSlots = CONFIG.COMPANION_SLOTS,
+    locale = new AdLocale(),
+    shortcuts = CONFIG.AD_SHORTCUTS,
+    announceInterval = CONFIG.AD_ANNOUNCE_INTERVAL,
+  }) {
+    this.player = player;
+    this.locale = locale;
+    this.shortcuts = shortcuts;
+    this.announceInterval = announceInterval;
+    this.overlay = player.addChild('AdOverlay', { onSkip, onClick, locale, shortcuts });
+    this.announcer = player.addChild('AdAnnouncer');
+    this.nonLinearSlot = player.addChild('NonLinearAdSlot');
+    this.skipButton = this.overlay.skipButton;
+    this.podInfoElement = this.overlay.podInfoEl;
+    this.nonLinearElement = this.nonLinearSlot.el();
+    this.companionSlots = companionSlots
+      .map((slot) => ({ ...slot, element: slot.element || document.getElementById(slot.id) }))
+      .filter((slot) => slot.element);
+    this.mediaSession = new AdMediaSession(onSkip);
+    this.announcedAd = null;
+    this.lastAnnouncedRemaining = 0;
+    this.skipNoticeAd = null;
+    this.returnFocusTo = null;
+  }
+
+  /**
+   * Formats seconds as m:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time
+   */
+  static formatRemaining(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Shows the ad overlay
+   */
+  show() {
+    console.log('[OVERLAY] Showing ad overlay');
+    this.overlay.addClass('is-active');
+    this.overlay.setAttribute('aria-hidden', 'false');
+    this.announcedAd = null;
+    this.skipNoticeAd = null;
+    this.mediaSession.start();
+  }
+
+  /**
+   * Hides the ad overlay
+   */
+  hide() {
+    console.log('[OVERLAY] Hiding ad overlay');
+    if (this.overlay.hasClass('is-active')) {
+      this.announcer.announce(this.locale.t('adBreakEnded'));
+    }
+    
+    // Focus leaves the skip button before it is hidden
+    this.restoreFocus();
+    this.skipButton.disabled = true;
+    this.overlay.removeClass('is-active');
+    this.overlay.setAttribute('aria-hidden', 'true');
+    this.podInfoElement.textContent = '';
+    this.mediaSession.stop();
+  }
+
+  /**
+   * Updates the pod position and remaining pod time
+   * @param {number} adNumber - 1-based position of the current ad in the pod
+   * @param {number} adCount - Number of ads in the pod
+   * @param {number} podRemaining - Seconds left until content resumes
+   * @param {string|null} [adTitle] - Title of the current ad, for the Media Session
+   */
+  updatePodInfo(adNumber, adCount, podRemaining, adTitle = null) {
+    const position = adCount > 1 ? this.locale.t('podPosition', { adNumber, adCount }) : this.locale.t('singleAd');
+    const remaining = AdOverlayController.formatRemaining(podRemaining);
+    const text = adCount > 1 ? `${position} · ${remaining}` : remaining;
+    
+    // The DOM is only touched when the text changes, not on every timeupdate
+    if (text !== this.podInfoElement.textContent) {
+      this.podInfoElement.textContent = text;
+    }
+    this.mediaSession.setAd(position, adTitle || this.locale.t('advertisement'));
+    this.announceProgress(`${adNumber}/${adCount}`, position, podRemaining);
+  }
+
+  /**
+   * Announces each new ad with the time left in the break, then the time left every announceInterval seconds
+   * @param {string} adKey - Identifies the current ad of the pod
+   * @param {string} position - Localized pod position
+   * @param {number} podRemaining - Seconds left until content resumes
+   */
+  announceProgress(adKey, position, podRemaining) {
+    const seconds = Math.max(0, Math.ceil(podRemaining));
+    
+    if (adKey !== this.announcedAd) {
+      this.announcedAd = adKey;
+      this.lastAnnouncedRemaining = seconds;
+      this.announcer.announce(this.locale.t('adStarted', { position }));
+      this.announcer.announce(this.locale.t('timeRemaining', { count: seconds }));
+    } else if (this.announceInterval > 0 && this.lastAnnouncedRemaining - seconds >= this.announceInterval) {
+      this.lastAnnouncedRemaining = seconds;
+      this.announcer.announce(this.locale.t('timeRemaining', { count: seconds }));
+    }
+  }
+
+  /**
+   * Updates the skip button UI based on ad progress
+   * @param {number} elapsed - Time elapsed in the ad (seconds)
+   * @param {number} duration - Total ad duration (seconds)
+   * @param {number|null} skipOffset - Time when skip becomes available (seconds), null for non-skippable ads
+   */
+  updateSkipButton(elapsed, duration, skipOffset) {
+    // Non-skippable ads have no skip button at all
+    const hidden = skipOffset == null;
+    if (hidden !== this.skipButton.hidden) {
+      if (hidden) this.restoreFocus();
+      this.skipButton.hidden = hidden;
+    }
+    
+    const wasDisabled = this.skipButton.disabled;
+    const skippable = !hidden && elapsed >= skipOffset;
+    const label = skippable
+      ? this.locale.t('skipAd')
+      : this.locale.t('skipIn', { count: Math.ceil(skipOffset - elapsed) });
+    
+    if (!hidden && label !== this.skipButton.textContent) {
+      this.skipButton.textContent = label;
+    }
+    
+    if (skippable && wasDisabled) {
+      // Skip is now available
+      this.skipButton.disabled = false;
+      console.log('[OVERLAY] Skip button enabled', { elapsed, skipOffset });
+      this.announcer.announce(this.locale.t('skipAvailable', { key: this.shortcuts.skip.toUpperCase() }));
+      this.focusSkipButton();
+    } else if (!skippable && !wasDisabled) {
+      // Next ad of a pod: focus leaves the button before it is disabled
+      this.restoreFocus();
+      this.skipButton.disabled = true;
+    }
+    
+    // Skippable ads say when skip becomes available
+    if (!skippable && !hidden && skipOffset < duration && this.skipNoticeAd !== this.announcedAd) {
+      this.skipNoticeAd = this.announcedAd;
+      this.announcer.announce(this.locale.t('skipAvailableIn', { count: Math.ceil(skipOffset - elapsed) }));
+    }
+    
+    this.mediaSession.setProgress(elapsed, duration, skippable);
+  }
+
+  /**
+   * Moves focus to the skip button, remembering where it was
+   * Only when focus is in the player or nowhere, so the viewer is not pulled away from the page
+   */
+  focusSkipButton() {
+    const active = document.activeElement;
+    if (active && active !== document.body && !this.player.el().contains(active)) return;
+    
+    this.returnFocusTo = active;
+    this.skipButton.focus();
+  }
+
+  /**
+   * Gives focus back to where it was before the skip button took it
+   */
+  restoreFocus() {
+    const target = this.returnFocusTo;
+    this.returnFocusTo = null;
+    if (document.activeElement !== this.skipButton) return;
+    
+    if (target && target !== document.body && target.isConnected) {
+      target.focus();
+    } else {
+      this.player.el().focus();
+    }
+  }
+
+  /**
+   * Creates the element for a static, HTML or iframe creative resource
+   * HTML resources run in a sandboxed iframe rather than in the page
+   * @param {Object} resource - { staticUrl, html, iframeUrl, altText (localized "Advertisement" by default) }
+   * @param {number} width - Creative width in pixels
+   * @param {number} height - Creative height in pixels
+   * @returns {HTMLElement|null} Creative element or null if there is no usable resource
+   */
+  static createResourceElement(resource, width, height) {
+    let element = null;
+    
+    if (resource.staticUrl) {
+      element = document.createElement('img');
+      element.src = resource.staticUrl;
+      element.alt = resource.altText || '';
+    } else if (resource.iframeUrl || resource.html) {
+      element = document.createElement('iframe');
+      element.setAttribute('scrolling', 'no');
+      element.setAttribute('sandbox', 'allow-scripts allow-popups allow-popups-to-escape-sandbox');
+      element.title = resource.altText || '';
+      if (resource.iframeUrl) {
+        element.src = resource.iframeUrl;
+      } else {
+        element.srcdoc = resource.html;
+      }
+    }
+    
+    if (element && width && height) {
+      element.width = width;
+      element.height = height;
+    }
+    return element;
+  }
+
+  /**
+   * Picks a page slot for each companion: matching adSlotId, then exact size, then a slot it fits in
+   * @param {Array} companions - { creative, variation } companions of an ad
+   * @returns {Array} { slot, companion } assignments
+   */
+  assignCompanionSlots(companions) {
+    const free = [...this.companionSlots];
+    const size = (c) => ({ width: Number(c.variation.width), height: Number(c.variation.height) });
+    const matchers = [
+      (slot, c) => c.variation.adSlotId === slot.id,
+      (slot, c) => size(c).width === slot.width && size(c).height === slot.height,
+      (slot, c) => size(c).width <= slot.width && size(c).height <= slot.height,
+    ];
+    
+    const assignments = [];
+    matchers.forEach((matches) => {
+      companions
+        .filter((c) => !assignments.some((a) => a.companion === c))
+        .forEach((companion) => {
+          const index = free.findIndex((slot) => matches(slot, companion));
+          if (index !== -1) {
+            assignments.push({ slot: free[index], companion });
+            free.splice(index, 1);
+          }
+        });
+    });
+    return assignments;
+  }
+
+  /**
+   * Renders companion banners into the page slots
+   * Banners stay in place after the linear ad until replaced or cleared
+   * @param {Array} companions - { creative, variation } companions of an ad
+   * @param {Function} onClick - Called with the companion when a static banner is clicked
+   * @returns {Array} Companions that were rendered
+   */
+  renderCompanions(companions, onClick) {
+    const rendered = [];
+    
+    this.assignCompanionSlots(companions).forEach(({ slot, companion }) => {
+      const { variation } = companion;
+      const staticResource = variation.staticResources
+        .find((r) => !r.creativeType || r.creativeType.startsWith('image/'));
+      const element = AdOverlayController.createResourceElement({
+        staticUrl: staticResource ? staticResource.url : null,
+        iframeUrl: variation.iframeResources[0],
+        html: variation.htmlResources[0],
+        altText: variation.altText || this.locale.t('advertisement'),
+      }, Number(variation.width), Number(variation.height));
+      if (!element) return;
+      
+      // Clicks inside iframes are handled by the creative itself
+      if (element.tagName === 'IMG') {
+        element.addEventListener('click', () => onClick(companion));
+      }
+      
+      slot.element.replaceChildren(element);
+      slot.element.classList.add('active');
+      rendered.push(companion);
+    });
+    
+    if (rendered.length) {
+      console.log('[OVERLAY] Companions rendered', { count: rendered.length });
+    }
+    return rendered;
+  }
+
+  /**
+   * Removes all companion banners from the page
+   */
+  clearCompanions() {
+    this.companionSlots.forEach((slot) => {
+      slot.element.replaceChildren();
+      slot.element.classList.remove('active');
+    });
+  }
+
+  /**
+   * Shows a non-linear overlay over content
+   * @param {Object} variation - VAST non-linear variation
+   * @param {Object} handlers - { onClick, onClose }
+   * @returns {boolean} True if the overlay could be rendered
+   */
+  showNonLinear(variation, { onClick, onClose }) {
+    const element = AdOverlayController.createResourceElement({
+      staticUrl: variation.staticResource,
+      iframeUrl: variation.iframeResource,
+      html: variation.htmlResource,
+      altText: this.locale.t('advertisement'),
+    }, Number(variation.width), Number(variation.height));
+    if (!element) return false;
+    
+    if (element.tagName === 'IMG') {
+      element.addEventListener('click', onClick);
+    }
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'vjs-nonlinear-close';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', this.locale.t('closeAd'));
+    closeButton.hidden = true;
+    closeButton.addEventListener('click', onClose);
+    
+    this.nonLinearElement.replaceChildren(element, closeButton);
+    this.nonLinearSlot.addClass('is-active');
+    console.log('[OVERLAY] Showing non-linear ad');
+    return true;
+  }
+
+  /**
+   * Shows the close button of the non-linear overlay
+   */
+  enableNonLinearClose() {
+    const closeButton = this.nonLinearElement.querySelector('.vjs-nonlinear-close');
+    if (closeButton) closeButton.hidden = false;
+  }
+
+  /**
+   * Hides the non-linear overlay
+   */
+  hideNonLinear() {
+    this.nonLinearSlot.removeClass('is-active');
+    this.nonLinearElement.replaceChildren();
+  }
+
+  /**
+   * Removes the overlay components and companion banners
+   */
+  dispose() {
+    this.mediaSession.stop();
+    this.clearCompanions();
+    [this.overlay, this.announcer, this.nonLinearSlot].forEach((component) => {
+      this.player.removeChild(component);
+      component.dispose();
+    });
+  }
+}
+
+// =============================================================================
+// VAST PREFETCHER
+// =============================================================================
+
+/**
+ * Resolves the VAST of each break (wrapper chains included) ahead of the break
+ * Responses are cached per break until they expire, so a break whose VAST is
+ * ready starts synchronously when the playhead reaches it
+ */
+class VastPrefetcher {
+  constructor(errorReporter, macroResolver, config = CONFIG) {
+    this.errorReporter = errorReporter;
+    this.macroResolver = macroResolver;
+    this.config = config;
+    this.entries = new Map();
+  }
+
+  /**
+   * Prefetches the breaks starting within the PREFETCH_LEAD_TIME setting
+   * @param {number} contentTime - Current content time
+   * @param {Array} breaks - Breaks that have not been watched yet
+   */
+  update(contentTime, breaks) {
+    breaks
+      .filter((br) => VMAPService.hasAdSource(br) && br.timeInSeconds >= contentTime
+        && br.timeInSeconds - contentTime <= this.config.PREFETCH_LEAD_TIME)
+      .forEach((br) => this.load(br));
+  }
+
+  /**
+   * Gets the VAST response of a break, requesting it unless a usable one is cached or in flight
+   * @param {Object} br - Ad break with vastUrl or vastDocument
+   * @returns {Promise<Object|null>} VAST response, or null if the request failed
+   */
+  load(br) {
+    const entry = this.entries.get(br.breakId);
+    if (entry && VastPrefetcher.isEntryFor(entry, br) && Date.now() < entry.expiresAt) {
+      return entry.promise;
+    }
+    return this.fetch(br);
+  }
+
+  /**
+   * Gets a cached VAST response without waiting
+   * @param {Object} br - Ad break with vastUrl or vastDocument
+   * @returns {Object|null} VAST response, or null if not resolved yet (or expired)
+   */
+  get(br) {
+    const entry = this.entries.get(br.breakId);
+    if (!entry || !VastPrefetcher.isEntryFor(entry, br) || Date.now() >= entry.expiresAt) return null;
+    return entry.response;
+  }
+
+  /**
+   * Checks if a cache entry was requested from the current ad source of a break
+   * A reloaded schedule can give a break ID another source
+   * @param {Object} entry - Cache entry
+   * @param {Object} br - Ad break
+   * @returns {boolean} True if the entry belongs to the break's ad source
+   */
+  static isEntryFor(entry, br) {
+    return entry.vastUrl === br.vastUrl && entry.vastDocument === br.vastDocument;
+  }
+
+  /**
+   * Requests the VAST of a break (or parses its inline VAST) and caches the result
+   * When the response fills no ad, the break's fallback VAST tags are tried in order
+   * @param {Object} br - Ad break with vastUrl or vastDocument
+   * @returns {Promise<Object|null>} VAST response, or null if every request failed
+   */
+  fetch(br) {
+    const entry = {
+      vastUrl: br.vastUrl,
+      vastDocument: br.vastDocument,
+      response: null,
+      // Until the response arrives, the entry only dedupes requests
+      expiresAt: Infinity,
+      promise: null,
+    };
+    
+    entry.promise = this.requestWaterfall(br).then((vastResponse) => {
+      // Failures expire sooner, so the break can still be filled when it starts
+      const ttl = vastResponse ? this.config.VAST_CACHE_TTL : this.config.VAST_FAILURE_TTL;
+      entry.response = vastResponse;
+      entry.expiresAt = Date.now() + ttl * 1000;
+      return vastResponse;
+    });
+    
+    this.entries.set(br.breakId, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Lists the fallback VAST tags of a break: its own, then the VAST_FALLBACK_TAGS for its position
+   * @param {Object} br - Ad break
+   * @param {Object} [config] - Player configuration
+   * @returns {Array<string>} VAST tag URLs, in the order they are tried
+   */
+  static getFallbackTags(br, config = CONFIG) {
+    const position = AdBreakManager.BREAK_POSITIONS[MacroResolver.getBreakPosition(br)];
+    const tags = (config.VAST_FALLBACK_TAGS || [])
+      .map((tag) => (typeof tag === 'string' ? { url: tag } : tag))
+      .filter((tag) => tag.url && (!tag.positions || tag.positions.includes(position)))
+      .map((tag) => tag.url);
+    return [...(br.fallbackVastUrls || []), ...tags];
+  }
+
+  /**
+   * Requests the ad source of a break, then its fallback VAST tags until one fills an ad
+   * @param {Object} br - Ad break with vastUrl or vastDocument
+   * @returns {Promise<Object|null>} First response with ads to play, else the last response
+   *   received (null if every request failed)
+   */
+  async requestWaterfall(br) {
+    const sources = [br, ...VastPrefetcher.getFallbackTags(br, this.config)
+      .map((vastUrl) => ({ ...br, vastUrl, vastDocument: null }))];
+    let lastResponse = null;
+    
+    for (let i = 0; i < sources.length; i++) {
+      const vastResponse = await this.requestSource(br, sources[i], i > 0);
+      if (vastResponse && VastPrefetcher.hasPodAds(vastResponse, br)) {
+        if (i > 0) console.log('[PREFETCH] Fallback VAST tag filled the break', { breakId: br.breakId, url: sources[i].vastUrl });
+        return vastResponse;
+      }
+      lastResponse = vastResponse || lastResponse;
+      if (i < sources.length - 1) {
+        console.warn('[PREFETCH] No ad to play, trying the next VAST tag', { breakId: br.breakId, url: sources[i + 1].vastUrl });
+      }
+    }
+    return lastResponse;
+  }
+
+  /**
+   * Requests one VAST tag of a break
+   * When the chosen ad fills nothing, the other stand-alone ads of the response (the ad buffet)
+   * are resolved in turn, unless the wrapper of the chosen ad sets fallbackOnNoAd="false"
+   * Each request gets its own client so wrapper errors are reported against the right break
+   * @param {Object} br - Ad break
+   * @param {Object} source - Break or fallback tag (vastUrl or vastDocument) to request
+   * @param {boolean} fallback - True for a fallback tag, whose requests add to the inspector chain
+   * @returns {Promise<Object|null>} VAST response, or null if the request failed
+   */
+  async requestSource(br, source, fallback) {
+    const vastClient = new VASTClient(0, 0);
+    this.macroResolver.attachClient(vastClient, { BREAKPOSITION: MacroResolver.getBreakPosition(br) });
+    this.macroResolver.inspector.watchVastClient(vastClient, source, fallback);
+    
+    // <Error> URIs of wrapper and no-ad failures are fired by the parser (see MacroResolver.attachClient)
+    const parser = vastClient.getParser();
+    parser.on('VAST-error', (data) => {
+      this.errorReporter.report({
+        code: Number(data.ERRORCODE),
+        message: data.ERRORMESSAGE || undefined,
+        breakInfo: br,
+        tracked: true,
+      });
+    });
+    // The parser drops ads that returned nothing before resolving, so their fallbackOnNoAd
+    // (copied from the wrapper through unwrapping) is read while it completes the response
+    let fallbackOnNoAd = true;
+    const completeWrapperResolving = parser.completeWrapperResolving.bind(parser);
+    parser.completeWrapperResolving = (vastResponse) => {
+      fallbackOnNoAd = VastPrefetcher.allowsFallbackOnNoAd(vastResponse.ads);
+      completeWrapperResolving(vastResponse);
+    };
+    
+    const requestedAt = Date.now();
+    console.log('[PREFETCH] Requesting VAST', {
+      breakId: br.breakId,
+      timeInSeconds: br.timeInSeconds,
+      inline: Boolean(source.vastDocument),
+      fallback,
+    });
+    
+    try {
+      let vastResponse = await VMAPService.requestVast(vastClient, source, this.config.VAST_TIMEOUT);
+      console.log('[PREFETCH] VAST resolved', {
+        breakId: br.breakId,
+        ads: vastResponse.ads.length,
+        ms: Date.now() - requestedAt,
+      });
+      
+      while (!VastPrefetcher.hasPodAds(vastResponse, br) && vastClient.hasRemainingAds()
+        && fallbackOnNoAd) {
+        console.log('[PREFETCH] No ad to play, trying the next ad of the response', { breakId: br.breakId });
+        vastResponse = await vastClient.getNextAds();
+      }
+      return vastResponse;
+    } catch (err) {
+      console.error('[PREFETCH] VAST request failed', { breakId: br.breakId, error: err.message });
+      const { vastCode, vmapCode } = AdErrorReporter.classifyFetchError(err);
+      this.errorReporter.report({ code: vastCode, vmapCode, message: err.message, breakInfo: br });
+      return null;
+    }
+  }
+
+  /**
+   * Checks if a VAST response has ads the break can play
+   * @param {Object} vastResponse - VAST response
+   * @param {Object} br - Ad break (allowMultipleAds)
+   * @returns {boolean} True if the response fills the break
+   */
+  static hasPodAds(vastResponse, br) {
+    return VMAPService.getPodAds(vastResponse, br.allowMultipleAds !== false).length > 0;
+  }
+
+  /**
+   * Checks the fallbackOnNoAd attribute of the resolved ads of a VAST response
+   * @param {Array<Object>} ads - Ads the parser resolved, including those that returned no ad
+   * @returns {boolean} False if the wrapper of one of them forbids using the ad buffet
+   */
+  static allowsFallbackOnNoAd(ads) {
+    return !ads.some((ad) => ad.fallbackOnNoAd === false);
+  }
+
+  /**
+   * Drops every cached response (new video)
+   */
+  reset() {
+    this.entries.clear();
+  }
+}
+
+// =============================================================================
+// SKIP POLICY
+// =============================================================================
+
+/**
+ * Decides when each ad of a pod can be skipped
+ * A VAST ad without skipoffset must play in full; publisher rules (CONFIG.SKIP_RULES)
+ * can forbid skipping or make skip available earlier, the first matching rule wins
+ * Rule fields: name, positions ('preroll', 'midroll', 'postroll'), minPodDuration,
+ * minAdDuration and skipOffset (null never skips, otherwise the latest skip offset)
+ */
+class SkipPolicy {
+  /**
+   * @param {Array} [rules] - Publisher skip rules, in priority order
+   */
+  constructor(rules = CONFIG.SKIP_RULES) {
+    this.rules = rules || [];
+  }
+
+  /**
+   * Parses a skip offset
+   * @param {number|string|null} value - Seconds, "25%", "HH:MM:SS(.mmm)" or ISO 8601 ("PT5S")
+   * @param {number} duration - Ad duration, for percentages
+   * @returns {number|null} Seconds, or null if the value is absent or unparseable
+   */
+  static parseOffset(value, duration) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+    
+    const text = String(value).trim();
+    const percent = text.match(/^(\d+(?:\.\d+)?)%$/);
+    if (percent) return duration > 0 ? duration * Math.min(parseFloat(percent[1]), 100) / 100 : null;
+    
+    const clock = text.match(/^(\d+):([0-5]\d):([0-5]\d(?:\.\d+)?)$/);
+    if (clock) return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + parseFloat(clock[3]);
+    
+    if (/^\d+(?:\.\d+)?$/.test(text)) return parseFloat(text);
+    return MediaTailorSession.parseIsoDuration(text);
+  }
+
+  /**
+   * Checks if a rule applies to an ad
+   * @param {Object} rule - Publisher skip rule
+   * @param {Object} context - { position, podDuration, duration }
+   * @returns {boolean} True if every condition of the rule holds
+   */
+  static matches(rule, { position, podDuration, duration }) {
+    if (rule.positions && !rule.positions.includes(position)) return false;
+    if (rule.minPodDuration != null && !(podDuration > rule.minPodDuration)) return false;
+    if (rule.minAdDuration != null && !(duration > rule.minAdDuration)) return false;
+    return true;
+  }
+
+  /**
+   * Resolves the skip offset of an ad
+   * @param {number|string|null} adSkipOffset - Skip offset from the ad (VAST skipoffset or tracking data), null if absent
+   * @param {Object} context - { position, podDuration, duration } of the ad
+   * @returns {Object} { skipOffset, skipRule }: skipOffset is null for non-skippable ads, skipRule names the
+   *   publisher rule that applied, 'vast' for the ad's own offset or 'non-skippable' when the ad sets none
+   */
+  resolve(adSkipOffset, context) {
+    const own = SkipPolicy.parseOffset(adSkipOffset, context.duration);
+    if (adSkipOffset != null && own == null) {
+      console.warn('[SKIP] Ignoring invalid skip offset', adSkipOffset);
+    }
+    
+    let skipOffset = own;
+    let skipRule = own == null ? 'non-skippable' : 'vast';
+    const index = this.rules.findIndex((rule) => SkipPolicy.matches(rule, context));
+    if (index !== -1) {
+      const rule = this.rules[index];
+      const forced = SkipPolicy.parseOffset(rule.skipOffset, context.duration);
+      skipRule = rule.name || `rule_${index}`;
+      // A forced offset only brings skip forward
+      skipOffset = forced == null ? null : Math.min(forced, own == null ? Infinity : own);
+    }
+    
+    // Skip available only at or after the end is no skip
+    if (skipOffset != null && context.duration > 0 && skipOffset >= context.duration) {
+      skipOffset = null;
+    }
+    return { skipOffset, skipRule };
+  }
+}
+
+// =============================================================================
+// VIEWABILITY
+// =============================================================================
+
+/**
+ * Measures whether each ad is viewable by the MRC video standard: VIEWABLE_AREA of the
+ * player's pixels on screen for VIEWABLE_DURATION seconds of continuous playback
+ * Position on screen comes from an IntersectionObserver on the player element, tab
+ * visibility from the Page Visibility API; without an observer the result is undetermined
+ */
+class ViewabilityMonitor {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.observer = null;
+    this.intersectionRatio = null;
+    this.measurement = null;
+    this.handleVisibilityChange = () => {
+      if (!this.isInView()) this.interrupt();
+    };
+  }
+
+  /**
+   * Starts observing the element ads play in
+   * @param {Element|null} element - Player element
+   */
+  observe(element) {
+    this.disconnect();
+    if (!element || typeof IntersectionObserver === 'undefined') {
+      console.warn('[VIEWABILITY] IntersectionObserver unavailable, viewability is undetermined');
+      return;
+    }
+    
+    this.observer = new IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+      this.intersectionRatio = entry.isIntersecting ? entry.intersectionRatio : 0;
+      if (!this.isInView()) this.interrupt();
+    }, { threshold: [0, this.config.VIEWABLE_AREA, 1] });
+    this.observer.observe(element);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * Checks if the position of the player on screen is known
+   * @returns {boolean} True once the observer has reported
+   */
+  isMeasurable() {
+    return this.observer !== null && this.intersectionRatio !== null;
+  }
+
+  /**
+   * Checks if the page is in the foreground
+   * @returns {boolean} False in a background tab or a minimized window
+   */
+  static isPageVisible() {
+    return document.visibilityState !== 'hidden';
+  }
+
+  /**
+   * Checks if enough of the player is on screen, in a visible page
+   * @returns {boolean} True if in view
+   */
+  isInView() {
+    return this.isMeasurable() && ViewabilityMonitor.isPageVisible()
+      && this.intersectionRatio >= this.config.VIEWABLE_AREA;
+  }
+
+  /**
+   * Starts measuring a new ad
+   */
+  start() {
+    this.measurement = { state: 'measuring', inViewTime: 0, lastElapsed: 0, measured: this.isMeasurable() };
+  }
+
+  /**
+   * Breaks the continuous in-view time (player scrolled out of view, tab hidden)
+   */
+  interrupt() {
+    if (!this.measurement) return;
+    this.measurement.inViewTime = 0;
+    // Time played until the next update was not in view
+    this.measurement.lastElapsed = null;
+  }
+
+  /**
+   * Adds the playback since the last update to the continuous in-view time
+   * @param {number} elapsed - Seconds elapsed in the current ad
+   * @returns {boolean} True when the ad has just become viewable
+   */
+  update(elapsed) {
+    const m = this.measurement;
+    if (!m || m.state !== 'measuring') return false;
+    
+    const delta = m.lastElapsed == null ? 0 : elapsed - m.lastElapsed;
+    m.lastElapsed = elapsed;
+    m.measured = m.measured || this.isMeasurable();
+    if (!this.isInView()) {
+      m.inViewTime = 0;
+      return false;
+    }
+    
+    // Paused ads and seeks back do not add time
+    m.inViewTime += Math.max(0, delta);
+    if (m.inViewTime < this.config.VIEWABLE_DURATION) return false;
+    m.state = 'viewable';
+    return true;
+  }
+
+  /**
+   * Ends the measurement of the current ad
+   * @returns {string|null} 'notViewable' or 'viewUndetermined' (never measurable), null if already viewable
+   */
+  finish() {
+    const m = this.measurement;
+    if (!m || m.state !== 'measuring') return null;
+    m.state = m.measured ? 'notViewable' : 'viewUndetermined';
+    return m.state;
+  }
+
+  /**
+   * Gets the viewability of the current ad
+   * @returns {ViewabilityState} Viewability state
+   */
+  getState() {
+    const m = this.measurement;
+    return {
+      state: m ? m.state : null,
+      measurable: this.isMeasurable(),
+      inView: this.isInView(),
+      intersectionRatio: this.intersectionRatio,
+      pageVisible: ViewabilityMonitor.isPageVisible(),
+      inViewTime: m ? m.inViewTime : 0,
+    };
+  }
+
+  /**
+   * Forgets the ad measurement (break ended)
+   */
+  reset() {
+    this.measurement = null;
+  }
+
+  /**
+   * Stops observing the player element
+   */
+  disconnect() {
+    if (!this.observer) return;
+    this.observer.disconnect();
+    this.observer = null;
+    this.intersectionRatio = null;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
+
+// =============================================================================
+// AD VERIFICATION
+// =============================================================================
+
+/**
+ * Runs one verification script (VAST <AdVerifications>) in a hidden sandboxed iframe
+ * The iframe may only run scripts, without access to the page: a bridge script inside it
+ * provides an OmidVerificationClient-compatible API and receives the ad session events
+ * over a MessageChannel
+ * This is not the OM SDK service: vendor scripts that bundle their own verification client
+ * and wait for the OM SDK service messages never receive events. Only scripts using the
+ * global OmidVerificationClient (like mock/omid-verification-stub.js) are measured
+ */
+class VerificationSandbox {
+  constructor(resource, config = CONFIG) {
+    this.resource = resource;
+    this.config = config;
+    this.iframe = null;
+    this.channel = null;
+    this.loaded = false;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Creates the iframe and loads the verification script in it
+   * @returns {Promise<boolean>} Resolves once the script has run, with true if it registered a
+   *   session observer on the bridge client; rejects on a load error or timeout
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      const timeout = this.config.VERIFICATION_TIMEOUT;
+      this.timer = setTimeout(() => reject(new Error(`Verification script timed out after ${timeout} ms`)), timeout);
+      
+      this.channel = new MessageChannel();
+      this.channel.port1.onmessage = ({ data }) => {
+        clearTimeout(this.timer);
+        if (data.status !== 'loaded') {
+          reject(new Error(`Verification script failed to load: ${this.resource}`));
+          return;
+        }
+        this.loaded = true;
+        this.queue.splice(0).forEach((event) => this.channel.port1.postMessage(event));
+        resolve(data.observed);
+      };
+      
+      // JSON inside an inline script must not close the <script> element
+      const resource = JSON.stringify(this.resource).replace(/</g, '\\u003c');
+      const iframe = document.createElement('iframe');
+      iframe.setAttribute('sandbox', 'allow-scripts');
+      iframe.setAttribute('aria-hidden', 'true');
+      iframe.title = 'Ad verification';
+      iframe.style.display = 'none';
+      iframe.srcdoc = `<!DOCTYPE html><script>(${VerificationSandbox.BRIDGE})(${resource});</script>`;
+      iframe.addEventListener('load', () => {
+        iframe.contentWindow.postMessage({ omidBridge: true }, '*', [this.channel.port2]);
+      }, { once: true });
+      this.iframe = iframe;
+      document.body.appendChild(iframe);
+    });
+  }
+
+  /**
+   * Delivers an event to the verification script, once it has loaded
+   * @param {Object} event - OM event { adSessionId, timestamp, type, data }
+   */
+  post(event) {
+    if (this.loaded) {
+      this.channel.port1.postMessage(event);
+    } else {
+      this.queue.push(event);
+    }
+  }
+
+  /**
+   * Removes the iframe and closes the channel
+   */
+  dispose() {
+    clearTimeout(this.timer);
+    if (this.channel) this.channel.port1.close();
+    if (this.iframe) this.iframe.remove();
+    this.channel = null;
+    this.iframe = null;
+    this.queue = [];
+  }
+}
+
+/**
+ * Bridge script of the sandbox iframe, serialized into its srcdoc: it must not use anything
+ * from outside its own body
+ * Waits for the player's message port, loads the verification script, then hands session
+ * events to the registered session observers and the other events to their listeners
+ * The load message tells whether the script registered an observer, i.e. used this client
+ * @param {string} resource - Verification script URL
+ */
+VerificationSandbox.BRIDGE = function omidVerificationBridge(resource) {
+  const observers = [];
+  const listeners = {};
+  
+  window.OmidVerificationClient = class OmidVerificationClient {
+    isSupported() {
+      return true;
+    }
+    
+    registerSessionObserver(observer) {
+      observers.push(observer);
+    }
+    
+    addEventListener(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    }
+    
+    sendUrl(url) {
+      new Image().src = url;
+    }
+  };
+  
+  window.addEventListener('message', (message) => {
+    const port = message.ports && message.ports[0];
+    if (!port || !message.data || !message.data.omidBridge) return;
+    
+    port.onmessage = ({ data: event }) => {
+      const isSessionEvent = ['sessionStart', 'sessionError', 'sessionFinish'].includes(event.type);
+      (isSessionEvent ? observers : listeners[event.type] || []).forEach((callback) => {
+        try {
+          callback(event);
+        } catch (err) {
+          console.error('[VERIFICATION] Script error', err);
+        }
+      });
+    };
+    
+    const script = document.createElement('script');
+    script.src = resource;
+    script.onload = () => port.postMessage({ status: 'loaded', observed: observers.length > 0 });
+    script.onerror = () => port.postMessage({ status: 'error' });
+    document.head.appendChild(script);
+  });
+};
+
+/**
+ * Runs the VAST <AdVerifications> of each ad: every vendor's script gets its own
+ * VerificationSandbox and the ad session events the player reports, vendors that cannot
+ * run get their verificationNotExecuted URLs fired with the [REASON] code
+ */
+class AdVerificationManager {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.session = null;
+  }
+
+  /**
+   * Checks if a verification can run in this player
+   * @param {Object} verification - Verification parsed by the VAST client
+   * @param {Array<string>|null} vendors - Vendors allowed to run (VERIFICATION_VENDORS), null for any
+   * @returns {number|null} verificationNotExecuted reason code, null if the verification can run
+   */
+  static getRejectionReason(verification, vendors) {
+    // Executable resources (with a type) are for native players
+    const isOmidScript = verification.resource && !verification.type
+      && String(verification.apiFramework).toLowerCase() === 'omid';
+    if (!isOmidScript) return AdVerificationManager.REASONS.notSupported;
+    if (vendors && !vendors.includes(verification.vendor)) return AdVerificationManager.REASONS.rejected;
+    return null;
+  }
+
+  /**
+   * Starts the verification session of an ad, ending the previous one
+   * @param {Object} podAd - Pod ad, with the verifications of its vastAd
+   * @param {VASTTracker} vastTracker - Tracker of the ad, fires verificationNotExecuted
+   * @param {Object} context - { position, volume } of the ad
+   */
+  start(podAd, vastTracker, { position, volume }) {
+    this.finish();
+    const verifications = (podAd.vastAd && podAd.vastAd.adVerifications) || [];
+    if (!verifications.length) return;
+    
+    const session = {
+      id: `${podAd.adId}_${Date.now()}`,
+      podAd,
+      vastTracker,
+      vendors: [],
+      quartile: 0,
+      loading: [],
+    };
+    this.session = session;
+    
+    verifications.forEach((verification) => {
+      const vendor = { vendor: verification.vendor || null, status: 'loading', reason: null, sandbox: null };
+      session.vendors.push(vendor);
+      
+      const reason = AdVerificationManager.getRejectionReason(verification, this.config.VERIFICATION_VENDORS);
+      if (reason) {
+        this.reportNotExecuted(session, vendor, reason);
+        return;
+      }
+      
+      vendor.sandbox = new VerificationSandbox(verification.resource, this.config);
+      session.loading.push(vendor.sandbox.load().then(
+        (observed) => {
+          if (observed) {
+            vendor.status = 'running';
+            return;
+          }
+          // The script brought its own OM client, which waits for an OM SDK service this player does not provide
+          console.warn('[VERIFICATION] Script did not use the player verification client', { vendor: vendor.vendor });
+          vendor.sandbox.dispose();
+          vendor.sandbox = null;
+          this.reportNotExecuted(session, vendor, AdVerificationManager.REASONS.notSupported);
+        },
+        (err) => {
+          console.warn('[VERIFICATION] Script not executed', { vendor: vendor.vendor, error: err.message });
+          vendor.sandbox.dispose();
+          vendor.sandbox = null;
+          this.reportNotExecuted(session, vendor, AdVerificationManager.REASONS.loadError);
+        }
+      ));
+      vendor.sandbox.post(this.createEvent(session, 'sessionStart', {
+        context: AdVerificationManager.CONTEXT,
+        verificationParameters: verification.parameters || null,
+      }));
+    });
+    
+    console.log('[VERIFICATION] Session started', { adId: podAd.adId, vendors: session.vendors.map((v) => v.vendor) });
+    this.track('impression', { mediaType: 'video', creativeType: 'video', impressionType: 'beginToRender' });
+    this.track('loaded', {
+      skippable: podAd.skipOffset != null,
+      skipOffset: podAd.skipOffset,
+      autoPlay: true,
+      position,
+    });
+    this.track('start', { duration: podAd.duration, mediaPlayerVolume: volume, deviceVolume: null });
+  }
+
+  /**
+   * Builds an OM event of the session
+   * @param {Object} session - Verification session
+   * @param {string} type - Event type
+   * @param {Object} [data] - Event data
+   * @returns {Object} { adSessionId, timestamp, type, data }
+   */
+  createEvent(session, type, data) {
+    return { adSessionId: session.id, timestamp: Date.now(), type, ...(data ? { data } : {}) };
+  }
+
+  /**
+   * Delivers an event to the verification scripts of the current ad
+   * @param {string} type - OM event type (pause, volumeChange, adUserInteraction, ...)
+   * @param {Object} [data] - Event data
+   */
+  track(type, data) {
+    const session = this.session;
+    if (!session) return;
+    
+    const event = this.createEvent(session, type, data);
+    session.vendors.forEach(({ sandbox }) => sandbox && sandbox.post(event));
+  }
+
+  /**
+   * Delivers the quartiles the ad has reached
+   * @param {number} elapsed - Seconds elapsed in the current ad
+   */
+  setProgress(elapsed) {
+    const session = this.session;
+    if (!session) return;
+    
+    const { duration } = session.podAd;
+    while (session.quartile < AdBreakManager.QUARTILES.length && elapsed >= duration * (session.quartile + 1) / 4) {
+      this.track(AdBreakManager.QUARTILES[session.quartile]);
+      session.quartile++;
+    }
+  }
+
+  /**
+   * Fires the verificationNotExecuted URLs of a vendor
+   * @param {Object} session - Verification session
+   * @param {Object} vendor - Vendor entry of the session
+   * @param {number} reason - Reason code (see AdVerificationManager.REASONS)
+   */
+  reportNotExecuted(session, vendor, reason) {
+    Object.assign(vendor, { status: 'notExecuted', reason });
+    console.log('[VERIFICATION] verificationNotExecuted', { vendor: vendor.vendor, reason });
+    // The VAST client finds the tracking URLs by vendor
+    if (vendor.vendor) session.vastTracker.verificationNotExecuted(vendor.vendor, { REASON: reason });
+  }
+
+  /**
+   * Waits until the verification scripts of the current ad have loaded or failed
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (this.session) await Promise.all(this.session.loading);
+  }
+
+  /**
+   * Gets the verification vendors of the current ad
+   * @returns {Array} { vendor, status ('loading', 'running' or 'notExecuted'), reason }
+   */
+  getState() {
+    return this.session ? this.session.vendors.map(({ vendor, status, reason }) => ({ vendor, status, reason })) : [];
+  }
+
+  /**
+   * Ends the session of the current ad
+   * Sandboxes stay a moment so the scripts can handle sessionFinish and send their last beacons
+   */
+  finish() {
+    const session = this.session;
+    if (!session) return;
+    
+    this.track('sessionFinish');
+    this.session = null;
+    const sandboxes = session.vendors.map((vendor) => vendor.sandbox).filter(Boolean);
+    if (sandboxes.length) {
+      setTimeout(() => sandboxes.forEach((sandbox) => sandbox.dispose()), AdVerificationManager.FINISH_DELAY);
+    }
+  }
+}
+
+/** verificationNotExecuted [REASON] codes (VAST 4.1) */
+AdVerificationManager.REASONS = { rejected: 1, notSupported: 2, loadError: 3 };
+
+/** Milliseconds sandboxes outlive their session */
+AdVerificationManager.FINISH_DELAY = 1000;
+
+/** Context of sessionStart: a web player running scripts without access to the page */
+AdVerificationManager.CONTEXT = {
+  apiVersion: '1.0',
+  environment: 'web',
+  accessMode: 'limited',
+  adSessionType: 'html',
+  supports: [],
+};
+
+// =============================================================================
+// AD TRACKER
+// =============================================================================
+
+/**
+ * Handles VAST tracking events (impressions, clicks, quartiles)
+ * Wraps the VASTTracker library with application-specific logic
+ * Tracks each ad of a pod with its own VASTTracker
+ */
+class AdTracker {
+  constructor(errorReporter, macroResolver, prefetcher, config = CONFIG) {
+    this.errorReporter = errorReporter;
+    this.macroResolver = macroResolver;
+    this.prefetcher = prefetcher;
+    this.config = config;
+    this.skipPolicy = new SkipPolicy(config.SKIP_RULES);
+    this.verifications = new AdVerificationManager(config);
+    this.vastTracker = null;
+    this.breakInfo = null;
+    this.podAds = [];
+    this.currentAdIndex = -1;
+    this.sessionEvents = null;
+    this.companionTrackers = new WeakMap();
+    this.player = null;
+    this.playerHandlers = null;
+    this.playerState = {};
+    this.adProgress = 0;
+  }
+
+  /**
+   * Gets the volume ads play at
+   * @param {Object} player - Video.js player
+   * @returns {number} Volume from 0 to 1, 0 when muted
+   */
+  static getPlayerVolume(player) {
+    return player.muted() ? 0 : player.volume();
+  }
+
+  /**
+   * Fires beacon URLs with macros resolved
+   * @param {Array<string>} urls - Beacon URLs
+   * @param {string} [source='session'] - What fires the beacons, for the inspector
+   */
+  pingBeacons(urls, source = 'session') {
+    this.macroResolver.ping(urls, source);
+  }
+
+  /**
+   * Initializes tracking for an ad break
+   * Resolves the ordered list of ads in the pod; tracking starts per ad with startAd()
+   * Breaks from a MediaTailor session carry their own ads; others use their prefetched VAST
+   * @param {Object} breakInfo - Ad break information with vastUrl or session ads
+   * @returns {Object|null} Pod metadata (ads, duration, clickThrough, skipOffset), or null
+   *   if there are no ads or the VAST has not been resolved yet (see loadVast())
+   */
+  initialize(breakInfo) {
+    this.reset();
+    this.breakInfo = breakInfo;
+    this.macroResolver.update({ breakPosition: MacroResolver.getBreakPosition(breakInfo) });
+
+    if (VMAPService.hasAdSource(breakInfo)) {
+      const vastResponse = this.prefetcher.get(breakInfo);
+      return vastResponse ? this.initializeVast(breakInfo, vastResponse) : null;
+    }
+    if (breakInfo.ads && breakInfo.ads.length) {
+      return this.initializeSession(breakInfo);
+    }
+
+    console.warn('[TRACKER] No VAST URL available');
+    return null;
+  }
+
+  /**
+   * Waits for the VAST of the initialized break when it was not prefetched in time
+   * @param {Object} breakInfo - Ad break passed to initialize()
+   * @returns {Promise<Object|null>} Pod metadata, or null if the request failed or another break started
+   */
+  async loadVast(breakInfo) {
+    const vastResponse = await this.prefetcher.load(breakInfo);
+    if (!vastResponse || this.breakInfo !== breakInfo) return null;
+    return this.initializeVast(breakInfo, vastResponse);
+  }
+
+  /**
+   * Builds the pod from the ads of a VAST response
+   * @param {Object} breakInfo - Ad break with vastUrl
+   * @param {Object} vastResponse - Resolved VAST response
+   * @returns {Object|null} Pod metadata or null
+   */
+  initializeVast(breakInfo, vastResponse) {
+    const podAds = VMAPService.getPodAds(vastResponse, breakInfo.allowMultipleAds !== false);
+    if (!podAds.length) {
+      // Empty responses were reported (303) by the VAST client; the remaining ads have no linear creative
+      vastResponse.ads.forEach((ad) => this.errorReporter.report({ code: 201, ad, breakInfo }));
+      return null;
+    }
+      
+    // Ads play back to back, so each offset is the sum of the previous durations
+    let offset = 0;
+    this.podAds = podAds.map(({ ad, creative }, i) => {
+      const duration = creative.duration || this.config.DEFAULT_AD_DURATION;
+      const podAd = {
+        adId: ad.id || `ad_${i}`,
+        sequence: Number(ad.sequence) || i + 1,
+        offset,
+        duration,
+        skipOffset: creative.skipDelay,
+        clickThrough: VMAPService.getClickThrough(creative),
+        companions: VMAPService.getCompanions(ad),
+        vastAd: ad,
+        creative,
+      };
+      offset += duration;
+      return podAd;
+    });
+    
+    this.applySkipPolicy(breakInfo);
+    return this.getPodMetadata();
+  }
+
+  /**
+   * Builds the pod from MediaTailor session tracking data
+   * @param {Object} breakInfo - Ad break built by MediaTailorSession.buildAdBreakList()
+   * @returns {Object} Pod metadata
+   */
+  initializeSession(breakInfo) {
+    this.podAds = breakInfo.ads.map((ad) => ({ ...ad }));
+    this.applySkipPolicy(breakInfo);
+    return this.getPodMetadata();
+  }
+
+  /**
+   * Sets the skip offset the skip policy allows on each pod ad
+   * The ad's own offset is kept as adSkipOffset, so a pod initialized again resolves the same way
+   * @param {Object} breakInfo - Ad break of the pod
+   */
+  applySkipPolicy(breakInfo) {
+    const last = this.podAds[this.podAds.length - 1];
+    const context = {
+      position: AdBreakManager.BREAK_POSITIONS[MacroResolver.getBreakPosition(breakInfo)],
+      podDuration: last.offset + last.duration,
+    };
+    this.podAds.forEach((ad) => {
+      const adSkipOffset = ad.adSkipOffset !== undefined ? ad.adSkipOffset : ad.skipOffset;
+      Object.assign(ad, { adSkipOffset }, this.skipPolicy.resolve(adSkipOffset, { ...context, duration: ad.duration }));
+    });
+  }
+
+  /**
+   * Summarizes the current pod
+   * @returns {Object} Pod metadata (ads, duration, clickThrough, skipOffset)
+   */
+  getPodMetadata() {
+    const first = this.podAds[0];
+    const last = this.podAds[this.podAds.length - 1];
+    const metadata = {
+      ads: this.podAds,
+      duration: last.offset + last.duration,
+      clickThrough: first.clickThrough,
+      skipOffset: first.skipOffset,
+    };
+    
+    console.log('[TRACKER] Initialized', {
+      ads: this.podAds.map((ad) => ({
+        id: ad.adId,
+        sequence: ad.sequence,
+        duration: ad.duration,
+        skipOffset: ad.skipOffset,
+        skipRule: ad.skipRule,
+      })),
+      duration: metadata.duration,
+    });
+    return metadata;
+  }
+
+  /**
+   * Sets the Video.js player whose events are tracked during ads
+   * @param {Object|null} player - Player playing the ads, null when ads play elsewhere
+   */
+  setPlayer(player) {
+    this.unsubscribePlayer();
+    this.player = player;
+  }
+
+  /**
+   * Forwards player interactions to the tracker while an ad is active
+   */
+  subscribePlayer() {
+    if (!this.player || this.playerHandlers) return;
+    const player = this.player;
+    
+    this.playerHandlers = {
+      pause: () => this.setPlayerState('paused', true),
+      play: () => this.setPlayerState('paused', false),
+      volumechange: () => {
+        this.setPlayerState('muted', player.muted() || player.volume() === 0);
+        this.verifications.track('volumeChange', { mediaPlayerVolume: AdTracker.getPlayerVolume(player) });
+      },
+      fullscreenchange: () => {
+        this.setPlayerState('fullscreen', player.isFullscreen());
+        this.setPlayerState('expanded', player.isFullscreen());
+      },
+    };
+    Object.entries(this.playerHandlers).forEach(([event, handler]) => player.on(event, handler));
+  }
+
+  /**
+   * Stops forwarding player interactions
+   */
+  unsubscribePlayer() {
+    if (!this.player || !this.playerHandlers) return;
+    Object.entries(this.playerHandlers).forEach(([event, handler]) => this.player.off(event, handler));
+    this.playerHandlers = null;
+  }
+
+  /**
+   * Records a player state change and fires its tracking event
+   * @param {string} state - 'paused', 'muted', 'fullscreen' or 'expanded'
+   * @param {boolean} value - New state
+   */
+  setPlayerState(state, value) {
+    if (!this.isActive() || this.playerState[state] === value) return;
+    this.playerState[state] = value;
+    
+    const { on, off, setter } = AdTracker.PLAYER_STATE_EVENTS[state];
+    const eventType = value ? on : off;
+    console.log('[TRACKER] Player event', eventType);
+    
+    if (state === 'paused') {
+      this.verifications.track(value ? 'pause' : 'resume');
+    } else if (state === 'fullscreen') {
+      this.verifications.track('playerStateChange', { state: value ? 'fullscreen' : 'normal' });
+    }
+    
+    if (this.vastTracker) {
+      this.vastTracker[setter](value);
+    } else {
+      // Interaction beacons fire on every interaction, like clicks
+      this.sessionEvents
+        .filter((ev) => ev.eventType === eventType)
+        .forEach((ev) => this.pingBeacons(ev.beaconUrls));
+    }
+  }
+
+  /**
+   * Starts tracking an ad of the pod with a fresh tracker
+   * @param {number} index - Index of the ad in the pod
+   */
+  startAd(index) {
+    const podAd = this.podAds[index];
+    if (!podAd) return;
+    
+    this.currentAdIndex = index;
+    this.vastTracker = null;
+    this.sessionEvents = null;
+    this.adProgress = 0;
+    this.macroResolver.update({ adPlayhead: 0 });
+    
+    // Changes are tracked relative to the state the ad started in
+    const muted = this.player ? this.player.muted() || this.player.volume() === 0 : false;
+    const fullscreen = this.player ? this.player.isFullscreen() : false;
+    this.playerState = { paused: false, muted, fullscreen, expanded: fullscreen };
+    
+    console.log('[TRACKER] Starting ad', { index, adId: podAd.adId, sequence: podAd.sequence });
+    
+    if (podAd.vastAd) {
+      this.vastTracker = this.macroResolver.attachTracker(
+        new VASTTracker(null, podAd.vastAd, podAd.creative, null, muted)
+      );
+      this.vastTracker.trackImpression();
+      this.verifications.start(podAd, this.vastTracker, {
+        position: AdBreakManager.BREAK_POSITIONS[MacroResolver.getBreakPosition(this.breakInfo)],
+        volume: this.player ? AdTracker.getPlayerVolume(this.player) : 1,
+      });
+      
+      // Time-based progress offsets only fire after the tracker has seen a first position
+      this.vastTracker.setProgress(0);
+    } else {
+      this.verifications.finish();
+      // Session events are scheduled by their offset from the start of the ad
+      this.sessionEvents = podAd.trackingEvents.map((ev) => ({
+        ...ev,
+        offset: ev.streamTime - podAd.streamStart,
+        fired: false,
+      }));
+      this.setProgress(0);
+    }
+    
+    this.subscribePlayer();
+  }
+
+  /**
+   * Gets the ad currently being tracked
+   * @returns {Object|null} Pod ad or null
+   */
+  getCurrentAd() {
+    return this.podAds[this.currentAdIndex] || null;
+  }
+
+  /**
+   * Fires session beacons that have not been fired yet
+   * @param {Function} predicate - Selects the events to fire
+   */
+  fireSessionEvents(predicate) {
+    this.sessionEvents
+      .filter((ev) => !ev.fired && predicate(ev))
+      .forEach((ev) => {
+        ev.fired = true;
+        console.log('[TRACKER] Session event', ev.eventType, { offset: ev.offset });
+        this.pingBeacons(ev.beaconUrls);
+      });
+  }
+
+  /**
+   * Updates tracker progress for quartile tracking
+   * @param {number} elapsed - Seconds elapsed in the current ad
+   */
+  setProgress(elapsed) {
+    this.adProgress = elapsed;
+    this.macroResolver.update({ adPlayhead: elapsed });
+    
+    if (this.vastTracker) {
+      this.vastTracker.setProgress(elapsed);
+      this.verifications.setProgress(elapsed);
+    } else if (this.sessionEvents) {
+      // Interaction beacons are fired on interaction, complete by trackComplete()
+      this.fireSessionEvents((ev) =>
+        !AdTracker.INTERACTION_EVENTS.includes(ev.eventType) && ev.eventType !== 'complete' && ev.offset <= elapsed
+      );
+    }
+  }
+
+  /**
+   * Tracks a skip event
+   */
+  trackSkip() {
+    if (this.vastTracker) {
+      this.vastTracker.skip();
+      this.verifications.track('skipped');
+    } else if (this.sessionEvents) {
+      this.fireSessionEvents((ev) => ev.eventType === 'skip');
+    }
+  }
+
+  /**
+   * Tracks a click event
+   * @returns {Promise<string|null>} Click-through URL if available
+   */
+  trackClick() {
+    return new Promise((resolve) => {
+      if (this.sessionEvents) {
+        this.sessionEvents
+          .filter((ev) => ev.eventType === 'clickTracking')
+          .forEach((ev) => this.pingBeacons(ev.beaconUrls));
+        resolve(this.getCurrentAd().clickThrough || null);
+        return;
+      }
+
+      if (!this.vastTracker) {
+        resolve(null);
+        return;
+      }
+      
+      this.vastTracker.once('clickthrough', (url) => {
+        console.log('[TRACKER] Click-through URL:', url);
+        resolve(url);
+      });
+      
+      this.verifications.track('adUserInteraction', { interactionType: 'click' });
+      this.vastTracker.click();
+    });
+  }
+
+  /**
+   * Fires the VAST <ViewableImpression> URLs of the current ad for its viewability result
+   * @param {string} state - 'viewable', 'notViewable' or 'viewUndetermined'
+   */
+  trackViewability(state) {
+    if (!this.vastTracker) return;
+    
+    console.log('[TRACKER] Viewability', state, { adId: this.getCurrentAd().adId });
+    const method = AdTracker.VIEWABILITY_TRACKERS[state];
+    this.vastTracker[method]({}, true);
+  }
+
+  /**
+   * Fires the VMAP tracking URLs of a break event
+   * @param {Object} breakInfo - Ad break
+   * @param {string} event - breakStart or breakEnd
+   */
+  trackBreak(breakInfo, event) {
+    this.macroResolver.trackBreak(breakInfo, event);
+  }
+
+  /**
+   * Fires creativeView for a rendered companion banner
+   * Companions keep their own tracker so clicks still track after the ad ends
+   * @param {Object} podAd - Pod ad the companion belongs to
+   * @param {Object} companion - { creative, variation } companion
+   */
+  trackCompanionView(podAd, companion) {
+    if (!podAd.vastAd) return;
+    
+    const tracker = this.macroResolver.attachTracker(
+      new VASTTracker(null, podAd.vastAd, companion.creative, companion.variation)
+    );
+    this.companionTrackers.set(companion, tracker);
+    tracker.track('creativeView', { once: true });
+  }
+
+  /**
+   * Tracks a click on a companion banner
+   * @param {Object} companion - { creative, variation } companion
+   * @returns {Promise<string|null>} Companion click-through URL if available
+   */
+  trackCompanionClick(companion) {
+    return new Promise((resolve) => {
+      const tracker = this.companionTrackers.get(companion);
+      if (!tracker) {
+        resolve(null);
+        return;
+      }
+      
+      // No click-through event is emitted without a click-through URL
+      if (!companion.variation.companionClickThroughURLTemplate) {
+        tracker.click();
+        resolve(null);
+        return;
+      }
+      
+      tracker.once('clickthrough', resolve);
+      tracker.click();
+    });
+  }
+
+  /**
+   * Tracks completion of the current ad
+   * Only fires if playback actually reached the end of the ad
+   * @returns {boolean} True if complete was tracked
+   */
+  trackComplete() {
+    const podAd = this.getCurrentAd();
+    if (!podAd || this.adProgress < podAd.duration - this.config.COMPLETE_TOLERANCE) {
+      if (podAd) {
+        console.log('[TRACKER] Ad left before its end, no complete', {
+          adId: podAd.adId,
+          progress: this.adProgress,
+          duration: podAd.duration,
+        });
+      }
+      return false;
+    }
+    
+    if (this.vastTracker) {
+      this.vastTracker.complete();
+      this.verifications.track('complete');
+    } else if (this.sessionEvents) {
+      this.fireSessionEvents((ev) => ev.eventType === 'complete');
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Tracks the player or page being closed during the current ad
+   */
+  trackClose() {
+    if (this.vastTracker) {
+      this.vastTracker.close();
+    } else if (this.sessionEvents) {
+      this.fireSessionEvents((ev) => ev.eventType === 'closeLinear' || ev.eventType === 'close');
+    }
+  }
+
+  /**
+   * Resets the tracker
+   */
+  reset() {
+    this.unsubscribePlayer();
+    this.verifications.finish();
+    this.vastTracker = null;
+    this.sessionEvents = null;
+    this.podAds = [];
+    this.currentAdIndex = -1;
+    this.macroResolver.update({ adPlayhead: null, breakPosition: null });
+  }
+
+  /**
+   * Checks if tracker is active
+   * @returns {boolean} True if an ad is being tracked
+   */
+  isActive() {
+    return this.vastTracker !== null || this.sessionEvents !== null;
+  }
+}
+
+/** Tracking events and VASTTracker setters for each player state */
+AdTracker.PLAYER_STATE_EVENTS = {
+  paused: { on: 'pause', off: 'resume', setter: 'setPaused' },
+  muted: { on: 'mute', off: 'unmute', setter: 'setMuted' },
+  fullscreen: { on: 'fullscreen', off: 'exitFullscreen', setter: 'setFullscreen' },
+  expanded: { on: 'playerExpand', off: 'playerCollapse', setter: 'setExpand' },
+};
+
+/** VASTTracker methods firing the <ViewableImpression> URLs of each viewability result */
+AdTracker.VIEWABILITY_TRACKERS = {
+  viewable: 'trackViewableImpression',
+  notViewable: 'trackNotViewableImpression',
+  viewUndetermined: 'trackUndeterminedImpression',
+};
+
+/** Session tracking events fired by viewer interaction rather than by playback time */
+AdTracker.INTERACTION_EVENTS = [
+  'clickTracking', 'skip', 'close', 'closeLinear',
+  ...Object.values(AdTracker.PLAYER_STATE_EVENTS).flatMap(({ on, off }) => [on, off]),
+];
+
+// =============================================================================
+// AD BREAK MANAGER
+// =============================================================================
+
+/**
+ * Manages ad break scheduling, detection, and playback coordination
+ * Handles MediaTailor server-side ad stitching
+ */
+class AdBreakManager {
+  constructor(overlayController, tracker, events, config = CONFIG) {
+    this.overlayController = overlayController;
+    this.tracker = tracker;
+    this.events = events;
+    this.config = config;
+    this.adBreaks = [];
+    this.vmapBreaks = [];
+    this.cueBreaks = [];
+    this.currentAdBreak = null;
+    this.isInAdBreak = false;
+    this.currentAdIndex = -1;
+    this.currentAdSkipped = false;
+    this.currentAdQuartile = 0;
+    this.currentAdElapsed = 0;
+    this.watchedBreakIds = new Set();
+    this.stitched = true;
+    this.live = false;
+    this.viewability = new ViewabilityMonitor(config);
+  }
+
+  /**
+   * Sets whether ads are stitched into the content stream
+   * Client-side ads are played separately and have no stream range
+   * @param {boolean} stitched - False in client-side ad insertion mode
+   */
+  setStitched(stitched) {
+    this.stitched = stitched;
+  }
+
+  /**
+   * Sets whether the stream is live
+   * Live ads replace content, so break times are stream times with no earlier ads to add
+   * @param {boolean} live - True for live and DVR streams
+   */
+  setLive(live) {
+    this.live = live;
+  }
+
+  /**
+   * Checks if the stream is live
+   * @returns {boolean} True for live and DVR streams
+   */
+  isLive() {
+    return this.live;
+  }
+
+  /**
+   * Sets the list of ad breaks from VMAP
+   * @param {Array} adBreaks - Array of ad break objects
+   */
+  setAdBreaks(adBreaks) {
+    this.vmapBreaks = adBreaks;
+    this.reconcileBreaks();
+  }
+
+  /**
+   * Sets the ad boundaries signalled by manifest cue tags
+   * Cue boundaries are authoritative; VMAP breaks only contribute VAST metadata
+   * @param {Array} cueBreaks - Cue breaks from HLSCueParser.parsePlaylist()
+   */
+  setCueBreaks(cueBreaks) {
+    this.cueBreaks = this.live ? this.mergeLiveCues(cueBreaks) : cueBreaks;
+    this.reconcileBreaks();
+  }
+
+  /**
+   * Merges the cues of a refreshed live playlist with the cues already known
+   * A cue keeps its ID while it is in the playlist, and cues whose CUE-OUT left the
+   * playlist are kept until pruneBreaks() drops them
+   * @param {Array} cueBreaks - Cue breaks of the current playlist window
+   * @returns {Array} Known cues, sorted by stream time
+   */
+  mergeLiveCues(cueBreaks) {
+    const overlaps = (a, b) => a.streamStart < b.streamEnd && b.streamStart < a.streamEnd;
+
+    const merged = cueBreaks.map((cue) => {
+      const known = this.cueBreaks.find((k) => overlaps(k, cue));
+      // Playlist indexes shift as the window slides, so new cues are named after their start
+      const cueId = known ? known.cueId : (cue.id || `cue_${Math.round(cue.streamStart)}`);
+      return { ...cue, cueId };
+    });
+
+    this.cueBreaks.forEach((known) => {
+      if (!merged.some((cue) => overlaps(cue, known))) merged.push(known);
+    });
+
+    return merged.sort((a, b) => a.streamStart - b.streamStart);
+  }
+
+  /**
+   * Adds the breaks of a refreshed live schedule
+   * Breaks already known keep their state, so an active break is not restarted
+   * @param {Array} adBreaks - Breaks from VMAPService.buildLiveAdBreakList()
+   * @returns {Array} Breaks that were not known yet
+   */
+  mergeAdBreaks(adBreaks) {
+    const added = adBreaks.filter((br) => !this.vmapBreaks.some((known) => known.breakId === br.breakId));
+    if (added.length === 0) return added;
+
+    this.vmapBreaks = [...this.vmapBreaks, ...added].sort((a, b) => a.timeInSeconds - b.timeInSeconds);
+    this.reconcileBreaks();
+    return added;
+  }
+
+  /**
+   * Moves live schedule breaks to the stream time of their wall-clock date
+   * The mapping improves as the playlist reaches the break's EXT-X-PROGRAM-DATE-TIME
+   * @param {Function} dateToStreamTime - Maps a date to stream time (LiveWindow)
+   */
+  relocateLiveBreaks(dateToStreamTime) {
+    let moved = false;
+    this.vmapBreaks.forEach((br) => {
+      if (br.programDateTime == null || br === this.currentAdBreak) return;
+      const time = dateToStreamTime(br.programDateTime);
+      if (time == null || Math.abs(time - br.timeInSeconds) < 0.5) return;
+      br.timeInSeconds = time;
+      br.timeOffset = VMAPService.formatTimeOffset(time);
+      moved = true;
+    });
+    if (moved) this.reconcileBreaks();
+  }
+
+  /**
+   * Drops breaks that ended before the start of the live window
+   * @param {number} windowStart - Stream time of the oldest segment in the playlist
+   * @returns {Array} IDs of the dropped breaks
+   */
+  pruneBreaks(windowStart) {
+    const ended = (br) => {
+      if (br === this.currentAdBreak) return false;
+      const range = this.getBreakStreamRange(br);
+      const end = range ? range.end : br.timeInSeconds + (br.duration || this.config.DEFAULT_AD_DURATION);
+      return end <= windowStart;
+    };
+
+    const removed = this.adBreaks.filter(ended);
+    removed.push(...this.vmapBreaks.filter((br) => !removed.includes(br) && ended(br)));
+    const cueCount = this.cueBreaks.length;
+    this.cueBreaks = this.cueBreaks.filter((cue) =>
+      cue.streamEnd > windowStart || (this.currentAdBreak && this.currentAdBreak.streamStart === cue.streamStart));
+    if (removed.length === 0 && this.cueBreaks.length === cueCount) return [];
+
+    this.vmapBreaks = this.vmapBreaks.filter((br) => !removed.includes(br));
+    removed.forEach((br) => this.watchedBreakIds.delete(br.breakId));
+    this.reconcileBreaks();
+    return removed.map((br) => br.breakId);
+  }
+
+  /**
+   * Checks if ad boundaries come from manifest cue tags
+   * @returns {boolean} True if cue breaks are available
+   */
+  hasCueBoundaries() {
+    return this.cueBreaks.length > 0;
+  }
+
+  /**
+   * Merges cue breaks with VMAP breaks into the active ad break list
+   * Each cue is matched to the positional VMAP break of its rank ("#2" for the second cue),
+   * otherwise to the VMAP break closest in content time
+   */
+  reconcileBreaks() {
+    if (!this.hasCueBoundaries()) {
+      // Positional breaks need cue points
+      this.adBreaks = this.vmapBreaks.filter((br) => br.timeInSeconds != null);
+      return;
+    }
+
+    const unmatched = [...this.vmapBreaks];
+    const previous = this.adBreaks;
+    let adTimeBefore = 0;
+
+    const merged = this.cueBreaks.map((cue, i) => {
+      // Position of the cue on the content timeline (stream time minus earlier ads)
+      const contentTime = this.live ? cue.streamStart : cue.streamStart - adTimeBefore;
+      adTimeBefore += cue.duration;
+
+      let match = unmatched.find((br) => br.cuePosition === i + 1) || null;
+      let bestDistance = match ? -1 : this.config.CUE_MATCH_TOLERANCE;
+      unmatched.forEach((br) => {
+        if (br.cuePosition) return;
+        const distance = Math.abs(br.timeInSeconds - contentTime);
+        if (distance <= bestDistance) {
+          match = br;
+          bestDistance = distance;
+        }
+      });
+
+      // Keep object identity so an active break survives playlist refreshes
+      let br = match;
+      if (match) {
+        unmatched.splice(unmatched.indexOf(match), 1);
+        if (match.cuePosition) match.timeInSeconds = contentTime;
+      } else {
+        const breakId = cue.cueId;
+        br = previous.find((b) => b.breakId === breakId) || {
+          index: i,
+          timeOffset: VMAPService.formatTimeOffset(contentTime),
+          timeInSeconds: contentTime,
+          breakId,
+          vastUrl: null,
+          skipOffset: null,
+        };
+      }
+
+      return Object.assign(br, {
+        streamStart: cue.streamStart,
+        streamEnd: cue.streamEnd,
+        duration: cue.duration,
+        cueSource: cue.source,
+      });
+    });
+
+    // VMAP breaks without a cue were not stitched into this stream
+    unmatched.forEach((br) => {
+      delete br.streamStart;
+      delete br.streamEnd;
+      delete br.cueSource;
+      if (br.cuePosition) br.timeInSeconds = null;
+    });
+
+    console.log('[AD BREAK] Reconciled cue breaks', {
+      cues: this.cueBreaks.length,
+      matched: merged.filter((br) => VMAPService.hasAdSource(br)).length,
+      unmatchedVmap: unmatched.map((br) => br.breakId),
+    });
+
+    this.adBreaks = merged;
+  }
+
+  /**
+   * Gets the current list of ad breaks
+   * @returns {Array} Array of ad break objects
+   */
+  getAdBreaks() {
+    return this.adBreaks;
+  }
+
+  /**
+   * Calculates cumulative ad duration up to a specific index
+   * @param {number} upToIndex - Calculate duration up to (not including) this index
+   * @returns {number} Total duration in seconds
+   */
+  getCumulativeAdDuration(upToIndex) {
+    let total = 0;
+    for (let i = 0; i < upToIndex && i < this.adBreaks.length; i++) {
+      total += this.adBreaks[i].duration || this.config.DEFAULT_AD_DURATION;
+    }
+    return total;
+  }
+
+  /**
+   * Gets the stream time range of an ad break
+   * Uses manifest cue boundaries when available, otherwise derives the range
+   * from the VMAP offset plus the cumulative duration of earlier breaks
+   * @param {Object} br - Ad break object
+   * @returns {Object|null} { start, end } in stream seconds, or null if not in the stream
+   */
+  getBreakStreamRange(br) {
+    if (!this.stitched) return null;
+    if (br.streamStart != null) {
+      return { start: br.streamStart, end: br.streamEnd };
+    }
+    if (this.hasCueBoundaries()) return null;
+
+    const index = this.adBreaks.indexOf(br);
+    const start = this.live ? br.timeInSeconds : br.timeInSeconds + this.getCumulativeAdDuration(index);
+    return { start, end: start + (br.duration || this.config.DEFAULT_AD_DURATION) };
+  }
+
+  /**
+   * Detects if playback is currently in an ad break
+   * Watched breaks are passed over unless SKIP_WATCHED_BREAKS is off
+   * @param {number} hlsTime - Current HLS stream time
+   * @returns {Object|null} Active ad break or null
+   */
+  detectActiveBreak(hlsTime) {
+    return this.adBreaks.find((br) => {
+      if (this.config.SKIP_WATCHED_BREAKS && this.isBreakWatched(br)) return false;
+      const range = this.getBreakStreamRange(br);
+      return range !== null && hlsTime >= range.start && hlsTime < range.end;
+    });
+  }
+
+  /**
+   * Monitors playback and manages ad break transitions
+   * @param {number} hlsTime - Current HLS stream time
+   */
+  update(hlsTime) {
+    if (this.adBreaks.length === 0) return;
+    
+    const activeBreak = this.detectActiveBreak(hlsTime);
+    
+    if (activeBreak && !this.isInAdBreak) {
+      // Entering ad break
+      this.startAdBreak(activeBreak);
+    } else if (!activeBreak && this.isInAdBreak) {
+      // Exiting ad break, the stream continues with content
+      this.endAdBreak(true);
+    } else if (activeBreak && this.isInAdBreak && activeBreak.breakId !== this.currentAdBreak.breakId) {
+      // Moved directly from one break into another (e.g. seek)
+      this.endAdBreak();
+      this.startAdBreak(activeBreak);
+    }
+    
+    if (activeBreak && this.isInAdBreak) {
+      // During ad break - update progress (from the first tick when the pod was prefetched)
+      const elapsed = hlsTime - this.getBreakStreamRange(activeBreak).start;
+      this.updateProgress(elapsed);
+    }
+  }
+
+  /**
+   * Starts an ad break (entering ad)
+   * @param {Object} breakInfo - Ad break information
+   */
+  async startAdBreak(breakInfo) {
+    console.log('[AD BREAK] Starting', breakInfo.breakId);
+    
     this.isInAdBreak = true;
     this.currentAdBreak = breakInfo;
+    this.currentAdIndex = -1;
+    this.currentAdSkipped = false;
+    
+    // Show overlay
+    this.overlayController.show();
+    
+    // Prefetched and session pods are ready before the first frame of the break
+    const metadata = this.tracker.initialize(breakInfo);
+    if (metadata) {
+      this.applyPodMetadata(breakInfo, metadata);
+    }
+    this.events.emit('adBreakStart', { break: this.describeBreak(breakInfo) });
+    this.tracker.trackBreak(breakInfo, 'breakStart');
+    if (metadata) {
+      this.announcePod(breakInfo);
+    }
+    
+    if (!metadata && VMAPService.hasAdSource(breakInfo)) {
+      console.log('[AD BREAK] VAST not prefetched, waiting for it', breakInfo.breakId);
+      const loaded = await this.tracker.loadVast(breakInfo);
+      if (loaded && this.currentAdBreak === breakInfo) {
+        this.applyPodMetadata(breakInfo, loaded);
+        this.announcePod(breakInfo);
+      }
+    }
+  }
+
+  /**
+   * Announces the resolved pod of a break
+   * @param {Object} breakInfo - Ad break with its ads
+   */
+  announcePod(breakInfo) {
+    this.events.emit('adPodLoaded', {
+      break: this.describeBreak(breakInfo),
+      ads: breakInfo.ads.map((ad, i) => AdBreakManager.describeAd(ad, i, breakInfo.ads.length)),
+    });
+  }
+
+  /**
+   * Updates break info with the resolved pod
+   * @param {Object} breakInfo - Ad break
+   * @param {Object} metadata - Pod metadata from the tracker
+   */
+  applyPodMetadata(breakInfo, metadata) {
+    // Cue boundaries keep their duration
+    breakInfo.ads = metadata.ads;
+    breakInfo.clickThrough = metadata.clickThrough;
+    breakInfo.skipOffset = metadata.skipOffset;
+    if (breakInfo.streamStart == null) {
+      breakInfo.duration = metadata.duration;
+    }
+    
+    // Start tracking the ad under the playhead on the next update
+    this.currentAdIndex = -1;
+  }
+
+  /**
+   * Summarizes a break for host applications
+   * @param {Object} br - Ad break object
+   * @returns {AdBreakSummary} Break summary
+   */
+  describeBreak(br) {
+    return {
+      breakId: br.breakId,
+      timeOffset: br.timeOffset,
+      timeInSeconds: br.timeInSeconds,
+      position: AdBreakManager.BREAK_POSITIONS[MacroResolver.getBreakPosition(br)],
+      duration: br.duration != null ? br.duration : null,
+      adCount: br.ads ? br.ads.length : null,
+      watched: this.isBreakWatched(br),
+      streamStart: br.streamStart != null ? br.streamStart : null,
+      streamEnd: br.streamEnd != null ? br.streamEnd : null,
+      cueSource: br.cueSource || null,
+    };
+  }
+
+  /**
+   * Gets the title of a pod ad
+   * @param {Object} ad - Pod ad
+   * @returns {string|null} Title from the tracking data or the VAST, null if there is none
+   */
+  static getAdTitle(ad) {
+    return ad.adTitle || (ad.vastAd && ad.vastAd.title) || null;
+  }
+
+  /**
+   * Summarizes an ad of a pod for host applications
+   * @param {Object} ad - Pod ad
+   * @param {number} index - Index of the ad in the pod
+   * @param {number} podSize - Ads in the pod
+   * @returns {AdSummary} Ad summary
+   */
+  static describeAd(ad, index, podSize) {
+    return {
+      adId: ad.adId || null,
+      title: AdBreakManager.getAdTitle(ad),
+      index,
+      podSize,
+      duration: ad.duration,
+      skipOffset: ad.skipOffset != null ? ad.skipOffset : null,
+      skipRule: ad.skipRule || null,
+      clickThrough: ad.clickThrough || null,
+    };
+  }
+
+  /**
+   * Builds the break and ad part of an ad event for the current ad
+   * @returns {Object} { break, ad }
+   */
+  describeCurrentAd() {
+    const br = this.currentAdBreak;
+    const ad = br.ads && this.currentAdIndex !== -1 ? br.ads[this.currentAdIndex] : null;
+    return {
+      break: this.describeBreak(br),
+      ad: ad ? AdBreakManager.describeAd(ad, this.currentAdIndex, br.ads.length) : null,
+    };
+  }
+
+  /**
+   * Fires complete for the current ad and announces it if the ad reached its end
+   */
+  completeCurrentAd() {
+    if (this.tracker.trackComplete()) {
+      this.events.emit('adQuartile', { ...this.describeCurrentAd(), quartile: 'complete' });
+    }
+  }
+
+  /**
+   * Fires the viewability tracking of the current ad and announces it
+   * @param {string} state - 'viewable', 'notViewable' or 'viewUndetermined'
+   */
+  reportViewability(state) {
+    this.tracker.trackViewability(state);
+    this.events.emit('adViewability', { ...this.describeCurrentAd(), state, viewability: this.viewability.getState() });
+  }
+
+  /**
+   * Ends the viewability measurement of the current ad, reporting it unless it was viewable
+   */
+  finishViewability() {
+    const state = this.currentAdIndex !== -1 ? this.viewability.finish() : null;
+    if (state) this.reportViewability(state);
+  }
+
+  /**
+   * Checks if an ad break has been played through (or skipped), or marked watched
+   * @param {Object} br - Ad break object
+   * @returns {boolean} True if watched
+   */
+  isBreakWatched(br) {
+    return this.watchedBreakIds.has(br.breakId);
+  }
+
+  /**
+   * Marks breaks as watched without playing them (viewing history, frequency cap)
+   * @param {Array} breakIds - Break IDs
+   */
+  markWatched(breakIds) {
+    breakIds.forEach((breakId) => this.watchedBreakIds.add(breakId));
+  }
+
+  /**
+   * Ends an ad break (exiting ad)
+   * @param {boolean} [resumesContent=false] - True when content plays on right after the break
+   */
+  endAdBreak(resumesContent = false) {
+    console.log('[AD BREAK] Ending');
+    
+    const endedBreak = this.currentAdBreak;
+    this.watchedBreakIds.add(endedBreak.breakId);
+    
+    // Complete tracking (a skipped ad does not complete)
+    if (!this.currentAdSkipped) {
+      this.completeCurrentAd();
+    }
+    this.finishViewability();
+    this.viewability.reset();
+    this.tracker.trackBreak(endedBreak, 'breakEnd');
+    this.tracker.reset();
+    
+    this.isInAdBreak = false;
+    this.currentAdBreak = null;
+    this.currentAdIndex = -1;
+    this.currentAdSkipped = false;
+    
+    // Hide overlay
+    this.overlayController.hide();
+    
+    this.events.emit('adBreakEnd', { break: this.describeBreak(endedBreak), resumesContent });
+    
+    // Client-side ads announce the resume themselves, at the position content was paused
+    if (resumesContent && this.stitched) {
+      this.events.emit('contentResumed', { contentTime: endedBreak.timeInSeconds });
+    }
+  }
+
+  /**
+   * Gets the ads of a break, in play order
+   * Breaks whose VAST has not been resolved yet are treated as a single ad
+   * @param {Object} br - Ad break object
+   * @returns {Array} Ads with offset (from break start) and duration
+   */
+  getBreakAds(br) {
+    if (br.ads && br.ads.length) return br.ads;
+    
+    const range = this.getBreakStreamRange(br);
+    return [{
+      offset: 0,
+      duration: range ? range.end - range.start : (br.duration || this.config.DEFAULT_AD_DURATION),
+      skipOffset: br.skipOffset != null ? br.skipOffset : null,
+      clickThrough: br.clickThrough || null,
+    }];
+  }
+
+  /**
+   * Finds the ad playing at a given break offset
+   * @param {Array} ads - Ads of the break
+   * @param {number} elapsed - Seconds elapsed in the break
+   * @returns {number} Index of the ad
+   */
+  findAdIndex(ads, elapsed) {
+    for (let i = ads.length - 1; i >= 0; i--) {
+      if (elapsed >= ads[i].offset) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * Updates ad progress during playback
+   * Starts tracking the next ad of the pod when its boundary is crossed
+   * @param {number} elapsed - Seconds elapsed in current ad break
+   */
+  updateProgress(elapsed) {
+    if (!this.currentAdBreak) return;
+    
+    const ads = this.getBreakAds(this.currentAdBreak);
+    const index = this.findAdIndex(ads, elapsed);
+    const ad = ads[index];
+    
+    // Ad boundary: complete the previous ad and start tracking the next one
+    if (this.currentAdBreak.ads && index !== this.currentAdIndex) {
+      if (this.currentAdIndex !== -1 && index > this.currentAdIndex && !this.currentAdSkipped) {
+        this.completeCurrentAd();
+      }
+      this.finishViewability();
+      this.currentAdIndex = index;
+      this.currentAdSkipped = false;
+      this.currentAdQuartile = 0;
+      this.tracker.startAd(index);
+      this.viewability.start();
+      this.showCompanions(ad);
+      this.events.emit('adStart', this.describeCurrentAd());
+    }
+    
+    const adElapsed = elapsed - ad.offset;
+    this.currentAdElapsed = adElapsed;
+    const range = this.getBreakStreamRange(this.currentAdBreak);
+    const lastAd = ads[ads.length - 1];
+    const podRemaining = (range ? range.end - range.start : lastAd.offset + lastAd.duration) - elapsed;
+    
+    // Update UI
+    this.overlayController.updatePodInfo(index + 1, ads.length, podRemaining, AdBreakManager.getAdTitle(ad));
+    this.overlayController.updateSkipButton(adElapsed, ad.duration, ad.skipOffset);
+    
+    // Track quartiles
+    this.tracker.setProgress(adElapsed);
+    if (this.currentAdIndex !== -1) {
+      this.announceQuartiles(adElapsed / ad.duration);
+      if (this.viewability.update(adElapsed)) this.reportViewability('viewable');
+    }
+  }
+
+  /**
+   * Announces the quartiles of the current ad crossed since the last update
+   * The fourth quartile is announced by completeCurrentAd()
+   * @param {number} fraction - Played fraction of the ad
+   */
+  announceQuartiles(fraction) {
+    while (this.currentAdQuartile < 3 && fraction >= (this.currentAdQuartile + 1) / 4) {
+      const quartile = AdBreakManager.QUARTILES[this.currentAdQuartile];
+      this.currentAdQuartile += 1;
+      this.events.emit('adQuartile', { ...this.describeCurrentAd(), quartile });
+    }
+  }
+
+  /**
+   * Renders the companion banners of an ad and tracks their views
+   * @param {Object} ad - Pod ad
+   */
+  showCompanions(ad) {
+    if (!ad.companions || !ad.companions.length) return;
+    
+    const rendered = this.overlayController.renderCompanions(
+      ad.companions,
+      (companion) => this.clickCompanion(companion)
+    );
+    rendered.forEach((companion) => this.tracker.trackCompanionView(ad, companion));
+  }
+
+  /**
+   * Handles click on a companion banner
+   * @param {Object} companion - { creative, variation } companion
+   */
+  async clickCompanion(companion) {
+    const url = await this.tracker.trackCompanionClick(companion);
+    console.log('[AD BREAK] Companion click', { url });
+    if (this.currentAdBreak) {
+      this.events.emit('adClicked', { ...this.describeCurrentAd(), target: 'companion', url });
+    }
+    if (url) {
+      window.open(url, '_blank');
+    }
+  }
+
+  /**
+   * Skips the current ad, or the whole pod when the SKIP_SCOPE setting is 'pod'
+   * @param {Object} player - Video.js player instance
+   */
+  skipCurrentAd(player) {
+    if (!this.currentAdBreak || !player) {
+      console.warn('[AD BREAK] Cannot skip - no active ad break');
+      return;
+    }
+    
+    if (!this.canSkipCurrentAd()) {
+      console.warn('[AD BREAK] Cannot skip - the ad is not skippable yet');
+      return;
+    }
+    
+    const range = this.getBreakStreamRange(this.currentAdBreak);
+    const ads = this.getBreakAds(this.currentAdBreak);
+    const ad = ads[Math.max(this.currentAdIndex, 0)];
+    
+    let endTime = range.end;
+    if (this.config.SKIP_SCOPE === 'ad') {
+      endTime = Math.min(range.end, range.start + ad.offset + ad.duration);
+    }
+    
+    console.log('[AD BREAK] Skipping to', { endTime, scope: this.config.SKIP_SCOPE });
+    
+    this.recordSkip();
+    
+    // Seek to end of ad
+    player.currentTime(endTime);
+  }
+
+  /**
+   * Checks if the current ad has reached its skip offset
+   * @returns {boolean} False for non-skippable ads and before the skip offset
+   */
+  canSkipCurrentAd() {
+    if (!this.currentAdBreak) return false;
+    const ad = this.getBreakAds(this.currentAdBreak)[Math.max(this.currentAdIndex, 0)];
+    return ad.skipOffset != null && this.currentAdElapsed >= ad.skipOffset;
+  }
+
+  /**
+   * Tracks a skip of the current ad; a skipped ad does not complete
+   */
+  recordSkip() {
+    this.tracker.trackSkip();
+    this.currentAdSkipped = true;
+    this.events.emit('adSkipped', {
+      ...this.describeCurrentAd(),
+      scope: this.config.SKIP_SCOPE,
+      elapsed: this.currentAdElapsed,
+    });
+  }
+
+  /**
+   * Handles click on current ad
+   */
+  async clickCurrentAd() {
+    if (!this.currentAdBreak) {
+      console.warn('[AD BREAK] No active ad to click');
+      return;
+    }
+    
+    console.log('[AD BREAK] Processing click', {
+      hasClickThrough: !!this.currentAdBreak.clickThrough,
+      clickThroughUrl: this.currentAdBreak.clickThrough
+    });
+    
+    // Track click and get URL from tracker
+    const currentAd = this.tracker.getCurrentAd();
+    const breakClickThrough = this.currentAdBreak.clickThrough;
+    const adEvent = this.describeCurrentAd();
+    const trackerUrl = await this.tracker.trackClick();
+    
+    // Open click-through URL
+    const url = trackerUrl || (currentAd && currentAd.clickThrough) || breakClickThrough;
+    this.events.emit('adClicked', { ...adEvent, target: 'ad', url: url || null });
+    if (url) {
+      window.open(url, '_blank');
+    } else {
+      console.warn('[AD BREAK] No click-through URL available');
+    }
+  }
+
+  /**
+   * Checks if currently in an ad break
+   * @returns {boolean} True if in ad break
+   */
+  isInAd() {
+    return this.isInAdBreak;
+  }
+
+  /**
+   * Gets the current ad break
+   * @returns {Object|null} Current ad break or null
+   */
+  getCurrentAdBreak() {
+    return this.currentAdBreak;
+  }
+
+  /**
+   * Gets the ad state for host applications
+   * @returns {Object} { inAd, break, ad, adElapsed, viewability } (break/ad summaries and ViewabilityState, null outside ads)
+   */
+  getAdState() {
+    if (!this.isInAdBreak) {
+      return { inAd: false, break: null, ad: null, adElapsed: null, viewability: null };
+    }
+    const { break: br, ad } = this.describeCurrentAd();
+    return {
+      inAd: true,
+      break: br,
+      ad,
+      adElapsed: ad ? this.currentAdElapsed : null,
+      viewability: ad ? this.viewability.getState() : null,
+    };
+  }
+
+  /**
+   * Resets the manager state
+   */
+  reset() {
+    if (this.isInAdBreak) {
+      this.tracker.trackClose();
+      this.finishViewability();
+    }
+    this.viewability.reset();
+    this.adBreaks = [];
+    this.vmapBreaks = [];
+    this.cueBreaks = [];
+    this.currentAdBreak = null;
+    this.isInAdBreak = false;
+    this.currentAdIndex = -1;
+    this.currentAdSkipped = false;
+    this.currentAdQuartile = 0;
+    this.currentAdElapsed = 0;
+    this.watchedBreakIds.clear();
+    this.tracker.reset();
+  }
+}
+
+/** Quartile names announced while an ad plays */
+AdBreakManager.QUARTILES = ['firstQuartile', 'midpoint', 'thirdQuartile'];
+
+/** Break position names by VAST [BREAKPOSITION] value */
+AdBreakManager.BREAK_POSITIONS = { 1: 'preroll', 2: 'midroll', 3: 'postroll' };
+
+// =============================================================================
+// CLIENT-SIDE AD PLAYER
+// =============================================================================
+
+/**
+ * Plays VMAP breaks client-side (CSAI) from VAST MediaFiles
+ * Pauses content at each break, plays the pod in a dedicated <video> element
+ * inside the player, on top of the content, then resumes content where it stopped
+ */
+class CsaiAdPlayer {
+  constructor(adBreakManager, errorReporter, events, config = CONFIG) {
+    this.adBreakManager = adBreakManager;
+    this.errorReporter = errorReporter;
+    this.events = events;
+    this.config = config;
+    this.videoElement = CsaiAdPlayer.createVideoElement();
+    this.player = null;
+    this.playerHandlers = null;
+    this.active = false;
+    this.queue = [];
+    this.currentBreak = null;
+    this.adIndex = -1;
+    this.lastTime = 0;
+    this.resumeContent = true;
+    this.pictureInPicture = false;
+    
+    this.videoElement.addEventListener('loadedmetadata', () => this.enterPictureInPicture());
+    this.videoElement.addEventListener('timeupdate', () => this.onAdTimeUpdate());
+    this.videoElement.addEventListener('ended', () => this.onAdEnded());
+    this.videoElement.addEventListener('error', () => {
+      if (!this.active || this.adIndex === -1) return;
+      console.warn('[CSAI] Media file failed to play', this.videoElement.error);
+      this.errorReporter.report({
+        code: AdErrorReporter.mediaErrorCode(this.videoElement.error),
+        ad: this.currentBreak.ads[this.adIndex].vastAd,
+        breakInfo: this.currentBreak,
+      });
+      this.playAd(this.adIndex + 1);
+    });
+  }
+
+  /**
+   * Creates the <video> element ads play in
+   * @returns {HTMLVideoElement} Ad video element
+   */
+  static createVideoElement() {
+    const video = document.createElement('video');
+    video.className = 'vjs-ad-video';
+    video.setAttribute('playsinline', '');
+    video.preload = 'auto';
+    return video;
+  }
+
+  /**
+   * Attaches to the content player and adds the ad element to it
+   * @param {Object} player - Video.js player instance
+   */
+  attach(player) {
+    this.stop();
+    this.unsubscribePlayer();
+    this.player = player;
+    this.lastTime = 0;
+    player.el().appendChild(this.videoElement);
+    
+    this.playerHandlers = {
+      // Checking on play catches the pre-roll before the first content frame
+      play: () => {
+        if (this.active) {
+          player.pause();
+          return;
+        }
+        this.update(player.currentTime());
+      },
+      ended: () => this.update(Infinity),
+    };
+    Object.entries(this.playerHandlers).forEach(([event, handler]) => player.on(event, handler));
+  }
+
+  /**
+   * Removes the content player listeners added by attach()
+   */
+  unsubscribePlayer() {
+    if (!this.player || !this.playerHandlers) return;
+    Object.entries(this.playerHandlers).forEach(([event, handler]) => this.player.off(event, handler));
+    this.playerHandlers = null;
+  }
+
+  /**
+   * Starts the breaks crossed since the last update
+   * Called on content timeupdate; Infinity is used for the post-roll on ended
+   * @param {number} contentTime - Current content time
+   */
+  update(contentTime) {
+    if (!this.player || this.active) return;
+    
+    const from = this.lastTime;
+    this.lastTime = contentTime;
+    
+    // Rewinding never replays breaks
+    if (contentTime < from) return;
+    
+    const crossed = this.adBreakManager.getAdBreaks()
+      .filter((br) => !this.adBreakManager.isBreakWatched(br)
+        && br.timeInSeconds >= from && br.timeInSeconds <= contentTime);
+    if (!crossed.length) return;
+    
+    const queue = this.config.SNAP_BACK_POLICY === 'all' ? crossed : [crossed[crossed.length - 1]];
+    this.startBreaks(queue, contentTime !== Infinity && !this.player.ended());
+  }
+
+  /**
+   * Pauses content and plays a queue of breaks
+   * @param {Array} queue - Ad breaks to play in order
+   * @param {boolean} resumeContent - False after the post-roll
+   */
+  startBreaks(queue, resumeContent) {
+    console.log('[CSAI] Pausing content for breaks', {
+      breaks: queue.map((br) => br.breakId),
+      contentTime: this.player.currentTime(),
+    });
+    
+    this.active = true;
+    this.queue = [...queue];
+    this.resumeContent = resumeContent;
+    this.pictureInPicture = this.player.isInPictureInPicture();
+    
+    this.player.pause();
+    this.videoElement.classList.add('is-active');
+    this.playNextBreak();
+  }
+
+  /**
+   * Resolves and plays the next break of the queue
+   */
+  async playNextBreak() {
+    const br = this.queue.shift();
+    if (!br) {
+      this.finish();
+      return;
+    }
+    
+    this.currentBreak = br;
+    this.adIndex = -1;
+    await this.adBreakManager.startAdBreak(br);
+    
+    // Stopped while the VAST was loading
+    if (this.currentBreak !== br) return;
+    this.playAd(0);
+  }
+
+  /**
+   * Plays an ad of the current pod, or ends the break after the last one
+   * Ads without a playable media file are passed over
+   * @param {number} index - Index of the ad in the pod
+   */
+  playAd(index) {
+    if (!this.active || !this.currentBreak) return;
+    
+    const ads = this.currentBreak.ads || [];
+    const ad = ads[index];
+    if (!ad) {
+      this.endBreak();
+      return;
+    }
+    
+    const size = { width: this.player.currentWidth(), height: this.player.currentHeight() };
+    const url = VMAPService.getMediaFileUrl(ad.creative, size, this.config.CSAI_MAX_BITRATE);
+    if (!url) {
+      console.warn('[CSAI] No playable media file', { adId: ad.adId });
+      this.errorReporter.report({ code: 403, ad: ad.vastAd, breakInfo: this.currentBreak });
+      this.playAd(index + 1);
+      return;
+    }
+    
+    console.log('[CSAI] Playing ad', { index, adId: ad.adId, url });
+    
+    this.adIndex = index;
+    this.videoElement.src = url;
+    this.videoElement.muted = this.player.muted();
+    this.videoElement.volume = this.player.volume();
+    this.videoElement.play().catch((err) => {
+      console.warn('[CSAI] Ad playback blocked', err);
+    });
+  }
+
+  /**
+   * Reports ad progress to the ad break manager (tracking, overlay, skip button)
+   */
+  onAdTimeUpdate() {
+    if (!this.active || !this.currentBreak || this.adIndex === -1) return;
+    
+    // Clamp to the VAST duration so a longer media file never runs into the next ad
+    const ad = this.currentBreak.ads[this.adIndex];
+    const adElapsed = Math.min(this.videoElement.currentTime, Math.max(0, ad.duration - 0.01));
+    this.adBreakManager.updateProgress(ad.offset + adElapsed);
+  }
+
+  /**
+   * Reports the end of the media file and plays the next ad
+   * Reaching the end counts as complete even if the file is shorter than its VAST duration
+   */
+  onAdEnded() {
+    if (this.active && this.currentBreak && this.adIndex !== -1) {
+      const ad = this.currentBreak.ads[this.adIndex];
+      this.adBreakManager.updateProgress(ad.offset + Math.max(0, ad.duration - 0.01));
+    }
+    this.playAd(this.adIndex + 1);
+  }
+
+  /**
+   * Skips the current ad, or the whole pod when the SKIP_SCOPE setting is 'pod'
+   */
+  skip() {
+    if (!this.active || this.adIndex === -1) return;
+    if (!this.adBreakManager.canSkipCurrentAd()) {
+      console.warn('[CSAI] Cannot skip - the ad is not skippable yet');
+      return;
+    }
+    
+    console.log('[CSAI] Skipping', { scope: this.config.SKIP_SCOPE });
+    this.adBreakManager.recordSkip();
+    this.videoElement.pause();
+    
+    if (this.config.SKIP_SCOPE === 'pod') {
+      this.endBreak();
+    } else {
+      this.playAd(this.adIndex + 1);
+    }
+  }
+
+  /**
+   * Ends the current break and moves on to the next queued break
+   */
+  endBreak() {
+    this.videoElement.pause();
+    if (this.adBreakManager.isInAd()) {
+      this.adBreakManager.endAdBreak(this.resumeContent && this.queue.length === 0);
+    }
+    this.currentBreak = null;
+    this.adIndex = -1;
+    this.playNextBreak();
+  }
+
+  /**
+   * Moves picture-in-picture from the content to the ad element once its media is loaded
+   * Allowed without a user gesture because a picture-in-picture window is already open
+   */
+  enterPictureInPicture() {
+    if (!this.active || !this.pictureInPicture || document.pictureInPictureElement === this.videoElement) return;
+    
+    this.videoElement.requestPictureInPicture()
+      .catch((err) => console.warn('[CSAI] Picture-in-picture unavailable for ads', err));
+  }
+
+  /**
+   * Moves picture-in-picture from the ad element back to the content, or closes it
+   * Must complete before the ad media is unloaded, which would close the window
+   * @param {boolean} toContent - True to hand the window back to the content
+   * @returns {Promise} Resolves once the window has moved (or failed to)
+   */
+  exitPictureInPicture(toContent) {
+    if (document.pictureInPictureElement !== this.videoElement) return Promise.resolve();
+    
+    const request = toContent ? this.player.requestPictureInPicture() : document.exitPictureInPicture();
+    return Promise.resolve(request).catch((err) => console.warn('[CSAI] Picture-in-picture handback failed', err));
+  }
+
+  /**
+   * Hides the ad element and resumes content at the position it was paused
+   * The ad media is unloaded once picture-in-picture is back on the content
+   */
+  finish() {
+    this.active = false;
+    if (document.pictureInPictureElement === this.videoElement) {
+      this.exitPictureInPicture(this.resumeContent).then(() => {
+        // A break that started meanwhile owns the ad element
+        if (!this.active) this.clearAdElement();
+      });
+    } else {
+      this.clearAdElement();
+    }
+    
+    if (this.resumeContent) {
+      console.log('[CSAI] Resuming content', { contentTime: this.player.currentTime() });
+      this.player.play().catch((err) => console.error('[CSAI] Content resume failed:', err));
+      this.events.emit('contentResumed', { contentTime: this.player.currentTime() });
+    }
+  }
+
+  /**
+   * Unloads the ad media and hides the ad element
+   */
+  clearAdElement() {
+    this.videoElement.pause();
+    this.videoElement.removeAttribute('src');
+    this.videoElement.load();
+    this.videoElement.classList.remove('is-active');
+  }
+
+  /**
+   * Stops ad playback without resuming content (player reload)
+   */
+  stop() {
+    const wasActive = this.active;
+    this.active = false;
+    if (wasActive) {
+      this.exitPictureInPicture(false);
+      this.clearAdElement();
+    }
+    this.queue = [];
+    this.currentBreak = null;
+    this.adIndex = -1;
+  }
+
+  /**
+   * Checks if client-side ads are playing
+   * @returns {boolean} True while content is paused for ads
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Stops ad playback and removes the ad element from the player
+   */
+  dispose() {
+    this.stop();
+    this.unsubscribePlayer();
+    this.videoElement.remove();
+    this.player = null;
+  }
+}
+
+// =============================================================================
+// NON-LINEAR AD MANAGER
+// =============================================================================
+
+/**
+ * Shows non-linear (overlay) ads from VMAP breaks of breakType "nonlinear"
+ * Overlays sit over playing content and never pause it
+ */
+class NonLinearAdManager {
+  constructor(overlayController, errorReporter, macroResolver, config = CONFIG) {
+    this.overlayController = overlayController;
+    this.errorReporter = errorReporter;
+    this.macroResolver = macroResolver;
+    this.config = config;
+    this.breaks = [];
+    this.shownBreakIds = new Set();
+    this.current = null;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Sets the non-linear opportunities
+   * @param {Array} breaks - Breaks from VMAPService.buildNonLinearBreakList()
+   */
+  setBreaks(breaks) {
+    this.breaks = breaks;
+  }
+
+  /**
+   * Shows the overlay whose time was crossed since the last update
+   * Overlays are hidden while a linear ad plays
+   * @param {number} contentTime - Current content time
+   * @param {boolean} inAd - True while a linear ad plays
+   */
+  update(contentTime, inAd) {
+    const from = this.lastTime;
+    this.lastTime = contentTime;
+    
+    if (inAd) {
+      if (this.current) this.hide();
+      return;
+    }
+    if (contentTime < from) return;
+    
+    const due = this.breaks.find((br) => !this.shownBreakIds.has(br.breakId)
+      && br.timeInSeconds >= from && br.timeInSeconds <= contentTime);
+    if (due) this.showBreak(due);
+  }
+
+  /**
+   * Fetches the VAST of a non-linear break and shows its first non-linear creative,
+   * or the companion banners of a display break
+   * @param {Object} br - Non-linear or display break
+   */
+  async showBreak(br) {
+    this.shownBreakIds.add(br.breakId);
+    
+    // Each break gets its own client so its request chain is recorded separately
+    const vastClient = new VASTClient(0, 0);
+    this.macroResolver.attachClient(vastClient);
+    this.macroResolver.inspector.watchVastClient(vastClient, br);
+    
+    let vastResponse;
+    try {
+      vastResponse = await VMAPService.requestVast(vastClient, br, this.config.VAST_TIMEOUT);
+    } catch (err) {
+      console.error('[NONLINEAR] Failed to load', err);
+      const { vastCode, vmapCode } = AdErrorReporter.classifyFetchError(err);
+      this.errorReporter.report({ code: vastCode, vmapCode, message: err.message, breakInfo: br });
+      return;
+    }
+    
+    if (br.breakType === 'display') {
+      this.showDisplay(vastResponse, br);
+      return;
+    }
+    
+    const ad = vastResponse.ads.find((a) => VMAPService.getNonLinear(a) !== null);
+    if (!ad) {
+      console.warn('[NONLINEAR] No non-linear creative', { breakId: br.breakId });
+      vastResponse.ads.forEach((a) => this.errorReporter.report({ code: 201, ad: a, breakInfo: br }));
+      return;
+    }
+    
+    const { creative, variation } = VMAPService.getNonLinear(ad);
+    this.show(ad, creative, variation, br);
+  }
+
+  /**
+   * Renders an overlay and starts its tracking
+   * The close button appears once minSuggestedDuration has elapsed
+   * @param {Object} ad - VAST ad
+   * @param {Object} creative - Non-linear creative
+   * @param {Object} variation - Non-linear variation
+   * @param {Object} br - Non-linear break
+   */
+  show(ad, creative, variation, br) {
+    this.hide();
+    
+    const rendered = this.overlayController.showNonLinear(variation, {
+      onClick: () => this.click(),
+      onClose: () => this.close(),
+    });
+    if (!rendered) {
+      this.errorReporter.report({ code: 503, ad, breakInfo: br });
+      return;
+    }
+    
+    const tracker = this.macroResolver.attachTracker(new VASTTracker(null, ad, creative, variation));
+    tracker.trackImpression();
+    tracker.track('creativeView', { once: true });
+    this.macroResolver.trackBreak(br, 'breakStart');
+    
+    const minDuration = variation.minSuggestedDuration > 0 ? variation.minSuggestedDuration : 0;
+    const duration = Math.max(minDuration, this.config.NONLINEAR_DURATION);
+    
+    console.log('[NONLINEAR] Showing', { adId: ad.id, minDuration, duration });
+    
+    this.current = {
+      br,
+      tracker,
+      variation,
+      closeTimer: setTimeout(() => this.overlayController.enableNonLinearClose(), minDuration * 1000),
+      hideTimer: setTimeout(() => this.hide(), duration * 1000),
+    };
+  }
+
+  /**
+   * Renders the companion banners of a display break
+   * Banners stay in their slots until the next linear ad replaces them
+   * @param {Object} vastResponse - VAST response of the break
+   * @param {Object} br - Display break
+   */
+  showDisplay(vastResponse, br) {
+    const ad = vastResponse.ads.find((a) => VMAPService.getCompanions(a).length > 0);
+    if (!ad) {
+      console.warn('[NONLINEAR] No companion banner in display break', { breakId: br.breakId });
+      vastResponse.ads.forEach((a) => this.errorReporter.report({ code: 201, ad: a, breakInfo: br }));
+      return;
+    }
+    
+    const trackers = new Map();
+    const rendered = this.overlayController.renderCompanions(
+      VMAPService.getCompanions(ad),
+      (companion) => this.clickCompanion(trackers.get(companion))
+    );
+    if (!rendered.length) {
+      this.errorReporter.report({ code: 600, ad, breakInfo: br });
+      return;
+    }
+    
+    console.log('[NONLINEAR] Display ads rendered', { adId: ad.id, count: rendered.length });
+    
+    const impression = this.macroResolver.attachTracker(new VASTTracker(null, ad, rendered[0].creative));
+    impression.trackImpression();
+    rendered.forEach((companion) => {
+      const tracker = this.macroResolver.attachTracker(
+        new VASTTracker(null, ad, companion.creative, companion.variation)
+      );
+      tracker.track('creativeView', { once: true });
+      trackers.set(companion, tracker);
+    });
+    
+    // Display breaks have no duration: they start and end when the banners are placed
+    this.macroResolver.trackBreak(br, 'breakStart');
+    this.macroResolver.trackBreak(br, 'breakEnd');
+  }
+
+  /**
+   * Handles a click on a display break banner
+   * @param {VASTTracker} tracker - Tracker of the clicked companion
+   */
+  clickCompanion(tracker) {
+    tracker.once('clickthrough', (url) => {
+      console.log('[NONLINEAR] Companion click-through URL:', url);
+      window.open(url, '_blank');
+    });
+    tracker.click();
+  }
+
+  /**
+   * Handles a click on the overlay
+   */
+  click() {
+    if (!this.current) return;
+    const { tracker, variation } = this.current;
+    
+    if (variation.nonlinearClickThroughURLTemplate) {
+      tracker.once('clickthrough', (url) => {
+        console.log('[NONLINEAR] Click-through URL:', url);
+        window.open(url, '_blank');
+      });
+    }
+    tracker.click();
+  }
+
+  /**
+   * Closes the overlay at the viewer's request
+   */
+  close() {
+    if (!this.current) return;
+    this.current.tracker.close();
+    this.hide();
+  }
+
+  /**
+   * Hides the current overlay
+   */
+  hide() {
+    if (!this.current) return;
+    clearTimeout(this.current.closeTimer);
+    clearTimeout(this.current.hideTimer);
+    this.macroResolver.trackBreak(this.current.br, 'breakEnd');
+    this.current = null;
+    this.overlayController.hideNonLinear();
+  }
+
+  /**
+   * Resets the manager state
+   */
+  reset() {
+    this.hide();
+    this.breaks = [];
+    this.shownBreakIds.clear();
+    this.lastTime = 0;
+  }
+}
+
+// =============================================================================
+// SEEK POLICY
+// =============================================================================
+
+/**
+ * Enforces that mid-rolls cannot be bypassed by seeking
+ * Intercepts every seek (progress bar, keyboard, API) through Video.js middleware
+ */
+class SeekPolicy {
+  constructor(adBreakManager, config = CONFIG) {
+    this.adBreakManager = adBreakManager;
+    this.config = config;
+    this.player = null;
+    this.lastTime = 0;
+    this.pending = null;
+    this.bypass = false;
+    this.controlsLocked = false;
+    this.savedPlaybackRate = 1;
+    
+    // Playback rate cannot be changed while an ad is playing
+    this.handleRateChange = () => {
+      if (this.controlsLocked && this.player.playbackRate() !== 1) {
+        this.player.playbackRate(1);
+      }
+    };
+    
+    SeekPolicy.registerMiddleware();
+  }
+
+  /**
+   * Registers the seek middleware with Video.js (once per page)
+   * Must happen before a source is set on the player
+   */
+  static registerMiddleware() {
+    if (SeekPolicy.middlewareRegistered) return;
+    SeekPolicy.middlewareRegistered = true;
+    
+    videojs.use('*', (player) => ({
+      setCurrentTime(time) {
+        const policy = SeekPolicy.instances.get(player);
+        return policy ? policy.filterSeek(time) : time;
+      },
+    }));
+  }
+
+  /**
+   * Attaches the policy to a player instance
+   * @param {Object} player - Video.js player instance
+   */
+  attach(player) {
+    this.detach();
+    this.player = player;
+    this.lastTime = 0;
+    this.pending = null;
+    this.controlsLocked = false;
+    SeekPolicy.instances.set(player, this);
+    player.on('ratechange', this.handleRateChange);
+  }
+
+  /**
+   * Detaches the policy from its player, unlocking the controls it locked
+   */
+  detach() {
+    if (!this.player) return;
+    
+    this.setControlsLocked(false);
+    this.player.off('ratechange', this.handleRateChange);
+    SeekPolicy.instances.delete(this.player);
+    this.player = null;
+    this.pending = null;
+  }
+
+  /**
+   * Runs a seek that bypasses the policy (skip, snap-back, resume)
+   * @param {Function} fn - Function performing the seek
+   */
+  allowSeek(fn) {
+    this.bypass = true;
+    try {
+      fn();
+    } finally {
+      this.bypass = false;
+    }
+  }
+
+  /**
+   * Seeks without applying the policy
+   * @param {number} time - Stream time in seconds
+   */
+  seekUnchecked(time) {
+    this.allowSeek(() => this.player.currentTime(time));
+  }
+
+  /**
+   * Decides where a requested seek actually lands
+   * @param {number} time - Requested stream time
+   * @returns {number} Stream time to seek to
+   */
+  filterSeek(time) {
+    if (this.bypass) return time;
+    
+    // Joining a live stream lands at the live edge, past breaks that aired before
+    if (this.adBreakManager.isLive() && !this.player.hasStarted()) return time;
+    
+    // No scrubbing during an ad
+    if (this.adBreakManager.isInAd()) {
+      console.log('[SEEK] Blocked during ad break', { requested: time });
+      return this.lastTime;
+    }
+    
+    // While a snap-back is pending, keep measuring from where the viewer was
+    const from = this.pending ? this.pending.from : this.lastTime;
+    
+    // Rewinding never crosses an unwatched break
+    if (time <= from) {
+      this.pending = null;
+      return time;
+    }
+    
+    const crossed = this.adBreakManager.getAdBreaks()
+      .map((br) => ({ br, range: this.adBreakManager.getBreakStreamRange(br) }))
+      .filter(({ br, range }) => range !== null && !this.adBreakManager.isBreakWatched(br)
+        && range.start >= from && range.start < time);
+    
+    if (!crossed.length) {
+      this.pending = null;
+      return time;
+    }
+    
+    const queue = this.config.SNAP_BACK_POLICY === 'all' ? crossed : [crossed[crossed.length - 1]];
+    
+    // Landing inside a break plays the whole break, then resumes after it
+    const landing = crossed.find(({ range }) => time < range.end);
+    const resumeTime = landing ? landing.range.end : time;
+    
+    this.pending = {
+      from,
+      resumeTime,
+      current: queue[0].br,
+      queue: queue.slice(1).map(({ br }) => br),
+    };
+    
+    console.log('[SEEK] Snapping back to unwatched break', {
+      requested: time,
+      breaks: queue.map(({ br }) => br.breakId),
+      resumeTime,
+    });
+    
+    return queue[0].range.start;
+  }
+
+  /**
+   * Locks or unlocks the progress bar and playback rate controls
+   * @param {boolean} locked - True while an ad is playing
+   */
+  setControlsLocked(locked) {
+    if (locked === this.controlsLocked) return;
+    this.controlsLocked = locked;
+    
+    const controlBar = this.player.controlBar;
+    const progressControl = controlBar && controlBar.getChild('ProgressControl');
+    const rateButton = controlBar && controlBar.getChild('PlaybackRateMenuButton');
+    const contentProgressBar = controlBar && controlBar.getChild('ContentProgressBar');
+    
+    if (locked) {
+      this.savedPlaybackRate = this.player.playbackRate();
+      if (this.savedPlaybackRate !== 1) this.player.playbackRate(1);
+      if (progressControl) progressControl.disable();
+      if (rateButton) rateButton.disable();
+      if (contentProgressBar) contentProgressBar.setLocked(true);
+    } else {
+      // Set the flag first so the ratechange listener lets the restore through
+      if (this.savedPlaybackRate !== 1) this.player.playbackRate(this.savedPlaybackRate);
+      if (progressControl) progressControl.enable();
+      if (rateButton) rateButton.enable();
+      if (contentProgressBar) contentProgressBar.setLocked(false);
+    }
+  }
+
+  /**
+   * Tracks the playhead and resumes pending seeks once their breaks are watched
+   * @param {number} currentTime - Current stream time
+   */
+  update(currentTime) {
+    if (!this.player) return;
+    
+    const inAd = this.adBreakManager.isInAd();
+    this.setControlsLocked(inAd);
+    
+    if (!this.player.seeking()) {
+      this.lastTime = currentTime;
+    }
+    
+    if (!inAd && this.jumpWatchedBreak(currentTime)) return;
+    
+    if (!this.pending || inAd || !this.adBreakManager.isBreakWatched(this.pending.current)) return;
+    
+    const next = this.pending.queue.shift();
+    if (next) {
+      this.pending.current = next;
+      this.seekUnchecked(this.adBreakManager.getBreakStreamRange(next).start);
+      return;
+    }
+    
+    const resumeTime = this.pending.resumeTime;
+    this.pending = null;
+    
+    console.log('[SEEK] Resuming requested position', { resumeTime });
+    this.seekUnchecked(resumeTime);
+  }
+
+  /**
+   * Jumps over the ad segment of a watched break the playhead entered
+   * Only for stitched streams with SKIP_WATCHED_BREAKS and JUMP_WATCHED_BREAKS on
+   * @param {number} currentTime - Current stream time
+   * @returns {boolean} True if a jump was made
+   */
+  jumpWatchedBreak(currentTime) {
+    if (!this.config.SKIP_WATCHED_BREAKS || !this.config.JUMP_WATCHED_BREAKS || this.player.seeking()) return false;
+    
+    const watched = this.adBreakManager.getAdBreaks()
+      .filter((br) => this.adBreakManager.isBreakWatched(br))
+      .map((br) => ({ br, range: this.adBreakManager.getBreakStreamRange(br) }))
+      .find(({ range }) => range !== null && currentTime >= range.start && currentTime < range.end);
+    if (!watched) return false;
+    
+    // The end of a live break that is still airing is not in the stream yet
+    const seekable = this.player.seekable();
+    if (seekable.length && watched.range.end > seekable.end(seekable.length - 1)) return false;
+    
+    console.log('[SEEK] Jumping over watched break', { breakId: watched.br.breakId, to: watched.range.end });
+    this.seekUnchecked(watched.range.end);
+    return true;
+  }
+}
+
+/** Policies by player, looked up by the seek middleware */
+SeekPolicy.instances = new WeakMap();
+SeekPolicy.middlewareRegistered = false;
+
+// =============================================================================
+// CONTENT TIMELINE
+// =============================================================================
+
+/**
+ * Maps between content time (ads excluded) and stream time (ads stitched in)
+ * Built from the ad break list, so it follows cue and VAST duration updates
+ */
+class TimelineMapper {
+  constructor(adBreakManager) {
+    this.adBreakManager = adBreakManager;
+  }
+
+  /**
+   * Gets the stream time ranges of all breaks in the stream
+   * @returns {Array} Sorted { start, end } ranges in stream seconds
+   */
+  getRanges() {
+    return this.adBreakManager.getAdBreaks()
+      .map((br) => this.adBreakManager.getBreakStreamRange(br))
+      .filter((range) => range !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Converts stream time to content time
+   * Inside a break, content time stays at the break position
+   * Live ads replace content, so both times are the same on live streams
+   * @param {number} streamTime - Stream time in seconds
+   * @returns {number} Content time in seconds
+   */
+  toContentTime(streamTime) {
+    if (this.adBreakManager.isLive()) return streamTime;
+    let adTime = 0;
+    
+    for (const range of this.getRanges()) {
+      if (streamTime <= range.start) break;
+      adTime += Math.min(streamTime, range.end) - range.start;
+    }
+    
+    return Math.max(0, streamTime - adTime);
+  }
+
+  /**
+   * Converts content time to stream time
+   * A content position at a break lands on the break start, so the break plays
+   * @param {number} contentTime - Content time in seconds
+   * @returns {number} Stream time in seconds
+   */
+  toStreamTime(contentTime) {
+    if (this.adBreakManager.isLive()) return contentTime;
+    let streamTime = contentTime;
+    
+    for (const range of this.getRanges()) {
+      if (range.start >= streamTime) break;
+      streamTime += range.end - range.start;
+    }
+    
+    return streamTime;
+  }
+
+  /**
+   * Gets the total duration of ads stitched into the stream
+   * @returns {number} Duration in seconds
+   */
+  getTotalAdDuration() {
+    return this.getRanges().reduce((total, range) => total + (range.end - range.start), 0);
+  }
+
+  /**
+   * Gets the content duration of a stream
+   * @param {number} streamDuration - Stream duration in seconds
+   * @returns {number} Content duration in seconds
+   */
+  getContentDuration(streamDuration) {
+    return Math.max(0, streamDuration - this.getTotalAdDuration());
+  }
+}
+
+/**
+ * Progress bar in content time, replacing the stream-time ProgressControl
+ * A focusable ARIA slider in content seconds, keyboard-seekable like the Video.js seek bar
+ * Options: onSeek(contentTime) called when the viewer releases the bar or presses a seek key
+ */
+class ContentProgressBar extends VjsComponent {
+  constructor(player, options) {
+    super(player, options);
+    this.locked = false;
+    this.dragging = false;
+    this.duration = 0;
+    this.time = 0;
+    this.markers = [];
+    
+    this.handleDragStart = this.handleDragStart.bind(this);
+    this.handleDragMove = this.handleDragMove.bind(this);
+    this.handleDragEnd = this.handleDragEnd.bind(this);
+    this.on(['mousedown', 'touchstart'], this.handleDragStart);
+    this.on('keydown', this.handleKeyDown);
+  }
+
+  createEl() {
+    const el = super.createEl('div', { className: 'vjs-content-progress', tabIndex: 0 }, {
+      role: 'slider',
+      'aria-label': this.localize('Progress Bar'),
+      'aria-valuemin': 0,
+      'aria-valuemax': 0,
+      'aria-valuenow': 0,
+    });
+    
+    this.fillEl = videojs.dom.createEl('div', { className: 'vjs-content-progress-fill' });
+    this.markersEl = videojs.dom.createEl('div', { className: 'vjs-content-progress-markers' });
+    el.appendChild(this.fillEl);
+    el.appendChild(this.markersEl);
+    
+    return el;
+  }
+
+  /**
+   * Renders the played position
+   * @param {number} contentTime - Current content time
+   * @param {number} contentDuration - Content duration
+   */
+  update(contentTime, contentDuration) {
+    if (contentDuration !== this.duration) {
+      this.duration = contentDuration;
+      this.renderMarkers();
+    }
+    if (this.dragging || !contentDuration) return;
+    
+    this.time = contentTime;
+    this.fillEl.style.width = `${Math.min(100, (contentTime / contentDuration) * 100)}%`;
+    this.el_.setAttribute('aria-valuemax', Math.round(contentDuration));
+    this.el_.setAttribute('aria-valuenow', Math.round(Math.min(contentTime, contentDuration)));
+    this.el_.setAttribute('aria-valuetext', `${videojs.time.formatTime(contentTime, contentDuration)} of ${videojs.time.formatTime(contentDuration)}`);
+  }
+
+  /**
+   * Gets the content time a slider key moves to
+   * @param {string} key - KeyboardEvent key
+   * @param {number} time - Current content time
+   * @param {number} duration - Content duration
+   * @returns {number|null} Content time to seek to, null for other keys
+   */
+  static getKeyTime(key, time, duration) {
+    const { STEP, PAGE_STEPS } = ContentProgressBar;
+    const steps = {
+      ArrowLeft: -STEP, ArrowDown: -STEP, ArrowRight: STEP, ArrowUp: STEP,
+      PageDown: -STEP * PAGE_STEPS, PageUp: STEP * PAGE_STEPS,
+    };
+    
+    if (key === 'Home') return 0;
+    if (key === 'End') return duration;
+    if (!(key in steps)) return null;
+    return Math.min(duration, Math.max(0, time + steps[key]));
+  }
+
+  /**
+   * Seeks with the arrow, Page Up/Down, Home and End keys, as the Video.js seek bar does
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    const time = ContentProgressBar.getKeyTime(event.key, this.time, this.duration);
+    if (time === null || !this.duration) return;
+    
+    // The player's own hotkeys must not act on the key as well
+    event.preventDefault();
+    event.stopPropagation();
+    if (this.locked || !this.options_.onSeek) return;
+    
+    this.time = time;
+    this.options_.onSeek(time);
+  }
+
+  /**
+   * Renders ad break markers
+   * @param {Array} markers - { time, text } in content seconds
+   */
+  setMarkers(markers) {
+    this.markers = markers;
+    this.renderMarkers();
+  }
+
+  renderMarkers() {
+    this.markersEl.textContent = '';
+    if (!this.duration) return;
+    
+    this.markers.forEach(({ time, text }) => {
+      const marker = videojs.dom.createEl('div', { className: 'vjs-content-progress-marker' }, { title: text });
+      marker.style.left = `${(time / this.duration) * 100}%`;
+      this.markersEl.appendChild(marker);
+    });
+  }
+
+  /**
+   * Disables scrubbing while an ad is playing
+   * @param {boolean} locked - True to disable
+   */
+  setLocked(locked) {
+    this.locked = locked;
+    this.toggleClass('is-locked', locked);
+    this.el_.setAttribute('aria-disabled', String(locked));
+  }
+
+  /**
+   * Converts a pointer event to a content time
+   * @param {Event} event - Mouse or touch event
+   * @returns {number} Content time in seconds
+   */
+  getEventTime(event) {
+    const point = event.touches ? event.changedTouches[0] : event;
+    const rect = this.el_.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (point.clientX - rect.left) / rect.width));
+    return fraction * this.duration;
+  }
+
+  handleDragStart(event) {
+    if (this.locked || !this.duration) return;
+    event.preventDefault();
+    
+    this.dragging = true;
+    this.handleDragMove(event);
+    document.addEventListener('mousemove', this.handleDragMove);
+    document.addEventListener('touchmove', this.handleDragMove);
+    document.addEventListener('mouseup', this.handleDragEnd);
+    document.addEventListener('touchend', this.handleDragEnd);
+  }
+
+  handleDragMove(event) {
+    this.fillEl.style.width = `${(this.getEventTime(event) / this.duration) * 100}%`;
+  }
+
+  handleDragEnd(event) {
+    this.stopDragging();
+    
+    // Seek once on release so dragging across a break does not snap back mid-drag
+    if (this.options_.onSeek) {
+      this.options_.onSeek(this.getEventTime(event));
+    }
+  }
+
+  stopDragging() {
+    this.dragging = false;
+    document.removeEventListener('mousemove', this.handleDragMove);
+    document.removeEventListener('touchmove', this.handleDragMove);
+    document.removeEventListener('mouseup', this.handleDragEnd);
+    document.removeEventListener('touchend', this.handleDragEnd);
+  }
+
+  dispose() {
+    this.stopDragging();
+    super.dispose();
+  }
+}
+
+/** Seconds an arrow key moves the content progress bar */
+ContentProgressBar.STEP = 5;
+
+/** Arrow steps a Page Up/Down key moves the content progress bar */
+ContentProgressBar.PAGE_STEPS = 12;
+
+/**
+ * Current time / duration display in content time
+ */
+class ContentTimeDisplay extends VjsComponent {
+  createEl() {
+    return super.createEl('div', { className: 'vjs-content-time', textContent: '0:00 / 0:00' }, { 'aria-live': 'off' });
+  }
+
+  /**
+   * Renders the content position
+   * @param {number} contentTime - Current content time
+   * @param {number} contentDuration - Content duration
+   */
+  update(contentTime, contentDuration) {
+    const current = videojs.time.formatTime(contentTime, contentDuration);
+    const total = videojs.time.formatTime(contentDuration, contentDuration);
+    this.el_.textContent = `${current} / ${total}`;
+  }
+}
+
+/**
+ * Ad break markers on the live seek bar
+ * The bar spans the DVR window, so markers move left as the window slides and
+ * disappear when their break leaves it
+ */
+class LiveBreakMarkers extends VjsComponent {
+  constructor(player, options) {
+    super(player, options);
+    this.markers = [];
+    this.on(player, ['timeupdate', 'liveedgechange'], () => this.renderMarkers());
+  }
+
+  createEl() {
+    return super.createEl('div', { className: 'vjs-live-markers' });
+  }
+
+  /**
+   * Renders ad break markers
+   * @param {Array} markers - { time, text } in stream seconds
+   */
+  setMarkers(markers) {
+    this.markers = markers;
+    this.renderMarkers();
+  }
+
+  renderMarkers() {
+    const liveTracker = this.player().liveTracker;
+    const start = liveTracker ? liveTracker.seekableStart() : 0;
+    const end = liveTracker ? liveTracker.liveCurrentTime() : 0;
+    const span = end - start;
+    
+    this.el_.textContent = '';
+    if (!(span > 0) || !isFinite(span)) return;
+    
+    this.markers
+      .filter(({ time }) => time >= start && time <= end)
+      .forEach(({ time, text }) => {
+        const marker = videojs.dom.createEl('div', { className: 'vjs-live-marker' }, { title: text });
+        marker.style.left = `${((time - start) / span) * 100}%`;
+        this.el_.appendChild(marker);
+      });
+  }
+}
+
+videojs.registerComponent('ContentProgressBar', ContentProgressBar);
+videojs.registerComponent('ContentTimeDisplay', ContentTimeDisplay);
+videojs.registerComponent('LiveBreakMarkers', LiveBreakMarkers);
+
+// =============================================================================
+// VIDEO PLAYER MANAGER
+// =============================================================================
+
+/**
+ * Manages a Video.js player's content source, content timeline and markers
+ * The player itself is created by the host page
+ */
+class VideoPlayerManager {
+  /**
+   * @param {Object} player - Video.js player instance
+   * @param {TimelineMapper} timelineMapper - Maps stream time to content time
+   * @param {Object} [config] - Player configuration
+   */
+  constructor(player, timelineMapper, config = CONFIG) {
+    this.player = player;
+    this.timelineMapper = timelineMapper;
+    this.config = config;
+    this.contentDuration = 0;
+    this.contentProgressBar = null;
+    this.contentTimeDisplay = null;
+    this.liveMarkers = null;
+    this.listeners = [];
+    this.addedComponents = [];
+    this.hiddenComponents = [];
+  }
+
+  /**
+   * Detects Safari, which plays HLS more reliably natively than through VHS
+   * @returns {boolean} True on Safari
+   */
+  static isSafari() {
+    return /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+  }
+
+  /**
+   * Gets Video.js options suited to HLS content
+   * @returns {Object} Player options
+   */
+  static getPlayerOptions() {
+    const isSafari = VideoPlayerManager.isSafari();
+    return {
+      controls: true,
+      preload: 'auto',
+      responsive: true,
+      fluid: true,
+      liveui: true, // DVR seek bar on live streams
+      html5: {
+        vhs: {
+          overrideNative: !isSafari  // Use native HLS on Safari, VHS on other browsers
+        },
+        nativeAudioTracks: isSafari,
+        nativeVideoTracks: isSafari
+      }
+    };
+  }
+
+  /**
+   * Sets up decode error recovery and the content timeline
+   * Live streams keep the Video.js live seek bar, with break markers on it
+   * @param {number} duration - Content duration in seconds (Infinity for live streams)
+   */
+  initialize(duration) {
+    this.contentDuration = duration;
+    
+    // Add error recovery for Safari
+    this.listen(this.player, 'error', () => {
+      const error = this.player.error();
+      if (error && error.code === 3) {
+        console.warn('[PLAYER] MEDIA_ERR_DECODE detected, attempting recovery');
+        // Attempt to recover by reloading from current position
+        const currentTime = this.player.currentTime();
+        this.player.load();
+        this.player.currentTime(currentTime);
+        this.player.play().catch(err => console.error('[PLAYER] Recovery play failed:', err));
+      }
+    });
+
+    if (!isFinite(duration)) {
+      this.initializeLiveMarkers();
+    } else if (this.config.CONTENT_TIMELINE) {
+      this.initializeContentTimeline();
+    }
+  }
+
+  /**
+   * Adds the break marker layer to the live seek bar
+   */
+  initializeLiveMarkers() {
+    const progressControl = this.player.controlBar.getChild('ProgressControl');
+    const seekBar = progressControl && progressControl.getChild('SeekBar');
+    if (!seekBar) return;
+    
+    this.liveMarkers = this.addComponent(seekBar, 'LiveBreakMarkers');
+  }
+
+  /**
+   * Loads an HLS stream into the player
+   * @param {string} contentUrl - HLS stream URL
+   */
+  load(contentUrl) {
+    console.log('[PLAYER] Loading source', { contentUrl, isSafari: VideoPlayerManager.isSafari() });
+    this.player.src({ src: contentUrl, type: 'application/x-mpegURL' });
+    
+    // Safari needs explicit load() call for proper HLS initialization
+    if (VideoPlayerManager.isSafari()) {
+      this.player.load();
+    }
+  }
+
+  /**
+   * Replaces the stream-time progress bar and time displays with content-time ones
+   */
+  initializeContentTimeline() {
+    const controlBar = this.player.controlBar;
+    const progressControl = controlBar.getChild('ProgressControl');
+    const index = controlBar.children().indexOf(progressControl);
+    
+    // Controls the skin already hides stay hidden on dispose
+    ['ProgressControl', 'CurrentTimeDisplay', 'TimeDivider', 'DurationDisplay', 'RemainingTimeDisplay']
+      .map((name) => controlBar.getChild(name))
+      .filter((child) => child && !child.hasClass('vjs-hidden'))
+      .forEach((child) => {
+        child.hide();
+        this.hiddenComponents.push(child);
+      });
+    
+    this.contentTimeDisplay = this.addComponent(controlBar, 'ContentTimeDisplay', {}, index);
+    this.contentProgressBar = this.addComponent(controlBar, 'ContentProgressBar', {
+      onSeek: (contentTime) => this.seekContent(contentTime),
+    }, index + 1);
+    
+    this.listen(this.player, ['timeupdate', 'durationchange'], () => this.updateContentTimeline());
+  }
+
+  /**
+   * Renders the current content position on the content timeline
+   */
+  updateContentTimeline() {
+    if (!this.contentProgressBar) return;
+    
+    const contentTime = this.timelineMapper.toContentTime(this.player.currentTime());
+    const contentDuration = this.getContentDuration();
+    this.contentProgressBar.update(contentTime, contentDuration);
+    this.contentTimeDisplay.update(contentTime, contentDuration);
+  }
+
+  /**
+   * Gets the content duration, excluding stitched ads
+   * Falls back to the configured duration until the stream duration is known
+   * @returns {number} Duration in seconds
+   */
+  getContentDuration() {
+    const streamDuration = this.player ? this.player.duration() : 0;
+    if (!(streamDuration > 0) || !isFinite(streamDuration)) return this.contentDuration;
+    return this.timelineMapper.getContentDuration(streamDuration);
+  }
+
+  /**
+   * Initializes timeline markers for ad breaks
+   * Markers are placed in content time when the content timeline is active,
+   * and in stream time on the DVR window of live streams
+   * @param {Array} adBreaks - Array of ad break objects
+   * @param {Function} getStreamRange - Function returning a break's stream time range
+   */
+  initializeMarkers(adBreaks, getStreamRange) {
+    if (this.liveMarkers) {
+      this.liveMarkers.setMarkers(adBreaks
+        .map((br) => ({ br, range: getStreamRange(br) }))
+        .filter(({ range }) => range !== null)
+        .map(({ br, range }) => ({ time: range.start, text: br.breakId })));
+      return;
+    }
+    
+    // Only show markers for mid-roll ads (not pre/post-roll)
+    const markers = adBreaks
+      .filter((br) => br.timeInSeconds > 0 && br.timeInSeconds < this.contentDuration)
+      .map((br) => ({ br, range: getStreamRange(br) }))
+      .filter(({ range }) => range !== null)
+      .map(({ br, range }) => ({
+        time: this.contentProgressBar ? this.timelineMapper.toContentTime(range.start) : range.start,
+        text: br.breakId || `Ad ${adBreaks.indexOf(br) + 1}`,
+      }));
+    
+    if (this.contentProgressBar) {
+      this.contentProgressBar.setMarkers(markers);
+      this.updateContentTimeline();
+      return;
+    }
+    
+    if (!this.player.markers) return;
+    
+    // The plugin replaces itself with its API object after the first call
+    if (typeof this.player.markers === 'function') {
+      this.player.markers({
+        markers,
+        markerStyle: { width: '6px', 'background-color': '#ff9800' },
+      });
+    } else {
+      this.player.markers.reset(markers);
+    }
+  }
+
+  /**
+   * Adds a listener for media playlist loads from the VHS playlist loader
+   * Not available with native HLS playback (Safari)
+   * @param {Function} callback - Callback receiving the parsed media playlist
+   */
+  onPlaylistLoaded(callback) {
+    if (!this.player) return;
+
+    this.listen(this.player, 'loadedmetadata', () => {
+      const tech = this.player.tech({ IWillNotUseThisInPlugins: true });
+      const playlists = tech && tech.vhs ? tech.vhs.playlists : null;
+
+      if (!playlists) {
+        console.warn('[PLAYER] VHS playlist loader unavailable, manifest cues cannot be read');
+        return;
+      }
+
+      const emit = () => {
+        const media = playlists.media();
+        if (media) callback(media);
+      };
+
+      this.listen(playlists, 'loadedplaylist', emit);
+      emit();
+    }, true);
+  }
+
+  /**
+   * Adds a time update listener
+   * @param {Function} callback - Callback function to call on timeupdate
+   */
+  onTimeUpdate(callback) {
+    if (this.player) {
+      this.listen(this.player, 'timeupdate', callback);
+    }
+  }
+
+  /**
+   * Adds a playback error listener
+   * @param {Function} callback - Callback receiving the Video.js MediaError
+   */
+  onError(callback) {
+    if (this.player) {
+      this.listen(this.player, 'error', () => callback(this.player.error()));
+    }
+  }
+
+  /**
+   * Gets the current playback time
+   * @returns {number} Current time in seconds
+   */
+  getCurrentTime() {
+    return this.player ? this.player.currentTime() : 0;
+  }
+
+  /**
+   * Seeks to a specific time
+   * Subject to the seek policy: crossing an unwatched break plays it first
+   * @param {number} time - Time in seconds
+   */
+  seek(time) {
+    if (this.player) {
+      this.player.currentTime(time);
+    }
+  }
+
+  /**
+   * Seeks to a content position, skipping over stitched ad durations
+   * Subject to the seek policy like any other seek
+   * @param {number} contentTime - Content time in seconds
+   */
+  seekContent(contentTime) {
+    this.seek(this.timelineMapper.toStreamTime(contentTime));
+  }
+
+  /**
+   * Waits until the stream duration is known
+   * @returns {Promise<number>} Duration in seconds, Infinity for live streams
+   */
+  waitForDuration() {
+    return new Promise((resolve) => {
+      const check = () => {
+        const duration = this.player.duration();
+        if (!(duration > 0)) return;
+        this.player.off('durationchange', check);
+        resolve(duration);
+      };
+      this.listen(this.player, 'durationchange', check);
+      check();
+    });
+  }
+
+  /**
+   * Gets the player instance
+   * @returns {Object} Video.js player instance
+   */
+  getPlayer() {
+    return this.player;
+  }
+
+  /**
+   * Adds a listener that dispose() removes
+   * @param {Object} target - Player or VHS playlist loader
+   * @param {string|Array} type - Event type(s)
+   * @param {Function} handler - Listener
+   * @param {boolean} [once=false] - True to remove the listener after its first call
+   */
+  listen(target, type, handler, once = false) {
+    target[once ? 'one' : 'on'](type, handler);
+    this.listeners.push({ target, type, handler });
+  }
+
+  /**
+   * Adds a child component that dispose() removes
+   * @param {Object} parent - Parent component
+   * @param {string} name - Registered component name
+   * @param {Object} [options] - Component options
+   * @param {number} [index] - Position among the parent's children
+   * @returns {Object} Child component
+   */
+  addComponent(parent, name, options = {}, index) {
+    const child = parent.addChild(name, options, index);
+    this.addedComponents.push({ parent, child });
+    return child;
+  }
+
+  /**
+   * Removes the listeners and components added to the player and shows the controls they replaced
+   */
+  dispose() {
+    this.listeners.splice(0).forEach(({ target, type, handler }) => target.off(type, handler));
+    this.addedComponents.splice(0).forEach(({ parent, child }) => {
+      parent.removeChild(child);
+      child.dispose();
+    });
+    this.hiddenComponents.splice(0).forEach((child) => child.show());
     
-    // Show overlay
-    this.overlayController.show();
+    this.contentProgressBar = null;
+    this.contentTimeDisplay = null;
+    this.liveMarkers = null;
+    this.player = null;
+  }
+}
+
+// =============================================================================
+// VMAP ADS PLUGIN
+// =============================================================================
+
+const VjsPlugin = videojs.getPlugin('Plugin');
+
+/**
+ * Video.js plugin that adds VMAP/VAST ads to a player: player.vmapAds(options)
+ * Each player gets its own overlay components, ad state and configuration,
+ * all of which are torn down when the player is disposed
+ * Ad events are listened to on the `events` emitter: player.vmapAds().events.on('adStart', ...)
+ */
+class VmapAdsPlugin extends VjsPlugin {
+  /**
+   * @param {Object} player - Video.js player instance
+   * @param {Object} [options] - See VmapAdsPlugin.DEFAULTS
+   */
+  constructor(player, options = {}) {
+    super(player);
+    this.options = { ...VmapAdsPlugin.DEFAULTS, ...options };
+    this.config = { ...CONFIG, ...this.options.config };
     
-    // Initialize VAST tracking
-    const metadata = await this.tracker.initialize(breakInfo);
-    if (metadata) {
-      // Update break info with VAST metadata
-      this.currentAdBreak.clickThrough = metadata.clickThrough;
-      this.currentAdBreak.duration = metadata.duration;
-      this.currentAdBreak.skipOffset = metadata.skipOffset;
+    this.events = new AdEventEmitter();
+    this.inspector = new AdInspector();
+    this.macroResolver = new MacroResolver(
+      VmapAdsPlugin.createCmpAdapter(this.options.consent, this.config.CMP_TIMEOUT),
+      this.inspector
+    );
+    this.errorReporter = new AdErrorReporter(this.macroResolver, this.events);
+    this.analytics = new AdAnalytics(this.events, this.config);
+    this.locale = new AdLocale(this.options.language, this.options.messages);
+    this.overlayController = new AdOverlayController(player, {
+      onSkip: () => this.skipAd(),
+      onClick: () => this.clickAd(),
+      companionSlots: this.config.COMPANION_SLOTS,
+      locale: this.locale,
+      shortcuts: this.config.AD_SHORTCUTS,
+      announceInterval: this.config.AD_ANNOUNCE_INTERVAL,
+    });
+    this.prefetcher = new VastPrefetcher(this.errorReporter, this.macroResolver, this.config);
+    this.tracker = new AdTracker(this.errorReporter, this.macroResolver, this.prefetcher, this.config);
+    this.adBreakManager = new AdBreakManager(this.overlayController, this.tracker, this.events, this.config);
+    this.adBreakManager.viewability.observe(player.el());
+    this.timelineMapper = new TimelineMapper(this.adBreakManager);
+    this.playerManager = new VideoPlayerManager(player, this.timelineMapper, this.config);
+    this.seekPolicy = new SeekPolicy(this.adBreakManager, this.config);
+    this.csaiPlayer = new CsaiAdPlayer(this.adBreakManager, this.errorReporter, this.events, this.config);
+    this.nonLinearManager = new NonLinearAdManager(this.overlayController, this.errorReporter, this.macroResolver, this.config);
+    this.session = null;
+    this.history = null;
+    this.liveWindow = new LiveWindow();
+    this.liveScheduleTimer = null;
+    this.liveScheduleLoaded = false;
+    this.liveSignature = '';
+    this.prerollCapped = false;
+    this.lastSavedPosition = 0;
+    this.mode = this.options.mode;
+    
+    // Leaving the page during an ad counts as closing it
+    this.handlePageHide = () => {
+      if (this.adBreakManager.isInAd()) this.tracker.trackClose();
+      this.savePosition();
+      this.analytics.flush();
+    };
+    window.addEventListener('pagehide', this.handlePageHide);
+    
+    /** Resolves once the ad schedule is loaded (or failed to load) */
+    this.loaded = this.load();
+  }
+
+  /**
+   * Creates the CMP adapter for a consent source
+   * @param {string|Object} consent - 'page' for the page CMP, a CmpStub preset name, or a CMP object
+   * @param {number} timeout - Milliseconds to wait for each CMP answer
+   * @returns {TcfCmpAdapter} CMP adapter
+   */
+  static createCmpAdapter(consent, timeout) {
+    if (consent && typeof consent === 'object') return new TcfCmpAdapter(consent, timeout);
+    
+    const preset = CmpStub.PRESETS[consent];
+    return new TcfCmpAdapter(preset ? new CmpStub(preset) : window, timeout);
+  }
+
+  /**
+   * Reads consent, loads the content and sets up ad breaks for the configured mode
+   */
+  async load() {
+    const { src, vmapUrl, userId, contentDuration } = this.options;
+    const mode = this.mode;
+    
+    console.log('[ADS] Loading', { playerId: this.player.id(), src, vmapUrl, userId, mode });
+    
+    // Consent must be known before the first ad request
+    await this.macroResolver.refreshConsent();
+    if (!this.player) return; // Disposed while waiting
+    
+    // Client-side ads play next to the content instead of inside the stream
+    this.adBreakManager.setStitched(mode !== 'csai');
+    
+    // Client-side tracking plays the session manifest instead of the raw URL
+    let playbackUrl = src;
+    if (mode === 'session') {
+      playbackUrl = await this.initializeSession(src, userId) || src;
+      if (!this.player) return;
+    }
+    if (playbackUrl) {
+      this.playerManager.load(playbackUrl);
+    }
+    if (this.config.PERSIST_HISTORY) {
+      this.initializeHistory(src || this.player.currentSrc(), userId);
+    }
+    
+    // A live stream has no duration; a configured duration means on-demand content
+    const detectLive = this.options.live === true || (this.options.live === 'auto' && !contentDuration);
+    const streamDuration = detectLive || !contentDuration ? await this.playerManager.waitForDuration() : null;
+    if (!this.player) return;
+    
+    const live = this.options.live === 'auto' ? !isFinite(streamDuration) : Boolean(this.options.live);
+    const duration = live ? Infinity : (contentDuration || streamDuration);
+    this.adBreakManager.setLive(live);
+    if (live) console.log('[LIVE] Live stream, breaks are discovered as the playlist refreshes');
+    
+    const player = this.player;
+    this.playerManager.initialize(duration);
+    this.seekPolicy.attach(player);
+    
+    if (live && mode === 'csai') {
+      this.errorReporter.report({ code: 900, message: 'Client-side ad insertion is not available for live streams' });
+      return;
+    }
+    
+    // Client-side ads play outside the content stream
+    this.tracker.setPlayer(mode === 'csai' ? null : player);
+    
+    if (mode === 'csai') {
+      this.csaiPlayer.attach(player);
+    } else {
+      // Stitched ads fail inside the content stream
+      this.playerManager.onError((error) => {
+        if (!this.adBreakManager.isInAd()) return;
+        const currentAd = this.tracker.getCurrentAd();
+        this.errorReporter.report({
+          code: AdErrorReporter.mediaErrorCode(error),
+          message: error && error.message,
+          ad: currentAd ? currentAd.vastAd : null,
+          breakInfo: this.adBreakManager.getCurrentAdBreak(),
+        });
+      });
+      
+      // Manifest cue tags are the authoritative ad boundaries
+      this.playerManager.onPlaylistLoaded((playlist) => {
+        if (live) {
+          this.updateLiveWindow(playlist, mode === 'vmap' ? vmapUrl : null, userId);
+          return;
+        }
+        
+        const cueBreaks = HLSCueParser.parsePlaylist(playlist);
+        if (!cueBreaks.length) return;
+        
+        console.log('[ADS] Manifest cues detected', {
+          count: cueBreaks.length,
+          cues: cueBreaks.map(c => ({ start: c.streamStart, end: c.streamEnd, source: c.source }))
+        });
+        
+        this.adBreakManager.setCueBreaks(cueBreaks);
+        this.renderAdBreaks();
+      });
+    }
+    
+    // Set up ad breaks from the tracking URL or the VMAP schedule
+    // (the live schedule starts with the first playlist, see updateLiveWindow)
+    if (mode === 'session') {
+      this.startSessionTracking();
+    } else if (!live) {
+      await this.loadVmapSchedule(vmapUrl, duration, userId);
+      if (!this.player) return;
+    }
+    this.resumePosition();
+    
+    // Set up ad detection
+    this.playerManager.onTimeUpdate(() => {
+      const currentTime = this.playerManager.getCurrentTime();
+      const contentTime = this.getContentTime();
+      this.prefetchBreaks(contentTime);
+      
+      if (mode === 'csai') {
+        this.csaiPlayer.update(currentTime);
+      } else {
+        this.adBreakManager.update(currentTime);
+      }
+      this.seekPolicy.update(currentTime);
+      
+      this.macroResolver.update({
+        contentPlayhead: contentTime,
+        playerSize: [player.currentWidth(), player.currentHeight()],
+      });
+      this.nonLinearManager.update(contentTime, this.adBreakManager.isInAd());
+      
+      if (!player.paused() && Math.abs(contentTime - this.lastSavedPosition) >= VmapAdsPlugin.POSITION_SAVE_INTERVAL) {
+        this.savePosition();
+      }
+    });
+    this.on(player, 'pause', () => this.savePosition());
+    this.on(player, 'ended', () => {
+      if (this.history) this.history.setPosition(0);
+    });
+  }
+
+  /**
+   * Gets the playhead position in content time
+   * @returns {number} Content time in seconds
+   */
+  getContentTime() {
+    const currentTime = this.playerManager.getCurrentTime();
+    return this.mode === 'csai' ? currentTime : this.timelineMapper.toContentTime(currentTime);
+  }
+
+  /**
+   * Loads the viewing history of the content and records watched breaks and pre-roll plays
+   * @param {string} contentUrl - Content URL (before any session rewrite)
+   * @param {string} userId - User ID
+   */
+  initializeHistory(contentUrl, userId) {
+    this.history = new ViewingHistory(contentUrl, userId);
+    this.prerollCapped = this.history.isPrerollCapped(this.config.PREROLL_CAP_COUNT, this.config.PREROLL_CAP_WINDOW);
+    this.adBreakManager.markWatched(this.history.getWatchedBreakIds());
+    
+    console.log('[HISTORY] Loaded', {
+      watchedBreaks: this.history.getWatchedBreakIds(),
+      position: this.history.getPosition(),
+      prerollCapped: this.prerollCapped,
+    });
+    
+    this.events.on('adBreakEnd', ({ break: br }) => this.history.addWatchedBreak(br.breakId));
+    this.events.on('adBreakStart', ({ break: br }) => {
+      if (br.position === 'preroll') this.history.recordPreroll(this.config.PREROLL_CAP_WINDOW);
+    });
+  }
+
+  /**
+   * Marks pre-rolls as watched when the user reached the pre-roll frequency cap
+   * Called whenever the schedule is replaced
+   */
+  applyPrerollCap() {
+    if (!this.prerollCapped) return;
+    
+    const prerolls = this.adBreakManager.getAdBreaks().filter((br) => MacroResolver.getBreakPosition(br) === 1);
+    if (!prerolls.length) return;
+    
+    console.log('[HISTORY] Pre-roll frequency cap reached, skipping', prerolls.map((br) => br.breakId));
+    this.adBreakManager.markWatched(prerolls.map((br) => br.breakId));
+  }
+
+  /**
+   * Seeks to the content position saved in an earlier session
+   * Goes through the seek policy, so unwatched breaks before it still play
+   */
+  resumePosition() {
+    const position = this.history ? this.history.getPosition() : 0;
+    if (!this.config.RESUME_POSITION || position < 1 || this.adBreakManager.isLive()) return;
+    
+    console.log('[HISTORY] Resuming at', { contentTime: position });
+    this.lastSavedPosition = position;
+    const seek = () => this.playerManager.seekContent(position);
+    if (this.player.readyState() >= 1) {
+      seek();
+    } else {
+      this.one(this.player, 'loadedmetadata', seek);
+    }
+  }
+
+  /**
+   * Saves the content position to the viewing history
+   * Positions inside ads, before playback started, at the end and in live streams are not saved
+   */
+  savePosition() {
+    if (!this.history || this.adBreakManager.isLive() || !this.player.hasStarted() || this.player.ended()
+      || this.adBreakManager.isInAd() || this.csaiPlayer.isActive()) return;
+    
+    this.lastSavedPosition = this.getContentTime();
+    this.history.setPosition(this.lastSavedPosition);
+  }
+
+  /**
+   * Prefetches the VAST of unwatched breaks coming up within the lead time
+   * @param {number} contentTime - Current content time
+   */
+  prefetchBreaks(contentTime) {
+    const upcoming = this.adBreakManager.getAdBreaks().filter((br) => !this.adBreakManager.isBreakWatched(br));
+    this.prefetcher.update(contentTime, upcoming);
+  }
+
+  /**
+   * Fetches VMAP and sets up ad breaks
+   * Falls back to the FALLBACK_SCHEDULE breaks when the VMAP cannot be loaded
+   * @param {string} vmapUrl - Base URL for VMAP endpoint
+   * @param {number} contentDuration - Content duration in seconds
+   * @param {string} userId - User ID for personalization
+   */
+  async loadVmapSchedule(vmapUrl, contentDuration, userId) {
+    try {
+      const vmap = await VMAPService.fetchVMAP(vmapUrl, contentDuration, userId, this.macroResolver,
+        this.config.VMAP_INTERVAL, {}, this.config);
+      if (!this.player) return;
+      const adBreaks = VMAPService.buildAdBreakList(vmap, contentDuration, this.config);
+      
+      console.log('[ADS] Ad breaks loaded', { 
+        count: adBreaks.length, 
+        breaks: adBreaks.map(b => ({ id: b.breakId, time: b.timeInSeconds })) 
+      });
       
-      // Update the master list
-      const breakIndex = this.adBreaks.findIndex(b => b.breakId === breakInfo.breakId);
-      if (breakIndex !== -1) {
-        this.adBreaks[breakIndex].duration = metadata.duration;
-        this.adBreaks[breakIndex].skipOffset = metadata.skipOffset;
+      const nonLinearBreaks = VMAPService.buildNonLinearBreakList(vmap, contentDuration);
+      VMAPService.getUnsupportedBreaks(vmap).forEach((br) => {
+        this.errorReporter.report({ code: 1003, vmapCode: 1003, breakInfo: br });
+      });
+      this.applySchedule(adBreaks, nonLinearBreaks, false);
+    } catch (err) {
+      console.error('[ADS] VMAP error', err);
+      this.errorReporter.report({ code: err.code || 900, message: `VMAP error: ${err.message}` });
+      if (this.player && this.config.FALLBACK_SCHEDULE) {
+        this.loadFallbackSchedule(contentDuration);
       }
     }
   }
 
   /**
-   * Ends an ad break (exiting ad)
+   * Sets up the breaks of the locally configured fallback schedule
+   * @param {number} contentDuration - Content duration in seconds
    */
-  endAdBreak() {
-    console.log('[AD BREAK] Ending');
+  loadFallbackSchedule(contentDuration) {
+    const adBreaks = VMAPService.buildFallbackAdBreakList(this.config.FALLBACK_SCHEDULE, contentDuration, this.config);
+    console.warn('[ADS] Using the fallback schedule', {
+      count: adBreaks.length,
+      breaks: adBreaks.map(b => ({ id: b.breakId, time: b.timeInSeconds })),
+    });
+    this.applySchedule(adBreaks, [], true);
+  }
+
+  /**
+   * Hands a schedule to the managers, renders its markers and prefetches the first breaks
+   * @param {Array} adBreaks - Linear ad breaks
+   * @param {Array} nonLinearBreaks - Non-linear and display opportunities
+   * @param {boolean} fallback - True for the FALLBACK_SCHEDULE breaks
+   */
+  applySchedule(adBreaks, nonLinearBreaks, fallback) {
+    this.adBreakManager.setAdBreaks(adBreaks);
+    this.applyPrerollCap();
+    this.nonLinearManager.setBreaks(nonLinearBreaks);
+    this.renderAdBreaks();
+    this.events.emit('vmapLoaded', { breaks: this.getSchedule(), nonLinearCount: nonLinearBreaks.length, fallback });
     
-    // Complete tracking
-    this.tracker.trackComplete();
-    this.tracker.reset();
+    // The pre-roll (and any break within the lead time) is requested before playback starts
+    this.prefetchBreaks(0);
+  }
+
+  /**
+   * Follows a refreshed live playlist: places its cues on the stream, drops the breaks
+   * that left the DVR window and starts the live VMAP schedule
+   * @param {Object} playlist - Media playlist parsed by the VHS playlist loader
+   * @param {string|null} vmapUrl - Base URL for VMAP endpoint, null without a VMAP schedule
+   * @param {string} userId - User ID for personalization
+   */
+  updateLiveWindow(playlist, vmapUrl, userId) {
+    const { start } = this.liveWindow.update(playlist);
     
-    this.isInAdBreak = false;
-    this.currentAdBreak = null;
+    this.adBreakManager.setCueBreaks(HLSCueParser.parsePlaylist(playlist, start));
+    this.adBreakManager.relocateLiveBreaks((date) => this.liveWindow.dateToStreamTime(date));
+    const removed = this.adBreakManager.pruneBreaks(start);
+    if (removed.length) {
+      console.log('[LIVE] Breaks left the DVR window', removed);
+    }
     
-    // Hide overlay
-    this.overlayController.hide();
+    // Markers follow the window on their own; only a changed schedule is rendered
+    const signature = this.adBreakManager.getAdBreaks().map((br) => {
+      const range = this.adBreakManager.getBreakStreamRange(br);
+      return `${br.breakId}@${range ? range.start.toFixed(1) : '-'}`;
+    }).join(',');
+    if (signature !== this.liveSignature) {
+      this.liveSignature = signature;
+      this.renderAdBreaks();
+    }
+    
+    if (vmapUrl && !this.liveScheduleTimer) {
+      this.startLiveSchedule(vmapUrl, userId);
+    }
   }
 
   /**
-   * Updates ad progress during playback
-   * @param {number} elapsed - Seconds elapsed in current ad
+   * Loads the live VMAP schedule now and every LIVE_SCHEDULE_INTERVAL seconds
+   * @param {string} vmapUrl - Base URL for VMAP endpoint
+   * @param {string} userId - User ID for personalization
    */
-  updateProgress(elapsed) {
-    if (!this.currentAdBreak) return;
+  startLiveSchedule(vmapUrl, userId) {
+    if (!this.liveWindow.hasProgramDateTime()) {
+      console.warn('[LIVE] No EXT-X-PROGRAM-DATE-TIME in the playlist, only manifest cues place breaks');
+    }
+    
+    this.loadLiveSchedule(vmapUrl, userId);
+    this.liveScheduleTimer = setInterval(() => this.loadLiveSchedule(vmapUrl, userId),
+      this.config.LIVE_SCHEDULE_INTERVAL * 1000);
+  }
+
+  /**
+   * Fetches the VMAP for the DVR window and the lookahead past the live edge,
+   * and adds the breaks that are not known yet
+   * @param {string} vmapUrl - Base URL for VMAP endpoint
+   * @param {string} userId - User ID for personalization
+   */
+  async loadLiveSchedule(vmapUrl, userId) {
+    const windowStart = this.liveWindow.streamTimeToDate(this.liveWindow.start);
+    if (!windowStart) return;
     
-    const duration = this.currentAdBreak.duration || CONFIG.DEFAULT_AD_DURATION;
-    const skipOffset = this.currentAdBreak.skipOffset || CONFIG.DEFAULT_SKIP_OFFSET;
+    const duration = Math.ceil(this.liveWindow.end - this.liveWindow.start + this.config.LIVE_SCHEDULE_LOOKAHEAD);
     
-    // Update UI
-    this.overlayController.updateSkipButton(elapsed, duration, skipOffset);
+    try {
+      const vmap = await VMAPService.fetchVMAP(vmapUrl, duration, userId, this.macroResolver, this.config.VMAP_INTERVAL, {
+        live: 1,
+        start: windowStart.toISOString(),
+      }, this.config);
+      if (!this.player) return;
+      
+      const adBreaks = VMAPService.buildLiveAdBreakList(vmap, windowStart, duration,
+        (date) => this.liveWindow.dateToStreamTime(date), this.config);
+      const added = this.adBreakManager.mergeAdBreaks(adBreaks);
+      this.adBreakManager.pruneBreaks(this.liveWindow.start);
+      
+      console.log('[LIVE] Schedule refreshed', {
+        windowStart: windowStart.toISOString(),
+        added: added.map((b) => ({ id: b.breakId, time: b.timeInSeconds })),
+      });
+      
+      if (added.length) {
+        this.liveSignature = '';
+        this.renderAdBreaks();
+      }
+      if (!this.liveScheduleLoaded) {
+        this.liveScheduleLoaded = true;
+        this.events.emit('vmapLoaded', { breaks: this.getSchedule(), nonLinearCount: 0, fallback: false });
+      }
+      this.prefetchBreaks(this.getContentTime());
+    } catch (err) {
+      console.error('[LIVE] VMAP error', err);
+      this.errorReporter.report({ code: err.code || 900, message: `VMAP error: ${err.message}` });
+    }
+  }
+
+  /**
+   * Initializes a MediaTailor client-side tracking session
+   * @param {string} contentUrl - MediaTailor playback URL
+   * @param {string} userId - User ID passed to the ad decision server
+   * @returns {Promise<string|null>} Session manifest URL or null on failure
+   */
+  async initializeSession(contentUrl, userId) {
+    if (!contentUrl) {
+      this.errorReporter.report({ code: 900, message: 'Session error: the src option is required in session mode' });
+      return null;
+    }
     
-    // Track quartiles
-    this.tracker.setProgress(elapsed);
+    this.session = new MediaTailorSession(MediaTailorSession.toSessionUrl(contentUrl));
+
+    try {
+      const adsParams = { userId, ...this.macroResolver.getConsentParams() };
+      const { manifestUrl } = await this.session.initialize({ adsParams });
+      return manifestUrl;
+    } catch (err) {
+      console.error('[ADS] Session error', err);
+      this.errorReporter.report({ code: 900, message: `Session error: ${err.message}` });
+      this.session = null;
+      return null;
+    }
+  }
+
+  /**
+   * Polls the session tracking URL and feeds avails into the ad break manager
+   */
+  startSessionTracking() {
+    if (!this.session) return;
+
+    this.session.startPolling((avails) => {
+      const adBreaks = MediaTailorSession.buildAdBreakList(avails, this.config);
+
+      console.log('[ADS] Ad breaks loaded from tracking', {
+        count: adBreaks.length,
+        breaks: adBreaks.map(b => ({ id: b.breakId, start: b.streamStart, ads: b.ads.length }))
+      });
+
+      if (this.adBreakManager.isLive()) {
+        // Live ads replace content, and avails that left the response are kept until they leave the window
+        adBreaks.forEach((br) => {
+          br.timeInSeconds = br.streamStart;
+          br.timeOffset = VMAPService.formatTimeOffset(br.streamStart);
+        });
+        this.adBreakManager.mergeAdBreaks(adBreaks);
+      } else {
+        this.adBreakManager.setAdBreaks(adBreaks);
+        this.applyPrerollCap();
+      }
+      this.renderAdBreaks();
+    }, this.config.TRACKING_POLL_INTERVAL);
+  }
+
+  /**
+   * Refreshes timeline markers and announces the updated schedule
+   */
+  renderAdBreaks() {
+    const adBreaks = this.adBreakManager.getAdBreaks();
+    
+    // Client-side breaks are not in the stream; mark them at their content position
+    const getMarkerRange = this.mode === 'csai'
+      ? (br) => ({ start: br.timeInSeconds, end: br.timeInSeconds })
+      : (br) => this.adBreakManager.getBreakStreamRange(br);
+    
+    this.playerManager.initializeMarkers(adBreaks, getMarkerRange);
+    this.events.emit('scheduleUpdated', { breaks: this.getSchedule() });
+  }
+
+  /**
+   * Skips the current ad
+   */
+  skipAd() {
+    console.log('[ADS] Skip ad requested');
+    if (this.csaiPlayer.isActive()) {
+      this.csaiPlayer.skip();
+      return;
+    }
+    this.seekPolicy.allowSeek(() => this.adBreakManager.skipCurrentAd(this.player));
+  }
+
+  /**
+   * Handles click on current ad
+   */
+  clickAd() {
+    console.log('[ADS] Ad click requested');
+    this.adBreakManager.clickCurrentAd();
+  }
+
+  /**
+   * Gets the linear ad schedule
+   * @returns {AdBreakSummary[]} Breaks in play order
+   */
+  getSchedule() {
+    return this.adBreakManager.getAdBreaks().map((br) => this.adBreakManager.describeBreak(br));
+  }
+
+  /**
+   * Gets the current ad state
+   * @returns {Object} { inAd, break, ad, adElapsed }
+   */
+  getAdState() {
+    return this.adBreakManager.getAdState();
+  }
+
+  /**
+   * Gets the ad errors reported since the plugin was set up
+   * @returns {Array} Error entries, oldest first
+   */
+  getAdErrors() {
+    return this.errorReporter.getErrors();
   }
 
   /**
-   * Skips the current ad
-   * @param {Object} player - Video.js player instance
+   * Gets the playhead and break boundaries in stream time
+   * Client-side breaks are not in the stream and have an empty range at their content position
+   * Live streams report their DVR window in stream time
+   * @returns {Object} { currentTime, duration, contentTime, inAd, live, windowStart, windowEnd, breaks: [{ breakId, start, end, watched }] }
    */
-  skipCurrentAd(player) {
-    if (!this.currentAdBreak || !player) {
-      console.warn('[AD BREAK] Cannot skip - no active ad break');
-      return;
-    }
-    
-    const breakIndex = this.adBreaks.findIndex(b => b.breakId === this.currentAdBreak.breakId);
-    const cumulativeAdDuration = this.getCumulativeAdDuration(breakIndex);
-    const adDuration = this.currentAdBreak.duration || CONFIG.DEFAULT_AD_DURATION;
-    const endTime = this.currentAdBreak.timeInSeconds + cumulativeAdDuration + adDuration;
-    
-    console.log('[AD BREAK] Skipping to', { endTime });
-    
-    // Track skip
-    this.tracker.trackSkip();
-    
-    // Seek to end of ad
-    player.currentTime(endTime);
+  getTimeline() {
+    const live = this.adBreakManager.isLive();
+    return {
+      currentTime: this.playerManager.getCurrentTime(),
+      duration: this.player.duration() || 0,
+      live,
+      windowStart: live ? this.liveWindow.start : 0,
+      windowEnd: live ? this.liveWindow.end : this.player.duration() || 0,
+      contentTime: this.getContentTime(),
+      inAd: this.adBreakManager.isInAd() || this.csaiPlayer.isActive(),
+      breaks: this.adBreakManager.getAdBreaks().map((br) => {
+        const range = this.mode === 'csai' ? null : this.adBreakManager.getBreakStreamRange(br);
+        return {
+          breakId: br.breakId,
+          start: range ? range.start : br.timeInSeconds,
+          end: range ? range.end : br.timeInSeconds,
+          watched: this.adBreakManager.isBreakWatched(br),
+        };
+      }),
+    };
   }
 
   /**
-   * Handles click on current ad
+   * Builds the inspector session report: options, parsed breaks, VAST request chains,
+   * beacons, errors and the current ad state
+   * @returns {Object} JSON-serializable report
    */
-  async clickCurrentAd() {
-    if (!this.currentAdBreak) {
-      console.warn('[AD BREAK] No active ad to click');
-      return;
-    }
-    
-    console.log('[AD BREAK] Processing click', {
-      hasClickThrough: !!this.currentAdBreak.clickThrough,
-      clickThroughUrl: this.currentAdBreak.clickThrough
-    });
-    
-    // Track click and get URL from tracker
-    const trackerUrl = await this.tracker.trackClick();
-    
-    // Open click-through URL
-    const url = trackerUrl || this.currentAdBreak.clickThrough;
-    if (url) {
-      window.open(url, '_blank');
-    } else {
-      console.warn('[AD BREAK] No click-through URL available');
-    }
+  getInspectorReport() {
+    const { src, vmapUrl, mode, userId, contentDuration, live } = this.options;
+    return {
+      generatedAt: new Date().toISOString(),
+      startedAt: new Date(this.inspector.startedAt).toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      options: { src, vmapUrl, mode, userId, contentDuration, live, language: this.locale.language },
+      config: this.config,
+      breaks: this.adBreakManager.getAdBreaks().map((br) => ({
+        ...this.adBreakManager.describeBreak(br),
+        ...AdInspector.describeAdSource(br),
+        ads: (br.ads || []).map((ad, i) => AdBreakManager.describeAd(ad, i, br.ads.length)),
+      })),
+      nonLinearBreaks: this.nonLinearManager.breaks.map((br) => ({
+        breakId: br.breakId,
+        breakType: br.breakType,
+        timeOffset: br.timeOffset,
+        timeInSeconds: br.timeInSeconds,
+        ...AdInspector.describeAdSource(br),
+      })),
+      vastRequests: this.inspector.getVastRequests(),
+      beacons: this.inspector.getBeacons(),
+      errors: this.getAdErrors(),
+      analytics: this.analytics.getMetrics(),
+      adState: this.getAdState(),
+      timeline: this.getTimeline(),
+    };
   }
 
   /**
-   * Checks if currently in an ad break
-   * @returns {boolean} True if in ad break
+   * Gets the ad delivery analytics of the session (see AdAnalytics)
+   * @returns {Object} { sessionId, metrics, breaks, sessionErrors }
    */
-  isInAd() {
-    return this.isInAdBreak;
+  getAnalytics() {
+    return this.analytics.getReport();
   }
 
   /**
-   * Gets the current ad break
-   * @returns {Object|null} Current ad break or null
+   * Exports the ad delivery records as CSV, one row per ad
+   * @returns {string} CSV text
    */
-  getCurrentAdBreak() {
-    return this.currentAdBreak;
+  getAnalyticsCSV() {
+    return this.analytics.toCSV();
   }
 
   /**
-   * Resets the manager state
+   * Stops ads and removes the plugin's components and listeners
+   * Called by Video.js when the player is disposed
    */
-  reset() {
-    this.adBreaks = [];
-    this.currentAdBreak = null;
-    this.isInAdBreak = false;
-    this.tracker.reset();
+  dispose() {
+    console.log('[ADS] Disposing', { playerId: this.player.id() });
+    
+    // Saves the position and closes an ad on screen
+    this.handlePageHide();
+    window.removeEventListener('pagehide', this.handlePageHide);
+    if (this.session) {
+      this.session.stopPolling();
+      this.session = null;
+    }
+    clearInterval(this.liveScheduleTimer);
+    this.liveScheduleTimer = null;
+    this.csaiPlayer.dispose();
+    this.adBreakManager.reset();
+    this.adBreakManager.viewability.disconnect();
+    this.prefetcher.reset();
+    this.nonLinearManager.reset();
+    this.tracker.setPlayer(null);
+    this.seekPolicy.detach();
+    this.playerManager.dispose();
+    this.overlayController.dispose();
+    this.analytics.dispose();
+    
+    // Removes the listeners added with this.on(player, ...)
+    super.dispose();
   }
 }
 
+/** Content seconds played between viewing history position saves */
+VmapAdsPlugin.POSITION_SAVE_INTERVAL = 5;
+
+/** `live` option values by stream type name (demo form) */
+VmapAdsPlugin.STREAM_TYPES = { auto: 'auto', vod: false, live: true };
+
+/** Plugin options */
+VmapAdsPlugin.DEFAULTS = {
+  src: null, // HLS content URL; omit to keep the player's source (required for 'session')
+  vmapUrl: '', // VMAP endpoint, called with duration, interval, userId and consent parameters
+  mode: 'vmap', // 'vmap' (stitched, VMAP schedule), 'session' (MediaTailor tracking) or 'csai' (client-side)
+  userId: 'guest', // User ID passed to the ad decision server
+  contentDuration: null, // Content duration in seconds; defaults to the stream duration
+  live: 'auto', // 'auto' (live when the stream has no duration and contentDuration is not set), true or false
+  consent: 'page', // 'page' CMP, a CmpStub preset name, or an object exposing __tcfapi
+  language: null, // Overlay language (BCP 47, e.g. 'fr'); null follows the page, then the browser language
+  messages: {}, // Overlay text by language, added to or replacing AdLocale.BUNDLES: { fr: { skipAd: '…' } }
+  config: {}, // Overrides of CONFIG for this player only
+};
+
+videojs.registerPlugin('vmapAds', VmapAdsPlugin);
+
 // =============================================================================
-// VIDEO PLAYER MANAGER
+// AD DEMO APPLICATION
 // =============================================================================
 
 /**
- * Manages the Video.js player instance and timeline markers
+ * Debugging inspector in the demo page: parsed breaks, VAST request chains with raw XML,
+ * a live playhead timeline and the tracking beacon log of the loaded player
+ * Refreshes while open; each section is only rebuilt when its data changed
  */
-class VideoPlayerManager {
+class AdInspectorPanel {
   constructor() {
-    this.player = null;
-    this.contentDuration = 0;
+    this.ads = null;
+    this.refreshTimer = null;
+    this.signatures = {};
+    
+    this.container = document.getElementById('adInspector');
+    this.toggleButton = document.getElementById('inspectorToggle');
+    this.exportButton = document.getElementById('inspectorExport');
+    this.breakSelect = document.getElementById('inspectorBreakSelect');
+    
+    this.toggleButton.addEventListener('click', () => this.setOpen(this.container.hidden));
+    this.exportButton.addEventListener('click', () => this.exportReport());
+    this.breakSelect.addEventListener('change', () => {
+      this.signatures.vast = null;
+      this.renderVast();
+    });
   }
 
   /**
-   * Initializes the Video.js player
-   * @param {string} contentUrl - HLS stream URL
-   * @param {number} duration - Content duration in seconds
+   * Creates an element with text content
+   * @param {string} tagName - Tag name
+   * @param {string} [text] - Text content
+   * @param {string} [className] - Class name
+   * @returns {HTMLElement} Element
    */
-  initialize(contentUrl, duration) {
-    // Dispose of existing player if any
-    if (this.player) {
-      console.log('[PLAYER] Disposing existing player');
-      this.player.dispose();
-      this.player = null;
-    }
+  static createElement(tagName, text = '', className = '') {
+    const el = document.createElement(tagName);
+    el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  }
 
-    this.contentDuration = duration;
+  /**
+   * Formats a time for the inspector
+   * @param {number|null} seconds - Time in seconds
+   * @returns {string} Time with one decimal, or "–"
+   */
+  static formatSeconds(seconds) {
+    return seconds == null ? '–' : `${seconds.toFixed(1)}s`;
+  }
 
-    // Create new Video.js player with HLS support
-    console.log('[PLAYER] Creating new player');
-    
-    // Detect Safari - use native HLS for better stability
-    const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-    console.log('[PLAYER] isSafari', isSafari);
-    this.player = videojs('videoPlayer', {
-      controls: true,
-      preload: 'auto',
-      responsive: true,
-      fluid: true,
-      html5: {
-        vhs: {
-          overrideNative: !isSafari  // Use native HLS on Safari, VHS on other browsers
-        },
-        nativeAudioTracks: isSafari,
-        nativeVideoTracks: isSafari
-      }
-    });
+  /**
+   * Shows the data of a plugin instance
+   * @param {VmapAdsPlugin|null} ads - Plugin of the loaded player
+   */
+  setAds(ads) {
+    this.ads = ads;
+    this.signatures = {};
+    this.exportButton.disabled = !ads;
+    if (!this.container.hidden) this.render();
+  }
 
-    // Load HLS stream
-    this.player.src({ src: contentUrl, type: 'application/x-mpegURL' });
+  /**
+   * Opens or closes the inspector
+   * @param {boolean} open - True to show it
+   */
+  setOpen(open) {
+    this.container.hidden = !open;
+    this.toggleButton.textContent = open ? 'Hide inspector' : 'Show inspector';
+    this.toggleButton.setAttribute('aria-expanded', String(open));
     
-    // Safari needs explicit load() call for proper HLS initialization
-    if (isSafari) {
-      this.player.load();
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    if (open) {
+      this.signatures = {};
+      this.render();
+      this.refreshTimer = setInterval(() => this.render(), AdInspectorPanel.REFRESH_INTERVAL);
     }
-    
-    // Add error recovery for Safari
-    this.player.on('error', () => {
-      const error = this.player.error();
-      if (error && error.code === 3) {
-        console.warn('[PLAYER] MEDIA_ERR_DECODE detected, attempting recovery');
-        // Attempt to recover by reloading from current position
-        const currentTime = this.player.currentTime();
-        this.player.load();
-        this.player.currentTime(currentTime);
-        this.player.play().catch(err => console.error('[PLAYER] Recovery play failed:', err));
-      }
-    });
   }
 
   /**
-   * Initializes timeline markers for ad breaks
-   * @param {Array} adBreaks - Array of ad break objects
-   * @param {Function} getCumulativeDuration - Function to calculate cumulative ad duration
+   * Renders every section
+   * Disposed players keep their last rendering
    */
-  initializeMarkers(adBreaks, getCumulativeDuration) {
-    if (!this.player.markers) return;
-    
-    // Only show markers for mid-roll ads (not pre/post-roll)
-    const markers = adBreaks
-      .filter((br) => br.timeInSeconds > 0 && br.timeInSeconds < this.contentDuration)
-      .map((br) => {
-        const originalIndex = adBreaks.findIndex(b => b.breakId === br.breakId);
-        const cumulativeAdDuration = getCumulativeDuration(originalIndex);
-        const hlsTime = br.timeInSeconds + cumulativeAdDuration;
-        
-        return {
-          time: hlsTime,
-          text: br.breakId || `Ad ${originalIndex + 1}`,
-        };
-      });
+  render() {
+    if (!this.ads || !this.ads.player) return;
     
-    this.player.markers({
-      markers,
-      markerStyle: { width: '6px', 'background-color': '#ff9800' },
-    });
+    this.renderBreaks();
+    this.renderTimeline();
+    this.renderVast();
+    this.renderBeacons();
   }
 
   /**
-   * Adds a time update listener
-   * @param {Function} callback - Callback function to call on timeupdate
+   * Renders the parsed break list (linear, then non-linear and display)
    */
-  onTimeUpdate(callback) {
-    if (this.player) {
-      this.player.on('timeupdate', callback);
-    }
+  renderBreaks() {
+    const report = this.ads.getInspectorReport();
+    const rows = [
+      ...report.breaks.map((br) => [
+        br.breakId, 'linear', br.timeOffset, AdInspectorPanel.formatSeconds(br.timeInSeconds),
+        br.inline ? 'inline VAST' : br.vastUrl || 'cue only', br.watched ? 'yes' : 'no',
+      ]),
+      ...report.nonLinearBreaks.map((br) => [
+        br.breakId, br.breakType, br.timeOffset, AdInspectorPanel.formatSeconds(br.timeInSeconds),
+        br.inline ? 'inline VAST' : br.vastUrl, '–',
+      ]),
+    ];
+    
+    const signature = JSON.stringify(rows);
+    if (signature === this.signatures.breaks) return;
+    this.signatures.breaks = signature;
+    
+    const table = document.getElementById('inspectorBreaks');
+    const header = document.createElement('tr');
+    AdInspectorPanel.COLUMNS.forEach((name) => header.appendChild(AdInspectorPanel.createElement('th', name)));
+    table.replaceChildren(header, ...rows.map((cells) => {
+      const tr = document.createElement('tr');
+      cells.forEach((cell) => tr.appendChild(AdInspectorPanel.createElement('td', String(cell))));
+      return tr;
+    }));
   }
 
   /**
-   * Gets the current playback time
-   * @returns {number} Current time in seconds
+   * Renders the playhead against the break boundaries, in stream time
    */
-  getCurrentTime() {
-    return this.player ? this.player.currentTime() : 0;
+  renderTimeline() {
+    const timeline = this.ads.getTimeline();
+    const el = document.getElementById('inspectorTimeline');
+    
+    // Live streams show their DVR window
+    const span = timeline.windowEnd - timeline.windowStart;
+    const toPercent = (time) => `${Math.min(100, Math.max(0, (time / span) * 100))}%`;
+    
+    const children = [];
+    if (span > 0 && isFinite(span)) {
+      timeline.breaks.filter((br) => br.start != null && br.end > timeline.windowStart).forEach((br) => {
+        const marker = AdInspectorPanel.createElement('span', '', br.watched ? 'inspector-break watched' : 'inspector-break');
+        marker.style.left = toPercent(br.start - timeline.windowStart);
+        marker.style.width = toPercent(br.end - Math.max(br.start, timeline.windowStart));
+        marker.title = `${br.breakId}: ${AdInspectorPanel.formatSeconds(br.start)}–${AdInspectorPanel.formatSeconds(br.end)}`;
+        children.push(marker);
+      });
+      
+      const playhead = AdInspectorPanel.createElement('span', '', 'inspector-playhead');
+      playhead.style.left = toPercent(timeline.currentTime - timeline.windowStart);
+      children.push(playhead);
+    }
+    el.replaceChildren(...children);
+    
+    const streamEnd = timeline.live
+      ? `live window ${AdInspectorPanel.formatSeconds(timeline.windowStart)}–${AdInspectorPanel.formatSeconds(timeline.windowEnd)}`
+      : AdInspectorPanel.formatSeconds(timeline.duration);
+    document.getElementById('inspectorPlayhead').textContent = [
+      `stream ${AdInspectorPanel.formatSeconds(timeline.currentTime)} / ${streamEnd}`,
+      `content ${AdInspectorPanel.formatSeconds(timeline.contentTime)}`,
+      timeline.inAd ? 'in ad' : 'in content',
+    ].join(' · ');
   }
 
   /**
-   * Seeks to a specific time
-   * @param {number} time - Time in seconds
+   * Renders the VAST request chain of the selected break, raw XML included
    */
-  seek(time) {
-    if (this.player) {
-      this.player.currentTime(time);
+  renderVast() {
+    const requests = this.ads.inspector.getVastRequests();
+    const breakIds = Object.keys(requests);
+    
+    if (breakIds.join() !== this.signatures.vastBreaks) {
+      this.signatures.vastBreaks = breakIds.join();
+      const selected = this.breakSelect.value;
+      this.breakSelect.replaceChildren(...breakIds.map((breakId) => AdInspectorPanel.createElement('option', breakId)));
+      if (breakIds.includes(selected)) this.breakSelect.value = selected;
+    }
+    
+    const el = document.getElementById('inspectorVast');
+    const chain = requests[this.breakSelect.value] || [];
+    const signature = `${this.breakSelect.value}:${chain.map((r) => r.durationMs).join()}`;
+    if (signature === this.signatures.vast) return;
+    this.signatures.vast = signature;
+    
+    if (!chain.length) {
+      el.replaceChildren(AdInspectorPanel.createElement('p', 'No VAST requested yet.'));
+      return;
     }
+    
+    el.replaceChildren(...chain.map((request) => {
+      const item = document.createElement('div');
+      const status = request.error || (request.durationMs == null ? 'pending' : `${request.statusCode || 'ok'} in ${request.durationMs} ms`);
+      const label = request.inline ? 'inline VASTAdData' : request.url;
+      item.appendChild(AdInspectorPanel.createElement('p', `${request.wrapperDepth ? `wrapper ${request.wrapperDepth}` : 'root'} · ${status} · ${label}`));
+      
+      if (request.rawXml) {
+        const details = document.createElement('details');
+        details.append(AdInspectorPanel.createElement('summary', 'VAST XML'), AdInspectorPanel.createElement('pre', request.rawXml));
+        item.appendChild(details);
+      }
+      return item;
+    }));
   }
 
   /**
-   * Gets the player instance
-   * @returns {Object|null} Video.js player instance
+   * Renders the beacon log, oldest first
    */
-  getPlayer() {
-    return this.player;
+  renderBeacons() {
+    const beacons = this.ads.inspector.getBeacons();
+    const signature = beacons.map((b) => b.result).join();
+    if (signature === this.signatures.beacons) return;
+    this.signatures.beacons = signature;
+    
+    const el = document.getElementById('inspectorBeacons');
+    el.replaceChildren(...beacons.map((beacon) => AdInspectorPanel.createElement(
+      'li',
+      `${beacon.time.slice(11, 23)} · ${beacon.source} · ${beacon.result} · ${beacon.url}`,
+      beacon.result === 'failed' ? 'failed' : ''
+    )));
   }
 
   /**
-   * Checks if player is initialized
-   * @returns {boolean} True if player exists
+   * Downloads the session report as a JSON file
    */
-  isInitialized() {
-    return this.player !== null;
+  exportReport() {
+    if (!this.ads || !this.ads.player) return;
+    
+    const report = JSON.stringify(this.ads.getInspectorReport(), null, 2);
+    const url = URL.createObjectURL(new Blob([report], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ad-inspector-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    // Revoking in the same task can cancel the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    console.log('[APP] Inspector report exported', { bytes: report.length });
   }
 }
 
-// =============================================================================
-// AD DEMO APPLICATION
-// =============================================================================
+/** Milliseconds between refreshes while the inspector is open */
+AdInspectorPanel.REFRESH_INTERVAL = 1000;
+
+/** Columns of the break table */
+AdInspectorPanel.COLUMNS = ['Break', 'Type', 'Offset', 'Content time', 'Ad source', 'Watched'];
 
 /**
- * Main application class that coordinates all components
- * This is the entry point and acts as the "controller" layer
+ * Demo page controller: reads the form, creates the player and shows ad
+ * information in the page panels. All ad logic lives in the vmapAds plugin
  */
 class AdDemoApp {
   constructor() {
-    this.overlayController = new AdOverlayController();
-    this.tracker = new AdTracker();
-    this.adBreakManager = new AdBreakManager(this.overlayController, this.tracker);
-    this.playerManager = new VideoPlayerManager();
+    this.events = new AdEventEmitter();
+    this.player = null;
+    this.ads = null;
+    this.inspectorPanel = new AdInspectorPanel();
     
     this.initializeEventListeners();
   }
@@ -754,25 +7833,34 @@ class AdDemoApp {
     // Load button
     document.getElementById('loadBtn').addEventListener('click', () => this.loadVideo());
     
-    // Skip button
-    document.getElementById('skipBtn').addEventListener('click', () => this.skipAd());
+    document.getElementById('analyticsExportJson').addEventListener('click', () => this.exportAnalytics('json'));
+    document.getElementById('analyticsExportCsv').addEventListener('click', () => this.exportAnalytics('csv'));
     
-    // Learn More button
-    document.getElementById('learnMoreBtn').addEventListener('click', () => this.clickAd());
+    // Page panels follow the ad events of whichever player is loaded
+    this.events.on('scheduleUpdated', ({ breaks }) => this.renderAdBreakInfo(breaks));
+    this.events.on('adError', () => {
+      this.renderAdErrors();
+      this.renderAnalytics();
+    });
+    this.events.on('adBreakEnd', () => this.renderAnalytics());
   }
 
   /**
    * Main video loading function
-   * Fetches VMAP and initializes player with HLS stream
+   * Recreates the player and sets up the vmapAds plugin from the form values
    */
   async loadVideo() {
     // Get form values
     const contentUrl = document.getElementById('contentVideoUrl').value.trim();
     const durationInput = document.getElementById('contentDuration').value;
-    const vmapBaseUrl = document.getElementById('vmapBaseUrl').value.trim().replace(/\/$/, '');
+    const vmapUrl = document.getElementById('vmapBaseUrl').value.trim().replace(/\/$/, '');
     const userId = document.getElementById('userId').value.trim() || 'guest';
+    const mode = document.getElementById('adMode').value;
+    const consent = document.getElementById('consentMode').value;
+    const streamType = document.getElementById('streamType').value;
+    const language = document.getElementById('overlayLanguage').value || null;
 
-    console.log('[APP] Loading video', { contentUrl, duration: durationInput, vmapBaseUrl, userId });
+    console.log('[APP] Loading video', { contentUrl, duration: durationInput, vmapUrl, userId, mode, consent, streamType, language });
 
     // Validate input
     if (!contentUrl) {
@@ -780,59 +7868,194 @@ class AdDemoApp {
       return;
     }
 
-    const contentDuration = parseInt(durationInput, 10) || 596;
-
-    // Reset state
-    this.adBreakManager.reset();
+    // Dispose of existing player if any; restoreEl puts the original <video> back
+    if (this.player) {
+      console.log('[APP] Disposing existing player');
+      this.player.dispose();
+    }
+    
+    document.getElementById('markerInfo').textContent = 'Loading ad schedule…';
+    this.player = videojs('videoPlayer', { ...VideoPlayerManager.getPlayerOptions(), restoreEl: true });
+    this.ads = this.player.vmapAds({
+      src: contentUrl,
+      vmapUrl,
+      mode,
+      userId,
+      consent,
+      language,
+      live: VmapAdsPlugin.STREAM_TYPES[streamType],
+      contentDuration: streamType === 'live' ? null : parseInt(durationInput, 10) || null,
+    });
+    AdEventEmitter.EVENTS.forEach((type) => this.ads.events.on(type, (event) => this.events.emit(type, event)));
+    this.inspectorPanel.setAds(this.ads);
+    this.renderAdErrors();
+    this.renderAnalytics();
+    
+    await this.ads.loaded;
+    this.renderAdBreakInfo(this.getSchedule());
+  }
 
-    // Initialize player
-    this.playerManager.initialize(contentUrl, contentDuration);
+  /**
+   * Renders ad break information in the UI panel
+   * @param {AdBreakSummary[]} breaks - Ad schedule
+   */
+  renderAdBreakInfo(breaks) {
+    const el = document.getElementById('markerInfo');
+    
+    if (!breaks.length) {
+      el.textContent = 'No ad breaks from VMAP.';
+      return;
+    }
+    
+    const lines = breaks.map((br) => {
+      const p = document.createElement('p');
+      const base = `${br.breakId}: ${br.timeOffset} (${br.timeInSeconds.toFixed(1)}s)`;
+      p.textContent = br.streamStart == null
+        ? base
+        : `${base} – stream ${br.streamStart.toFixed(1)}s–${br.streamEnd.toFixed(1)}s [${br.cueSource}]`;
+      return p;
+    });
+    el.replaceChildren(...lines);
+  }
 
-    // Fetch VMAP and set up ad breaks
-    try {
-      const vmap = await VMAPService.fetchVMAP(vmapBaseUrl, contentDuration, userId);
-      const adBreaks = VMAPService.buildAdBreakList(vmap, contentDuration);
-      
-      console.log('[APP] Ad breaks loaded', { 
-        count: adBreaks.length, 
-        breaks: adBreaks.map(b => ({ id: b.breakId, time: b.timeInSeconds })) 
-      });
-      
-      this.adBreakManager.setAdBreaks(adBreaks);
-      
-      // Initialize UI
-      this.playerManager.initializeMarkers(
-        adBreaks, 
-        (index) => this.adBreakManager.getCumulativeAdDuration(index)
-      );
-      this.overlayController.renderAdBreakInfo(adBreaks);
-    } catch (err) {
-      console.error('[APP] VMAP error', err);
-      document.getElementById('markerInfo').textContent = `VMAP error: ${err.message}`;
+  /**
+   * Lists reported ad errors in the UI panel
+   */
+  renderAdErrors() {
+    const el = document.getElementById('adErrors');
+    const errors = this.getAdErrors();
+    
+    if (!errors.length) {
+      el.textContent = 'No ad errors.';
+      return;
     }
+    
+    const lines = errors.map((e) => {
+      const p = document.createElement('p');
+      const codes = e.vmapCode ? `${e.code}/${e.vmapCode}` : `${e.code}`;
+      const where = [e.breakId, e.adId].filter(Boolean).join(' · ');
+      p.textContent = `[${codes}] ${e.message}${where ? ` (${where})` : ''}`;
+      return p;
+    });
+    el.replaceChildren(...lines);
+  }
 
-    // Set up ad detection
-    this.playerManager.onTimeUpdate(() => {
-      const currentTime = this.playerManager.getCurrentTime();
-      this.adBreakManager.update(currentTime);
+  /**
+   * Shows the ad delivery metrics of the loaded video
+   */
+  renderAnalytics() {
+    const el = document.getElementById('adAnalytics');
+    ['analyticsExportJson', 'analyticsExportCsv'].forEach((id) => {
+      document.getElementById(id).disabled = !this.ads;
+    });
+    if (!this.ads) return;
+    
+    const m = this.ads.getAnalytics().metrics;
+    const percent = (rate) => (rate == null ? '–' : `${Math.round(rate * 100)}%`);
+    const lines = [
+      `Breaks: ${m.breaks} · filled ${m.filledBreaks} (fill rate ${percent(m.fillRate)})`,
+      `Ads started: ${m.adsStarted} · completed ${percent(m.completionRate)} · skipped ${percent(m.skipRate)} · clicked ${percent(m.clickThroughRate)}`,
+      `Errors: ${m.errors} · time to first frame: ${m.averageTtffMs == null ? '–' : `${m.averageTtffMs} ms`}`,
+    ].map((text) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      return p;
     });
+    el.replaceChildren(...lines);
   }
 
   /**
-   * Skips the current ad
+   * Downloads the ad delivery records of the loaded video
+   * @param {string} format - 'json' (report with metrics) or 'csv' (one row per ad)
    */
-  skipAd() {
-    console.log('[APP] Skip ad requested');
-    const player = this.playerManager.getPlayer();
-    this.adBreakManager.skipCurrentAd(player);
+  exportAnalytics(format) {
+    if (!this.ads) return;
+    
+    const text = format === 'csv'
+      ? this.ads.getAnalyticsCSV()
+      : JSON.stringify(this.ads.getAnalytics(), null, 2);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ad-analytics-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    link.click();
+    // Revoking in the same task can cancel the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    console.log('[APP] Analytics exported', { format, bytes: text.length });
   }
 
   /**
-   * Handles click on current ad
+   * Adds an ad event listener (see AdEventEmitter.EVENTS)
+   * Listeners stay registered when another video is loaded
+   * @template {keyof AdEventMap} K
+   * @param {K} type - Event name
+   * @param {function(AdEventMap[K] & { type: K, timestamp: number }): void} listener - Receives the event
+   * @returns {Function} Removes the listener
    */
-  clickAd() {
-    console.log('[APP] Ad click requested');
-    this.adBreakManager.clickCurrentAd();
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Adds an ad event listener called once
+   * @template {keyof AdEventMap} K
+   * @param {K} type - Event name
+   * @param {function(AdEventMap[K] & { type: K, timestamp: number }): void} listener - Receives the event
+   * @returns {Function} Removes the listener
+   */
+  once(type, listener) {
+    return this.events.once(type, listener);
+  }
+
+  /**
+   * Removes an ad event listener
+   * @param {keyof AdEventMap} type - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
+  }
+
+  /**
+   * Gets the linear ad schedule of the loaded video
+   * @returns {AdBreakSummary[]} Breaks in play order
+   */
+  getSchedule() {
+    return this.ads ? this.ads.getSchedule() : [];
+  }
+
+  /**
+   * Gets the current ad state
+   * @returns {Object|null} { inAd, break, ad, adElapsed }, null before a video is loaded
+   */
+  getAdState() {
+    return this.ads ? this.ads.getAdState() : null;
+  }
+
+  /**
+   * Gets the ad errors reported since the video was loaded
+   * @returns {Array} Error entries, oldest first
+   */
+  getAdErrors() {
+    return this.ads ? this.ads.getAdErrors() : [];
+  }
+
+  /**
+   * Gets the inspector session report of the loaded video
+   * @returns {Object|null} Report (see VmapAdsPlugin.getInspectorReport()), null before a video is loaded
+   */
+  getInspectorReport() {
+    return this.ads && this.ads.player ? this.ads.getInspectorReport() : null;
+  }
+
+  /**
+   * Gets the ad delivery analytics of the loaded video
+   * @returns {Object|null} Report (see VmapAdsPlugin.getAnalytics()), null before a video is loaded
+   */
+  getAnalytics() {
+    return this.ads && this.ads.player ? this.ads.getAnalytics() : null;
   }
 }
 
@@ -845,10 +8068,48 @@ class AdDemoApp {
  */
 let app = null;
 
+/**
+ * Creates the app and exposes it to the host page as window.adDemoApp
+ * Host scripts that run before the DOM is ready can wait for the 'adDemoReady' window event
+ */
+function startApp() {
+  app = new AdDemoApp();
+  window.adDemoApp = app;
+  window.dispatchEvent(new CustomEvent('adDemoReady', { detail: app }));
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    app = new AdDemoApp();
-  });
+  document.addEventListener('DOMContentLoaded', startApp);
 } else {
-  app = new AdDemoApp();
+  startApp();
 }
+
+// Module exports for the test suite (the iife bundle does not expose them)
+export {
+  CONFIG,
+  AdEventEmitter,
+  MacroResolver,
+  VMAPService,
+  AdError,
+  AdErrorReporter,
+  AdInspector,
+  AdAnalytics,
+  HLSCueParser,
+  LiveWindow,
+  AdLocale,
+  MediaTailorSession,
+  ViewingHistory,
+  VastPrefetcher,
+  SkipPolicy,
+  ViewabilityMonitor,
+  ContentProgressBar,
+  VerificationSandbox,
+  AdVerificationManager,
+  AdTracker,
+  AdBreakManager,
+  CsaiAdPlayer,
+  SeekPolicy,
+  TimelineMapper,
+  VideoPlayerManager,
+  VmapAdsPlugin,
+};
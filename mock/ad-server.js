@@ -0,0 +1,532 @@
+/**
+ * =============================================================================
+ * Mock VMAP/VAST ad server
+ * =============================================================================
+ *
+ * Local stand-in for the VMAP endpoint and the VAST ad servers it points to, so
+ * the ad schedule, pods, wrappers and error paths can be exercised offline
+ * (demo page and automated tests). Every tracking URL points back at this server.
+ *
+ * Endpoints:
+ * - GET    /vmap?duration=&interval=   → VMAP with a pre-roll, a mid-roll every interval and a post-roll
+ * - GET    /vmap?live=1&start=         → Live VMAP window: mid-rolls at wall-clock multiples of interval
+ * - GET    /vast/inline                → VAST with one linear ad
+ * - GET    /vast/pod?ads=3             → VAST with an ad pod
+ * - GET    /vast/wrapper?to=pod        → VAST wrapper (depth=n chains n wrappers) resolving to /vast/<to>
+ * - GET    /vast/empty                 → VAST without ads (error 303)
+ * - GET    /vast/malformed             → Truncated XML (error 100)
+ * - GET    /verification.js            → Stub OM verification script beaconing the events it receives
+ *   (?client=bundled: a script bringing its own OM client, which the player does not serve)
+ * - GET    /beacon?event=&ad=&break=   → records a tracking pixel hit
+ * - GET    /beacons                    → lists recorded hits
+ * - DELETE /beacons                    → clears recorded hits
+ * - POST   /analytics                  → records an ad analytics batch (JSON body)
+ *
+ * VMAP parameters:
+ * - breaks: Comma-separated time offsets replacing the generated schedule (e.g. "start,00:00:30,end")
+ * - live=1, start: Live window starting at the ISO date start and lasting duration seconds; offsets
+ *   count from start and fall on the same wall-clock times in every refresh
+ * - vast: VAST endpoint of every break (default "pod"); ads, adDuration (as duration), skipOffset,
+ *   to, depth, verification and media are passed on
+ * - type=malformed: Truncated VMAP XML
+ *
+ * VAST parameters: ads (pod size), duration (seconds per ad), skipOffset (seconds, or a skipoffset
+ * value such as "25%", "none" for non-skippable ads), break (break ID echoed in beacons), to and
+ * depth (wrappers), fallbackOnNoAd (wrapper attribute, "true" or "false"), buffet (stand-alone
+ * inline ads added after the ads of an inline, pod or wrapper response) and verification
+ * (comma-separated <AdVerifications> vendors of each inline ad, vendor mock.com-<kind>: "omid" runs
+ * the stub script, "native" is an executable resource, "missing" a script answering 404, "slow" a
+ * script answering after a second, "bundled" a script bringing its own OM client instead of
+ * using the player's) and media (comma-separated type@bitrate media files of every ad, default
+ * "video/mp4@1500"; application/x-mpegURL files are streaming)
+ *
+ * <Error> URIs carry consent=[GDPRCONSENT], so tests can check the consent the player fills in.
+ *
+ * Every endpoint also accepts status (HTTP error status), delay (milliseconds before responding)
+ * and fail (the first fail requests of the same URL are answered with status 503).
+ *
+ * Usage:
+ *   npm run mock:ads
+ *   Then use http://localhost:3002/vmap as the VMAP base URL
+ *   (http://localhost:3002/vmap?vast=wrapper for wrapped ads, ...).
+ *
+ * Environment:
+ * - PORT: Listening port (default 3002)
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.PORT, 10) || 3002;
+
+/** Linear tracking events of every mock ad */
+const TRACKING_EVENTS = [
+  'creativeView', 'start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete',
+  'skip', 'pause', 'resume', 'mute', 'unmute', 'fullscreen', 'exitFullscreen', 'closeLinear',
+];
+
+/** VMAP break tracking events */
+const BREAK_EVENTS = ['breakStart', 'breakEnd', 'error'];
+
+/** Verification resource of each verification kind, relative to the server origin */
+const VERIFICATION_RESOURCES = {
+  omid: '/verification.js',
+  native: '/verification.js',
+  missing: '/verification.js?status=404',
+  slow: '/verification.js?delay=1000',
+  bundled: '/verification.js?client=bundled',
+};
+
+/** Media files of every ad unless the media parameter lists others */
+const DEFAULT_MEDIA = 'video/mp4@1500';
+
+/** Stub OM verification script (GET /verification.js) */
+const VERIFICATION_SCRIPT = readFileSync(new URL('./omid-verification-stub.js', import.meta.url), 'utf8');
+
+/** Verification script bundling its own OM client, which waits for OM SDK service messages (GET /verification.js?client=bundled) */
+const BUNDLED_CLIENT_SCRIPT = `(function () {
+  window.addEventListener('message', function () {});
+})();`;
+
+/**
+ * Formats seconds as a VMAP time offset
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Time offset (e.g., "00:05:00.000")
+ */
+function formatOffset(seconds) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const whole = Math.floor(seconds);
+  const ms = Math.round((seconds - whole) * 1000);
+  return `${pad(Math.floor(whole / 3600))}:${pad(Math.floor(whole / 60) % 60)}:${pad(whole % 60)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Escapes text for XML attributes and elements
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds a beacon URL pointing back at this server
+ * Macros are left in place for the player to resolve
+ * @param {string} base - Server origin
+ * @param {Object} params - Query parameters (event, ad, break, ...)
+ * @returns {string} Beacon URL template
+ */
+function beaconUrl(base, params) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  return `${base}/beacon?${query}`;
+}
+
+/**
+ * Lists the break offsets of a VMAP request
+ * @param {URLSearchParams} params - Request parameters
+ * @returns {Array<string>} VMAP time offsets
+ */
+function getBreakOffsets(params) {
+  if (params.get('breaks')) {
+    return params.get('breaks').split(',').map((offset) => offset.trim()).filter(Boolean);
+  }
+
+  const duration = parseFloat(params.get('duration')) || 600;
+  const interval = parseFloat(params.get('interval')) || 300;
+
+  if (params.get('live')) {
+    const start = Date.parse(params.get('start') || '') || Date.now();
+    const offsets = [];
+    const step = interval * 1000;
+    for (let time = Math.ceil(start / step) * step; time < start + duration * 1000; time += step) {
+      offsets.push(formatOffset((time - start) / 1000));
+    }
+    return offsets;
+  }
+
+  const offsets = ['start'];
+  for (let time = interval; time < duration; time += interval) {
+    offsets.push(formatOffset(time));
+  }
+  offsets.push('end');
+  return offsets;
+}
+
+/**
+ * Builds a VMAP document whose breaks point at the mock VAST endpoints
+ * @param {string} base - Server origin
+ * @param {URLSearchParams} params - Request parameters
+ * @returns {string} VMAP XML
+ */
+function buildVmap(base, params) {
+  const vast = params.get('vast') || 'pod';
+  const passOn = {
+    ads: params.get('ads'),
+    duration: params.get('adDuration'),
+    skipOffset: params.get('skipOffset'),
+    to: params.get('to'),
+    depth: params.get('depth'),
+    verification: params.get('verification'),
+    media: params.get('media'),
+  };
+
+  const breaks = getBreakOffsets(params).map((timeOffset, i) => {
+    const breakId = timeOffset === 'start' ? 'preroll' : timeOffset === 'end' ? 'postroll' : `midroll_${i}`;
+    const vastUrl = new URL(`${base}/vast/${vast}`);
+    vastUrl.searchParams.set('break', breakId);
+    Object.entries(passOn).forEach(([name, value]) => value != null && vastUrl.searchParams.set(name, value));
+
+    const tracking = BREAK_EVENTS.map((event) => {
+      const url = beaconUrl(base, { event, break: breakId, code: event === 'error' ? '[ERRORCODE]' : null });
+      return `      <vmap:Tracking event="${event}"><![CDATA[${url}]]></vmap:Tracking>`;
+    }).join('\n');
+
+    return `  <vmap:AdBreak timeOffset="${escapeXml(timeOffset)}" breakType="linear" breakId="${breakId}">
+    <vmap:AdSource id="${breakId}_source" allowMultipleAds="true" followRedirects="true">
+      <vmap:AdTagURI templateType="vast4"><![CDATA[${vastUrl}]]></vmap:AdTagURI>
+    </vmap:AdSource>
+    <vmap:TrackingEvents>
+${tracking}
+    </vmap:TrackingEvents>
+  </vmap:AdBreak>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">
+${breaks.join('\n')}
+</vmap:VMAP>`;
+}
+
+/**
+ * Builds the <AdVerifications> of an ad
+ * @param {string} base - Server origin
+ * @param {Array<string>} kinds - Verification kinds (keys of VERIFICATION_RESOURCES)
+ * @param {string} id - Ad ID
+ * @param {string} breakId - Break ID
+ * @returns {string} <AdVerifications> XML, empty without kinds
+ */
+function buildAdVerifications(base, kinds, id, breakId) {
+  const verifications = kinds.filter((kind) => kind in VERIFICATION_RESOURCES).map((kind) => {
+    const vendor = `mock.com-${kind}`;
+    const url = `${base}${VERIFICATION_RESOURCES[kind]}`;
+    const resource = kind === 'native'
+      ? `<ExecutableResource apiFramework="omid" type="application/x-native"><![CDATA[${url}]]></ExecutableResource>`
+      : `<JavaScriptResource apiFramework="omid" browserOptional="true"><![CDATA[${url}]]></JavaScriptResource>`;
+    const parameters = JSON.stringify({ beaconUrl: beaconUrl(base, { vendor, ad: id, break: breakId }) });
+    const notExecuted = beaconUrl(base, { event: 'verificationNotExecuted', vendor, ad: id, break: breakId, code: '[REASON]' });
+
+    return `        <Verification vendor="${vendor}">
+          ${resource}
+          <VerificationParameters><![CDATA[${parameters}]]></VerificationParameters>
+          <TrackingEvents>
+            <Tracking event="verificationNotExecuted"><![CDATA[${notExecuted}]]></Tracking>
+          </TrackingEvents>
+        </Verification>`;
+  });
+  if (!verifications.length) return '';
+
+  return `
+      <AdVerifications>
+${verifications.join('\n')}
+      </AdVerifications>`;
+}
+
+/**
+ * Builds the <MediaFile> elements of an ad
+ * HLS files are streaming, the others progressive; the first file is /media/<id>.<extension>
+ * @param {string} base - Server origin
+ * @param {string} id - Ad ID
+ * @param {string} media - Comma-separated type@bitrate files (e.g. "video/webm@800,video/mp4@4000")
+ * @returns {string} <MediaFile> XML
+ */
+function buildMediaFiles(base, id, media) {
+  return media.split(',').map((file, i) => {
+    const [type, bitrate] = file.split('@');
+    const streaming = /mpegurl/i.test(type);
+    const extension = streaming ? 'm3u8' : type.split('/').pop();
+    const url = `${base}/media/${id}${i ? `_${i}` : ''}.${extension}`;
+    return `              <MediaFile delivery="${streaming ? 'streaming' : 'progressive'}" type="${escapeXml(type)}" width="1280" height="720" bitrate="${parseInt(bitrate, 10) || 0}"><![CDATA[${url}]]></MediaFile>`;
+  }).join('\n');
+}
+
+/**
+ * Builds a linear ad
+ * @param {string} base - Server origin
+ * @param {Object} ad - { id, sequence, duration, skipOffset, breakId, verifications, media }
+ * @returns {string} <Ad> XML
+ */
+function buildLinearAd(base, { id, sequence, duration, skipOffset, breakId, verifications = [], media = DEFAULT_MEDIA }) {
+  const beacon = (event) => beaconUrl(base, { event, ad: id, break: breakId });
+  const tracking = TRACKING_EVENTS
+    .map((event) => `            <Tracking event="${event}"><![CDATA[${beacon(event)}]]></Tracking>`)
+    .join('\n');
+  const skipValue = typeof skipOffset === 'number' ? formatOffset(skipOffset) : skipOffset;
+  const skip = skipOffset != null ? ` skipoffset="${escapeXml(skipValue)}"` : '';
+
+  return `  <Ad id="${id}"${sequence ? ` sequence="${sequence}"` : ''}>
+    <InLine>
+      <AdSystem>Mock ad server</AdSystem>
+      <AdTitle>Mock ad ${id}</AdTitle>
+      <Impression><![CDATA[${beacon('impression')}]]></Impression>
+      <Error><![CDATA[${beaconUrl(base, { event: 'error', ad: id, break: breakId, code: '[ERRORCODE]', consent: '[GDPRCONSENT]' })}]]></Error>
+      <ViewableImpression id="${id}_viewability">
+        <Viewable><![CDATA[${beacon('viewable')}]]></Viewable>
+        <NotViewable><![CDATA[${beacon('notViewable')}]]></NotViewable>
+        <ViewUndetermined><![CDATA[${beacon('viewUndetermined')}]]></ViewUndetermined>
+      </ViewableImpression>${buildAdVerifications(base, verifications, id, breakId)}
+      <Creatives>
+        <Creative id="${id}_creative">
+          <Linear${skip}>
+            <Duration>${formatOffset(duration)}</Duration>
+            <TrackingEvents>
+${tracking}
+            </TrackingEvents>
+            <VideoClicks>
+              <ClickThrough><![CDATA[https://example.com/advertiser/${id}]]></ClickThrough>
+              <ClickTracking><![CDATA[${beacon('click')}]]></ClickTracking>
+            </VideoClicks>
+            <MediaFiles>
+${buildMediaFiles(base, id, media)}
+            </MediaFiles>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>`;
+}
+
+/**
+ * Builds a VAST document for one of the /vast/<type> endpoints
+ * @param {string} base - Server origin
+ * @param {string} type - inline, pod, wrapper or empty
+ * @param {URLSearchParams} params - Request parameters
+ * @returns {string|null} VAST XML, or null for an unknown type
+ */
+function buildVast(base, type, params) {
+  const breakId = params.get('break');
+  const duration = parseFloat(params.get('duration')) || 10;
+  const skipParam = params.get('skipOffset');
+  let skipOffset = parseFloat(skipParam) || 5;
+  if (skipParam === 'none') skipOffset = null;
+  else if (/[%:]/.test(skipParam || '')) skipOffset = skipParam;
+  const prefix = breakId || type;
+  const verifications = (params.get('verification') || '').split(',').filter(Boolean);
+  const media = params.get('media') || DEFAULT_MEDIA;
+  let ads;
+
+  switch (type) {
+    case 'inline':
+      ads = [buildLinearAd(base, { id: `${prefix}_ad`, duration, skipOffset, breakId, verifications, media })];
+      break;
+    case 'pod': {
+      const count = parseInt(params.get('ads'), 10) || 3;
+      ads = Array.from({ length: count }, (_, i) => buildLinearAd(base, {
+        id: `${prefix}_ad${i + 1}`, sequence: i + 1, duration, skipOffset, breakId, verifications, media,
+      }));
+      break;
+    }
+    case 'wrapper': {
+      const depth = parseInt(params.get('depth'), 10) || 1;
+      const next = new URL(`${base}/vast/${depth > 1 ? 'wrapper' : params.get('to') || 'inline'}`);
+      params.forEach((value, name) => !['depth', 'buffet'].includes(name) && next.searchParams.set(name, value));
+      if (depth > 1) next.searchParams.set('depth', depth - 1);
+
+      const beacon = (event) => beaconUrl(base, { event, ad: `wrapper${depth}`, break: breakId });
+      const fallbackOnNoAd = params.get('fallbackOnNoAd') ? ` fallbackOnNoAd="${escapeXml(params.get('fallbackOnNoAd'))}"` : '';
+      ads = [`  <Ad id="wrapper${depth}">
+    <Wrapper${fallbackOnNoAd}>
+      <AdSystem>Mock ad server</AdSystem>
+      <VASTAdTagURI><![CDATA[${next}]]></VASTAdTagURI>
+      <Impression><![CDATA[${beacon('impression')}]]></Impression>
+      <Error><![CDATA[${beaconUrl(base, { event: 'error', ad: `wrapper${depth}`, break: breakId, code: '[ERRORCODE]', consent: '[GDPRCONSENT]' })}]]></Error>
+      <Creatives>
+        <Creative>
+          <Linear>
+            <TrackingEvents>
+              <Tracking event="start"><![CDATA[${beacon('start')}]]></Tracking>
+              <Tracking event="complete"><![CDATA[${beacon('complete')}]]></Tracking>
+            </TrackingEvents>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </Wrapper>
+  </Ad>`];
+      break;
+    }
+    case 'empty':
+      // No-ad responses carry their <Error> URI at the root
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="4.1">
+  <Error><![CDATA[${beaconUrl(base, { event: 'error', break: breakId, code: '[ERRORCODE]', consent: '[GDPRCONSENT]' })}]]></Error>
+</VAST>`;
+    default:
+      return null;
+  }
+
+  // Stand-alone ads a player can fall back on when the first one returns no ad
+  const buffet = parseInt(params.get('buffet'), 10) || 0;
+  for (let i = 1; i <= buffet; i++) {
+    ads.push(buildLinearAd(base, { id: `${prefix}_buffet${i}`, duration, skipOffset, breakId, verifications, media }));
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="4.1">
+${ads.join('\n')}
+</VAST>`;
+}
+
+/**
+ * Sends a response body
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} contentType - Content type
+ * @param {string} body - Body
+ */
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+/**
+ * Handles a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Array} beaconHits - Tracking pixel hits of this server
+ * @param {Array} analyticsBatches - Analytics batches posted to this server
+ * @param {Map} failures - Requests answered with 503 so far, by URL (fail parameter)
+ */
+function handleRequest(req, res, beaconHits, analyticsBatches, failures) {
+  const base = `http://${req.headers.host}`;
+  const url = new URL(req.url, base);
+  const params = url.searchParams;
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (params.get('status')) {
+    send(res, parseInt(params.get('status'), 10), 'text/plain', 'Mock error');
+    return;
+  }
+
+  const failed = failures.get(req.url) || 0;
+  if (failed < parseInt(params.get('fail'), 10)) {
+    failures.set(req.url, failed + 1);
+    send(res, 503, 'text/plain', 'Mock outage');
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/vmap') {
+    const xml = buildVmap(base, params);
+    console.log('[MOCK] VMAP', { duration: params.get('duration'), interval: params.get('interval'), start: params.get('start') });
+    send(res, 200, 'application/xml', params.get('type') === 'malformed' ? xml.slice(0, xml.length / 2) : xml);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/vast/malformed') {
+    send(res, 200, 'application/xml', '<?xml version="1.0" encoding="UTF-8"?>\n<VAST version="4.1">\n  <Ad id="broken">\n    <InLine>');
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/vast/')) {
+    const xml = buildVast(base, url.pathname.replace('/vast/', ''), params);
+    if (xml) {
+      console.log('[MOCK] VAST', url.pathname, { break: params.get('break') });
+      send(res, 200, 'application/xml', xml);
+      return;
+    }
+  }
+
+  if (req.method === 'GET' && url.pathname === '/verification.js') {
+    send(res, 200, 'text/javascript', params.get('client') === 'bundled' ? BUNDLED_CLIENT_SCRIPT : VERIFICATION_SCRIPT);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/beacon') {
+    const hit = Object.fromEntries(params);
+    hit.time = new Date().toISOString();
+    beaconHits.push(hit);
+    console.log('[MOCK] Beacon', hit);
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/analytics') {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        const batch = JSON.parse(body);
+        analyticsBatches.push(batch);
+        console.log('[MOCK] Analytics batch', { sessionId: batch.sessionId, records: batch.records.length });
+        res.writeHead(204);
+        res.end();
+      } catch (err) {
+        send(res, 400, 'text/plain', 'Invalid analytics batch');
+      }
+    });
+    return;
+  }
+
+  if (url.pathname === '/beacons') {
+    if (req.method === 'DELETE') {
+      beaconHits.length = 0;
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    send(res, 200, 'application/json', JSON.stringify(beaconHits));
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+}
+
+/**
+ * Starts a mock ad server
+ * Each server records its own beacon hits and analytics batches
+ * @param {number} [port=0] - Listening port, 0 for any free port
+ * @returns {Promise<Object>} { url, beaconHits, analyticsBatches, close() }
+ */
+export function startAdServer(port = 0) {
+  const beaconHits = [];
+  const analyticsBatches = [];
+  const failures = new Map();
+  const server = http.createServer((req, res) => {
+    const delay = parseInt(new URL(req.url, 'http://localhost').searchParams.get('delay'), 10);
+    if (delay > 0) {
+      setTimeout(() => handleRequest(req, res, beaconHits, analyticsBatches, failures), delay);
+    } else {
+      handleRequest(req, res, beaconHits, analyticsBatches, failures);
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, 'localhost', () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        beaconHits,
+        analyticsBatches,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startAdServer(PORT).then(({ url }) => {
+    console.log(`[MOCK] Ad server listening on ${url}`);
+  });
+}
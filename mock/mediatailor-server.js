@@ -0,0 +1,227 @@
+/**
+ * =============================================================================
+ * Mock MediaTailor session & tracking server
+ * =============================================================================
+ *
+ * Local stand-in for the MediaTailor client-side tracking endpoints so the
+ * "MediaTailor session" ad schedule can be exercised without AWS.
+ *
+ * Endpoints:
+ * - POST /v1/session/<hash>/<config>/<asset>.m3u8 → { manifestUrl, trackingUrl }
+ * - GET  /v1/master/...                          → redirect to CONTENT_URL
+ * - GET  /v1/tracking/<hash>/<config>/<session>  → { avails: [...] }
+ * - GET  /beacon?event=...&ad=...                → records a tracking pixel hit
+ * - GET  /beacons                                → lists recorded hits
+ *
+ * Usage:
+ *   npm run mock:mediatailor
+ *   Then load http://localhost:3001/v1/master/mock/demo/video.m3u8 with the
+ *   "MediaTailor session" ad schedule selected.
+ *
+ * Tests start their own instance on a free port with startMediaTailorServer(). Every
+ * server starts with the AVAILS schedule; tests change its avails list in place to make the
+ * tracking response change.
+ *
+ * Environment:
+ * - PORT: Listening port (default 3001)
+ * - CONTENT_URL: HLS stream the master manifest redirects to
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const CONTENT_URL = process.env.CONTENT_URL || 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8';
+
+/** Ad schedule returned by every tracking request (stream times, in seconds) */
+const AVAILS = [
+  { availId: 'preroll', startTime: 0, ads: [{ adId: 'pre_1', duration: 15 }, { adId: 'pre_2', duration: 15 }] },
+  { availId: 'midroll_1', startTime: 330, ads: [{ adId: 'mid_1', duration: 30 }] },
+];
+
+/**
+ * Builds a tracking event with a beacon URL pointing back at this server
+ * @param {string} base - Server origin
+ * @param {string} eventType - VAST event name
+ * @param {string} adId - Ad identifier
+ * @param {number} startTime - Stream time of the event in seconds
+ * @returns {Object} MediaTailor tracking event
+ */
+function buildTrackingEvent(base, eventType, adId, startTime) {
+  return {
+    eventId: `${adId}_${eventType}`,
+    eventType,
+    startTimeInSeconds: startTime,
+    durationInSeconds: 0,
+    beaconUrls: [`${base}/beacon?event=${eventType}&ad=${adId}`],
+  };
+}
+
+/**
+ * Builds the tracking response body from an avail schedule
+ * @param {string} base - Server origin
+ * @param {Array} schedule - Avails like AVAILS
+ * @returns {Object} MediaTailor tracking response
+ */
+function buildTrackingResponse(base, schedule) {
+  const avails = schedule.map((avail) => {
+    let adStart = avail.startTime;
+
+    const ads = avail.ads.map((ad) => {
+      const start = adStart;
+      adStart += ad.duration;
+
+      return {
+        adId: ad.adId,
+        adTitle: `Mock ad ${ad.adId}`,
+        startTimeInSeconds: start,
+        durationInSeconds: ad.duration,
+        skipOffset: 'PT5S',
+        clickThrough: `https://example.com/advertiser/${ad.adId}`,
+        trackingEvents: [
+          buildTrackingEvent(base, 'impression', ad.adId, start),
+          buildTrackingEvent(base, 'start', ad.adId, start),
+          buildTrackingEvent(base, 'firstQuartile', ad.adId, start + ad.duration * 0.25),
+          buildTrackingEvent(base, 'midpoint', ad.adId, start + ad.duration * 0.5),
+          buildTrackingEvent(base, 'thirdQuartile', ad.adId, start + ad.duration * 0.75),
+          buildTrackingEvent(base, 'complete', ad.adId, start + ad.duration),
+          buildTrackingEvent(base, 'clickTracking', ad.adId, start),
+        ],
+      };
+    });
+
+    return {
+      availId: avail.availId,
+      startTimeInSeconds: avail.startTime,
+      durationInSeconds: adStart - avail.startTime,
+      ads,
+    };
+  });
+
+  return { avails, nonLinearAvails: [] };
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object|null>} Parsed body, null when empty or not JSON
+ */
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Handles one request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} state - { avails, sessions, trackingRequests, beaconHits } of the server
+ */
+async function handleRequest(req, res, state) {
+  const base = `http://${req.headers.host}`;
+  const url = new URL(req.url, base);
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname.startsWith('/v1/session/')) {
+    const sessionId = crypto.randomUUID();
+    const assetPath = url.pathname.replace('/v1/session/', '');
+    const trackingPath = assetPath.split('/').slice(0, 2).join('/');
+    state.sessions.push({ sessionId, body: await readJson(req) });
+
+    console.log('[MOCK] Session created', sessionId);
+    sendJson(res, 200, {
+      manifestUrl: `/v1/master/${assetPath}?aws.sessionId=${sessionId}`,
+      trackingUrl: `/v1/tracking/${trackingPath}/${sessionId}`,
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/v1/master/')) {
+    res.writeHead(302, { Location: CONTENT_URL });
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/v1/tracking/')) {
+    state.trackingRequests.push(url.pathname);
+    sendJson(res, 200, buildTrackingResponse(base, state.avails));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/beacon') {
+    const hit = { event: url.searchParams.get('event'), ad: url.searchParams.get('ad'), time: new Date().toISOString() };
+    state.beaconHits.push(hit);
+    console.log('[MOCK] Beacon', hit);
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/beacons') {
+    sendJson(res, 200, state.beaconHits);
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+}
+
+/**
+ * Starts the mock MediaTailor server
+ * @param {number} [port=0] - Listening port, 0 for a free port
+ * @returns {Promise<Object>} { url, avails, sessions, trackingRequests, beaconHits, close }
+ */
+export function startMediaTailorServer(port = 0) {
+  const state = {
+    avails: AVAILS.map((avail) => ({ ...avail })),
+    sessions: [],
+    trackingRequests: [],
+    beaconHits: [],
+  };
+  const server = http.createServer((req, res) => handleRequest(req, res, state));
+
+  return new Promise((resolve) => {
+    server.listen(port, 'localhost', () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        ...state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startMediaTailorServer(PORT).then(({ url }) => {
+    console.log(`[MOCK] MediaTailor mock listening on ${url}`);
+  });
+}
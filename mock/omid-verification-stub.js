@@ -0,0 +1,36 @@
+/**
+ * =============================================================================
+ * Stub Open Measurement verification script
+ * =============================================================================
+ *
+ * Served by the mock ad server (GET /verification.js) as the <JavaScriptResource> of the
+ * mock ads' <AdVerifications>. It uses the OmidVerificationClient the player provides in
+ * its verification sandbox and reports every session and ad event it receives as a
+ * beacon, the way a verification vendor would measure the ad.
+ *
+ * <VerificationParameters> is JSON: { "beaconUrl": "<mock server>/beacon?vendor=&ad=&break=" };
+ * each event adds event=omid-<type> to it (e.g. omid-sessionStart, omid-firstQuartile).
+ */
+
+(function () {
+  const AD_EVENTS = [
+    'impression', 'loaded', 'start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete',
+    'pause', 'resume', 'skipped', 'volumeChange', 'playerStateChange', 'adUserInteraction',
+  ];
+
+  const client = new OmidVerificationClient();
+  if (!client.isSupported()) return;
+
+  let beaconUrl = null;
+  const report = (event) => {
+    if (beaconUrl) client.sendUrl(`${beaconUrl}&event=omid-${event.type}`);
+  };
+
+  client.registerSessionObserver((event) => {
+    if (event.type === 'sessionStart') {
+      beaconUrl = JSON.parse(event.data.verificationParameters).beaconUrl;
+    }
+    report(event);
+  }, 'mock.com-omid');
+  AD_EVENTS.forEach((type) => client.addEventListener(type, report));
+})();
@@ -0,0 +1,112 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdAnalytics } from '../app.js';
+import { createAdStack, loadSchedule, play, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+test('records the outcome of each ad of a pod and rolls them up', async () => {
+  const stack = createAdStack();
+  const analytics = new AdAnalytics(stack.events, stack.manager.config);
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=pod&ads=3&adDuration=6&skipOffset=5`);
+
+  play(stack, 0, 2);
+  await stack.manager.clickCurrentAd();
+  play(stack, 2.5, 11);
+  stack.manager.skipCurrentAd(stack.player);
+  play(stack, 12, 20);
+
+  const [record] = analytics.getReport().breaks;
+  assert.deepEqual(
+    record.ads.map((ad) => [ad.adId, ad.quartile, ad.completed, ad.skipped, ad.skippedAt, ad.clicked]),
+    [
+      ['preroll_ad1', 'complete', true, false, null, true],
+      ['preroll_ad2', 'thirdQuartile', false, true, 5, false],
+      ['preroll_ad3', 'complete', true, false, null, false],
+    ]
+  );
+  assert.ok(record.ads.every((ad) => ad.started && ad.ttffMs >= 0));
+
+  const metrics = analytics.getMetrics();
+  assert.deepEqual(
+    [metrics.breaks, metrics.fillRate, metrics.adsStarted, metrics.adsCompleted, metrics.adsSkipped, metrics.adsClicked],
+    [1, 1, 3, 2, 1, 1]
+  );
+  assert.equal(metrics.skipRate, 1 / 3);
+  await analytics.dispose();
+});
+
+test('counts a break without ads as unfilled and keeps its VAST error', async () => {
+  const stack = createAdStack();
+  const analytics = new AdAnalytics(stack.events, stack.manager.config);
+  const breaks = [
+    { breakId: 'preroll', timeOffset: 'start', timeInSeconds: 0, vastUrl: `${server.url}/vast/inline?duration=8`, duration: 30 },
+    { breakId: 'midroll', timeOffset: '00:00:30', timeInSeconds: 30, vastUrl: `${server.url}/vast/empty`, duration: 10 },
+  ];
+  stack.manager.setAdBreaks(breaks);
+  await Promise.all(breaks.map((br) => stack.prefetcher.load(br)));
+
+  play(stack, 0, 50);
+
+  assert.deepEqual(
+    analytics.getReport().breaks.map((br) => [br.breakId, br.filled, br.adCount, br.errors]),
+    [['preroll', true, 1, []], ['midroll', false, null, [303]]]
+  );
+  const metrics = analytics.getMetrics();
+  assert.deepEqual([metrics.fillRate, metrics.errors, metrics.completionRate], [0.5, 1, 1]);
+  await analytics.dispose();
+});
+
+test('posts finished breaks to the collector and exports them as CSV', async () => {
+  const stack = createAdStack();
+  const analytics = new AdAnalytics(stack.events, {
+    ...stack.manager.config,
+    ANALYTICS_URL: `${server.url}/analytics`,
+    ANALYTICS_FLUSH_INTERVAL: 0,
+  });
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+  play(stack, 0, 10);
+
+  assert.equal(await analytics.flush(), true);
+  assert.equal(server.analyticsBatches.length, 1);
+  const [batch] = server.analyticsBatches;
+  assert.equal(batch.sessionId, analytics.sessionId);
+  assert.deepEqual(batch.records.map((br) => [br.breakId, br.ads.length]), [['preroll', 1]]);
+  assert.equal(batch.metrics.adsCompleted, 1);
+
+  const [header, row] = analytics.toCSV().split('\n');
+  assert.equal(header, AdAnalytics.CSV_COLUMNS.join(','));
+  assert.match(row, new RegExp(`^${analytics.sessionId},preroll,preroll,0,true,,preroll_ad,0,8,5,true,\\d+,complete,true,false,,false,$`));
+
+  // A collector failure keeps the records for the next flush
+  const failing = new AdAnalytics(stack.events, { ...stack.manager.config, ANALYTICS_URL: `${server.url}/analytics?status=500` });
+  failing.queue.push({ breakId: 'preroll', ads: [], errors: [] });
+  assert.equal(await failing.flush(), false);
+  assert.equal(failing.queue.length, 1);
+  failing.dispose();
+  await analytics.dispose();
+});
+
+test('exports text as CSV without formulas and caps the records waiting for the collector', async () => {
+  const stack = createAdStack();
+  const analytics = new AdAnalytics(stack.events, {
+    ...stack.manager.config,
+    ANALYTICS_URL: `${server.url}/analytics?status=500`,
+    ANALYTICS_FLUSH_INTERVAL: 0,
+    ANALYTICS_MAX_QUEUE: 2,
+  });
+  analytics.breaks.push({ breakId: '=HYPERLINK("x")', position: '@mid', timeInSeconds: -1, filled: false, errors: ['a\r\nb'], ads: [] });
+  analytics.breaks.push({ breakId: '\t=1+1', position: '\r=1+1', timeInSeconds: 0, filled: false, errors: [], ads: [] });
+
+  const csv = analytics.toCSV();
+  assert.equal(csv.slice(csv.indexOf('\n') + 1), [
+    `${analytics.sessionId},"'=HYPERLINK(""x"")",'@mid,-1,false,"a\r\nb",,,,,,,,,,,,`,
+    `${analytics.sessionId},'\t=1+1,"'\r=1+1",0,false,,,,,,,,,,,,,`,
+  ].join('\n'));
+
+  analytics.queue.push(...['first', 'second', 'third'].map((breakId) => ({ breakId, ads: [], errors: [] })));
+  assert.equal(await analytics.flush(), false);
+  assert.deepEqual(analytics.queue.map((br) => br.breakId), ['second', 'third']);
+  await analytics.dispose();
+});
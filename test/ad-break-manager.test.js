@@ -0,0 +1,134 @@
+import { flushBeacons } from './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdStack, loadSchedule, play, formatBeaconHits, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+test('shows the overlay for the stream range of each break', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start,00:01:00&vast=inline&adDuration=8`);
+
+  play(stack, 0, 90);
+
+  // The mid-roll starts after the 8 seconds of pre-roll stitched before it
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@0', 'hide@8', 'show@68', 'hide@76']);
+  assert.deepEqual(
+    stack.emitted.filter((e) => e.type === 'adBreakStart' || e.type === 'adBreakEnd')
+      .map((e) => `${e.type}:${e.break.breakId}`),
+    ['adBreakStart:preroll', 'adBreakEnd:preroll', 'adBreakStart:midroll_1', 'adBreakEnd:midroll_1']
+  );
+});
+
+test('fires impression, quartile and complete beacons at the right times', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+
+  play(stack, 0, 1.5);
+  await flushBeacons();
+  assert.deepEqual(formatBeaconHits(server.beaconHits), [
+    'breakStart', 'impression:preroll_ad', 'creativeView:preroll_ad', 'start:preroll_ad',
+  ]);
+
+  play(stack, 2, 4);
+  await flushBeacons();
+  assert.deepEqual(formatBeaconHits(server.beaconHits).slice(4), ['firstQuartile:preroll_ad', 'midpoint:preroll_ad']);
+
+  play(stack, 4.5, 10);
+  await flushBeacons();
+  assert.deepEqual(formatBeaconHits(server.beaconHits).slice(6), [
+    'thirdQuartile:preroll_ad', 'complete:preroll_ad', 'viewUndetermined:preroll_ad', 'breakEnd',
+  ]);
+});
+
+test('tracks each ad of a pod and updates the pod info', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=pod&ads=3&adDuration=6`);
+  const podInfo = [];
+
+  for (let time = 0; time <= 20; time += 0.5) {
+    play(stack, time, time);
+    podInfo.push(`${stack.overlay.podInfo.adNumber}/${stack.overlay.podInfo.podSize}`);
+  }
+  await flushBeacons();
+
+  assert.deepEqual([...new Set(podInfo)], ['1/3', '2/3', '3/3']);
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@0', 'hide@18']);
+  assert.deepEqual(
+    formatBeaconHits(server.beaconHits).filter((hit) => /^(impression|complete)/.test(hit)),
+    [
+      'impression:preroll_ad1', 'complete:preroll_ad1',
+      'impression:preroll_ad2', 'complete:preroll_ad2',
+      'impression:preroll_ad3', 'complete:preroll_ad3',
+    ]
+  );
+  assert.deepEqual(
+    stack.emitted.filter((e) => e.type === 'adStart').map((e) => e.ad.adId),
+    ['preroll_ad1', 'preroll_ad2', 'preroll_ad3']
+  );
+});
+
+test('enables skip at the skip offset and skips without completing', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=10&skipOffset=5`);
+
+  play(stack, 0, 4.5);
+  assert.equal(stack.overlay.skipButton.skippable, false);
+  play(stack, 5, 6);
+  assert.equal(stack.overlay.skipButton.skippable, true);
+
+  stack.manager.skipCurrentAd(stack.player);
+  assert.deepEqual(stack.player.seeks, [10]);
+
+  // Playback resumes where the skip seeked to
+  play(stack, 10, 12);
+  await flushBeacons();
+
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(hits.includes('skip:preroll_ad'));
+  assert.ok(!hits.includes('complete:preroll_ad'));
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@0', 'hide@10']);
+  assert.deepEqual(stack.emitted.filter((e) => e.type === 'adSkipped').map((e) => e.scope), ['ad']);
+});
+
+test('skips to the next ad of a pod, or past the pod with the pod skip scope', async () => {
+  const adScope = createAdStack();
+  await loadSchedule(adScope, `${server.url}/vmap?breaks=start&vast=pod&ads=3&adDuration=6`);
+  play(adScope, 0, 11);
+  adScope.manager.skipCurrentAd(adScope.player);
+  assert.deepEqual(adScope.player.seeks, [12]);
+
+  const podScope = createAdStack({ SKIP_SCOPE: 'pod' });
+  await loadSchedule(podScope, `${server.url}/vmap?breaks=start&vast=pod&ads=3&adDuration=6`);
+  play(podScope, 0, 11);
+  podScope.manager.skipCurrentAd(podScope.player);
+  assert.deepEqual(podScope.player.seeks, [18]);
+});
+
+test('does not play a watched break again after seeking back', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+
+  play(stack, 0, 12);
+  play(stack, 2, 6);
+
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@0', 'hide@8']);
+});
+
+test('starts tracking a break whose VAST was not prefetched once it arrives', async () => {
+  const stack = createAdStack();
+  const breaks = await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+  stack.prefetcher.reset();
+
+  play(stack, 0, 0);
+  assert.equal(stack.overlay.visible, true);
+  assert.equal(stack.tracker.isActive(), false);
+
+  await stack.prefetcher.load(breaks[0]);
+  await new Promise((resolve) => setImmediate(resolve));
+  play(stack, 0.5, 1);
+  await flushBeacons();
+
+  assert.equal(stack.tracker.getCurrentAd().adId, 'preroll_ad');
+  assert.ok(formatBeaconHits(server.beaconHits).includes('impression:preroll_ad'));
+});
@@ -0,0 +1,98 @@
+import { flushBeacons } from './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, VMAPService } from '../app.js';
+import { createAdStack, play, formatBeaconHits, preroll, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+test('retries a failing VMAP request with backoff and gives up on timeouts', async () => {
+  const { macroResolver } = createAdStack();
+  const config = { ...CONFIG, VMAP_RETRIES: 2, VMAP_RETRY_DELAY: 10 };
+
+  const vmap = await VMAPService.fetchVMAP(`${server.url}/vmap?breaks=start&fail=2`, 60, 'user', macroResolver, 30, {}, config);
+  assert.equal(vmap.adBreaks.length, 1);
+
+  await assert.rejects(
+    VMAPService.fetchVMAP(`${server.url}/vmap?breaks=start&fail=3`, 60, 'user', macroResolver, 30, {}, config),
+    { code: 900, message: 'VMAP request failed with status 503' }
+  );
+  await assert.rejects(
+    VMAPService.fetchVMAP(`${server.url}/vmap?delay=300`, 60, 'user', macroResolver, 30, {},
+      { ...config, VMAP_TIMEOUT: 50, VMAP_RETRIES: 0 }),
+    { code: 900, message: 'VMAP request timed out after 50 ms' }
+  );
+});
+
+test('tries the fallback VAST tags of a break in order until one fills', async () => {
+  const stack = createAdStack({
+    VAST_FALLBACK_TAGS: [
+      { url: `${server.url}/vast/pod?ads=2&break=midroll_house`, positions: ['midroll'] },
+      `${server.url}/vast/inline?duration=8&break=house`,
+    ],
+  });
+  const br = preroll(`${server.url}/vast/empty?break=preroll`, { fallbackVastUrls: [`${server.url}/vast/inline?status=500`] });
+  stack.manager.setAdBreaks([br]);
+  await stack.prefetcher.load(br);
+
+  play(stack, 0, 10);
+  await flushBeacons();
+
+  assert.deepEqual(stack.emitted.filter((e) => e.type === 'adStart').map((e) => e.ad.adId), ['house_ad']);
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => e.code), [303, 900]);
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(hits.includes('error:303'));
+  assert.ok(hits.includes('complete:house_ad'));
+  assert.equal(stack.macroResolver.inspector.getVastRequests().preroll.length, 3);
+});
+
+test('requests a break again once its failed prefetch expires', async () => {
+  const stack = createAdStack({ VAST_FAILURE_TTL: 0.1 });
+  const br = preroll(`${server.url}/vast/inline?fail=1`);
+
+  assert.equal(await stack.prefetcher.load(br), null);
+  assert.equal(await stack.prefetcher.load(br), null);
+  await new Promise((resolve) => setTimeout(resolve, 150));
+
+  const vastResponse = await stack.prefetcher.load(br);
+  assert.equal(vastResponse.ads.length, 1);
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => e.vmapCode), [1008]);
+});
+
+test('falls back on the ad buffet unless the wrapper sets fallbackOnNoAd to false', async () => {
+  const stack = createAdStack();
+  const buffet = preroll(`${server.url}/vast/wrapper?to=empty&buffet=2&fallbackOnNoAd=true`);
+  const vastResponse = await stack.prefetcher.load(buffet);
+  assert.deepEqual(vastResponse.ads.map((ad) => ad.id), ['wrapper_buffet1']);
+
+  const strict = createAdStack();
+  const noFallback = await strict.prefetcher.load(preroll(`${server.url}/vast/wrapper?to=empty&buffet=2&fallbackOnNoAd=false`));
+  assert.deepEqual(noFallback.ads, []);
+  assert.deepEqual(strict.errorReporter.getErrors().map((e) => e.code), [303]);
+});
+
+test('plays only the first ad of a pod when the break does not allow multiple ads', async () => {
+  const stack = createAdStack();
+  const br = preroll(`${server.url}/vast/pod?ads=3&buffet=1`, { allowMultipleAds: false });
+  const vastResponse = await stack.prefetcher.load(br);
+
+  assert.deepEqual(vastResponse.ads.map((ad) => ad.id), ['pod_ad1', 'pod_ad2', 'pod_ad3']);
+  assert.deepEqual(VMAPService.getPodAds(vastResponse, false).map(({ ad }) => ad.id), ['pod_ad1']);
+});
+
+test('builds the fallback schedule like a VMAP schedule', async () => {
+  const schedule = [
+    { timeOffset: 'end', vastUrl: `${server.url}/vast/inline?break=post` },
+    { timeOffset: '50%', vastUrl: `${server.url}/vast/pod?ads=2`, breakId: 'half' },
+    { timeOffset: 'start', vastUrl: `${server.url}/vast/inline?duration=8` },
+    { timeOffset: 'soon', vastUrl: `${server.url}/vast/inline` },
+  ];
+  const breaks = VMAPService.buildFallbackAdBreakList(schedule, 120);
+  assert.deepEqual(breaks.map((br) => [br.breakId, br.timeInSeconds]), [['fallback_2', 0], ['half', 60], ['fallback_0', 120]]);
+
+  const stack = createAdStack();
+  stack.manager.setAdBreaks(breaks);
+  await stack.prefetcher.load(breaks[0]);
+  play(stack, 0, 10);
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@0', 'hide@8']);
+});
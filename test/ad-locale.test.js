@@ -0,0 +1,41 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdLocale } from '../app.js';
+
+test('fills placeholders and picks the plural form from the count', () => {
+  const locale = new AdLocale('en');
+
+  assert.equal(locale.t('podPosition', { adNumber: 2, adCount: 3 }), 'Ad 2 of 3');
+  assert.equal(locale.t('timeRemaining', { count: 1 }), '1 second of ads left.');
+  assert.equal(locale.t('timeRemaining', { count: 12 }), '12 seconds of ads left.');
+  assert.equal(locale.t('skipAvailable', { key: 'S' }), 'You can skip this ad now. Press S to skip.');
+});
+
+test('supports languages with more than two plural forms', () => {
+  const locale = new AdLocale('pl');
+
+  assert.deepEqual([1, 3, 5, 22, 25].map((count) => locale.t('timeRemaining', { count })), [
+    'Pozostała 1 sekunda reklam.',
+    'Pozostały 3 sekundy reklam.',
+    'Pozostało 5 sekund reklam.',
+    'Pozostały 22 sekundy reklam.',
+    'Pozostało 25 sekund reklam.',
+  ]);
+});
+
+test('falls back to the base language, then English, and applies custom messages', () => {
+  const locale = new AdLocale('fr-CA', {
+    'fr-CA': { skipAd: 'Passer' },
+    fr: { learnMore: 'Visiter le site' },
+  });
+
+  assert.equal(locale.t('skipAd'), 'Passer');
+  assert.equal(locale.t('learnMore'), 'Visiter le site');
+  assert.equal(locale.t('skipIn', { count: 4 }), 'Passer dans 4 s');
+
+  const partial = new AdLocale('it', { it: { skipAd: 'Salta' } });
+  assert.equal(partial.t('skipAd'), 'Salta');
+  assert.equal(partial.t('closeAd'), 'Close ad');
+  assert.equal(partial.t('unknownKey'), 'unknownKey');
+});
@@ -0,0 +1,139 @@
+import { flushBeacons, openedUrls } from './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdStack, loadSchedule, play, formatBeaconHits, preroll, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+test('fires wrapper impressions and tracking along with the wrapped ads', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=wrapper&depth=2&to=inline&adDuration=8`);
+
+  play(stack, 0, 10);
+  await flushBeacons();
+
+  const hits = formatBeaconHits(server.beaconHits);
+  ['impression:wrapper2', 'impression:wrapper1', 'impression:preroll_ad',
+    'start:wrapper1', 'start:preroll_ad', 'complete:wrapper1', 'complete:preroll_ad']
+    .forEach((hit) => assert.ok(hits.includes(hit), `${hit} fired`));
+  assert.deepEqual(stack.errorReporter.getErrors(), []);
+});
+
+test('tracks the click and opens the click-through URL', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+
+  play(stack, 0, 2);
+  await stack.manager.clickCurrentAd();
+  await flushBeacons();
+
+  assert.equal(openedUrls.at(-1), 'https://example.com/advertiser/preroll_ad');
+  assert.ok(formatBeaconHits(server.beaconHits).includes('click:preroll_ad'));
+  assert.deepEqual(
+    stack.emitted.filter((e) => e.type === 'adClicked').map((e) => [e.target, e.url]),
+    [['ad', 'https://example.com/advertiser/preroll_ad']]
+  );
+});
+
+test('logs every beacon in the inspector without replacing window.Image', async () => {
+  const NativeImage = window.Image;
+  const stack = createAdStack();
+  await stack.prefetcher.load(preroll(`${server.url}/vast/wrapper?to=empty`, { breakId: 'empty' }, 5));
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+
+  play(stack, 0, 10);
+  await flushBeacons();
+
+  assert.equal(window.Image, NativeImage);
+  const beacons = stack.macroResolver.inspector.getBeacons();
+  assert.deepEqual(beacons.map((beacon) => [beacon.source, new URL(beacon.url).searchParams.get('event')]), [
+    ['vast-error', 'error'], ['vast-error', 'error'],
+    ['vmap:breakStart', 'breakStart'],
+    ...['impression', 'creativeView', 'start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete', 'viewUndetermined']
+      .map((event) => ['vast', event]),
+    ['vmap:breakEnd', 'breakEnd'],
+  ]);
+  assert.equal(server.beaconHits.length, beacons.length);
+  assert.ok(beacons.every((beacon) => beacon.result === 'loaded' && !/\[[A-Z_]+\]/.test(beacon.url)));
+});
+
+test('reports an empty VAST response as error 303 and fires its error URI', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=empty`);
+
+  play(stack, 0, 2);
+  await flushBeacons();
+
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => [e.code, e.breakId]), [[303, 'preroll']]);
+  assert.equal(stack.tracker.isActive(), false);
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(hits.includes('error:303'));
+  assert.ok(!hits.some((hit) => hit.startsWith('impression')));
+});
+
+test('reports malformed VAST as error 100 and fires the VMAP break error tracker', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=malformed`);
+  await flushBeacons();
+
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => [e.code, e.vmapCode]), [[100, 1006]]);
+  assert.deepEqual(formatBeaconHits(server.beaconHits), ['error:1006']);
+  assert.deepEqual(stack.emitted.filter((e) => e.type === 'adError').map((e) => e.code), [100]);
+});
+
+test('reports a failed VAST request with the VMAP retrieval error', async () => {
+  const stack = createAdStack();
+  const br = preroll(`${server.url}/vast/inline?status=500`, {}, 5);
+
+  assert.equal(await stack.prefetcher.load(br), null);
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => [e.code, e.vmapCode]), [[900, 1008]]);
+});
+
+test('stops at the first wrapper when the break does not follow redirects', async () => {
+  const stack = createAdStack();
+  const br = preroll(`${server.url}/vast/wrapper?to=inline`, { followRedirects: false }, 5);
+
+  await stack.prefetcher.load(br);
+  await flushBeacons();
+
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => e.code), [302]);
+  assert.ok(formatBeaconHits(server.beaconHits).includes('error:wrapper1:302'));
+});
+
+test('fires the wrapper error URI when the wrapped response is empty, with consent', async () => {
+  const stack = createAdStack();
+  stack.macroResolver.setCmpAdapter({ getConsent: async () => ({ gdprApplies: true, tcString: 'TCF-STRING' }) });
+  await stack.macroResolver.refreshConsent();
+  const br = preroll(`${server.url}/vast/wrapper?to=empty`, {}, 5);
+
+  await stack.prefetcher.load(br);
+  await flushBeacons();
+
+  assert.deepEqual(stack.errorReporter.getErrors().map((e) => e.code), [303]);
+  const errors = server.beaconHits.filter((hit) => hit.event === 'error');
+  assert.deepEqual(errors.map((hit) => [hit.ad || null, hit.code, hit.consent]), [
+    ['wrapper1', '303', 'TCF-STRING'],
+    [null, '303', 'TCF-STRING'],
+  ]);
+});
+
+test('drops malformed tracker URLs and keeps the tracker macros over the caller ones', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+  play(stack, 0, 2);
+  await flushBeacons();
+  server.beaconHits.length = 0;
+
+  const { vastTracker } = stack.tracker;
+  const trackerErrors = [];
+  vastTracker.on('TRACKER-error', ({ message }) => trackerErrors.push(message));
+  vastTracker.trackURLs(['javascript:alert(1)', `${server.url}/beacon?event=custom&asset=[ASSETURI]&playhead=[ADPLAYHEAD]`],
+    { ASSETURI: 'caller', ADPLAYHEAD: 'caller' });
+  await flushBeacons();
+
+  assert.deepEqual(trackerErrors, ['Provided urls are malformed. url: javascript:alert(1)']);
+  assert.equal(server.beaconHits.length, 1);
+  const [hit] = server.beaconHits;
+  assert.equal(hit.asset, vastTracker.creative.mediaFiles[0].fileURL);
+  assert.equal(hit.playhead, vastTracker.progressFormatted());
+});
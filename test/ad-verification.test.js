@@ -0,0 +1,149 @@
+import { flushBeacons } from './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdVerificationManager } from '../app.js';
+import { createAdStack, loadSchedule, play, formatBeaconHits, RecordingPlayer, useAdServer } from './helpers/ad-stack.js';
+
+/**
+ * Player whose events the test triggers, with a settable volume and fullscreen state
+ */
+class EventedPlayer extends RecordingPlayer {
+  constructor() {
+    super();
+    this.handlers = {};
+    this.level = 1;
+    this.fullscreen = false;
+  }
+
+  volume() {
+    return this.level;
+  }
+
+  isFullscreen() {
+    return this.fullscreen;
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  off(event) {
+    delete this.handlers[event];
+  }
+
+  trigger(event) {
+    if (this.handlers[event]) this.handlers[event]();
+  }
+}
+
+const server = useAdServer();
+
+/**
+ * Waits for the events posted to the verification sandboxes and the beacons they send
+ */
+async function settle() {
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await flushBeacons();
+}
+
+/**
+ * Lists the events the stub verification script reported for an ad
+ * @param {string} adId - Ad ID
+ * @returns {Array<string>} OM event types, sorted
+ */
+function omidEvents(adId) {
+  return server.beaconHits
+    .filter((hit) => hit.ad === adId && hit.event.startsWith('omid-'))
+    .map((hit) => hit.event.replace('omid-', ''))
+    .sort();
+}
+
+test('runs the verification script of an ad and delivers the player events to it', async () => {
+  const stack = createAdStack();
+  const player = new EventedPlayer();
+  stack.tracker.setPlayer(player);
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8&verification=omid`);
+
+  play(stack, 0, 1);
+  await stack.tracker.verifications.ready();
+  assert.deepEqual(stack.tracker.verifications.getState(), [{ vendor: 'mock.com-omid', status: 'running', reason: null }]);
+
+  player.trigger('pause');
+  player.trigger('play');
+  player.level = 0.5;
+  player.trigger('volumechange');
+  player.fullscreen = true;
+  player.trigger('fullscreenchange');
+  await stack.manager.clickCurrentAd();
+  play(stack, 1.5, 10);
+  await settle();
+
+  assert.deepEqual(omidEvents('preroll_ad'), [
+    'adUserInteraction', 'complete', 'firstQuartile', 'impression', 'loaded', 'midpoint', 'pause',
+    'playerStateChange', 'resume', 'sessionFinish', 'sessionStart', 'start', 'thirdQuartile', 'volumeChange',
+  ]);
+  assert.ok(!formatBeaconHits(server.beaconHits).some((hit) => hit.startsWith('verificationNotExecuted')));
+  assert.deepEqual(stack.tracker.verifications.getState(), []);
+});
+
+test('fires verificationNotExecuted with the reason each vendor could not run', async () => {
+  const stack = createAdStack({
+    VERIFICATION_VENDORS: ['mock.com-native', 'mock.com-missing', 'mock.com-slow'],
+    VERIFICATION_TIMEOUT: 200,
+  });
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8&verification=omid,native,missing,slow`);
+
+  play(stack, 0, 1);
+  await stack.tracker.verifications.ready();
+  assert.deepEqual(stack.tracker.verifications.getState().map(({ vendor, status, reason }) => [vendor, status, reason]), [
+    ['mock.com-omid', 'notExecuted', AdVerificationManager.REASONS.rejected],
+    ['mock.com-native', 'notExecuted', AdVerificationManager.REASONS.notSupported],
+    ['mock.com-missing', 'notExecuted', AdVerificationManager.REASONS.loadError],
+    ['mock.com-slow', 'notExecuted', AdVerificationManager.REASONS.loadError],
+  ]);
+
+  play(stack, 1.5, 10);
+  await settle();
+
+  const notExecuted = server.beaconHits
+    .filter((hit) => hit.event === 'verificationNotExecuted')
+    .map((hit) => `${hit.vendor}:${hit.code}`)
+    .sort();
+  assert.deepEqual(notExecuted, ['mock.com-missing:3', 'mock.com-native:2', 'mock.com-omid:1', 'mock.com-slow:3']);
+  assert.deepEqual(omidEvents('preroll_ad'), []);
+});
+
+test('does not report a script bringing its own OM client as running', async () => {
+  const stack = createAdStack({ VERIFICATION_VENDORS: ['mock.com-bundled'] });
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8&verification=bundled`);
+
+  play(stack, 0, 1);
+  await stack.tracker.verifications.ready();
+  assert.deepEqual(stack.tracker.verifications.getState(), [
+    { vendor: 'mock.com-bundled', status: 'notExecuted', reason: AdVerificationManager.REASONS.notSupported },
+  ]);
+
+  await settle();
+  const notExecuted = server.beaconHits.filter((hit) => hit.event === 'verificationNotExecuted');
+  assert.deepEqual(notExecuted.map((hit) => `${hit.vendor}:${hit.code}`), ['mock.com-bundled:2']);
+});
+
+test('gives each ad of a pod its own session and reports skips', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=pod&ads=2&adDuration=6&skipOffset=2&verification=omid`);
+
+  play(stack, 0, 3);
+  await stack.tracker.verifications.ready();
+  stack.manager.skipCurrentAd(stack.player);
+  play(stack, 6, 8);
+  await stack.tracker.verifications.ready();
+  play(stack, 8.5, 14);
+  await settle();
+
+  assert.deepEqual(omidEvents('preroll_ad1'), [
+    'firstQuartile', 'impression', 'loaded', 'midpoint', 'sessionFinish', 'sessionStart', 'skipped', 'start',
+  ]);
+  assert.deepEqual(omidEvents('preroll_ad2'), [
+    'complete', 'firstQuartile', 'impression', 'loaded', 'midpoint', 'sessionFinish', 'sessionStart', 'start', 'thirdQuartile',
+  ]);
+});
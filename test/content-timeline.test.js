@@ -0,0 +1,113 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentProgressBar, TimelineMapper, VideoPlayerManager } from '../app.js';
+import { FakePlayer } from './helpers/player.js';
+import { createAdStack, loadSchedule, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+/**
+ * Builds a 120 s content with 30 s breaks at start, 20 and 40 (stream 0-30, 50-80 and 100-130)
+ * and a player showing it on the content timeline
+ * @returns {Promise<Object>} { stack, mapper, player, playerManager, bar }
+ */
+async function createTimeline() {
+  const stack = createAdStack();
+  const adBreaks = await loadSchedule(stack, `${server.url}/vmap?breaks=start,00:00:20,00:00:40&vast=inline&adDuration=30`);
+  const mapper = new TimelineMapper(stack.manager);
+
+  const player = new FakePlayer({ duration: 210 });
+  const playerManager = new VideoPlayerManager(player, mapper);
+  playerManager.initialize(120);
+  playerManager.initializeMarkers(adBreaks, (br) => stack.manager.getBreakStreamRange(br));
+
+  return { stack, mapper, player, playerManager, bar: player.controlBar.getChild('ContentProgressBar') };
+}
+
+/**
+ * Presses a key on the content progress bar
+ * @param {ContentProgressBar} bar - Content progress bar
+ * @param {string} key - KeyboardEvent key
+ * @returns {Object} Event, with prevented set when its default was prevented
+ */
+function pressKey(bar, key) {
+  const event = { type: 'keydown', key, prevented: false };
+  event.preventDefault = () => {
+    event.prevented = true;
+  };
+  bar.trigger(event);
+  return event;
+}
+
+test('moves the content progress bar by key the way the Video.js seek bar does', () => {
+  const keyTimes = ['ArrowLeft', 'ArrowDown', 'ArrowRight', 'ArrowUp', 'PageDown', 'PageUp', 'Home', 'End', 'Enter']
+    .map((key) => [key, ContentProgressBar.getKeyTime(key, 100, 596)]);
+
+  assert.deepEqual(keyTimes, [
+    ['ArrowLeft', 95], ['ArrowDown', 95], ['ArrowRight', 105], ['ArrowUp', 105],
+    ['PageDown', 40], ['PageUp', 160], ['Home', 0], ['End', 596], ['Enter', null],
+  ]);
+  assert.equal(ContentProgressBar.getKeyTime('ArrowLeft', 2, 596), 0);
+  assert.equal(ContentProgressBar.getKeyTime('PageUp', 590, 596), 596);
+});
+
+test('holds content time at the break position inside stitched breaks', async () => {
+  const { mapper } = await createTimeline();
+
+  const contentTimes = [0, 15, 30, 40, 50, 65, 80, 90, 115, 130, 210].map((time) => [time, mapper.toContentTime(time)]);
+  assert.deepEqual(contentTimes, [
+    [0, 0], [15, 0], [30, 0], [40, 10], [50, 20], [65, 20], [80, 20], [90, 30], [115, 40], [130, 40], [210, 120],
+  ]);
+  assert.equal(mapper.getTotalAdDuration(), 90);
+  assert.equal(mapper.getContentDuration(210), 120);
+});
+
+test('maps content positions at a break to the break start, so the break plays', async () => {
+  const { mapper } = await createTimeline();
+
+  const streamTimes = [0, 10, 20, 25, 40, 41, 120].map((time) => [time, mapper.toStreamTime(time)]);
+  assert.deepEqual(streamTimes, [[0, 0], [10, 40], [20, 50], [25, 85], [40, 100], [41, 131], [120, 210]]);
+  streamTimes.slice(1).forEach(([contentTime, streamTime]) => assert.equal(mapper.toContentTime(streamTime), contentTime));
+});
+
+test('uses stream time for both on live streams', async () => {
+  const { stack, mapper } = await createTimeline();
+  stack.manager.setLive(true);
+
+  assert.equal(mapper.toContentTime(65), 65);
+  assert.equal(mapper.toStreamTime(65), 65);
+});
+
+test('places mid-roll markers at their content position on the content progress bar', async () => {
+  const { bar, player } = await createTimeline();
+  player.playTo(60);
+
+  const markers = bar.markersEl.childNodes.map((marker) => [marker.getAttribute('title'), marker.style.left]);
+  assert.deepEqual(markers, [['midroll_1', `${(20 / 120) * 100}%`], ['midroll_2', `${(40 / 120) * 100}%`]]);
+  assert.equal(bar.el().getAttribute('aria-valuenow'), '20');
+  assert.equal(bar.el().getAttribute('aria-valuemax'), '120');
+  assert.equal(bar.fillEl.style.width, `${(20 / 120) * 100}%`);
+});
+
+test('seeks the stream to the content position of a slider key', async () => {
+  const { bar, player } = await createTimeline();
+  player.playTo(60);
+
+  assert.equal(pressKey(bar, 'ArrowRight').prevented, true);
+  pressKey(bar, 'PageUp');
+  pressKey(bar, 'Home');
+  pressKey(bar, 'End');
+  assert.equal(pressKey(bar, 'Enter').prevented, false);
+  assert.deepEqual(player.seeks, [85, 175, 0, 210]);
+});
+
+test('ignores slider keys while an ad locks the content progress bar', async () => {
+  const { bar, player } = await createTimeline();
+  player.playTo(60);
+  bar.setLocked(true);
+
+  assert.equal(pressKey(bar, 'ArrowRight').prevented, true);
+  assert.deepEqual(player.seeks, []);
+  assert.equal(bar.el().getAttribute('aria-disabled'), 'true');
+});
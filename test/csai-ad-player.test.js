@@ -0,0 +1,123 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, CsaiAdPlayer } from '../app.js';
+import { FakePlayer } from './helpers/player.js';
+import { createAdStack, loadSchedule, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+/**
+ * Builds a client-side ad player for a VMAP schedule, attached to a 120 s content player
+ * whose timeupdates reach it as the plugin's do
+ * @param {string} query - Mock VMAP parameters
+ * @param {Object} [config] - CONFIG overrides
+ * @returns {Promise<Object>} { stack, csai, player, video }
+ */
+async function createCsai(query, config = {}) {
+  const stack = createAdStack(config);
+  stack.manager.setStitched(false);
+  await loadSchedule(stack, `${server.url}/vmap?${query}`);
+
+  const csai = new CsaiAdPlayer(stack.manager, stack.errorReporter, stack.events, { ...CONFIG, ...config });
+  const player = new FakePlayer({ duration: 120 });
+  csai.attach(player);
+  player.on('timeupdate', () => csai.update(player.currentTime()));
+  return { stack, csai, player, video: csai.videoElement };
+}
+
+/**
+ * Waits for the break to resolve its VAST and load the first media file
+ * @returns {Promise<void>}
+ */
+function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+/**
+ * Plays the loaded ad media file to its end
+ * @param {HTMLVideoElement} video - Ad element
+ * @param {number} duration - Media duration in seconds
+ */
+function playAdMedia(video, duration) {
+  for (let time = 0.5; time <= duration; time += 0.5) {
+    video.currentTime = time;
+    video.dispatchEvent(new Event('timeupdate'));
+  }
+  video.dispatchEvent(new Event('ended'));
+}
+
+test('plays the pre-roll on play, before the first content frame', async () => {
+  const { stack, csai, player, video } = await createCsai('breaks=start&vast=inline&adDuration=6');
+
+  player.play();
+  assert.equal(player.paused(), true);
+  assert.equal(csai.isActive(), true);
+  assert.equal(video.classList.contains('is-active'), true);
+
+  await nextTask();
+  assert.equal(video.src, `${server.url}/media/preroll_ad.mp4`);
+  assert.equal(video.paused, false);
+
+  playAdMedia(video, 6);
+  assert.equal(csai.isActive(), false);
+  assert.equal(player.paused(), false);
+  assert.equal(video.src, '');
+  const breakEvents = stack.emitted.map((event) => event.type).filter((type) => /Break|content/.test(type));
+  assert.deepEqual(breakEvents, ['adBreakStart', 'adBreakEnd', 'contentResumed']);
+  assert.deepEqual(player.seeks, []);
+});
+
+test('resumes content at the exact position it paused at for a mid-roll', async () => {
+  const { stack, csai, player, video } = await createCsai('breaks=00:00:20&vast=pod&ads=2&adDuration=5');
+
+  player.playTo(40, 0.75);
+  assert.equal(player.currentTime(), 20.25);
+  assert.equal(player.paused(), true);
+
+  await nextTask();
+  playAdMedia(video, 5);
+  assert.equal(video.src, `${server.url}/media/midroll_0_ad2.mp4`);
+  playAdMedia(video, 5);
+
+  assert.equal(csai.isActive(), false);
+  assert.equal(player.paused(), false);
+  assert.equal(player.currentTime(), 20.25);
+  assert.deepEqual(player.seeks, []);
+  assert.deepEqual(stack.emitted.find((event) => event.type === 'contentResumed').contentTime, 20.25);
+
+  // The watched break does not play again
+  player.playTo(30);
+  assert.equal(csai.isActive(), false);
+});
+
+test('plays the lightest playable file when none fits the bitrate cap', async () => {
+  const media = 'application/x-mpegURL@500,video/x-flv@600,video/mp4@4000,video/webm@3000';
+  const { player, video } = await createCsai(`breaks=start&vast=inline&media=${media}`, { CSAI_MAX_BITRATE: 2500 });
+
+  player.play();
+  await nextTask();
+  assert.equal(video.src, `${server.url}/media/preroll_ad_3.webm`);
+});
+
+test('prefers the highest bitrate within the cap among files of the same size', async () => {
+  const media = 'video/mp4@4000,video/mp4@800,video/webm@2000';
+  const { player, video } = await createCsai(`breaks=start&vast=inline&media=${media}`, { CSAI_MAX_BITRATE: 2500 });
+
+  player.play();
+  await nextTask();
+  assert.equal(video.src, `${server.url}/media/preroll_ad_2.webm`);
+});
+
+test('reports error 403 and moves on when no media file can be played', async () => {
+  const media = 'application/x-mpegURL@500,video/x-flv@600';
+  const { stack, csai, player, video } = await createCsai(`breaks=start&vast=inline&media=${media}`);
+
+  player.play();
+  await nextTask();
+
+  assert.deepEqual(stack.errorReporter.getErrors().map(({ code, adId }) => [code, adId]), [[403, 'preroll_ad']]);
+  assert.equal(video.src, '');
+  assert.equal(csai.isActive(), false);
+  assert.equal(player.paused(), false);
+});
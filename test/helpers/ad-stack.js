@@ -0,0 +1,191 @@
+/**
+ * Builds the ad classes of app.js the way VmapAdsPlugin wires them, with a recording
+ * overlay and player in place of the Video.js UI, and drives them with a simulated clock
+ * against a mock ad server started for each suite
+ */
+
+import { before, after, beforeEach } from 'node:test';
+import { flushBeacons } from './browser-env.js';
+import { startAdServer } from '../../mock/ad-server.js';
+import {
+  CONFIG,
+  AdEventEmitter,
+  MacroResolver,
+  VMAPService,
+  AdErrorReporter,
+  VastPrefetcher,
+  AdTracker,
+  AdBreakManager,
+} from '../../app.js';
+
+/**
+ * Overlay controller that records the calls AdBreakManager makes
+ */
+export class RecordingOverlay {
+  constructor() {
+    this.calls = [];
+    this.visible = false;
+  }
+
+  show() {
+    this.visible = true;
+    this.calls.push({ method: 'show', time: this.time });
+  }
+
+  hide() {
+    this.visible = false;
+    this.calls.push({ method: 'hide', time: this.time });
+  }
+
+  updatePodInfo(adNumber, podSize, remaining, title) {
+    this.podInfo = { adNumber, podSize, remaining, title };
+  }
+
+  updateSkipButton(elapsed, duration, skipOffset) {
+    const hidden = skipOffset == null;
+    this.skipButton = { elapsed, duration, skipOffset, hidden, skippable: !hidden && elapsed >= skipOffset };
+  }
+
+  renderCompanions() {
+    return [];
+  }
+
+  /**
+   * Lists the show/hide calls
+   * @returns {Array<string>} e.g. ['show@0', 'hide@8']
+   */
+  getVisibilityChanges() {
+    return this.calls.map(({ method, time }) => `${method}@${time}`);
+  }
+}
+
+/**
+ * Player that records seeks and reports a fixed state to the tracker
+ */
+export class RecordingPlayer {
+  constructor() {
+    this.seeks = [];
+  }
+
+  currentTime(time) {
+    this.seeks.push(time);
+  }
+
+  muted() {
+    return false;
+  }
+
+  volume() {
+    return 1;
+  }
+
+  isFullscreen() {
+    return false;
+  }
+
+  on() {}
+
+  off() {}
+}
+
+/**
+ * Creates an ad break manager with its tracker, prefetcher and error reporter
+ * @param {Object} [config] - CONFIG overrides
+ * @returns {Object} { manager, overlay, player, tracker, prefetcher, errorReporter, macroResolver, events, emitted }
+ */
+export function createAdStack(config = {}) {
+  const fullConfig = { ...CONFIG, PERSIST_HISTORY: false, ...config };
+  const macroResolver = new MacroResolver({ getConsent: async () => ({}) });
+  const events = new AdEventEmitter();
+  const errorReporter = new AdErrorReporter(macroResolver, events);
+  const prefetcher = new VastPrefetcher(errorReporter, macroResolver, fullConfig);
+  const tracker = new AdTracker(errorReporter, macroResolver, prefetcher, fullConfig);
+  const overlay = new RecordingOverlay();
+  const manager = new AdBreakManager(overlay, tracker, events, fullConfig);
+  const player = new RecordingPlayer();
+
+  const emitted = [];
+  AdEventEmitter.EVENTS.forEach((type) => events.on(type, (event) => emitted.push(event)));
+
+  return { manager, overlay, player, tracker, prefetcher, errorReporter, macroResolver, events, emitted };
+}
+
+/**
+ * Fetches a VMAP schedule from the mock ad server and resolves the VAST of every break
+ * @param {Object} stack - Stack from createAdStack()
+ * @param {string} vmapUrl - VMAP URL (mock server /vmap with its parameters)
+ * @param {number} [duration=120] - Content duration in seconds
+ * @returns {Promise<Array>} Ad breaks set on the manager
+ */
+export async function loadSchedule(stack, vmapUrl, duration = 120) {
+  const vmap = await VMAPService.fetchVMAP(vmapUrl, duration, 'test-user', stack.macroResolver);
+  const breaks = VMAPService.buildAdBreakList(vmap, duration);
+  stack.manager.setAdBreaks(breaks);
+  await Promise.all(breaks.map((br) => stack.prefetcher.load(br)));
+  return breaks;
+}
+
+/**
+ * Starts the mock ad server for the suite and clears what it recorded before every test
+ * @returns {Object} Server, filled in before the first test: { url, beaconHits, analyticsBatches, close }
+ */
+export function useAdServer() {
+  const server = {};
+
+  before(async () => {
+    Object.assign(server, await startAdServer());
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    // Beacons still in flight belong to the previous test
+    await flushBeacons();
+    server.beaconHits.length = 0;
+    server.analyticsBatches.length = 0;
+  });
+
+  return server;
+}
+
+/**
+ * Builds a pre-roll requesting a VAST tag directly, without a VMAP schedule
+ * @param {string} vastUrl - VAST URL (e.g. mock server /vast/inline?duration=8)
+ * @param {Object} [fields] - Other break fields
+ * @param {number|null} [skipOffset=null] - Skip offset of the break in seconds
+ * @returns {Object} Ad break
+ */
+export function preroll(vastUrl, fields = {}, skipOffset = null) {
+  return {
+    breakId: 'preroll',
+    timeOffset: 'start',
+    timeInSeconds: 0,
+    vastUrl,
+    duration: 30,
+    skipOffset,
+    ...fields,
+  };
+}
+
+/**
+ * Plays the stream from one time to another, updating the manager at every step
+ * @param {Object} stack - Stack from createAdStack()
+ * @param {number} from - Start stream time
+ * @param {number} to - End stream time (inclusive)
+ * @param {number} [step=0.5] - Seconds between updates
+ */
+export function play(stack, from, to, step = 0.5) {
+  for (let time = from; time <= to; time += step) {
+    stack.overlay.time = time;
+    stack.manager.update(time);
+  }
+}
+
+/**
+ * Summarizes beacon hits recorded by the mock ad server
+ * @param {Array} hits - Beacon hits
+ * @returns {Array<string>} "event", "event:ad", "event:ad:code" or "event:code" (errors)
+ */
+export function formatBeaconHits(hits) {
+  return hits.map((hit) => [hit.event, hit.ad, hit.code].filter(Boolean).join(':'));
+}
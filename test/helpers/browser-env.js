@@ -0,0 +1,649 @@
+/**
+ * Browser globals app.js needs to load and run under Node
+ *
+ * Import before app.js. Provides:
+ * - window (the global object, with window events), location and a document that never becomes ready,
+ *   so the demo app does not start; tests set its visibilityState and dispatch visibilitychange
+ * - navigator and an in-memory localStorage
+ * - Elements with the DOM API the components use (tree, attributes, classes, text), and
+ *   <video> elements that play every MP4 or WebM file instantly
+ * - A Video.js stand-in: evented Component and Plugin base classes, registered components,
+ *   middleware, dom.createEl and time.formatTime (see helpers/player.js for the player)
+ * - DOMParser / XMLSerializer backed by xmldom; unparsable XML gives a <parsererror>
+ *   document, as in browsers
+ * - Image whose src setter requests the URL, so tracking pixels reach the mock ad server
+ * - window.open recording the opened URLs
+ * - document.createElement('iframe') and document.body: an iframe appended to the body runs
+ *   the inline scripts of its srcdoc in its own node:vm context, whose document loads
+ *   <script src> from the network (ad verification sandboxes)
+ */
+
+import vm from 'node:vm';
+import { DOMParser as XmlDomParser, DOMImplementation, XMLSerializer } from '@xmldom/xmldom';
+
+/** Requests started by tracking images, settled or not */
+const pendingBeacons = [];
+
+/** URLs passed to window.open */
+export const openedUrls = [];
+
+/**
+ * DOMParser that reports XML errors the way browsers do
+ */
+class DOMParser {
+  parseFromString(text, mimeType) {
+    let error = null;
+    const onError = (message) => { error = error || String(message); };
+
+    try {
+      const doc = new XmlDomParser({ errorHandler: { warning: () => {}, error: onError, fatalError: onError } })
+        .parseFromString(text, mimeType);
+      if (!error && doc && doc.documentElement) return doc;
+    } catch (err) {
+      onError(err.message);
+    }
+
+    const doc = new DOMImplementation().createDocument(null, 'parsererror', null);
+    doc.documentElement.appendChild(doc.createTextNode(error || 'No root element'));
+    return doc;
+  }
+}
+
+/**
+ * Tracking image: setting src requests the URL and fires load or error
+ */
+class Image extends EventTarget {
+  constructor(width, height) {
+    super();
+    this.width = width;
+    this.height = height;
+    this.url = '';
+  }
+
+  get src() {
+    return this.url;
+  }
+
+  set src(url) {
+    this.url = url;
+    pendingBeacons.push(fetch(url).then(
+      (response) => this.dispatchEvent(new Event(response.ok ? 'load' : 'error')),
+      () => this.dispatchEvent(new Event('error')),
+    ));
+  }
+}
+
+/**
+ * Element: a node tree with attributes, classes and text, and DOM events
+ */
+class Element extends EventTarget {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.className = '';
+    this.style = {};
+    this.attributes = {};
+    this.childNodes = [];
+    this.parentNode = null;
+    this.text = '';
+    this.hidden = false;
+  }
+
+  get classList() {
+    const names = () => this.className.split(' ').filter(Boolean);
+    return {
+      add: (...added) => {
+        this.className = [...new Set([...names(), ...added])].join(' ');
+      },
+      remove: (...removed) => {
+        this.className = names().filter((name) => !removed.includes(name)).join(' ');
+      },
+      contains: (name) => names().includes(name),
+      toggle: (name, force = !names().includes(name)) => {
+        this.classList[force ? 'add' : 'remove'](name);
+        return force;
+      },
+    };
+  }
+
+  get textContent() {
+    return this.text + this.childNodes.map((child) => child.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.replaceChildren();
+    this.text = String(text);
+  }
+
+  get isConnected() {
+    return this.parentNode === document.body || Boolean(this.parentNode && this.parentNode.isConnected);
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  insertBefore(node, reference) {
+    this.appendChild(node);
+    if (reference) this.childNodes.splice(this.childNodes.indexOf(reference), 0, this.childNodes.pop());
+    return node;
+  }
+
+  removeChild(node) {
+    this.childNodes = this.childNodes.filter((child) => child !== node);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChildren(...nodes) {
+    [...this.childNodes].forEach((child) => this.removeChild(child));
+    this.text = '';
+    nodes.forEach((node) => this.appendChild(node));
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  contains(node) {
+    return node === this || this.childNodes.some((child) => child.contains && child.contains(node));
+  }
+
+  /**
+   * Finds a descendant by class name (".name" selectors only)
+   * @param {string} selector - Class selector
+   * @returns {Element|null} First match in document order
+   */
+  querySelector(selector) {
+    for (const child of this.childNodes) {
+      if (child.classList && child.classList.contains(selector.slice(1))) return child;
+      const match = child.querySelector ? child.querySelector(selector) : null;
+      if (match) return match;
+    }
+    return null;
+  }
+
+  focus() {
+    document.activeElement = this;
+  }
+
+  /**
+   * Gets the element box, 0 by 0 unless a test sets element.rect
+   * @returns {Object} { left, top, width, height }
+   */
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 0, height: 0, ...this.rect };
+  }
+}
+
+/**
+ * <video> element: MP4 and WebM files play, and the test moves currentTime and fires the
+ * media events itself
+ */
+class VideoElement extends Element {
+  constructor() {
+    super('video');
+    this.src = '';
+    this.currentTime = 0;
+    this.paused = true;
+    this.muted = false;
+    this.volume = 1;
+    this.error = null;
+  }
+
+  canPlayType(mimeType) {
+    return /^video\/(mp4|webm)$/.test(mimeType) ? 'maybe' : '';
+  }
+
+  play() {
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  load() {
+    this.currentTime = 0;
+  }
+
+  removeAttribute(name) {
+    super.removeAttribute(name);
+    if (name === 'src') this.src = '';
+  }
+}
+
+/**
+ * Script element of an iframe document: appending it fetches src and runs it in the iframe
+ */
+class ScriptElement {
+  constructor(context) {
+    this.context = context;
+    this.src = '';
+    this.onload = null;
+    this.onerror = null;
+  }
+
+  /**
+   * Fetches and runs the script, then calls onload, or onerror if it could not be fetched
+   */
+  async run() {
+    try {
+      const response = await fetch(this.src);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      vm.runInContext(await response.text(), this.context, { filename: this.src });
+    } catch (err) {
+      if (this.onerror) this.onerror(err);
+      return;
+    }
+    if (this.onload) this.onload();
+  }
+}
+
+/**
+ * Iframe: appended to the body, it runs the inline scripts of its srcdoc in a fresh context
+ * (window, document, Image, console), then fires load
+ */
+class Iframe extends EventTarget {
+  constructor() {
+    super();
+    this.attributes = {};
+    this.style = {};
+    this.title = '';
+    this.srcdoc = '';
+    this.contentWindow = null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  /**
+   * Creates the iframe window and runs the srcdoc scripts, as appending to a document does
+   */
+  connect() {
+    const events = new EventTarget();
+    const context = vm.createContext({ console, Image, URL, setTimeout, clearTimeout });
+    Object.assign(context, {
+      window: context,
+      addEventListener: events.addEventListener.bind(events),
+      removeEventListener: events.removeEventListener.bind(events),
+      // Messages are delivered asynchronously, as in browsers
+      postMessage: (data, targetOrigin, ports = []) => {
+        setTimeout(() => events.dispatchEvent(Object.assign(new Event('message'), { data, ports })));
+      },
+      document: {
+        createElement: () => new ScriptElement(context),
+        head: { appendChild: (script) => script.run() },
+      },
+    });
+    this.contentWindow = context;
+
+    [...this.srcdoc.matchAll(/<script>([\s\S]*?)<\/script>/g)].forEach(([, code]) => vm.runInContext(code, context));
+    setTimeout(() => this.dispatchEvent(new Event('load')));
+  }
+
+  remove() {
+    this.contentWindow = null;
+  }
+}
+
+/**
+ * In-memory Web Storage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Video.js evented object: on/one/off/trigger for its own events, and on(target, type, fn)
+ * for another evented object or an element, removed when this object is disposed
+ */
+class Evented {
+  constructor() {
+    this.handlers_ = {};
+    this.targets_ = [];
+  }
+
+  on(...args) {
+    const [target, type, listener] = args.length === 3 ? args : [this, ...args];
+    if (target === this) {
+      [].concat(type).forEach((name) => (this.handlers_[name] = this.handlers_[name] || []).push(listener));
+      return;
+    }
+
+    // Video.js calls listeners with the object that added them as this
+    const bound = listener.bind(this);
+    [].concat(type).forEach((name) => {
+      if (target.on) target.on(name, bound);
+      else target.addEventListener(name, bound);
+    });
+    this.targets_.push({ target, type, listener, bound });
+  }
+
+  one(...args) {
+    const [target, type, listener] = args.length === 3 ? args : [this, ...args];
+    const once = (...callArgs) => {
+      this.off(target, type, listener);
+      return listener.apply(this, callArgs);
+    };
+    // off() with the original listener removes it, as in Video.js
+    once.listener = listener;
+    this.on(target, type, once);
+  }
+
+  off(...args) {
+    if (!args.length) {
+      this.handlers_ = {};
+      this.targets_.splice(0).forEach((entry) => this.removeTargetListener(entry));
+      return;
+    }
+
+    const [target, type, listener] = args.length === 3 ? args : [this, ...args];
+    const isListener = (fn) => fn === listener || fn.listener === listener;
+    if (target !== this) {
+      this.targets_ = this.targets_.filter((entry) => {
+        const matches = entry.target === target && String(entry.type) === String(type) && isListener(entry.listener);
+        if (matches) this.removeTargetListener(entry);
+        return !matches;
+      });
+      return;
+    }
+
+    [].concat(type).forEach((name) => {
+      this.handlers_[name] = (this.handlers_[name] || [])
+        .filter((handler) => listener && !isListener(handler));
+    });
+  }
+
+  removeTargetListener({ target, type, bound }) {
+    [].concat(type).forEach((name) => {
+      if (target.off) target.off(name, bound);
+      else target.removeEventListener(name, bound);
+    });
+  }
+
+  /**
+   * Calls the listeners of an event
+   * @param {string|Object} event - Event type or event object with a type
+   * @param {Object} [hash] - Data passed as the second listener argument
+   */
+  trigger(event, hash) {
+    const data = typeof event === 'string' ? { type: event } : event;
+    const fired = { target: this, preventDefault() {}, stopPropagation() {}, ...data };
+    [...(this.handlers_[fired.type] || [])].forEach((handler) => handler.call(this, fired, hash));
+  }
+
+  /**
+   * Counts the listeners of the object's own events
+   * @returns {number} Listener count over all event types
+   */
+  listenerCount() {
+    return Object.values(this.handlers_).reduce((count, handlers) => count + handlers.length, 0);
+  }
+}
+
+/** Components by registered name */
+const components = new Map();
+
+/** Middleware factories registered with videojs.use() */
+export const middlewares = [];
+
+/**
+ * Video.js Component: an element, children added by registered name, classes and visibility
+ */
+class Component extends Evented {
+  constructor(player, options = {}) {
+    super();
+    this.player_ = player || this;
+    this.options_ = options;
+    this.children_ = [];
+    this.name_ = options.name || null;
+    this.el_ = this.createEl();
+  }
+
+  createEl(tagName = 'div', properties = {}, attributes = {}) {
+    return videojs.dom.createEl(tagName, properties, attributes);
+  }
+
+  el() {
+    return this.el_;
+  }
+
+  player() {
+    return this.player_;
+  }
+
+  name() {
+    return this.name_;
+  }
+
+  localize(text) {
+    return text;
+  }
+
+  children() {
+    return this.children_;
+  }
+
+  getChild(name) {
+    return this.children_.find((child) => child.name() === name);
+  }
+
+  /**
+   * Adds a child component, creating registered components from their name
+   * @param {string|Component} child - Component name or instance
+   * @param {Object} [options] - Component options
+   * @param {number} [index] - Position among the children
+   * @returns {Component} Child component
+   */
+  addChild(child, options = {}, index = this.children_.length) {
+    const component = typeof child === 'string'
+      ? new (components.get(child))(this.player_, { ...options, name: child })
+      : child;
+    this.children_.splice(index, 0, component);
+    this.el_.insertBefore(component.el(), this.el_.childNodes[index] || null);
+    return component;
+  }
+
+  removeChild(component) {
+    if (!this.children_.includes(component)) return;
+    this.children_ = this.children_.filter((child) => child !== component);
+    if (component.el()) this.el_.removeChild(component.el());
+  }
+
+  addClass(name) {
+    this.el_.classList.add(name);
+  }
+
+  removeClass(name) {
+    this.el_.classList.remove(name);
+  }
+
+  hasClass(name) {
+    return this.el_.classList.contains(name);
+  }
+
+  toggleClass(name, force) {
+    this.el_.classList.toggle(name, force);
+  }
+
+  setAttribute(name, value) {
+    this.el_.setAttribute(name, value);
+  }
+
+  show() {
+    this.removeClass('vjs-hidden');
+  }
+
+  hide() {
+    this.addClass('vjs-hidden');
+  }
+
+  enable() {
+    this.enabled_ = true;
+  }
+
+  disable() {
+    this.enabled_ = false;
+  }
+
+  isDisposed() {
+    return this.el_ === null;
+  }
+
+  /**
+   * Disposes the children, removes every listener and the element; like Video.js, the
+   * component stays in its parent's children until removeChild()
+   */
+  dispose() {
+    if (this.isDisposed()) return;
+    this.trigger('dispose');
+    this.children_.forEach((child) => child.dispose());
+    this.children_ = [];
+    this.off();
+    this.el_.remove();
+    this.el_ = null;
+  }
+}
+
+/**
+ * Video.js advanced plugin: evented, disposed with its player
+ */
+class Plugin extends Evented {
+  constructor(player) {
+    super();
+    this.player = player;
+    this.dispose = this.dispose.bind(this);
+    player.on('dispose', this.dispose);
+  }
+
+  dispose() {
+    const { player } = this;
+    this.trigger('dispose');
+    this.off();
+    player.off('dispose', this.dispose);
+    this.player = null;
+  }
+}
+
+/**
+ * Video.js stand-in: components register by name, plugins are created directly by the tests
+ */
+const videojs = {
+  getComponent: (name) => (name === 'Component' ? Component : components.get(name)),
+  getPlugin: () => Plugin,
+  registerComponent: (name, component) => components.set(name, component),
+  registerPlugin: () => {},
+  use: (type, middleware) => middlewares.push(middleware),
+  dom: {
+    createEl: (tagName = 'div', properties = {}, attributes = {}) => {
+      const el = document.createElement(tagName);
+      Object.assign(el, properties);
+      Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+      return el;
+    },
+  },
+  time: {
+    /**
+     * Formats seconds as m:ss, or h:mm:ss when the guide is an hour or more
+     */
+    formatTime: (seconds, guide = seconds) => {
+      const total = Math.max(0, Math.floor(seconds));
+      const pad = (value) => String(value).padStart(2, '0');
+      const minutes = Math.floor(total / 60) % 60;
+      const hours = Math.floor(total / 3600);
+      return guide >= 3600 || hours
+        ? `${hours}:${pad(minutes)}:${pad(total % 60)}`
+        : `${minutes}:${pad(total % 60)}`;
+    },
+  },
+};
+
+/** Target of the window events (pagehide, message) */
+const windowEvents = new EventTarget();
+
+Object.assign(globalThis, {
+  window: globalThis,
+  addEventListener: windowEvents.addEventListener.bind(windowEvents),
+  removeEventListener: windowEvents.removeEventListener.bind(windowEvents),
+  dispatchEvent: windowEvents.dispatchEvent.bind(windowEvents),
+  location: new URL('http://localhost/'),
+  document: Object.assign(new EventTarget(), {
+    readyState: 'loading',
+    visibilityState: 'visible',
+    implementation: new DOMImplementation(),
+    activeElement: null,
+    pictureInPictureElement: null,
+    createElement: (tagName) => {
+      if (tagName === 'iframe') return new Iframe();
+      if (tagName === 'video') return new VideoElement();
+      return new Element(tagName);
+    },
+    getElementById: () => null,
+    body: {
+      appendChild: (node) => {
+        node.connect();
+        return node;
+      },
+    },
+  }),
+  navigator: { userAgent: 'Node.js', language: 'en-US' },
+  localStorage: new MemoryStorage(),
+  videojs,
+  DOMParser,
+  XMLSerializer,
+  Image,
+  open: (url) => {
+    openedUrls.push(url);
+    return null;
+  },
+});
+
+/**
+ * Waits until every tracking image fired so far has reached its server
+ * @returns {Promise<void>}
+ */
+export async function flushBeacons() {
+  while (pendingBeacons.length) {
+    await Promise.allSettled(pendingBeacons.splice(0));
+  }
+}
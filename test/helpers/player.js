@@ -0,0 +1,200 @@
+/**
+ * Video.js player stand-in for the plugin and its components: the default control bar
+ * children, seeks through the registered middleware (SeekPolicy), and playback the test
+ * drives with playTo(), firing timeupdate at every step
+ *
+ * Import after helpers/browser-env.js.
+ */
+
+import { middlewares } from './browser-env.js';
+
+const Component = videojs.getComponent('Component');
+
+/** Control bar children of a default Video.js player, in order */
+const CONTROL_BAR_CHILDREN = [
+  'PlayToggle',
+  'CurrentTimeDisplay',
+  'TimeDivider',
+  'DurationDisplay',
+  'ProgressControl',
+  'RemainingTimeDisplay',
+  'PlaybackRateMenuButton',
+  'FullscreenToggle',
+];
+
+['ControlBar', 'SeekBar', ...CONTROL_BAR_CHILDREN].forEach((name) => {
+  videojs.registerComponent(name, class extends Component {});
+});
+
+export class FakePlayer extends Component {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.duration=NaN] - Stream duration, NaN until known, Infinity for live
+   * @param {string} [options.src=''] - Current source URL
+   */
+  constructor({ duration = NaN, src = '' } = {}) {
+    super(null, { name: 'Player' });
+    this.time = 0;
+    this.streamDuration = duration;
+    this.source = src;
+    this.isPaused = true;
+    this.started = false;
+    this.isEnded = false;
+    this.rate = 1;
+    this.seeks = [];
+
+    this.controlBar = this.addChild('ControlBar');
+    CONTROL_BAR_CHILDREN.forEach((name) => this.controlBar.addChild(name));
+    this.controlBar.getChild('ProgressControl').addChild('SeekBar');
+  }
+
+  id() {
+    return 'player';
+  }
+
+  /**
+   * Gets the stream time, or seeks through the middleware; seeks are recorded where they landed
+   * @param {number} [time] - Requested stream time
+   * @returns {number|undefined} Stream time when called without a time
+   */
+  currentTime(time) {
+    if (time === undefined) return this.time;
+
+    const landed = middlewares
+      .map((middleware) => middleware(this))
+      .reduce((requested, middleware) => (middleware.setCurrentTime ? middleware.setCurrentTime(requested) : requested), time);
+    this.seeks.push(landed);
+    this.time = landed;
+    this.isEnded = false;
+  }
+
+  duration() {
+    return this.streamDuration;
+  }
+
+  /**
+   * Sets the stream duration and fires durationchange
+   * @param {number} duration - Duration in seconds
+   */
+  setDuration(duration) {
+    this.streamDuration = duration;
+    this.trigger('durationchange');
+  }
+
+  play() {
+    this.started = true;
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.trigger('play');
+    }
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this.trigger('pause');
+  }
+
+  /**
+   * Plays up to a stream time, firing timeupdate at every step
+   * Stops early when a listener pauses the player or seeks backwards
+   * @param {number} to - Stream time to reach
+   * @param {number} [step=0.5] - Seconds between timeupdates
+   */
+  playTo(to, step = 0.5) {
+    this.play();
+    while (!this.isPaused && this.time < to) {
+      this.time = Math.min(to, this.time + step);
+      this.trigger('timeupdate');
+    }
+  }
+
+  /**
+   * Plays to the end of the stream and fires ended
+   */
+  end() {
+    this.time = this.streamDuration;
+    this.isEnded = true;
+    this.isPaused = true;
+    this.trigger('ended');
+  }
+
+  paused() {
+    return this.isPaused;
+  }
+
+  hasStarted() {
+    return this.started;
+  }
+
+  ended() {
+    return this.isEnded;
+  }
+
+  seeking() {
+    return false;
+  }
+
+  seekable() {
+    const end = isFinite(this.streamDuration) ? this.streamDuration : 0;
+    return { length: 1, start: () => 0, end: () => end };
+  }
+
+  readyState() {
+    return 1;
+  }
+
+  playbackRate(rate) {
+    if (rate === undefined) return this.rate;
+    if (rate === this.rate) return;
+    this.rate = rate;
+    this.trigger('ratechange');
+  }
+
+  src(source) {
+    this.source = source.src;
+  }
+
+  currentSrc() {
+    return this.source;
+  }
+
+  load() {}
+
+  tech() {
+    return { vhs: null };
+  }
+
+  error() {
+    return null;
+  }
+
+  muted() {
+    return false;
+  }
+
+  volume() {
+    return 1;
+  }
+
+  isFullscreen() {
+    return false;
+  }
+
+  isInPictureInPicture() {
+    return false;
+  }
+
+  requestPictureInPicture() {
+    return Promise.resolve();
+  }
+
+  currentWidth() {
+    return 640;
+  }
+
+  currentHeight() {
+    return 360;
+  }
+}
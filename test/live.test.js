@@ -0,0 +1,119 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HLSCueParser, LiveWindow, VMAPService } from '../app.js';
+import { createAdStack, play, useAdServer } from './helpers/ad-stack.js';
+
+/** Wall-clock date of media sequence 0 */
+const EPOCH = Date.parse('2026-01-01T00:00:00Z');
+const SEGMENT_DURATION = 6;
+
+const server = useAdServer();
+
+/**
+ * Builds a live media playlist the way the VHS playlist loader parses it
+ * @param {number} first - Media sequence of the first segment
+ * @param {number} last - Media sequence of the last segment
+ * @param {Object} [tags] - Segment tags by media sequence (e.g. { 103: { cueOut: '12' } })
+ * @returns {Object} Media playlist
+ */
+function livePlaylist(first, last, tags = {}) {
+  const segments = [];
+  for (let sequence = first; sequence <= last; sequence++) {
+    segments.push({
+      duration: SEGMENT_DURATION,
+      programDateTime: EPOCH + sequence * SEGMENT_DURATION * 1000,
+      ...tags[sequence],
+    });
+  }
+  return { mediaSequence: first, segments, endList: false };
+}
+
+/**
+ * Refreshes the live window and hands the playlist cues to the manager, as the plugin does
+ * @param {Object} stack - Stack from createAdStack()
+ * @param {LiveWindow} liveWindow - Live window
+ * @param {Object} playlist - Media playlist
+ * @returns {Array} IDs of the breaks that left the window
+ */
+function refresh(stack, liveWindow, playlist) {
+  const { start } = liveWindow.update(playlist);
+  stack.manager.setCueBreaks(HLSCueParser.parsePlaylist(playlist, start));
+  return stack.manager.pruneBreaks(start);
+}
+
+test('keeps stream times of segments as the live window slides', () => {
+  const liveWindow = new LiveWindow();
+
+  assert.deepEqual(liveWindow.update(livePlaylist(100, 104)), { start: 0, end: 30 });
+  assert.deepEqual(liveWindow.update(livePlaylist(102, 107)), { start: 12, end: 48 });
+  assert.equal(liveWindow.dateToStreamTime(EPOCH + 103 * 6000), 18);
+  assert.equal(liveWindow.streamTimeToDate(18).getTime(), EPOCH + 103 * 6000);
+
+  // No segment in common (stalled refreshes): placed by EXT-X-PROGRAM-DATE-TIME
+  assert.deepEqual(liveWindow.update(livePlaylist(200, 201)), { start: 600, end: 612 });
+});
+
+test('plays a live cue once while its CUE-OUT leaves the playlist, then drops it', () => {
+  const stack = createAdStack();
+  const liveWindow = new LiveWindow();
+  stack.manager.setLive(true);
+
+  refresh(stack, liveWindow, livePlaylist(100, 109, { 103: { cueOut: '12' }, 105: { cueIn: '' } }));
+  assert.deepEqual(stack.manager.getAdBreaks().map((br) => [br.breakId, br.streamStart, br.streamEnd]), [['cue_18', 18, 30]]);
+  play(stack, 15, 20);
+
+  // The playlist now starts inside the break
+  refresh(stack, liveWindow, livePlaylist(104, 112, { 104: { cueOutCont: '6/12' }, 105: { cueIn: '' } }));
+  play(stack, 20.5, 26);
+
+  // Neither CUE-OUT nor CUE-OUT-CONT is left, the known cue is kept while in the window
+  assert.deepEqual(refresh(stack, liveWindow, livePlaylist(104, 113, { 105: { cueIn: '' } })), []);
+  play(stack, 26.5, 34);
+
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@18', 'hide@30']);
+  assert.deepEqual(
+    stack.emitted.filter((e) => e.type === 'adBreakStart' || e.type === 'adBreakEnd')
+      .map((e) => `${e.type}:${e.break.breakId}`),
+    ['adBreakStart:cue_18', 'adBreakEnd:cue_18']
+  );
+
+  assert.deepEqual(refresh(stack, liveWindow, livePlaylist(106, 115)), ['cue_18']);
+  assert.deepEqual(stack.manager.getAdBreaks(), []);
+  assert.equal(stack.manager.watchedBreakIds.size, 0);
+});
+
+test('places live VMAP breaks by date and keeps their IDs across schedule refreshes', async () => {
+  const stack = createAdStack();
+  const liveWindow = new LiveWindow();
+  stack.manager.setLive(true);
+  const dateToStreamTime = (date) => liveWindow.dateToStreamTime(date);
+
+  const loadWindow = async () => {
+    const windowStart = liveWindow.streamTimeToDate(liveWindow.start);
+    const vmap = await VMAPService.fetchVMAP(`${server.url}/vmap`, 90, 'user', stack.macroResolver, 30, {
+      live: 1,
+      start: windowStart.toISOString(),
+    });
+    return VMAPService.buildLiveAdBreakList(vmap, windowStart, 90, dateToStreamTime);
+  };
+
+  // Sequence 100 starts at EPOCH + 600s, a multiple of the 30s interval
+  liveWindow.update(livePlaylist(100, 109));
+  const first = await loadWindow();
+  assert.deepEqual(first.map((br) => [br.breakId, br.timeInSeconds]), [
+    [`live_${EPOCH / 1000 + 600}`, 0],
+    [`live_${EPOCH / 1000 + 630}`, 30],
+    [`live_${EPOCH / 1000 + 660}`, 60],
+  ]);
+  assert.equal(stack.manager.mergeAdBreaks(first).length, 3);
+
+  liveWindow.update(livePlaylist(105, 114));
+  const added = stack.manager.mergeAdBreaks(await loadWindow());
+  assert.deepEqual(added.map((br) => [br.breakId, br.timeInSeconds]), [[`live_${EPOCH / 1000 + 690}`, 90]]);
+
+  // A live break plays at its stream time, with no earlier ads stitched before it
+  assert.deepEqual(stack.manager.getBreakStreamRange(added[0]), { start: 90, end: 120 });
+  assert.deepEqual(stack.manager.pruneBreaks(liveWindow.start), [`live_${EPOCH / 1000 + 600}`]);
+  assert.equal(stack.manager.getAdBreaks().length, 3);
+});
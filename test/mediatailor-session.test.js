@@ -0,0 +1,110 @@
+import './helpers/browser-env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, MediaTailorSession } from '../app.js';
+import { startMediaTailorServer } from '../mock/mediatailor-server.js';
+
+const server = {};
+
+before(async () => {
+  Object.assign(server, await startMediaTailorServer());
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.sessions.length = 0;
+  server.trackingRequests.length = 0;
+  server.avails.splice(2);
+});
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Starts a session on the mock for its demo asset
+ * @returns {Promise<MediaTailorSession>} Initialized session
+ */
+async function startSession() {
+  const session = new MediaTailorSession(MediaTailorSession.toSessionUrl(`${server.url}/v1/master/mock/demo/video.m3u8`));
+  await session.initialize({ adsParams: { userId: 'user-1' } });
+  return session;
+}
+
+test('starts a client-side tracking session and resolves its URLs against the session host', async () => {
+  const session = new MediaTailorSession(MediaTailorSession.toSessionUrl(`${server.url}/v1/master/mock/demo/video.m3u8`));
+  assert.equal(session.sessionUrl, `${server.url}/v1/session/mock/demo/video.m3u8`);
+
+  const { manifestUrl, trackingUrl } = await session.initialize({ adsParams: { userId: 'user-1', gdpr: '1' } });
+
+  const [{ sessionId, body }] = server.sessions;
+  assert.deepEqual(body, { reportingMode: 'client', adsParams: { userId: 'user-1', gdpr: '1' } });
+  assert.equal(manifestUrl, `${server.url}/v1/master/mock/demo/video.m3u8?aws.sessionId=${sessionId}`);
+  assert.equal(trackingUrl, `${server.url}/v1/tracking/mock/demo/${sessionId}`);
+});
+
+test('rejects a session the server refuses', async () => {
+  const session = new MediaTailorSession(`${server.url}/v2/session/mock/demo/video.m3u8`);
+
+  await assert.rejects(session.initialize(), /Session request failed with status 404/);
+  assert.equal(session.trackingUrl, null);
+});
+
+test('polls the tracking URL and reports the avails only when they change', async () => {
+  const session = await startSession();
+  const reports = [];
+
+  session.startPolling((avails) => reports.push(avails.map((avail) => avail.availId)), 0.02);
+  await wait(150);
+  assert.deepEqual(reports, [['preroll', 'midroll_1']]);
+  assert.ok(server.trackingRequests.length > 2);
+
+  server.avails.push({ availId: 'midroll_2', startTime: 700, ads: [{ adId: 'mid_2', duration: 20 }] });
+  await wait(100);
+  assert.deepEqual(reports, [['preroll', 'midroll_1'], ['preroll', 'midroll_1', 'midroll_2']]);
+
+  session.stopPolling();
+  const requests = server.trackingRequests.length;
+  await wait(100);
+  assert.equal(server.trackingRequests.length, requests);
+});
+
+test('maps tracking avails to breaks at their content position, with their ads and beacons', async () => {
+  const session = await startSession();
+  const breaks = MediaTailorSession.buildAdBreakList(await session.fetchAvails());
+
+  assert.deepEqual(breaks.map(({ breakId, timeInSeconds, timeOffset, streamStart, streamEnd, duration, cueSource }) => ({
+    breakId, timeInSeconds, timeOffset, streamStart, streamEnd, duration, cueSource,
+  })), [
+    { breakId: 'preroll', timeInSeconds: 0, timeOffset: '00:00:00', streamStart: 0, streamEnd: 30, duration: 30, cueSource: 'tracking' },
+    { breakId: 'midroll_1', timeInSeconds: 300, timeOffset: '00:05:00', streamStart: 330, streamEnd: 360, duration: 30, cueSource: 'tracking' },
+  ]);
+  assert.deepEqual(breaks[0].ads.map(({ adId, sequence, offset, streamStart, duration, skipOffset }) => ({
+    adId, sequence, offset, streamStart, duration, skipOffset,
+  })), [
+    { adId: 'pre_1', sequence: 1, offset: 0, streamStart: 0, duration: 15, skipOffset: 'PT5S' },
+    { adId: 'pre_2', sequence: 2, offset: 15, streamStart: 15, duration: 15, skipOffset: 'PT5S' },
+  ]);
+  assert.deepEqual(breaks[0].ads[1].trackingEvents.filter((event) => event.eventType === 'midpoint'), [
+    { eventType: 'midpoint', streamTime: 22.5, beaconUrls: [`${server.url}/beacon?event=midpoint&ad=pre_2`] },
+  ]);
+});
+
+test('sorts avails and reads ISO 8601 times, with the default duration when an avail has none', () => {
+  const breaks = MediaTailorSession.buildAdBreakList([
+    { availId: 'late', startTime: 'PT10M', ads: [] },
+    { availId: 'early', startTime: 'PT1M30S', duration: 'PT20S', ads: [{ adId: 'a', startTime: 'PT1M30S', duration: 'PT20S' }] },
+  ]);
+
+  assert.deepEqual(breaks.map(({ breakId, streamStart, streamEnd, timeInSeconds }) => [breakId, streamStart, streamEnd, timeInSeconds]), [
+    ['early', 90, 110, 90],
+    ['late', 600, 600 + CONFIG.DEFAULT_AD_DURATION, 580],
+  ]);
+  assert.equal(breaks[0].ads[0].duration, 20);
+});
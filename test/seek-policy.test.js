@@ -0,0 +1,117 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, SeekPolicy } from '../app.js';
+import { FakePlayer } from './helpers/player.js';
+import { createAdStack, loadSchedule, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+/**
+ * Builds an ad stack with mid-rolls at content 20 and 40 (stream 20-50 and 70-100) and a player
+ * whose timeupdates drive the manager and the seek policy, as the plugin does
+ * @param {Object} [config] - CONFIG overrides
+ * @returns {Promise<Object>} { stack, player, policy }
+ */
+async function createPolicy(config = {}) {
+  const stack = createAdStack(config);
+  await loadSchedule(stack, `${server.url}/vmap?breaks=00:00:20,00:00:40&vast=inline&adDuration=30`);
+
+  const player = new FakePlayer({ duration: 180 });
+  const policy = new SeekPolicy(stack.manager, { ...CONFIG, ...config });
+  policy.attach(player);
+  player.on('timeupdate', () => {
+    stack.overlay.time = player.currentTime();
+    stack.manager.update(player.currentTime());
+    policy.update(player.currentTime());
+  });
+  return { stack, player, policy };
+}
+
+test('snaps a seek past an unwatched mid-roll back to it, then resumes at the requested time', async () => {
+  const { stack, player } = await createPolicy();
+  player.playTo(10);
+
+  player.currentTime(60);
+  assert.deepEqual(player.seeks, [20]);
+
+  player.playTo(55);
+  assert.deepEqual(player.seeks, [20, 60]);
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), ['show@20.5', 'hide@50']);
+  assert.equal(stack.manager.isBreakWatched(stack.manager.getAdBreaks()[0]), true);
+});
+
+test('plays only the last crossed break with the latest policy', async () => {
+  const { stack, player } = await createPolicy({ SNAP_BACK_POLICY: 'latest' });
+  player.playTo(10);
+
+  player.currentTime(120);
+  assert.deepEqual(player.seeks, [70]);
+
+  player.playTo(110);
+  assert.deepEqual(player.seeks, [70, 120]);
+  assert.deepEqual(stack.manager.getAdBreaks().map((br) => stack.manager.isBreakWatched(br)), [false, true]);
+});
+
+test('plays every crossed break in order with the all policy', async () => {
+  const { stack, player } = await createPolicy({ SNAP_BACK_POLICY: 'all' });
+  player.playTo(10);
+
+  player.currentTime(120);
+  assert.deepEqual(player.seeks, [20]);
+
+  player.playTo(110);
+  assert.deepEqual(player.seeks, [20, 70, 120]);
+  assert.deepEqual(stack.manager.getAdBreaks().map((br) => stack.manager.isBreakWatched(br)), [true, true]);
+});
+
+test('lets a seek that lands inside a break play the whole break, then resumes after it', async () => {
+  const { player } = await createPolicy();
+  player.playTo(10);
+
+  player.currentTime(30);
+  player.playTo(55);
+  assert.deepEqual(player.seeks, [20, 50]);
+});
+
+test('blocks seeks and locks the playback rate and progress bar during an ad', async () => {
+  const { player } = await createPolicy();
+  const progressControl = player.controlBar.getChild('ProgressControl');
+  player.playbackRate(1.5);
+  player.playTo(22);
+
+  assert.equal(player.playbackRate(), 1);
+  assert.equal(progressControl.enabled_, false);
+  player.playbackRate(2);
+  assert.equal(player.playbackRate(), 1);
+  player.currentTime(60);
+  assert.deepEqual(player.seeks, [22]);
+
+  player.playTo(52);
+  assert.equal(player.playbackRate(), 1.5);
+  assert.equal(progressControl.enabled_, true);
+  player.playbackRate(2);
+  assert.equal(player.playbackRate(), 2);
+});
+
+test('jumps over the ads of a break already watched, and seeks past it freely', async () => {
+  const { stack, player } = await createPolicy();
+  stack.manager.markWatched(['midroll_0']);
+  player.playTo(25);
+
+  assert.deepEqual(player.seeks, [50]);
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), []);
+
+  player.currentTime(10);
+  player.currentTime(60);
+  assert.deepEqual(player.seeks, [50, 10, 60]);
+});
+
+test('plays through the ads of a watched break without showing them when JUMP_WATCHED_BREAKS is off', async () => {
+  const { stack, player } = await createPolicy({ JUMP_WATCHED_BREAKS: false });
+  stack.manager.markWatched(['midroll_0']);
+  player.playTo(25);
+
+  assert.deepEqual(player.seeks, []);
+  assert.deepEqual(stack.overlay.getVisibilityChanges(), []);
+});
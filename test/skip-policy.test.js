@@ -0,0 +1,72 @@
+import { flushBeacons } from './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SkipPolicy } from '../app.js';
+import { createAdStack, loadSchedule, play, formatBeaconHits, useAdServer } from './helpers/ad-stack.js';
+
+const server = useAdServer();
+
+test('hides the skip button of an ad without skipoffset and refuses to skip it', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=10&skipOffset=none`);
+
+  play(stack, 0, 8);
+  assert.equal(stack.overlay.skipButton.hidden, true);
+  assert.equal(stack.overlay.skipButton.skippable, false);
+
+  stack.manager.skipCurrentAd(stack.player);
+  play(stack, 8.5, 12);
+  await flushBeacons();
+
+  assert.deepEqual(stack.player.seeks, []);
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(!hits.includes('skip:preroll_ad'));
+  assert.ok(hits.includes('complete:preroll_ad'));
+  const [{ ad }] = stack.emitted.filter((e) => e.type === 'adStart');
+  assert.deepEqual([ad.skipOffset, ad.skipRule], [null, 'non-skippable']);
+});
+
+test('reads percentage and HH:MM:SS.mmm skip offsets', async () => {
+  const percent = createAdStack();
+  await loadSchedule(percent, `${server.url}/vmap?breaks=start&vast=inline&adDuration=20&skipOffset=25%25`);
+  play(percent, 0, 4.5);
+  assert.equal(percent.overlay.skipButton.skippable, false);
+  play(percent, 5, 5);
+  assert.deepEqual(percent.overlay.skipButton, { elapsed: 5, duration: 20, skipOffset: 5, hidden: false, skippable: true });
+
+  const clock = createAdStack();
+  await loadSchedule(clock, `${server.url}/vmap?breaks=start&vast=inline&adDuration=10&skipOffset=00:00:02.500`);
+  play(clock, 0, 3);
+  assert.deepEqual([clock.overlay.skipButton.skipOffset, clock.manager.getAdState().ad.skipRule], [2.5, 'vast']);
+
+  assert.equal(SkipPolicy.parseOffset('12.5%', 8), 1);
+  assert.equal(SkipPolicy.parseOffset('01:02:03.250', 10000), 3723.25);
+  assert.equal(SkipPolicy.parseOffset('PT5S', 30), 5);
+  assert.equal(SkipPolicy.parseOffset('soon', 30), null);
+});
+
+test('applies the first matching publisher rule and reports it', async () => {
+  const stack = createAdStack({
+    SKIP_RULES: [
+      { name: 'no-preroll-skip', positions: ['preroll'], skipOffset: null },
+      { name: 'long-pods', minPodDuration: 30, skipOffset: 3 },
+    ],
+  });
+  const breaks = await loadSchedule(
+    stack,
+    `${server.url}/vmap?breaks=start,00:01:00&vast=pod&ads=3&adDuration=12&skipOffset=8`
+  );
+
+  play(stack, 0, 36);
+  assert.deepEqual(breaks[0].ads.map((ad) => [ad.skipOffset, ad.skipRule]), Array(3).fill([null, 'no-preroll-skip']));
+
+  // The mid-roll pod lasts 36 seconds: skip comes 5 seconds earlier than the VAST allows
+  play(stack, 96, 99);
+  assert.deepEqual(breaks[1].ads.map((ad) => [ad.adSkipOffset, ad.skipOffset, ad.skipRule]), Array(3).fill([8, 3, 'long-pods']));
+  stack.manager.skipCurrentAd(stack.player);
+  assert.deepEqual(stack.player.seeks, [108]);
+
+  const policy = new SkipPolicy([{ minPodDuration: 60, skipOffset: 10 }]);
+  assert.deepEqual(policy.resolve(null, { position: 'midroll', podDuration: 90, duration: 30 }), { skipOffset: 10, skipRule: 'rule_0' });
+  assert.deepEqual(policy.resolve(null, { position: 'midroll', podDuration: 30, duration: 30 }), { skipOffset: null, skipRule: 'non-skippable' });
+});
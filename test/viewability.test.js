@@ -0,0 +1,137 @@
+import { flushBeacons } from './helpers/browser-env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, ViewabilityMonitor } from '../app.js';
+import { createAdStack, loadSchedule, play, formatBeaconHits, useAdServer } from './helpers/ad-stack.js';
+
+/**
+ * IntersectionObserver stand-in: the test reports how much of the player is in view
+ */
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.element = null;
+  }
+
+  observe(element) {
+    this.element = element;
+  }
+
+  disconnect() {
+    this.element = null;
+  }
+
+  /**
+   * Reports a new intersection of the observed element
+   * @param {number} ratio - Share of the element in view
+   */
+  report(ratio) {
+    this.callback([{ target: this.element, isIntersecting: ratio > 0, intersectionRatio: ratio }]);
+  }
+}
+
+const server = useAdServer();
+
+before(() => {
+  globalThis.IntersectionObserver = FakeIntersectionObserver;
+});
+
+after(() => {
+  delete globalThis.IntersectionObserver;
+});
+
+beforeEach(() => {
+  document.visibilityState = 'visible';
+});
+
+/**
+ * Sets the page visibility and announces it, as the browser does when the tab changes
+ * @param {string} state - 'visible' or 'hidden'
+ */
+function setPageVisibility(state) {
+  document.visibilityState = state;
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+/**
+ * Lists the viewability results announced through the event API
+ * @param {Object} stack - Stack from createAdStack()
+ * @returns {Array} [adId, state] pairs
+ */
+function viewabilityEvents(stack) {
+  return stack.emitted.filter((e) => e.type === 'adViewability').map((e) => [e.ad.adId, e.state]);
+}
+
+test('fires Viewable after two seconds of continuous in-view playback', async () => {
+  const stack = createAdStack();
+  stack.manager.viewability.observe({ id: 'player' });
+  const observer = stack.manager.viewability.observer;
+  observer.report(1);
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`);
+
+  play(stack, 0, 1.5);
+  // Scrolled mostly out of view: the continuous time starts over
+  observer.report(0.3);
+  play(stack, 2, 2.5);
+  assert.deepEqual(stack.manager.getAdState().viewability, {
+    state: 'measuring', measurable: true, inView: false, intersectionRatio: 0.3, pageVisible: true, inViewTime: 0,
+  });
+
+  observer.report(0.6);
+  play(stack, 3, 4);
+  assert.deepEqual(viewabilityEvents(stack), []);
+  play(stack, 4.5, 10);
+  await flushBeacons();
+
+  assert.deepEqual(viewabilityEvents(stack), [['preroll_ad', 'viewable']]);
+  const [event] = stack.emitted.filter((e) => e.type === 'adViewability');
+  assert.deepEqual([event.viewability.inViewTime, event.ad.adId], [2, 'preroll_ad']);
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(hits.includes('viewable:preroll_ad'));
+  assert.ok(!hits.some((hit) => /^(notViewable|viewUndetermined)/.test(hit)));
+});
+
+test('reports an ad played in a background tab as NotViewable', async () => {
+  const stack = createAdStack();
+  stack.manager.viewability.observe({ id: 'player' });
+  stack.manager.viewability.observer.report(1);
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=pod&ads=2&adDuration=6`);
+
+  play(stack, 0, 1.5);
+  setPageVisibility('hidden');
+  play(stack, 2, 5.5);
+  assert.equal(stack.manager.getAdState().viewability.pageVisible, false);
+
+  setPageVisibility('visible');
+  play(stack, 6, 14);
+  await flushBeacons();
+
+  assert.deepEqual(viewabilityEvents(stack), [['preroll_ad1', 'notViewable'], ['preroll_ad2', 'viewable']]);
+  const hits = formatBeaconHits(server.beaconHits);
+  assert.ok(hits.includes('notViewable:preroll_ad1'));
+  assert.ok(hits.includes('viewable:preroll_ad2'));
+  stack.manager.viewability.disconnect();
+});
+
+test('reports ViewUndetermined when the player position cannot be measured', async () => {
+  const stack = createAdStack();
+  await loadSchedule(stack, `${server.url}/vmap?breaks=start&vast=inline&adDuration=4`);
+
+  play(stack, 0, 6);
+  await flushBeacons();
+
+  assert.deepEqual(viewabilityEvents(stack), [['preroll_ad', 'viewUndetermined']]);
+  assert.ok(formatBeaconHits(server.beaconHits).includes('viewUndetermined:preroll_ad'));
+
+  // An observer that has not reported yet does not make the ad measurable either
+  const monitor = new ViewabilityMonitor({ ...CONFIG, VIEWABLE_AREA: 0.3, VIEWABLE_DURATION: 1 });
+  monitor.observe({ id: 'player' });
+  monitor.start();
+  assert.equal(monitor.update(1), false);
+  monitor.observer.report(0.3);
+  monitor.update(1.5);
+  assert.equal(monitor.update(2.5), true);
+  assert.equal(monitor.finish(), null);
+  monitor.disconnect();
+});
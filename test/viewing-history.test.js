@@ -0,0 +1,172 @@
+import './helpers/browser-env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ViewingHistory, VmapAdsPlugin } from '../app.js';
+import { FakePlayer } from './helpers/player.js';
+import { useAdServer } from './helpers/ad-stack.js';
+
+const CONTENT_URL = 'https://cdn.example.com/content.m3u8';
+const OTHER_CONTENT_URL = 'https://cdn.example.com/other.m3u8';
+const HOUR = 3600;
+
+const server = useAdServer();
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+/**
+ * Starts a viewing session: a player with the plugin, its pre-roll and mid-roll at content
+ * 30 s (stream 60-90) stitched into the stream
+ * @param {Object} [options]
+ * @param {string} [options.src] - Content URL
+ * @param {Object} [options.config] - CONFIG overrides
+ * @returns {Promise<{player: FakePlayer, ads: VmapAdsPlugin}>} Player and plugin, schedule loaded
+ */
+async function startSession({ src = CONTENT_URL, config } = {}) {
+  const player = new FakePlayer({ duration: 180, src });
+  const ads = new VmapAdsPlugin(player, {
+    vmapUrl: `${server.url}/vmap?breaks=start,00:00:30&vast=inline&adDuration=30`,
+    contentDuration: 120,
+    config,
+  });
+  await ads.loaded;
+  return { player, ads };
+}
+
+/**
+ * Stores pre-roll plays of the guest user
+ * @param {Array<number>} secondsAgo - Age of each play in seconds
+ */
+function storePrerolls(secondsAgo) {
+  const times = secondsAgo.map((seconds) => Date.now() - seconds * 1000);
+  localStorage.setItem(`${ViewingHistory.KEY_PREFIX}:guest:prerolls`, JSON.stringify({ times }));
+}
+
+test('saves the position and watched breaks per content URL and user', () => {
+  const history = new ViewingHistory(CONTENT_URL, 'user-1');
+  history.setPosition(42.5);
+  history.addWatchedBreak('preroll');
+  history.addWatchedBreak('preroll');
+
+  const restored = new ViewingHistory(CONTENT_URL, 'user-1');
+  assert.equal(restored.getPosition(), 42.5);
+  assert.deepEqual(restored.getWatchedBreakIds(), ['preroll']);
+
+  for (const other of [new ViewingHistory(OTHER_CONTENT_URL, 'user-1'), new ViewingHistory(CONTENT_URL, 'user-2')]) {
+    assert.equal(other.getPosition(), 0);
+    assert.deepEqual(other.getWatchedBreakIds(), []);
+  }
+});
+
+test('resumes a later session at the saved position without replaying watched breaks', async () => {
+  let { player, ads } = await startSession();
+  // Pre-roll, then 12 s of content
+  player.playTo(42);
+  player.pause();
+  ads.dispose();
+
+  ({ player, ads } = await startSession());
+  assert.deepEqual(player.seeks, [42]);
+  assert.equal(ads.getAdState().inAd, false);
+
+  // The mid-roll was not watched yet and plays; the position resets once the content ends
+  player.playTo(61);
+  assert.equal(ads.getAdState().inAd, true);
+  player.playTo(100);
+  player.end();
+  ads.dispose();
+  assert.deepEqual(new ViewingHistory(CONTENT_URL, 'guest').getWatchedBreakIds(), ['preroll', 'midroll_1']);
+
+  // Both breaks are watched now: playback jumps over them
+  ({ player, ads } = await startSession());
+  player.playTo(1);
+  player.playTo(61);
+  assert.deepEqual(player.seeks, [30, 90]);
+  assert.equal(ads.getAdState().inAd, false);
+  ads.dispose();
+});
+
+test('skips pre-rolls once the user reached the cap, across content', async () => {
+  const config = { PREROLL_CAP_COUNT: 1, PREROLL_CAP_WINDOW: HOUR };
+  let { player, ads } = await startSession({ config });
+  player.playTo(1);
+  assert.equal(ads.getAdState().inAd, true);
+  ads.dispose();
+
+  ({ player, ads } = await startSession({ src: OTHER_CONTENT_URL, config }));
+  player.playTo(1);
+  assert.deepEqual(player.seeks, [30]);
+  assert.equal(ads.getAdState().inAd, false);
+  ads.dispose();
+});
+
+test('expires pre-roll plays older than the cap window', async () => {
+  const history = new ViewingHistory(CONTENT_URL, 'guest');
+  storePrerolls([2 * HOUR, HOUR + 1, 60]);
+  assert.equal(history.getRecentPrerolls(HOUR).length, 1);
+  assert.equal(history.isPrerollCapped(2, HOUR), false);
+  assert.equal(history.isPrerollCapped(0, HOUR), false);
+
+  history.recordPreroll(HOUR);
+  assert.equal(history.isPrerollCapped(2, HOUR), true);
+  assert.equal(JSON.parse(localStorage.getItem(`${ViewingHistory.KEY_PREFIX}:guest:prerolls`)).times.length, 2);
+
+  storePrerolls([2 * HOUR]);
+  const { player, ads } = await startSession({ config: { PREROLL_CAP_COUNT: 1, PREROLL_CAP_WINDOW: HOUR } });
+  player.playTo(1);
+  assert.equal(ads.getAdState().inAd, true);
+  ads.dispose();
+});
+
+test('starts from an empty history when stored entries are unreadable', () => {
+  localStorage.setItem(`${ViewingHistory.KEY_PREFIX}:guest:${CONTENT_URL}`, '{"watchedBreakIds":[');
+  localStorage.setItem(`${ViewingHistory.KEY_PREFIX}:guest:${OTHER_CONTENT_URL}`, '"text"');
+  localStorage.setItem(`${ViewingHistory.KEY_PREFIX}:guest:prerolls`, '{');
+
+  const history = new ViewingHistory(CONTENT_URL, 'guest');
+  assert.equal(history.getPosition(), 0);
+  assert.deepEqual(history.getWatchedBreakIds(), []);
+  assert.equal(history.isPrerollCapped(1, HOUR), false);
+  assert.deepEqual(new ViewingHistory(OTHER_CONTENT_URL, 'guest').getWatchedBreakIds(), []);
+
+  // The next save replaces the unreadable entries
+  history.addWatchedBreak('preroll');
+  history.recordPreroll(HOUR);
+  const restored = new ViewingHistory(CONTENT_URL, 'guest');
+  assert.deepEqual(restored.getWatchedBreakIds(), ['preroll']);
+  assert.equal(restored.isPrerollCapped(1, HOUR), true);
+});
+
+test('keeps the history in memory when storage throws or is blocked', (t) => {
+  const failingStorage = {
+    getItem() {
+      throw new Error('SecurityError');
+    },
+    setItem() {
+      throw new Error('QuotaExceededError');
+    },
+  };
+  const history = new ViewingHistory(CONTENT_URL, 'guest', failingStorage);
+  assert.equal(history.getPosition(), 0);
+  history.setPosition(30);
+  history.addWatchedBreak('preroll');
+  history.recordPreroll(HOUR);
+  assert.equal(history.getPosition(), 30);
+  assert.deepEqual(history.getWatchedBreakIds(), ['preroll']);
+  assert.equal(history.isPrerollCapped(1, HOUR), false);
+
+  const storage = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+  Object.defineProperty(globalThis, 'localStorage', {
+    configurable: true,
+    get() {
+      throw new Error('SecurityError');
+    },
+  });
+  t.after(() => Object.defineProperty(globalThis, 'localStorage', storage));
+
+  assert.equal(ViewingHistory.getDefaultStorage(), null);
+  const blocked = new ViewingHistory(CONTENT_URL, 'guest');
+  blocked.setPosition(12);
+  assert.equal(blocked.getPosition(), 12);
+});
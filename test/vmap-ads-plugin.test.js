@@ -0,0 +1,83 @@
+import './helpers/browser-env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeekPolicy, ViewingHistory, VmapAdsPlugin } from '../app.js';
+import { FakePlayer } from './helpers/player.js';
+import { useAdServer } from './helpers/ad-stack.js';
+
+const CONTENT_URL = 'https://cdn.example.com/content.m3u8';
+
+const server = useAdServer();
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+/**
+ * Lists the control bar children, marking hidden ones
+ * @param {FakePlayer} player - Player
+ * @returns {Array<string>} e.g. ['PlayToggle', 'ProgressControl (hidden)']
+ */
+function describeControlBar(player) {
+  return player.controlBar.children().map((child) => `${child.name()}${child.hasClass('vjs-hidden') ? ' (hidden)' : ''}`);
+}
+
+test('removes its listeners and components on dispose, so the player plays on without ads', async () => {
+  const player = new FakePlayer({ duration: 128, src: CONTENT_URL });
+  const controls = describeControlBar(player);
+  const ads = new VmapAdsPlugin(player, {
+    vmapUrl: `${server.url}/vmap?breaks=start&vast=inline&adDuration=8`,
+    contentDuration: 120,
+  });
+  await ads.loaded;
+  await ads.prefetcher.load(ads.adBreakManager.getAdBreaks()[0]);
+
+  assert.deepEqual(describeControlBar(player), [
+    'PlayToggle',
+    'CurrentTimeDisplay (hidden)',
+    'TimeDivider (hidden)',
+    'DurationDisplay (hidden)',
+    'ContentTimeDisplay',
+    'ContentProgressBar',
+    'ProgressControl (hidden)',
+    'RemainingTimeDisplay (hidden)',
+    'PlaybackRateMenuButton',
+    'FullscreenToggle',
+  ]);
+  assert.deepEqual(player.children().map((child) => child.name()), ['ControlBar', 'AdOverlay', 'AdAnnouncer', 'NonLinearAdSlot']);
+
+  // The pre-roll locks the playback rate until it ends at stream time 8
+  player.playTo(4);
+  player.playbackRate(2);
+  assert.equal(player.playbackRate(), 1);
+  player.playTo(20);
+  assert.equal(ads.getAdState().inAd, false);
+
+  ads.dispose();
+  const history = () => new ViewingHistory(CONTENT_URL, 'guest');
+  assert.equal(history().getPosition(), 12);
+  assert.equal(player.listenerCount(), 0);
+  assert.equal(SeekPolicy.instances.has(player), false);
+  assert.deepEqual(player.children().map((child) => child.name()), ['ControlBar']);
+  assert.deepEqual(describeControlBar(player), controls);
+
+  player.playTo(40);
+  player.playbackRate(2);
+  player.currentTime(100);
+  player.pause();
+  player.end();
+  assert.equal(player.playbackRate(), 2);
+  assert.deepEqual(player.seeks, [100]);
+  assert.equal(history().getPosition(), 12);
+});
+
+test('keeps the controls the skin hid hidden after dispose', async () => {
+  const player = new FakePlayer({ duration: 120, src: CONTENT_URL });
+  player.controlBar.getChild('RemainingTimeDisplay').hide();
+  const ads = new VmapAdsPlugin(player, { vmapUrl: `${server.url}/vmap?breaks=end`, contentDuration: 120 });
+  await ads.loaded;
+
+  ads.dispose();
+  assert.equal(player.controlBar.getChild('RemainingTimeDisplay').hasClass('vjs-hidden'), true);
+  assert.equal(player.controlBar.getChild('ProgressControl').hasClass('vjs-hidden'), false);
+});
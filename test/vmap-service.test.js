@@ -0,0 +1,64 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, MacroResolver, VMAPService, AdError } from '../app.js';
+import { useAdServer } from './helpers/ad-stack.js';
+
+const macroResolver = new MacroResolver({ getConsent: async () => ({}) });
+const server = useAdServer();
+
+test('builds a pre-roll, interval mid-rolls and a post-roll from the VMAP', async () => {
+  const vmap = await VMAPService.fetchVMAP(`${server.url}/vmap`, 700, 'user', macroResolver, 300);
+  const breaks = VMAPService.buildAdBreakList(vmap, 700);
+
+  assert.deepEqual(breaks.map((br) => [br.breakId, br.timeInSeconds]), [
+    ['preroll', 0],
+    ['midroll_1', 300],
+    ['midroll_2', 600],
+    ['postroll', 700],
+  ]);
+  breaks.forEach((br) => {
+    assert.match(br.vastUrl, new RegExp(`/vast/pod\\?break=${br.breakId}`));
+    assert.equal(br.allowMultipleAds, true);
+    assert.equal(br.followRedirects, true);
+  });
+});
+
+test('resolves VMAP time offsets and keeps VMAP break tracking', async () => {
+  const vmap = await VMAPService.fetchVMAP(`${server.url}/vmap?breaks=00:01:30.500,start,50%25`, 200, 'user', macroResolver);
+  const breaks = VMAPService.buildAdBreakList(vmap, 200);
+
+  assert.deepEqual(breaks.map((br) => br.timeInSeconds), [0, 90.5, 100]);
+  assert.deepEqual(
+    VMAPService.getBreakTrackingUrls(breaks[1], 'breakStart'),
+    [`${server.url}/beacon?event=breakStart&break=midroll_0`]
+  );
+  assert.deepEqual(
+    VMAPService.getBreakTrackingUrls(breaks[1], 'error'),
+    [`${server.url}/beacon?event=error&break=midroll_0&code=[ERRORCODE]`]
+  );
+});
+
+test('rejects malformed VMAP with error 1002', async () => {
+  await assert.rejects(
+    VMAPService.fetchVMAP(`${server.url}/vmap?type=malformed`, 600, 'user', macroResolver),
+    (err) => err instanceof AdError && err.code === 1002
+  );
+});
+
+test('rejects a VMAP request that fails with error 900', async () => {
+  await assert.rejects(
+    VMAPService.fetchVMAP(`${server.url}/vmap?status=500`, 600, 'user', macroResolver, CONFIG.VMAP_INTERVAL, {}, {
+      ...CONFIG,
+      VMAP_RETRIES: 0,
+    }),
+    (err) => err instanceof AdError && err.code === 900
+  );
+});
+
+test('rejects a document that is not VMAP with error 1000', async () => {
+  await assert.rejects(
+    VMAPService.fetchVMAP(`${server.url}/vast/inline`, 600, 'user', macroResolver),
+    (err) => err instanceof AdError && err.code === 1000
+  );
+});